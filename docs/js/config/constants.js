@@ -14,7 +14,12 @@ const COMMON_CONST = {
     FLOOR_SWITCH: 'FLOOR_SWITCH',
     PROXIMITY_SWITCH: 'PROXIMITY_SWITCH',
     JOINT: 'JOINT',
-    TEXT_LABEL: 'TEXT_LABEL'
+    TEXT_LABEL: 'TEXT_LABEL',
+    SOLAR_PANEL: 'SOLAR_PANEL',
+    BATTERY: 'BATTERY',
+    BIOFUEL_REACTOR: 'BIOFUEL_REACTOR',
+    EM_GENERATOR: 'EM_GENERATOR',
+    CUSTOM_COMPONENT: 'CUSTOM_COMPONENT'
   },
 
   // 色の設定
@@ -56,13 +61,199 @@ const COMMON_CONST = {
   // ワイヤーの設定
   WIRE: {
     STROKE_WEIGHT: 3,
-    TEMP_ALPHA: 150
+    TEMP_ALPHA: 150,
+
+    // 直角配線モード（見た目だけ。つなぎ先は変えない）
+    ROUTE_LEAD: 22,               // ソケットからまっすぐ引き出す長さ（グリッドの半分）
+    ROUTE_CLEARANCE: 6,           // パーツの本体からこれだけ離して通す
+    ROUTE_SEARCH_MARGIN: 44 * 3,  // 両端を囲む範囲をこれだけ広げた中のパーツを避ける
+    ROUTE_BEND_COST: 30,          // 曲がり1回を、長さ何px分の遠回りと同じとみなすか
+    ROUTE_REVERSE_COST: 200,      // 来た道を引き返す折り返し1回の重み
+    ROUTE_COLLISION_COST: 10000   // パーツの本体を1つ横切る重み（どうしても避けられない時だけ通す）
   },
   
   // ボタンの設定
   BUTTON: {
     ON_DURATION: 1000
   },
+
+  // 発電パーツの初期設定（出力は kP、容量は kPs、時間は秒。パーツごとに Power Sources パネルから変更できる）
+  POWER_SOURCES: {
+    SOLAR_PANEL: { OUTPUT: 50 },
+    BATTERY: { OUTPUT: 50, CAPACITY: 45000, CHARGE_RATE: 50 },
+    BIOFUEL_REACTOR: { OUTPUT: 150, BURN_TIME: 600 },
+    EM_GENERATOR: { OUTPUT: 600 },
+    MAX_SETTING: 0xFFFFFF,            // 設定値の上限（URL用の圧縮形式で24bitに収めるため）
+    GAUGE_COLOR: [0, 220, 140],       // 残量ゲージの色
+    GAUGE_LOW_COLOR: [255, 90, 90],   // 残量が少ない時のゲージの色
+    GAUGE_LOW_RATIO: 0.2              // この割合を下回ったら残量が少ないとみなす
+  },
+
+  // 電力予算モードの設定（パネルから編集して localStorage に保存する）
+  POWER_BUDGET: {
+    DEFAULT_SETTINGS: {
+      enabled: false,     // ON の間だけ、供給を超えたネットワークのライト・ドアを止める
+      draws: {            // パーツの種類ごとの消費電力（kP）。どこかのソケットが通電している間だけ消費する
+        AUTO_SWITCH: 1,
+        INVERTER: 1,
+        BUTTON: 0,
+        WALL_SWITCH: 0,
+        FLOOR_SWITCH: 1,
+        PROXIMITY_SWITCH: 2,
+        COLOR_LIGHT: 5,
+        POWER_DOOR: 10
+      }
+    },
+    SHUTDOWN_TYPES: ['COLOR_LIGHT', 'POWER_DOOR'], // 過負荷の時に止めるパーツ
+    COLOR_OVERLOAD: [255, 60, 60],    // 過負荷のネットワークの強調色
+    HIGHLIGHT_ALPHA: 90
+  },
+
+  // カスタム部品（選択したパーツを1つの箱にまとめた部品）の設定
+  COMPONENTS: {
+    MAX_PINS: 32,                   // 外に出せるピンの数の上限（シェアURLでは 6bit で保存）
+    MAX_DEFINITIONS: 255,           // 1つの回路で使える種類の上限（シェアURLでは 8bit で保存）
+    MAX_NAME_LENGTH: 30,            // 名前・ピン名の長さの上限
+    DEFAULT_NAME: 'Component',      // 名前を書かなかった時の名前
+    PIN_PREFIX: 'P',                // ピン名の初期値（P1, P2, ...）
+    WIDTH: 44 * 2,                  // 箱の幅（グリッド2つ分）
+    PIN_PITCH: 22,                  // ピンの間隔（グリッドの半分）
+    NAME_SIZE: 12,                  // 名前の文字サイズ
+    PIN_NAME_SIZE: 9,               // ピン名の文字サイズ
+    COLOR_FILL: [45, 45, 60],       // 箱の塗りつぶし色
+    COLOR_PIN_TAG: [0, 220, 255]    // 中を編集している時のピンのタグの色
+  },
+
+  // 部品ライブラリ（よく使う回路の断片）の設定
+  LIBRARY: {
+    DB_NAME: 'nms_circuit_library',          // IndexedDB のデータベース名
+    DB_VERSION: 1,
+    STORE_NAME: 'snippets',                  // 断片を入れるオブジェクトストア（キーは id）
+    FILE_FORMAT: 'nms-circuit-library',      // 書き出したファイルの形式名
+    FILE_VERSION: 1,
+    DRAG_TYPE: 'application/x-nms-snippet',  // キャンバスへのドラッグで渡すデータの種類
+    MAX_NAME_LENGTH: 40,                     // 名前の長さの上限
+    DEFAULT_NAME: 'Snippet',                 // 名前を書かなかった時の名前
+    THUMBNAIL_WIDTH: 120,                    // サムネイルの大きさ（px）
+    THUMBNAIL_HEIGHT: 72,
+    THUMBNAIL_PADDING: 6,
+    THUMBNAIL_BG: '#1a1a1a',
+    THUMBNAIL_WIRE: '#5a7a9a',
+    THUMBNAIL_PART: '#888888',
+    THUMBNAIL_PART_COLORS: {                 // 種類ごとの塗りつぶし色（無ければ THUMBNAIL_PART）
+      POWER: '#e0c040',
+      COLOR_LIGHT: '#40a0ff',
+      AUTO_SWITCH: '#50c060',
+      INVERTER: '#e05050',
+      BUTTON: '#ff8040',
+      WALL_SWITCH: '#ff8040',
+      CUSTOM_COMPONENT: '#505078'
+    }
+  },
+
+  // クリップボード（コピー/切り取り/貼り付け）の設定
+  CLIPBOARD: {
+    PREFIX: 'nms-circuit:'  // コピーしたテキストの先頭（この後ろに v6 / v7 の文字列が続く）
+  },
+
+  // 元に戻す/やり直しの設定
+  HISTORY: {
+    MAX_STEPS: 100  // 元に戻せる操作の数（古いものから捨てる）
+  },
+
+  // 昼夜の設定（全ての太陽光パネルが同じ時計を見る）
+  DAY_NIGHT: {
+    DAY_LENGTH: 120000,                             // 1日の長さ（ミリ秒）
+    DAY_LENGTHS: [60000, 120000, 300000, 600000, 1800000], // 選択できる1日の長さ
+    DAYLIGHT_RATIO: 0.5,                            // 1日のうち昼の割合（0時 = 日の出）
+    SUNRISE_HOUR: 6                                 // 表示上の日の出の時刻
+  },
+
+  // シミュレーション時間の設定
+  SIMULATION: {
+    TICK_INTERVAL: 1000,                  // 論理更新（onTick）の間隔（ミリ秒）
+    FRAME_INTERVAL: 1000 / 60,            // 1フレーム送りで進める時間（ミリ秒）
+    MAX_SUBSTEP: 100,                     // 1回の計算で進める最大時間（早送り時にティックを取りこぼさないため）
+    SPEEDS: [0.25, 0.5, 1, 2, 4, 8, 16],  // 選択できる再生速度
+    DEFAULT_SPEED: 1,
+    VERIFY_INCREMENTAL: false             // デバッグ用: 差分計算の結果を毎フレーム全体計算と照合する
+  },
+
+  // 発振検出の設定
+  OSCILLATION: {
+    HISTORY_TICKS: 48,                // isOn の履歴を保持するティック数
+    MAX_PERIOD: 16,                   // 検出する最大の周期（ティック）
+    MIN_CYCLES: 3,                    // 何周期ぶん同じパターンが続いたら発振とみなすか
+    COLOR_RING: [255, 120, 0],        // 意図しない発振ループの強調色
+    COLOR_CLOCK: [0, 220, 140],       // 意図したクロックの強調色
+    HIGHLIGHT_ALPHA: 110
+  },
+
+  // 真理値表の設定
+  TRUTH_TABLE: {
+    INPUT_TYPES: ['WALL_SWITCH', 'BUTTON', 'SOLAR_PANEL', 'BATTERY', 'BIOFUEL_REACTOR'], // 入力にできるパーツ
+    OUTPUT_TYPES: ['COLOR_LIGHT', 'POWER_DOOR'],     // 出力にできるパーツ
+    MAX_INPUTS: 10,                                  // 入力数の上限（2^10 = 1024通り）
+    MAX_SETTLE_TICKS: 32,                            // 安定するまで待つ最大ティック数
+    UNSETTLED_MARK: '~',                             // 安定しなかった出力の表記
+    COLOR_INPUT: [255, 200, 0],                      // キャンバス上の入力タグの色
+    COLOR_OUTPUT: [0, 220, 255],                     // キャンバス上の出力タグの色
+    COLOR_CANDIDATE: [170, 170, 170]                 // 選ばれていない候補のタグの色
+  },
+
+  // 回路チェックの設定
+  LINT: {
+    FOCUS_MARKER_DURATION: 1500,   // 指摘箇所に視点を移した時の目印の表示時間（ミリ秒）
+    FOCUS_MARKER_COLOR: [255, 80, 80],
+    FOCUS_MARKER_SIZE: 44 * 2.5    // 目印の円の直径
+  },
+
+  // 論理式の抽出の設定
+  EXPRESSION: {
+    OUTPUT_TYPES: ['COLOR_LIGHT', 'POWER_DOOR'],  // 式を求める出力
+    MAX_PATHS: 1000,          // 1つのノードについて数える経路の上限
+    MAX_TERMS: 512,           // 展開した積和形の項数の上限
+    MAX_MINIMIZE_VARS: 8      // 最小化（クワイン・マクラスキー法）を行う変数の数の上限
+  },
+
+  // 論理合成（式・真理値表から回路を作る）の設定
+  SYNTHESIS: {
+    PART_PITCH: 44 * 2,         // 並べるパーツの間隔（グリッド2つ分）
+    DEFAULT_OUTPUT_NAME: 'Q',   // 出力の名前を書かなかった時の名前
+    MAX_TABLE_INPUTS: 6         // 真理値表で指定できる入力の数の上限（64行）
+  },
+
+  // パーツ数の最適化の設定
+  OPTIMIZER: {
+    TAG_REMOVE: '✕',                  // 削除されるパーツのタグ
+    TAG_REPLACE: '⇄',                 // 別の種類に置き換えられるパーツのタグ
+    TAG_MERGE: '⊕',                   // まとめられるジョイントのタグ
+    COLOR_REMOVE: [255, 90, 90],
+    COLOR_REPLACE: [255, 200, 0],
+    COLOR_MERGE: [0, 220, 255]
+  },
+
+  // シナリオテストの設定
+  SCENARIO: {
+    MAX_TICKS: 10000,      // 指定できるティックの上限
+    LABEL_RADIUS: 44 * 4   // 名前（TextLabel）からパーツを探す距離（グリッド4つ分）
+  },
+
+  // 波形（タイミングチャート）パネルの設定
+  WAVEFORM: {
+    HISTORY_TICKS: 120,             // 履歴を保持するティック数
+    VISIBLE_TICKS: 16,              // パネルに表示するティック数
+    ROW_HEIGHT: 26,                 // 1信号あたりの行の高さ（px）
+    LABEL_WIDTH: 150,               // 信号名の列の幅（px）
+    HEADER_HEIGHT: 18,              // ティック番号の行の高さ（px）
+    EDGE_SNAP_DISTANCE: 6,          // カーソルが信号の変化点に吸着する距離（px）
+    COLOR_HIGH: [0, 128, 255],      // ONの波形の色
+    COLOR_LOW: [120, 120, 120],     // OFFの波形の色
+    COLOR_GRID: [60, 60, 60],       // ティック境界の線の色
+    COLOR_CURSOR_A: [255, 200, 0],  // カーソルAの色
+    COLOR_CURSOR_B: [0, 255, 160],  // カーソルBの色
+    COLOR_MARKER: [255, 200, 0]     // キャンバス上のプローブ目印の色
+  },
   
   // UI要素のラベル（ここは今回は日本語のまま固定）
   UI_LABELS: {
@@ -76,6 +267,11 @@ const COMMON_CONST = {
     FLOOR_SWITCH: 'Floor Switch',
     PROXIMITY_SWITCH: 'Proximity Switch',
     TEXT_LABEL: 'Text Label',
+    SOLAR_PANEL: 'Solar Panel',
+    BATTERY: 'Battery',
+    BIOFUEL_REACTOR: 'Biofuel Reactor',
+    EM_GENERATOR: 'Electromagnetic Generator',
+    CUSTOM_COMPONENT: 'Component',
     WIRE: 'Wire',
     SAVE: 'Save',
     LOAD: 'Load',
@@ -83,10 +279,116 @@ const COMMON_CONST = {
     DELETE_MODE: 'Delete Mode',
     MULTI_SELECT: 'Multi Select Mode', // ★追加
     DUPLICATE: 'Duplicate Selection (Ctrl+D)', // ★追加
+    UNDO: 'Undo (Ctrl+Z)',
+    REDO: 'Redo (Ctrl+Shift+Z)',
     ROTATION_SNAP: 'Rotation Snap',
     MOVE_SNAP: 'Grid Snap',
     GRID_VISIBLE: 'Show Grid',
-    PARTS_COUNT: 'Parts Count'
+    ORTHOGONAL_WIRES: 'Right-angle Wires',
+    PARTS_COUNT: 'Parts Count',
+    SIM_PAUSE: 'Pause / Resume Simulation (Space)',
+    SIM_STEP_TICK: 'Step 1 Tick',
+    SIM_STEP_FRAME: 'Step 1 Frame',
+    SIM_SPEED: 'Simulation Speed',
+    WAVEFORM_TITLE: 'Waveform',
+    WAVEFORM_HINT: 'Alt+Click a socket or part to pin / unpin. Click: cursor A, Shift+Click: cursor B, Wheel: scroll, Double-click: reset',
+    WAVEFORM_CLEAR: 'Unpin all signals',
+    OSCILLATION_RING: 'Oscillating loop',
+    OSCILLATION_CLOCK: 'Clock loop',
+    OSCILLATION_MARK: 'Mark as clock',
+    OSCILLATION_UNMARK: 'Unmark',
+    TOOLS: 'Tools',
+    TRUTH_TABLE: 'Truth Table',
+    TRUTH_TABLE_INPUTS: 'Inputs',
+    TRUTH_TABLE_OUTPUTS: 'Outputs',
+    TRUTH_TABLE_GENERATE: 'Generate',
+    TRUTH_TABLE_EXPORT_CSV: 'Export CSV',
+    TRUTH_TABLE_EXPORT_MARKDOWN: 'Export Markdown',
+    SCENARIO: 'Scenario Test',
+    CHECK_CIRCUIT: 'Check Circuit',
+    CHECK_CIRCUIT_RECHECK: 'Re-check',
+    EXPRESSIONS: 'Expressions',
+    EXPRESSIONS_REFRESH: 'Refresh',
+    EXPRESSIONS_COPY: 'Copy',
+    SYNTHESIS: 'Synthesize Circuit',
+    SYNTHESIS_FROM_EXPRESSION: 'Expression',
+    SYNTHESIS_FROM_TABLE: 'Truth Table',
+    SYNTHESIS_INPUTS: 'Inputs',
+    SYNTHESIS_MINIMIZE: 'Minimize',
+    SYNTHESIS_PLACE: 'Place',
+    OPTIMIZE: 'Optimize Parts',
+    OPTIMIZE_ANALYZE: 'Analyze',
+    OPTIMIZE_APPLY: 'Apply',
+    OPTIMIZE_PARTS: 'Parts',
+    BUILD_COST: 'Build Cost',
+    BUILD_COST_PART: 'Part',
+    BUILD_COST_COUNT: 'Count',
+    BUILD_COST_COMPLEXITY: 'Complexity',
+    BUILD_COST_MATERIALS: 'Materials',
+    BUILD_COST_TOTAL: 'Total',
+    BUILD_COST_LIMIT: 'Base complexity limit',
+    BUILD_COST_TABLE: 'Cost per part',
+    BUILD_COST_RESET: 'Reset to defaults',
+    POWER_SOURCES: 'Power Sources',
+    POWER_SOURCES_DAY_LENGTH: 'Day length',
+    POWER_SOURCES_TO_SUNRISE: 'Skip to sunrise',
+    POWER_SOURCES_TO_SUNSET: 'Skip to sunset',
+    POWER_SOURCES_OUTPUT: 'Output (kP)',
+    POWER_SOURCES_CAPACITY: 'Capacity (kPs)',
+    POWER_SOURCES_STORED: 'Stored (kPs)',
+    POWER_SOURCES_CHARGE_RATE: 'Charge rate (kP)',
+    POWER_SOURCES_BURN_TIME: 'Burn time (s)',
+    POWER_SOURCES_FUEL: 'Fuel left (s)',
+    POWER_SOURCES_REFUEL: 'Refuel',
+    POWER_BUDGET: 'Power Budget',
+    POWER_BUDGET_ENABLE: 'Enable power budget',
+    POWER_BUDGET_NETWORK: 'Network',
+    POWER_BUDGET_SUPPLY: 'Supply',
+    POWER_BUDGET_DEMAND: 'Demand',
+    POWER_BUDGET_HEADROOM: 'Headroom',
+    POWER_BUDGET_DRAWS: 'Draw per part (kP)',
+    POWER_BUDGET_RESET: 'Reset to defaults',
+    COMPONENTS: 'Components',
+    COMPONENTS_NEW: 'New component from selection',
+    COMPONENTS_PINS: 'Pins',
+    COMPONENTS_NAME: 'Name',
+    COMPONENTS_CREATE: 'Create',
+    COMPONENTS_LIST: 'Components in this circuit',
+    COMPONENTS_PLACE: 'Place',
+    COMPONENTS_EDIT: 'Edit',
+    COMPONENTS_FINISH: 'Finish editing',
+    LIBRARY: 'Library',
+    LIBRARY_NAME: 'Name',
+    LIBRARY_SAVE: 'Save selection',
+    LIBRARY_IMPORT: 'Import…',
+    LIBRARY_EXPORT: 'Export',
+    LIBRARY_DELETE: 'Delete',
+    LIBRARY_BUILT_IN: 'built-in',
+    LIBRARY_SR_LATCH: 'SR Latch',
+    LIBRARY_T_FLIP_FLOP: 'T Flip-Flop',
+    LIBRARY_PULSE: '1-Tick Pulse',
+    LIBRARY_CLOCK: 'Clock',
+    LIBRARY_COUNTER: 'Binary Counter (3-bit)',
+    ARRANGE: 'Arrange',
+    ARRANGE_ALIGN: 'Align',
+    ARRANGE_LEFT: 'Left',
+    ARRANGE_CENTER: 'Center',
+    ARRANGE_RIGHT: 'Right',
+    ARRANGE_TOP: 'Top',
+    ARRANGE_MIDDLE: 'Middle',
+    ARRANGE_BOTTOM: 'Bottom',
+    ARRANGE_DISTRIBUTE: 'Distribute',
+    ARRANGE_HORIZONTAL: 'Horizontally',
+    ARRANGE_VERTICAL: 'Vertically',
+    ARRANGE_FLIP: 'Flip',
+    AUTO_LAYOUT: 'Auto-arrange',
+    AUTO_LAYOUT_PREVIEW: 'Preview',
+    AUTO_LAYOUT_ACCEPT: 'Accept',
+    AUTO_LAYOUT_DISCARD: 'Discard',
+    SCENARIO_RUN: 'Run',
+    SCENARIO_PASSED: 'passed',
+    SCENARIO_FAILED: 'failed',
+    CLOSE: 'Close'
   },
 
   // グリッドの設定
@@ -98,6 +400,32 @@ const COMMON_CONST = {
     SNAP_FINE: 2.75,       // スナップOFF時の単位
     DRAW_OFFSET: -2        // 描画オフセット（PARTS.STROKE_WEIGHT の半分）
   },
+
+  // スマートガイド（ドラッグ中に他のパーツの中心・ソケットと揃った時に出る補助線）の設定
+  GUIDES: {
+    SNAP_DISTANCE: 6,              // この距離（画面px）まで近づいたら揃う位置に吸着する
+    RANGE: 44 * 10,                // 相手にするパーツの距離（線に沿った方向、グリッド10個分）
+    COLOR: [255, 80, 220],         // 補助線・距離バッジの色
+    STROKE_WEIGHT: 1,              // 補助線の太さ（画面px）
+    DASH_PATTERN: [6, 4],
+    EXTEND: 12,                    // 揃った点より先に伸ばす長さ
+    BADGE_TEXT_SIZE: 11,           // 距離バッジ（グリッド何個分か）の文字サイズ（画面px）
+    BADGE_PADDING: 4
+  },
+
+  // 自動整列（左から右へ 電源 → スイッチ → ライト・ドア の順に並べ直す）の設定
+  AUTO_LAYOUT: {
+    LAYER_GAP: 44 * 3,             // 列と列の間隔
+    ROW_GAP: 44,                   // 同じ列のパーツ（名前の TextLabel を含む）同士の間隔
+    GROUP_GAP: 44 * 2,             // つながっていないまとまり同士の間隔
+    ORDER_SWEEPS: 8,               // 交差を減らすために列の中を並べ替える回数
+    POSITION_SWEEPS: 6,            // ワイヤーを短くするために高さを合わせ直す回数
+    JOINT_SWEEPS: 20,              // Joint 同士がつながっている時に位置を落ち着かせる回数
+    PREVIEW_COLOR: [255, 200, 0],  // プレビューの枠・ワイヤーの色
+    PREVIEW_FILL_ALPHA: 40,
+    PREVIEW_STROKE_WEIGHT: 2,
+    PREVIEW_DASH_PATTERN: [8, 6]
+  },
   
   // 削除モードの設定
   DELETE_MODE: {
@@ -136,12 +464,20 @@ const COMMON_CONST = {
     CURSOR_DASH_PATTERN: [4, 4],        // 点線パターン
 
     SNAP_DISTANCE_MULTIPLIER: 1.0,
+
+    // 範囲選択（何も無い場所からのドラッグで矩形を描いて選択）
+    BOX_MIN_DRAG: 4,                    // これ未満の移動（画面px）はクリックとみなして選択を変えない
+    BOX_STROKE_WEIGHT: 1.5,
+    BOX_COLOR_SUBTRACT: [255, 120, 120], // Alt（選択から外す）の時の枠線色
+    BOX_START_MARKER_SIZE: 16,          // スマホで長押しが成立した時に始点に出す丸の直径
+    LONG_PRESS_MS: 500,                 // スマホで範囲選択を始める長押しの時間
+    LONG_PRESS_TOLERANCE: 10,           // 長押し中に指が動いても許す距離（画面px）
   },
 
   // パーツカウントの設定
   PART_COUNT: {
     // カウント対象外のパーツタイプ
-    EXCLUDED_TYPES: ['POWER', 'JOINT', 'TEXT_LABEL'],
+    EXCLUDED_TYPES: ['POWER', 'JOINT', 'TEXT_LABEL', 'CUSTOM_COMPONENT'], // カスタム部品は中のパーツを数える
     
     // パーツの表示順序（index.htmlのボタン順）
     DISPLAY_ORDER: [
@@ -153,10 +489,37 @@ const COMMON_CONST = {
       'PROXIMITY_SWITCH',
       'COLOR_LIGHT',
       'POWER_DOOR',
+      'SOLAR_PANEL',
+      'BATTERY',
+      'BIOFUEL_REACTOR',
+      'EM_GENERATOR',
       'WIRE'
     ]
   },
 
+  // 建設コストの設定（ゲームのアップデートで変わるので、パネルから編集して localStorage に保存する）
+  BUILD_COST: {
+    WARNING_RATIO: 0.8,   // 拠点の上限に対してこの割合を超えたら警告する
+    DEFAULT_TABLE: {
+      limit: null,        // 拠点の複雑さの上限（null なら上限なし）
+      parts: {
+        AUTO_SWITCH: { complexity: 1, materials: { 'Chromatic Metal': 20 } },
+        INVERTER: { complexity: 1, materials: { 'Chromatic Metal': 20 } },
+        BUTTON: { complexity: 1, materials: { 'Chromatic Metal': 10 } },
+        WALL_SWITCH: { complexity: 1, materials: { 'Chromatic Metal': 10 } },
+        FLOOR_SWITCH: { complexity: 1, materials: { 'Chromatic Metal': 10 } },
+        PROXIMITY_SWITCH: { complexity: 1, materials: { 'Chromatic Metal': 20 } },
+        COLOR_LIGHT: { complexity: 1, materials: { 'Chromatic Metal': 10 } },
+        POWER_DOOR: { complexity: 1, materials: { 'Metal Plating': 2 } },
+        SOLAR_PANEL: { complexity: 1, materials: { 'Chromatic Metal': 50, 'Gold': 20, 'Glass': 1 } },
+        BATTERY: { complexity: 1, materials: { 'Ferrite Dust': 40, 'Sodium': 20 } },
+        BIOFUEL_REACTOR: { complexity: 1, materials: { 'Metal Plating': 1, 'Di-hydrogen Jelly': 1 } },
+        EM_GENERATOR: { complexity: 1, materials: { 'Ion Battery': 1, 'Magnetised Ferrite': 50, 'Chromatic Metal': 150 } },
+        WIRE: { complexity: 1, materials: {} }
+      }
+    }
+  },
+
   // アニメーション設定
   ANIMATION: {
     ROTATION_SPEED: 0.2,              // 1フレームで近づく割合 (0.0～1.0)
@@ -179,17 +542,50 @@ const COMMON_CONST = {
       FLOOR_SWITCH: 'btn-floor-switch',
       PROXIMITY_SWITCH: 'btn-proximity-switch',
       TEXT_LABEL: 'btn-text-label',
+      SOLAR_PANEL: 'btn-solar-panel',
+      BATTERY: 'btn-battery',
+      BIOFUEL_REACTOR: 'btn-biofuel-reactor',
+      EM_GENERATOR: 'btn-em-generator',
       DELETE_MODE: 'btn-delete-mode',
       MULTI_SELECT: 'btn-multi-select', // ★追加
       DUPLICATE: 'btn-duplicate', // ★追加
+      UNDO: 'btn-undo',
+      REDO: 'btn-redo',
       SAVE: 'btn-save',
       LOAD: 'btn-load',
       SHARE: 'btn-share',
       ROTATION_SNAP: 'rotation-snap-checkbox',
       MOVE_SNAP: 'move-snap-checkbox',
       GRID_VISIBLE: 'grid-visible-checkbox',
+      ORTHOGONAL_WIRES: 'orthogonal-wires-checkbox',
       PARTS_COUNT_TOGGLE: 'parts-count-toggle',
-      PARTS_COUNT_DISPLAY: 'pc-parts-count-display'
+      PARTS_COUNT_DISPLAY: 'pc-parts-count-display',
+      SIM_PAUSE: 'btn-sim-pause',
+      SIM_STEP_TICK: 'btn-sim-step-tick',
+      SIM_STEP_FRAME: 'btn-sim-step-frame',
+      SIM_SPEED: 'sim-speed-select',
+      SIM_TICK_VALUE: 'sim-tick-value',
+      SIM_DAY_TIME: 'sim-day-time',
+      WAVEFORM_PANEL: 'pc-waveform-panel',
+      WAVEFORM_CANVAS: 'waveform-canvas',
+      WAVEFORM_READOUT: 'waveform-readout',
+      WAVEFORM_CLEAR: 'btn-waveform-clear',
+      OSCILLATION_PANEL: 'pc-oscillation-panel',
+      TOOLS: 'btn-tools',
+      TOOLS_MENU: 'tools-menu',
+      TRUTH_TABLE_PANEL: 'truth-table-panel',
+      SCENARIO_PANEL: 'scenario-panel',
+      LINT_PANEL: 'lint-panel',
+      EXPRESSION_PANEL: 'expression-panel',
+      SYNTHESIS_PANEL: 'synthesis-panel',
+      OPTIMIZER_PANEL: 'optimizer-panel',
+      BUILD_COST_PANEL: 'build-cost-panel',
+      POWER_SOURCE_PANEL: 'power-source-panel',
+      POWER_BUDGET_PANEL: 'power-budget-panel',
+      COMPONENT_PANEL: 'component-panel',
+      LIBRARY_PANEL: 'library-panel',
+      ARRANGE_PANEL: 'arrange-panel',
+      AUTO_LAYOUT_PANEL: 'auto-layout-panel'
     },
     // モバイル用ボタン
     MOBILE: {
@@ -200,6 +596,8 @@ const COMMON_CONST = {
       MENU_OVERLAY: 'mobile-menu-overlay',
       BOTTOM_SHEET: 'mobile-bottom-sheet',
       DUPLICATE: 'btn-mobile-duplicate', // ★追加
+      UNDO: 'btn-mobile-undo',
+      REDO: 'btn-mobile-redo',
       POWER: 'btn-mobile-power',
       AUTO_SWITCH: 'btn-mobile-auto-switch',
       INVERTER: 'btn-mobile-inverter',
@@ -210,12 +608,17 @@ const COMMON_CONST = {
       FLOOR_SWITCH: 'btn-mobile-floor-switch',
       PROXIMITY_SWITCH: 'btn-mobile-proximity-switch',
       TEXT_LABEL: 'btn-mobile-text-label',
+      SOLAR_PANEL: 'btn-mobile-solar-panel',
+      BATTERY: 'btn-mobile-battery',
+      BIOFUEL_REACTOR: 'btn-mobile-biofuel-reactor',
+      EM_GENERATOR: 'btn-mobile-em-generator',
       SAVE: 'btn-mobile-save',
       LOAD: 'btn-mobile-load',
       SHARE: 'btn-mobile-share',
       ROTATION_SNAP: 'mobile-rotation-snap-checkbox',
       MOVE_SNAP: 'mobile-move-snap-checkbox',
       GRID_VISIBLE: 'mobile-grid-visible-checkbox',
+      ORTHOGONAL_WIRES: 'mobile-orthogonal-wires-checkbox',
       PARTS_COUNT_DISPLAY: 'mobile-parts-count-display'
     },
     // 共通要素
@@ -228,7 +631,10 @@ const COMMON_CONST = {
     ROTATION_SNAP: 'nms_circuit_rotation_snap', // 回転スナップ設定
     MOVE_SNAP: 'nms_circuit_move_snap',         // 移動スナップ設定
     GRID_VISIBLE: 'nms_circuit_grid_visible',   // グリッド表示設定
-    PARTS_COUNT_VISIBLE: 'nms_circuit_parts_count_visible' // パーツ数表示設定
+    ORTHOGONAL_WIRES: 'nms_circuit_orthogonal_wires', // 直角配線モード設定
+    PARTS_COUNT_VISIBLE: 'nms_circuit_parts_count_visible', // パーツ数表示設定
+    BUILD_COST_TABLE: 'nms_circuit_build_cost_table',        // 建設コスト表（JSON）
+    POWER_BUDGET: 'nms_circuit_power_budget'                 // 電力予算モードの設定（JSON）
   }
 };
 
@@ -244,11 +650,77 @@ const MESSAGES_DATA = {
     ALERT_LOAD_SUCCESS: '読み込みが完了しました',
     ALERT_SAVE_FAILED: '保存に失敗しました',
     ALERT_LOAD_FAILED: '読み込みに失敗しました',
+    ALERT_PASTE_INVALID: 'クリップボードの回路が壊れているため貼り付けられませんでした',
     ALERT_SHARE_FAILED: 'シェアURLの生成に失敗しました',
     ALERT_URL_RESTORE_SUCCESS: 'URLから回路を復元しました',
     ALERT_URL_RESTORE_FAILED: 'URLからの復元に失敗しました',
     ERROR_INVALID_FILE_FORMAT: '無効なファイル形式です',
-    CONFIRM_RESET: '全てのパーツとワイヤーを削除してリセットします。よろしいですか？'
+    CONFIRM_RESET: '全てのパーツとワイヤーを削除してリセットします。よろしいですか？',
+    ALERT_TRUTH_TABLE_NO_IO: '入力と出力をそれぞれ1つ以上選んでください',
+    ALERT_TRUTH_TABLE_FAILED: '真理値表の生成に失敗しました',
+    TEXT_TRUTH_TABLE_UNSETTLED: '~ : 安定しない（発振する）組み合わせ',
+    TEXT_TRUTH_TABLE_NO_CANDIDATES: '該当するパーツがありません',
+    TEXT_SCENARIO_EMPTY: 'シナリオが空です',
+    TEXT_LINT_OK: '問題は見つかりませんでした',
+    LINT_NO_POWER: '電源がありません',
+    LINT_CONTROL_UNCONNECTED: 'control ソケットが未接続です',
+    LINT_UNREACHABLE_OUTPUT: 'どの電源からも電気が届きません',
+    LINT_DANGLING_JOINT: 'ジョイントが行き止まりです',
+    LINT_ZERO_LENGTH_WIRE: '長さ0のワイヤーです（整理時に削除されます）',
+    LINT_DUPLICATE_WIRE: '重複したワイヤーです（整理時に削除されます）',
+    TEXT_EXPRESSION_NO_OUTPUTS: 'カラーライト・パワードアがありません',
+    TEXT_EXPRESSION_SEQUENTIAL: 'フィードバックのある順序回路です',
+    TEXT_EXPRESSION_TOO_COMPLEX: '式が複雑すぎます',
+    TEXT_EXPRESSION_UNSUPPORTED: 'カスタム部品の中の入力に左右されるため、式にできません',
+    OPTIMIZE_GATE_ALWAYS_ON: '常に導通するので、ジョイントに置き換えられます',
+    OPTIMIZE_GATE_ALWAYS_OFF: '一度も導通しないので、削除できます',
+    OPTIMIZE_DOUBLE_INVERTER: '出力がゲートの control にしか使われていないので、そのゲートの種類を入れ替えれば省けます',
+    OPTIMIZE_MERGE_JOINTS: 'つながったジョイントを1つにまとめられます',
+    TEXT_OPTIMIZE_NONE: 'パーツを減らせる箇所は見つかりませんでした',
+    TEXT_OPTIMIZE_SCOPE_SELECTION: '対象: 選択中のパーツ',
+    TEXT_OPTIMIZE_SCOPE_ALL: '対象: 回路全体',
+    TEXT_OPTIMIZE_VERIFIED: '✓ 全ての入力の組み合わせで出力が変わらないことを確認しました',
+    TEXT_OPTIMIZE_MISMATCH: '✗ 出力が変わってしまう組み合わせがあります',
+    TEXT_OPTIMIZE_NOT_VERIFIED: '入力が多すぎるため、動作の確認を省きました',
+    TEXT_BUILD_COST_EMPTY: 'パーツがありません',
+    TEXT_BUILD_COST_NO_LIMIT: '上限なし',
+    TEXT_BUILD_COST_MATERIALS_HINT: '例: Chromatic Metal 20, Copper 5',
+    TEXT_BUILD_COST_NEAR_LIMIT: '⚠️ 拠点の上限に近づいています',
+    TEXT_BUILD_COST_OVER_LIMIT: '⚠️ 拠点の上限を超えています',
+    CONFIRM_BUILD_COST_RESET: 'コスト表と拠点の上限を初期値に戻します。よろしいですか？',
+    TEXT_POWER_SOURCES_NONE: '太陽光パネル・バッテリー・バイオ燃料炉・電磁発電機がありません',
+    TEXT_POWER_SOURCES_DAY: '昼',
+    TEXT_POWER_SOURCES_NIGHT: '夜',
+    TEXT_POWER_BUDGET_DISABLED: '電力予算モードは OFF です（電気は無制限に流れます）',
+    TEXT_POWER_BUDGET_NONE: '電源につながったネットワークがありません',
+    TEXT_POWER_BUDGET_OVERLOADED: '⚠️ 過負荷（ライト・ドアが停止中）',
+    TEXT_POWER_BUDGET_UNLIMITED: '無制限',
+    CONFIRM_POWER_BUDGET_RESET: '消費電力の表を初期値に戻します。よろしいですか？',
+    TEXT_COMPONENTS_NO_SELECTION: '複数選択モードでまとめたいパーツを選んでください',
+    TEXT_COMPONENTS_NO_PINS: 'ピンにするソケットを1つ以上選んでください',
+    TEXT_COMPONENTS_DROPPED_WIRES: 'ピンにしないソケットへの外からの接続は外れます: ',
+    TEXT_COMPONENTS_NONE: 'カスタム部品はまだありません',
+    TEXT_COMPONENTS_EDITING: '編集中のカスタム部品: ',
+    TEXT_COMPONENTS_INSTANCES: '個',
+    TEXT_LIBRARY_HINT: '断片をキャンバスにドラッグすると、カーソルの位置に挿入されます',
+    TEXT_LIBRARY_NO_SELECTION: '保存するパーツを複数選択モードで選んでください',
+    TEXT_LIBRARY_NOT_PERSISTENT: '⚠️ このブラウザでは IndexedDB が使えないため、ライブラリはページを閉じると消えます',
+    TEXT_LIBRARY_IMPORTED: '読み込んだ断片の数: ',
+    CONFIRM_LIBRARY_DELETE: 'ライブラリから削除します。よろしいですか？: ',
+    TEXT_ARRANGE_HINT: '複数選択モードで選んだパーツを揃えます（整列は2個以上、等間隔は3個以上）',
+    TEXT_AUTO_LAYOUT_HINT: '左から右へ 電源 → スイッチ → ライト・ドア の順に並べ直します。複数選択モードで選んだパーツがあればその範囲だけを並べ直します',
+    TEXT_AUTO_LAYOUT_SCOPE_ALL: '対象: 回路全体',
+    TEXT_AUTO_LAYOUT_SCOPE_SELECTION: '対象: 選択中のパーツ',
+    TEXT_AUTO_LAYOUT_MOVED: '動くパーツの数: ',
+    TEXT_AUTO_LAYOUT_EMPTY: '並べ直すパーツがありません',
+    TEXT_AUTO_LAYOUT_PREVIEWING: '自動整列のプレビュー中（パネルで反映または破棄してください）',
+    TEXT_SYNTHESIS_EXPRESSION_HINT: '例: Q = A AND NOT B OR C（NOT ! ~ / AND & * / XOR ^ / OR | +）',
+    TEXT_SYNTHESIS_INPUTS_HINT: '例: A, B, C',
+    TEXT_SYNTHESIS_TABLE_HINT: '出力の欄をクリックすると 0 → 1 → x（どちらでもよい）と切り替わります',
+    TEXT_SYNTHESIS_PLACED: '配置したパーツ数',
+    ALERT_SYNTHESIS_TOO_MANY_INPUTS: '真理値表の入力が多すぎます',
+    ALERT_SYNTHESIS_BAD_NAME: '入力の名前が正しくありません',
+    TEXT_SCENARIO_HINT: "例: t=0 toggle WallSwitch 'A'; at t=5 expect ColorLight 'L1' lit\n（名前はパーツの近くに置いた TextLabel の文字、または id=<ID>）"
   },
   
   // 英語（デフォルト）
@@ -261,17 +733,85 @@ const MESSAGES_DATA = {
     ALERT_LOAD_SUCCESS: 'Load complete.',
     ALERT_SAVE_FAILED: 'Save failed',
     ALERT_LOAD_FAILED: 'Load failed',
+    ALERT_PASTE_INVALID: 'Could not paste: the circuit on the clipboard is corrupted',
     ALERT_SHARE_FAILED: 'Failed to generate share URL',
     ALERT_URL_RESTORE_SUCCESS: 'Restored circuit from URL',
     ALERT_URL_RESTORE_FAILED: 'Failed to restore from URL',
     ERROR_INVALID_FILE_FORMAT: 'Invalid file format',
-    CONFIRM_RESET: 'Are you sure you want to delete all parts and wires?'
+    CONFIRM_RESET: 'Are you sure you want to delete all parts and wires?',
+    ALERT_TRUTH_TABLE_NO_IO: 'Select at least one input and one output',
+    ALERT_TRUTH_TABLE_FAILED: 'Failed to generate the truth table',
+    TEXT_TRUTH_TABLE_UNSETTLED: '~ : never settles (oscillates)',
+    TEXT_TRUTH_TABLE_NO_CANDIDATES: 'No matching parts',
+    TEXT_SCENARIO_EMPTY: 'The scenario is empty',
+    TEXT_LINT_OK: 'No problems found',
+    LINT_NO_POWER: 'The circuit has no power source',
+    LINT_CONTROL_UNCONNECTED: 'control socket is not connected',
+    LINT_UNREACHABLE_OUTPUT: 'no power source can ever reach this',
+    LINT_DANGLING_JOINT: 'joint leads nowhere',
+    LINT_ZERO_LENGTH_WIRE: 'zero-length wire (removed on cleanup)',
+    LINT_DUPLICATE_WIRE: 'duplicate wire (removed on cleanup)',
+    TEXT_EXPRESSION_NO_OUTPUTS: 'No Color Lights or Power Doors',
+    TEXT_EXPRESSION_SEQUENTIAL: 'sequential (feedback loop)',
+    TEXT_EXPRESSION_TOO_COMPLEX: 'expression is too complex',
+    TEXT_EXPRESSION_UNSUPPORTED: 'depends on an input inside a custom component',
+    OPTIMIZE_GATE_ALWAYS_ON: 'always conducts; can be replaced with a joint',
+    OPTIMIZE_GATE_ALWAYS_OFF: 'never conducts; can be removed',
+    OPTIMIZE_DOUBLE_INVERTER: 'only drives gate controls; flip those gates instead',
+    OPTIMIZE_MERGE_JOINTS: 'connected joints can be merged into one',
+    TEXT_OPTIMIZE_NONE: 'Nothing to optimize',
+    TEXT_OPTIMIZE_SCOPE_SELECTION: 'Target: selected parts',
+    TEXT_OPTIMIZE_SCOPE_ALL: 'Target: whole circuit',
+    TEXT_OPTIMIZE_VERIFIED: '✓ Outputs are unchanged for every input combination',
+    TEXT_OPTIMIZE_MISMATCH: '✗ Some input combinations give different outputs',
+    TEXT_OPTIMIZE_NOT_VERIFIED: 'Too many inputs; behaviour was not checked',
+    TEXT_BUILD_COST_EMPTY: 'No parts',
+    TEXT_BUILD_COST_NO_LIMIT: 'no limit',
+    TEXT_BUILD_COST_MATERIALS_HINT: 'e.g. Chromatic Metal 20, Copper 5',
+    TEXT_BUILD_COST_NEAR_LIMIT: '⚠️ Approaching the base complexity limit',
+    TEXT_BUILD_COST_OVER_LIMIT: '⚠️ Over the base complexity limit',
+    CONFIRM_BUILD_COST_RESET: 'Reset the cost table and base limit to the defaults?',
+    TEXT_POWER_SOURCES_NONE: 'No solar panels, batteries, biofuel reactors or electromagnetic generators',
+    TEXT_POWER_SOURCES_DAY: 'Day',
+    TEXT_POWER_SOURCES_NIGHT: 'Night',
+    TEXT_POWER_BUDGET_DISABLED: 'Power budget is off (electricity is unlimited)',
+    TEXT_POWER_BUDGET_NONE: 'No networks connected to a power source',
+    TEXT_POWER_BUDGET_OVERLOADED: '⚠️ Overloaded (lights and doors are off)',
+    TEXT_POWER_BUDGET_UNLIMITED: 'unlimited',
+    CONFIRM_POWER_BUDGET_RESET: 'Reset the power draw table to the defaults?',
+    TEXT_COMPONENTS_NO_SELECTION: 'Select the parts to group in multi-select mode',
+    TEXT_COMPONENTS_NO_PINS: 'Choose at least one socket as a pin',
+    TEXT_COMPONENTS_DROPPED_WIRES: 'Outside connections to sockets that are not pins will be removed: ',
+    TEXT_COMPONENTS_NONE: 'No components yet',
+    TEXT_COMPONENTS_EDITING: 'Editing component: ',
+    TEXT_COMPONENTS_INSTANCES: ' placed',
+    TEXT_LIBRARY_HINT: 'Drag a snippet onto the canvas to insert it at the cursor',
+    TEXT_LIBRARY_NO_SELECTION: 'Select the parts to save in multi-select mode',
+    TEXT_LIBRARY_NOT_PERSISTENT: '⚠️ IndexedDB is not available in this browser, so the library is lost when the page is closed',
+    TEXT_LIBRARY_IMPORTED: 'Snippets imported: ',
+    CONFIRM_LIBRARY_DELETE: 'Delete from the library? ',
+    TEXT_ARRANGE_HINT: 'Arranges the parts selected in multi-select mode (align needs 2+, distribute needs 3+)',
+    TEXT_AUTO_LAYOUT_HINT: 'Lays the circuit out left to right: power → switches → lights and doors. If parts are selected in multi-select mode, only those are rearranged',
+    TEXT_AUTO_LAYOUT_SCOPE_ALL: 'Target: whole circuit',
+    TEXT_AUTO_LAYOUT_SCOPE_SELECTION: 'Target: selected parts',
+    TEXT_AUTO_LAYOUT_MOVED: 'Parts that will move: ',
+    TEXT_AUTO_LAYOUT_EMPTY: 'Nothing to arrange',
+    TEXT_AUTO_LAYOUT_PREVIEWING: 'Auto-arrange preview (accept or discard it in the panel)',
+    TEXT_SYNTHESIS_EXPRESSION_HINT: 'e.g. Q = A AND NOT B OR C (NOT ! ~ / AND & * / XOR ^ / OR | +)',
+    TEXT_SYNTHESIS_INPUTS_HINT: 'e.g. A, B, C',
+    TEXT_SYNTHESIS_TABLE_HINT: 'Click an output cell to cycle 0 → 1 → x (don\'t care)',
+    TEXT_SYNTHESIS_PLACED: 'Parts placed',
+    ALERT_SYNTHESIS_TOO_MANY_INPUTS: 'Too many inputs for a truth table',
+    ALERT_SYNTHESIS_BAD_NAME: 'Invalid input name',
+    TEXT_SCENARIO_HINT: "e.g. t=0 toggle WallSwitch 'A'; at t=5 expect ColorLight 'L1' lit\n(names are TextLabels placed next to the part, or id=<id>)"
   }
 };
 
 // 3. 自動判定ロジック
 // ブラウザの言語が 'ja' で始まれば 'ja'、それ以外は 'en'
-const userLang = (navigator.language || navigator.userLanguage || 'en').startsWith('ja') ? 'ja' : 'en';
+// ※Node.jsなど navigator が無い環境では 'en' 扱い
+const browserLang = (typeof navigator !== 'undefined') ? (navigator.language || navigator.userLanguage) : null;
+const userLang = (browserLang || 'en').startsWith('ja') ? 'ja' : 'en';
 
 // 4. マージしてエクスポート
 // これで CONST.MESSAGES が自動的に切り替わります
@@ -51,9 +51,19 @@ window.draw = function() {
   }
 };
 
+/**
+ * 回路のキャンバスで起きたマウスイベントか
+ * UIボタンや、パネルの中の canvas（ライブラリのサムネイル・波形など）でのイベントは含めない
+ * @param {MouseEvent} [e]
+ * @returns {boolean}
+ */
+function isCircuitCanvasEvent(e) {
+  return !e || e.target === drawingContext.canvas;
+}
+
 window.mousePressed = function(e) {
   // UIボタンやその内部要素をクリックした時は、キャンバス操作をスキップ
-  if (e && (e.target.nodeName !== 'CANVAS' || e.target.closest('button'))) {
+  if (!isCircuitCanvasEvent(e)) {
     return;
   }
 
@@ -66,7 +76,7 @@ window.mousePressed = function(e) {
 
 window.mouseDragged = function(e) {
   // キャンバス外のドラッグは無視
-  if (e && (e.target.nodeName !== 'CANVAS' || e.target.closest('button'))) {
+  if (!isCircuitCanvasEvent(e)) {
     return;
   }
 
@@ -78,7 +88,7 @@ window.mouseDragged = function(e) {
 
 window.mouseReleased = function(e) {
   // キャンバス外での離脱は無視
-  if (e && (e.target.nodeName !== 'CANVAS' || e.target.closest('button'))) {
+  if (!isCircuitCanvasEvent(e)) {
     return;
   }
 
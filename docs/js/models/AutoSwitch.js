@@ -8,6 +8,16 @@ const LOCAL_CONST = {
   GREEN: [100, 255, 100],
 };
 
+// 導通テーブル: ONの間だけ左右がつながり、制御ソケットは行き止まり
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: CircuitPart.twoWayPaths('left', 'right', part => part.isOn),
+  sinks: ['control']
+};
+
+// 論理上の役割: 制御ソケットの通電がそのまま状態になる
+const LOGIC_ROLE = { kind: 'gate', control: 'control', inverted: false };
+
 /**
  * オートスイッチ（自動スイッチ）
  * ・通電時（制御ソケット）に左右を接続
@@ -32,6 +42,24 @@ export class AutoSwitch extends CircuitPart {
     this.isOn = false;
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  /**
+   * 論理上の役割を取得（ExpressionExtractor が参照する）
+   * @returns {Object}
+   */
+  getLogicRole() {
+    return LOGIC_ROLE;
+  }
+
   /**
    * 1秒ごとの状態更新
    */
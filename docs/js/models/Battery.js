@@ -0,0 +1,124 @@
+'use strict';
+
+import { PowerSource } from './PowerSource.js';
+import { Socket } from './Socket.js';
+import { CONST } from '../config/constants.js';
+
+// Battery固有の色定義
+const LOCAL_CONST = {
+  BODY_COLOR: [200, 200, 200],     // 電池の外形の色
+  CHARGING_COLOR: [255, 220, 0],   // 充電中の印の色
+  BODY_W_RATIO: 0.56,              // 電池の幅（パーツ幅に対する比率）
+  BODY_H_RATIO: 0.36               // 電池の高さ
+};
+
+// 導通テーブル: 蓄えがある間は右ソケットから電気を出す
+// 左ソケットに来た電気は充電に使いながら、そのまま右へ流す
+const CONDUCTION_TABLE = {
+  sources: ['right'],
+  sourceWhen: part => part.isOn,
+  paths: [{ from: 'left', to: 'right' }],
+  sinks: []
+};
+
+/**
+ * バッテリークラス
+ * 左ソケットに電気が来ている間は充電し、来ていない間は右ソケットの先へ放電する
+ * 蓄えが尽きると電気を出さなくなる。ゲージは蓄えの割合を表す
+ */
+export class Battery extends PowerSource {
+  constructor(id, x, y) {
+    super(id, x, y);
+
+    this.type = CONST.PART_TYPE.BATTERY;
+
+    const defaults = CONST.POWER_SOURCES.BATTERY;
+    this.output = defaults.OUTPUT;
+    this.capacity = defaults.CAPACITY;     // 容量（kPs）
+    this.chargeRate = defaults.CHARGE_RATE; // 充電の速さ（kP）
+    this.stored = defaults.CAPACITY;       // 蓄え（kPs）。置いた時は満充電
+    this.isCharging = false;
+
+    this.sockets = [
+      new Socket(this, 'left', -this.width / 2, 0, 'left'),
+      new Socket(this, 'right', this.width / 2, 0, 'right')
+    ];
+  }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  // ==================== 設定 ====================
+
+  getSettingKeys() {
+    return ['output', 'capacity', 'chargeRate', 'stored'];
+  }
+
+  clampSettings() {
+    this.stored = Math.min(this.stored, this.capacity);
+  }
+
+  // ==================== ライフサイクル ====================
+
+  /**
+   * 充電・放電する（放電は右ソケットに何かつながっている時だけ）
+   * @param {SimulationClock} clock
+   */
+  updateSource(clock) {
+    const seconds = clock.deltaTime / 1000;
+    this.isCharging = this.isPoweredAt('left');
+
+    if (this.isCharging) {
+      this.stored = Math.min(this.capacity, this.stored + this.chargeRate * seconds);
+    } else if (this.isOn && this.getSocket('right').connectedWires.length > 0) {
+      this.stored = Math.max(0, this.stored - this.output * seconds);
+    }
+  }
+
+  isSupplying() {
+    return this.stored > 0;
+  }
+
+  getGaugeRatio() {
+    return this.capacity > 0 ? this.stored / this.capacity : 0;
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 電池の形（充電中は稲妻の印を付ける）
+   */
+  drawIcon() {
+    const w = this.width * LOCAL_CONST.BODY_W_RATIO;
+    const h = this.height * LOCAL_CONST.BODY_H_RATIO;
+    const y = -this.height * 0.06;
+
+    noFill();
+    stroke(...LOCAL_CONST.BODY_COLOR);
+    strokeWeight(2);
+    rectMode(CENTER);
+    rect(0, y, w, h, 2);
+    noStroke();
+    fill(...LOCAL_CONST.BODY_COLOR);
+    rect(w / 2 + 2, y, 3, h * 0.45);
+
+    if (this.isCharging) {
+      fill(...LOCAL_CONST.CHARGING_COLOR);
+      beginShape();
+        vertex( w * 0.08, y - h * 0.4);
+        vertex(-w * 0.14, y + h * 0.06);
+        vertex( 0,        y + h * 0.06);
+        vertex(-w * 0.08, y + h * 0.4);
+        vertex( w * 0.14, y - h * 0.06);
+        vertex( 0,        y - h * 0.06);
+      endShape(CLOSE);
+    }
+  }
+}
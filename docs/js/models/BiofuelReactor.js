@@ -0,0 +1,110 @@
+'use strict';
+
+import { PowerSource } from './PowerSource.js';
+import { CONST } from '../config/constants.js';
+
+// BiofuelReactor固有の色定義
+const LOCAL_CONST = {
+  FLAME_COLOR: [255, 140, 0],      // 炎の色
+  FLAME_CORE: [255, 220, 80],      // 炎の芯の色
+  FLAME_OUT: [90, 90, 90]          // 燃料切れの時の色
+};
+
+// 導通テーブル: 燃料がある間だけ右ソケットから電気を出す
+const CONDUCTION_TABLE = {
+  sources: ['right'],
+  sourceWhen: part => part.isOn,
+  paths: [],
+  sinks: []
+};
+
+/**
+ * バイオ燃料炉クラス
+ * 燃料がある間は電気を出し続け、燃え尽きると止まる
+ * クリックすると燃料を満タンまで補給する。ゲージは燃料の残りを表す
+ */
+export class BiofuelReactor extends PowerSource {
+  constructor(id, x, y) {
+    super(id, x, y);
+
+    this.type = CONST.PART_TYPE.BIOFUEL_REACTOR;
+
+    const defaults = CONST.POWER_SOURCES.BIOFUEL_REACTOR;
+    this.output = defaults.OUTPUT;
+    this.burnTime = defaults.BURN_TIME;    // 満タンから燃え尽きるまでの時間（秒）
+    this.fuel = defaults.BURN_TIME;        // 燃料の残り（秒）。置いた時は満タン
+  }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  // ==================== 設定 ====================
+
+  getSettingKeys() {
+    return ['output', 'burnTime', 'fuel'];
+  }
+
+  clampSettings() {
+    this.fuel = Math.min(this.fuel, this.burnTime);
+  }
+
+  // ==================== ライフサイクル ====================
+
+  /**
+   * 燃料を燃やす（電気を使っていなくても燃え続ける）
+   * @param {SimulationClock} clock
+   */
+  updateSource(clock) {
+    this.fuel = Math.max(0, this.fuel - clock.deltaTime / 1000);
+  }
+
+  isSupplying() {
+    return this.fuel > 0;
+  }
+
+  getGaugeRatio() {
+    return this.burnTime > 0 ? this.fuel / this.burnTime : 0;
+  }
+
+  // ==================== インタラクション ====================
+
+  /**
+   * 燃料を満タンまで補給する
+   */
+  interact() {
+    this.fuel = this.burnTime;
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 炎（燃料切れの時は灰色）
+   */
+  drawIcon() {
+    const w = this.width;
+    const h = this.height;
+    const lit = this.fuel > 0;
+
+    noStroke();
+    fill(...(lit ? LOCAL_CONST.FLAME_COLOR : LOCAL_CONST.FLAME_OUT));
+    beginShape();
+      vertex(0,         -h * 0.32);
+      vertex( w * 0.16, -h * 0.06);
+      vertex( w * 0.12,  h * 0.14);
+      vertex(-w * 0.12,  h * 0.14);
+      vertex(-w * 0.16, -h * 0.06);
+    endShape(CLOSE);
+
+    if (lit) {
+      fill(...LOCAL_CONST.FLAME_CORE);
+      ellipse(0, h * 0.06, w * 0.14, h * 0.16);
+    }
+  }
+}
@@ -12,6 +12,16 @@ const LOCAL_CONST = {
   OUTLINE_WEIGHT: 3          // 枠線の太さ
 };
 
+// 導通テーブル: ONの間だけ左右がつながる
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: CircuitPart.twoWayPaths('left', 'right', part => part.isOn),
+  sinks: []
+};
+
+// 論理上の役割: 利用者が操作する入力
+const LOGIC_ROLE = { kind: 'input' };
+
 /**
  * ボタンクラス
  * 押すと一定時間だけONになるボタン
@@ -24,7 +34,7 @@ export class Button extends CircuitPart {
     this.type = CONST.PART_TYPE.BUTTON;
     
     this.isOn = false;
-    this.offTime = 0;
+    this.remainingTime = 0; // OFFに戻るまでの残り時間（ミリ秒）
     
     // ソケットを作成（Socket配列）
     // ★リファクタリング: this.width を使用
@@ -34,14 +44,37 @@ export class Button extends CircuitPart {
     ];
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  /**
+   * 論理上の役割を取得（ExpressionExtractor が参照する）
+   * @returns {Object}
+   */
+  getLogicRole() {
+    return LOGIC_ROLE;
+  }
+
   // ==================== ライフサイクル ====================
   
   /**
    * 状態更新（時間が来たらOFFに戻す）
+   * @param {SimulationClock} clock - シミュレーション用の時計
    */
-  update() {
-    if (this.isOn && millis() > this.offTime) {
+  update(clock) {
+    if (!this.isOn) return;
+
+    this.remainingTime -= clock.deltaTime;
+    if (this.remainingTime <= 0) {
       this.isOn = false;
+      this.remainingTime = 0;
     }
   }
 
@@ -52,7 +85,7 @@ export class Button extends CircuitPart {
    */
   interact() {
     this.isOn = true;
-    this.offTime = millis() + CONST.BUTTON.ON_DURATION; 
+    this.remainingTime = CONST.BUTTON.ON_DURATION;
   }
 
   // ==================== 描画 ====================
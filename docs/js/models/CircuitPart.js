@@ -4,6 +4,13 @@ import { CONST } from '../config/constants.js';
 import { SmoothValue, SmoothRotation } from '../utils/Animator.js';
 import { MathUtils } from '../utils/MathUtils.js';
 
+// 何も導通しないパーツの導通テーブル
+const NO_CONDUCTION = {
+  sources: [],
+  paths: [],
+  sinks: []
+};
+
 /**
  * 回路部品の基底クラス
  * すべての回路部品はこのクラスを継承する
@@ -53,6 +60,12 @@ export class CircuitPart {
     
     // ★追加: 選択状態フラグ
     this.isSelected = false;
+
+    // 発振ループを「意図したクロック」としてマークしたか（OscillationDetector が参照）
+    this.intentionalOscillation = false;
+
+    // 真理値表での役割（'input' / 'output' / null）
+    this.truthTableRole = null;
   }
 
   // ==================== プロパティアクセサ ====================
@@ -104,8 +117,9 @@ export class CircuitPart {
   /**
    * 毎フレームの更新処理（アニメーションや時間経過用）
    * デフォルトでは何もしない（子クラスで必要なら上書きする）
+   * @param {SimulationClock} clock - シミュレーション用の時計（時間は millis() ではなくこちらから取る）
    */
-  update() {}
+  update(clock) {}
 
   /**
    * 1秒ごとの論理更新処理（回路シミュレーション用）
@@ -122,6 +136,47 @@ export class CircuitPart {
     console.log(`Part ${this.id}: 触られました`);
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が電気の流し方を決めるのに使う）
+   * - sources: 電気を出すソケット名
+   * - sourceWhen: sourceWhen(part) が true の間だけ sources から電気を出す（省略すると常に出す）
+   * - paths:   電気が通り抜けるソケットの組 { from, to, when }
+   *            when(part) が true の間だけ from から to へ流れる（省略すると常に流れる）
+   * - sinks:   電気が入っても先へは流れないソケット名（paths に書いてあっても流さない）
+   * 基底クラスは何も導通しない。サブクラスでオーバーライドする
+   * @returns {{sources: string[], sourceWhen?: Function, paths: Array<{from: string, to: string, when?: Function}>, sinks: string[]}}
+   */
+  getConductionTable() {
+    return NO_CONDUCTION;
+  }
+
+  /**
+   * 2つのソケットを双方向につなぐ paths を作るヘルパー
+   * @param {string} socketA
+   * @param {string} socketB
+   * @param {Function} [when] - 導通する条件 (part) => boolean
+   * @returns {Array}
+   */
+  static twoWayPaths(socketA, socketB, when) {
+    return [
+      { from: socketA, to: socketB, when },
+      { from: socketB, to: socketA, when }
+    ];
+  }
+
+  /**
+   * isOn が何で決まるかを取得（論理式の抽出で、paths の when を式に置き換えるのに使う）
+   * - { kind: 'input' }: 利用者が操作する入力（式の変数になる）
+   * - { kind: 'gate', control, inverted }: control ソケットの通電で決まる（inverted なら反転）
+   * 基底クラスは null（isOn を持たない、または論理に関係しない）
+   * @returns {{kind: string, control?: string, inverted?: boolean}|null}
+   */
+  getLogicRole() {
+    return null;
+  }
+
   // ==================== 状態管理 ====================
   
   /**
@@ -195,6 +250,23 @@ export class CircuitPart {
     };
   }
 
+  /**
+   * isMouseOver() と同じ回転した矩形の4つの角をワールド座標で取得（範囲選択の判定に使用）
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getWorldCorners() {
+    const center = this.getCenter();
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const halfW = this.width / 2;
+    const halfH = this.height / 2;
+
+    return [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]].map(([lx, ly]) => ({
+      x: center.x + lx * cos - ly * sin,
+      y: center.y + lx * sin + ly * cos
+    }));
+  }
+
   /**
    * ワールド座標をローカル座標に変換（当たり判定などに使用）
    * @param {number} worldX - ワールドX座標
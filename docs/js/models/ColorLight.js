@@ -10,6 +10,13 @@ const LOCAL_CONST = {
   UNLIT_COLOR: [40, 40, 50],       // 消灯時の暗い色
 };
 
+// 導通テーブル: 下のソケットは受電するだけ（行き止まり）
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: [],
+  sinks: ['bottom']
+};
+
 /**
  * カラーライトクラス
  * 入力に電力が供給されると点灯するライト
@@ -38,6 +45,16 @@ export class ColorLight extends CircuitPart {
     this._pivotOffset = { x: 0, y: 8 };
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
   // ==================== 設定 ====================
 
   /**
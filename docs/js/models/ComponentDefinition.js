@@ -0,0 +1,122 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+
+/**
+ * カスタム部品の定義（中身の回路と、外に出すピン）
+ * 中身は v1.1 形式のデータで持ち、配置された部品（CustomComponent）ごとに instantiate() で複製して動かす
+ * 中身を書き換えると version が上がり、配置済みの部品は isStale() で作り直しが必要とわかる
+ */
+export class ComponentDefinition {
+  /**
+   * @param {string} id - 一意なID（保存データの中で部品から定義を参照するのに使う）
+   * @param {string} name - 表示名
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+
+    // 中身の回路（v1.1 形式のパーツ・ワイヤーのデータ）
+    this.parts = [];
+    this.wires = [];
+
+    // 外に出すピン: { key, name, partId, socket, side }
+    // key は箱のソケット名（ピンを消しても他のピンのワイヤーがずれないように、番号は使い回さない）
+    this.pins = [];
+    this.nextPinNumber = 0;
+
+    // 中で使っている別のカスタム部品の定義（id -> ComponentDefinition）
+    this.children = new Map();
+
+    this.version = 0;
+  }
+
+  /**
+   * 新しい定義のIDを作る
+   * @returns {string}
+   */
+  static createId() {
+    return `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * 中身の回路とピンを設定する（作成時・編集を終えた時）
+   * 存在しないパーツやソケットを指すピンは捨てる
+   * @param {Array} parts - 中身のパーツ
+   * @param {Array} wires - 中身のワイヤー
+   * @param {Array<{key?: string, name: string, partId: number, socket: string, side: string}>} pins
+   */
+  setCircuit(parts, wires, pins) {
+    const data = CircuitSerializer.serializeCircuit(parts, wires);
+    this.parts = data.parts;
+    this.wires = data.wires;
+
+    this.children = new Map();
+    parts.forEach(part => {
+      if (part.definition instanceof ComponentDefinition) this.children.set(part.definition.id, part.definition);
+    });
+
+    // 読み込んだピンの key と番号が重ならないようにする
+    pins.forEach(pin => {
+      const number = Number(/^pin(\d+)$/.exec(pin.key || '')?.[1]);
+      if (Number.isInteger(number)) this.nextPinNumber = Math.max(this.nextPinNumber, number + 1);
+    });
+
+    const byId = new Map(parts.map(part => [part.id, part]));
+    this.pins = pins
+      .filter(pin => byId.get(pin.partId)?.getSocket(pin.socket))
+      .slice(0, CONST.COMPONENTS.MAX_PINS)
+      .map(pin => ({
+        key: pin.key || `pin${this.nextPinNumber++}`,
+        name: pin.name,
+        partId: pin.partId,
+        socket: pin.socket,
+        side: pin.side === 'left' ? 'left' : 'right'
+      }));
+
+    this.version++;
+  }
+
+  /**
+   * 中身の回路を新しく作る（配置された部品ごとに別々の状態を持たせるため）
+   * @returns {{parts: Array, wires: Array}}
+   */
+  instantiate() {
+    const parts = [];
+    const wires = [];
+    CircuitSerializer.restoreCircuit(this.parts, this.wires, parts, wires, this.children);
+    return { parts, wires };
+  }
+
+  /**
+   * 指定した定義を（入れ子も含めて）中で使っているか
+   * 自分自身を中に置くような循環を防ぐのに使う
+   * @param {ComponentDefinition} definition
+   * @returns {boolean}
+   */
+  contains(definition) {
+    for (const child of this.children.values()) {
+      if (child === definition || child.contains(definition)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * パーツ配列で使われている定義を、入れ子の中身が先に来る順に集める（保存用）
+   * @param {Array} parts
+   * @returns {ComponentDefinition[]}
+   */
+  static collect(parts) {
+    const ordered = [];
+    const visit = (definition) => {
+      if (ordered.includes(definition)) return;
+      definition.children.forEach(visit);
+      ordered.push(definition);
+    };
+    parts.forEach(part => {
+      if (part.definition instanceof ComponentDefinition) visit(part.definition);
+    });
+    return ordered;
+  }
+}
@@ -0,0 +1,178 @@
+'use strict';
+
+import { CircuitPart } from './CircuitPart.js';
+import { Socket } from './Socket.js';
+import { CONST } from '../config/constants.js';
+
+/**
+ * カスタム部品クラス
+ * 選択したパーツをまとめた1つの箱。中身（ComponentDefinition）の複製を自分で持ち、
+ * 定義で選んだソケットを箱の左右のピンとして外に出す
+ *
+ * 箱自体は何も導通しない。PowerSystem が getInnerCircuit() で中身を展開し、
+ * ピンと中のソケットをワイヤーと同じようにつないで計算する
+ */
+export class CustomComponent extends CircuitPart {
+  /**
+   * @param {number} id
+   * @param {number} x
+   * @param {number} y
+   * @param {ComponentDefinition|null} definition - 中身の定義（後から setDefinition() してもよい）
+   */
+  constructor(id, x, y, definition = null) {
+    super(id, x, y, CONST.COMPONENTS.WIDTH - CONST.PARTS.STROKE_WEIGHT, CONST.PARTS.HEIGHT);
+
+    this.type = CONST.PART_TYPE.CUSTOM_COMPONENT;
+    this.definition = null;
+
+    // 中身の回路（定義の複製）と、ピンと中のソケットの対応 [[ピン, 中のソケット], ...]
+    this.innerParts = [];
+    this.innerWires = [];
+    this.pinLinks = [];
+    this.builtVersion = -1;
+
+    if (definition) {
+      this.setDefinition(definition);
+    }
+  }
+
+  /**
+   * 定義を設定して中身を作る
+   * @param {ComponentDefinition} definition
+   */
+  setDefinition(definition) {
+    this.definition = definition;
+    this.rebuild();
+  }
+
+  /**
+   * 定義から中身とピンを作り直す（定義が編集された時）
+   * 残ったピンは同じ Socket を使い続けるので、外からのワイヤーはつながったまま
+   * @returns {Socket[]} 無くなったピン（呼び出し側でつながっていたワイヤーを消す）
+   */
+  rebuild() {
+    this.innerWires.forEach(wire => {
+      wire.startSocket.disconnectWire(wire);
+      wire.endSocket.disconnectWire(wire);
+    });
+
+    const { parts, wires } = this.definition.instantiate();
+    this.innerParts = parts;
+    this.innerWires = wires;
+
+    const oldSockets = new Map(this.sockets.map(socket => [socket.name, socket]));
+    const byId = new Map(parts.map(part => [part.id, part]));
+    const pins = this.definition.pins;
+    const sides = {
+      left: pins.filter(pin => pin.side === 'left'),
+      right: pins.filter(pin => pin.side !== 'left')
+    };
+
+    // ピンの多い側に合わせて高さを決める（グリッドの倍数）
+    const units = Math.max(1, Math.ceil(Math.max(sides.left.length, sides.right.length) * CONST.COMPONENTS.PIN_PITCH / CONST.GRID.SIZE));
+    this.height = units * CONST.PARTS.HEIGHT + (units - 1) * CONST.PARTS.STROKE_WEIGHT;
+
+    this.sockets = [];
+    this.pinLinks = [];
+    Object.entries(sides).forEach(([side, sidePins]) => {
+      const localX = side === 'left' ? -this.width / 2 : this.width / 2;
+      sidePins.forEach((pin, i) => {
+        const localY = (i - (sidePins.length - 1) / 2) * CONST.COMPONENTS.PIN_PITCH;
+        let socket = oldSockets.get(pin.key);
+        if (socket) {
+          socket.localX = localX;
+          socket.localY = localY;
+          socket.direction = side;
+          oldSockets.delete(pin.key);
+        } else {
+          socket = new Socket(this, pin.key, localX, localY, side);
+        }
+        this.sockets.push(socket);
+
+        const inner = byId.get(pin.partId)?.getSocket(pin.socket);
+        if (inner) this.pinLinks.push([socket, inner]);
+      });
+    });
+
+    this.builtVersion = this.definition.version;
+    return [...oldSockets.values()];
+  }
+
+  /**
+   * 定義（入れ子の中身も含む）が編集されて、作り直しが必要か
+   * @returns {boolean}
+   */
+  isStale() {
+    if (!this.definition) return false;
+    return this.builtVersion !== this.definition.version
+      || this.innerParts.some(part => typeof part.isStale === 'function' && part.isStale());
+  }
+
+  /**
+   * 中身の回路を取得（PowerSystem・PartsCounter が展開に使う）
+   * @returns {{parts: Array, wires: Array, links: Array<[Socket, Socket]>}}
+   */
+  getInnerCircuit() {
+    return { parts: this.innerParts, wires: this.innerWires, links: this.pinLinks };
+  }
+
+  /**
+   * ピンの並び順（定義の pins の順）でソケットを取得（シェアURLの復元用）
+   * @param {number} index
+   * @returns {Socket|null}
+   */
+  getPinSocket(index) {
+    const pin = this.definition?.pins[index];
+    return pin ? this.getSocket(pin.key) : null;
+  }
+
+  /**
+   * ピンの表示名を取得
+   * @param {Socket} socket
+   * @returns {string}
+   */
+  getPinName(socket) {
+    const pin = this.definition?.pins.find(p => p.key === socket.name);
+    return pin ? pin.name : socket.name;
+  }
+
+  // ==================== インタラクション ====================
+
+  /**
+   * 箱をクリックしても何もしない（中身は Components パネルから編集する）
+   */
+  interact() {
+    // 何もしない
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 箱・名前・ピン名を描画
+   * どれかのピンが通電していれば ON の色にする
+   */
+  drawShape(color) {
+    const isPowered = this.sockets.some(socket => socket.isPowered);
+
+    stroke(...(isPowered ? CONST.COLORS.ON_STATE : color));
+    strokeWeight(CONST.PARTS.STROKE_WEIGHT);
+    fill(...CONST.COMPONENTS.COLOR_FILL);
+    rectMode(CENTER);
+    rect(0, 0, this.width, this.height, 8);
+
+    noStroke();
+    fill(255);
+    textFont("Monaco, Menlo, 'Courier New', Consolas, monospace");
+    textAlign(CENTER, CENTER);
+    textSize(CONST.COMPONENTS.NAME_SIZE);
+    text(this.definition ? this.definition.name : '?', 0, 0);
+
+    fill(200);
+    textSize(CONST.COMPONENTS.PIN_NAME_SIZE);
+    this.sockets.forEach(socket => {
+      const isLeft = socket.direction === 'left';
+      textAlign(isLeft ? LEFT : RIGHT, CENTER);
+      text(this.getPinName(socket), socket.localX + (isLeft ? 4 : -4), socket.localY);
+    });
+  }
+}
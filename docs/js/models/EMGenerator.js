@@ -0,0 +1,68 @@
+'use strict';
+
+import { PowerSource } from './PowerSource.js';
+import { CONST } from '../config/constants.js';
+
+// EMGenerator固有の色定義
+const LOCAL_CONST = {
+  COIL_COLOR: [180, 120, 255],     // コイルの色
+  COIL_RATIO: 0.16,                // コイルの太さ（パーツ幅に対する比率）
+  TURNS: 3                         // コイルの巻き数
+};
+
+// 導通テーブル: 右ソケットから常に電気を出す
+const CONDUCTION_TABLE = {
+  sources: ['right'],
+  paths: [],
+  sinks: []
+};
+
+/**
+ * 電磁発電機クラス
+ * 電磁ホットスポットの上で常に発電する。出力はホットスポットの強さに合わせて設定する
+ * 蓄えも燃料も無いので、残量ゲージは出さない
+ */
+export class EMGenerator extends PowerSource {
+  constructor(id, x, y) {
+    super(id, x, y);
+
+    this.type = CONST.PART_TYPE.EM_GENERATOR;
+    this.output = CONST.POWER_SOURCES.EM_GENERATOR.OUTPUT;
+  }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  /**
+   * 常に ON なので、論理式では変数ではなく電源として扱う
+   * @returns {null}
+   */
+  getLogicRole() {
+    return null;
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 縦に並べたコイル
+   */
+  drawIcon() {
+    const w = this.width * 0.5;
+    const d = this.width * LOCAL_CONST.COIL_RATIO;
+    const top = -this.height * 0.28;
+
+    noFill();
+    stroke(...LOCAL_CONST.COIL_COLOR);
+    strokeWeight(2);
+    for (let i = 0; i < LOCAL_CONST.TURNS; i++) {
+      ellipse(0, top + d * (i + 0.5) * 1.2, w, d);
+    }
+  }
+}
@@ -9,6 +9,16 @@ const LOCAL_CONST = {
   RED: [255, 50, 50],
 };
 
+// 導通テーブル: ONの間だけ左右がつながり、制御ソケットは行き止まり
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: CircuitPart.twoWayPaths('left', 'right', part => part.isOn),
+  sinks: ['control']
+};
+
+// 論理上の役割: 制御ソケットの通電を反転したものが状態になる
+const LOGIC_ROLE = { kind: 'gate', control: 'control', inverted: true };
+
 /**
  * インバーター（自動遮断スイッチ）
  * ・制御入力（ボトム）がない時：左右を接続（ON）
@@ -33,6 +43,24 @@ export class Inverter extends CircuitPart {
       new Socket(this, 'control', 0, this.height / 2, 'bottom')
     ];
   }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  /**
+   * 論理上の役割を取得（ExpressionExtractor が参照する）
+   * @returns {Object}
+   */
+  getLogicRole() {
+    return LOGIC_ROLE;
+  }
   
   // ==================== ライフサイクル ====================
   
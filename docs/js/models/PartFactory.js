@@ -11,6 +11,11 @@ import { FloorSwitch } from './FloorSwitch.js';
 import { ProximitySwitch } from './ProximitySwitch.js';
 import { WireJoint } from './WireJoint.js';
 import { TextLabel } from './TextLabel.js';
+import { SolarPanel } from './SolarPanel.js';
+import { Battery } from './Battery.js';
+import { BiofuelReactor } from './BiofuelReactor.js';
+import { EMGenerator } from './EMGenerator.js';
+import { CustomComponent } from './CustomComponent.js';
 import { CONST } from '../config/constants.js';
 
 // 部品タイプとクラスの対応表
@@ -25,7 +30,12 @@ const PART_REGISTRY = {
   [CONST.PART_TYPE.FLOOR_SWITCH]: FloorSwitch,
   [CONST.PART_TYPE.PROXIMITY_SWITCH]: ProximitySwitch,
   [CONST.PART_TYPE.JOINT]: WireJoint,
-  [CONST.PART_TYPE.TEXT_LABEL]: TextLabel
+  [CONST.PART_TYPE.TEXT_LABEL]: TextLabel,
+  [CONST.PART_TYPE.SOLAR_PANEL]: SolarPanel,
+  [CONST.PART_TYPE.BATTERY]: Battery,
+  [CONST.PART_TYPE.BIOFUEL_REACTOR]: BiofuelReactor,
+  [CONST.PART_TYPE.EM_GENERATOR]: EMGenerator,
+  [CONST.PART_TYPE.CUSTOM_COMPONENT]: CustomComponent // 中身は setDefinition() で設定する
 };
 
 /**
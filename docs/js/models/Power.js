@@ -11,6 +11,13 @@ const LOCAL_CONST = {
   OUTLINE_WEIGHT: 2           // 枠線の太さ
 };
 
+// 導通テーブル: 右ソケットから常に電気を出す
+const CONDUCTION_TABLE = {
+  sources: ['right'],
+  paths: [],
+  sinks: []
+};
+
 /**
  * 電源クラス
  * 常にON状態で電力を供給する電源パーツ
@@ -31,6 +38,16 @@ export class Power extends CircuitPart {
     ];
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
   // ==================== ライフサイクル ====================
   
   /**
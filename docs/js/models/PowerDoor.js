@@ -5,6 +5,13 @@ import { Socket } from './Socket.js';
 import { CONST } from '../config/constants.js';
 import { SmoothValue } from '../utils/Animator.js';
 
+// 導通テーブル: 表面のソケットは受電するだけ（行き止まり）
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: [],
+  sinks: ['surface']
+};
+
 /**
  * 電動ドアクラス
  * 電力が供給されている間は閉じ、供給が止まると開く
@@ -32,10 +39,21 @@ export class PowerDoor extends CircuitPart {
     this._pivotOffset = { x: 0, y: pivotOffset};
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
   /**
    * 毎フレームの更新処理
+   * @param {SimulationClock} clock - シミュレーション用の時計
    */
-  update() {
+  update(clock) {
     // const inputSocket = this.getSocket('top');
     const inputSocket = this.getSocket('surface');
     const isPowered = inputSocket ? inputSocket.isPowered : false;
@@ -54,7 +72,7 @@ export class PowerDoor extends CircuitPart {
     // --- ミリ秒ベースの計算 ---
     // 1秒(1000ms)で 1.0 動かしたい場合、加速度はさらに小さな値になります
     const accelerationPerMs = 0.000002; 
-    const dt = deltaTime; // 前フレームからの経過ミリ秒 (p5.js標準変数)
+    const dt = clock.deltaTime; // 前フレームからの経過ミリ秒（シミュレーション時間）
 
     // 動作スピード
     this.currentSpeed = 0.0014
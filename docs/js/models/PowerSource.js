@@ -0,0 +1,184 @@
+'use strict';
+
+import { CircuitPart } from './CircuitPart.js';
+import { Socket } from './Socket.js';
+import { CONST } from '../config/constants.js';
+
+// 発電パーツ共通の描画設定
+const LOCAL_CONST = {
+  GAUGE_WIDTH_RATIO: 0.7,     // 残量ゲージの幅（パーツ幅に対する比率）
+  GAUGE_HEIGHT: 4,            // 残量ゲージの太さ
+  GAUGE_Y_RATIO: 0.32,        // 残量ゲージの位置（パーツの高さに対する比率、中心から下へ）
+  GAUGE_BG: [60, 60, 60]      // 残量ゲージの背景色
+};
+
+// 論理上の役割: 昼夜や残量で決まる、外から与えられる入力
+const LOGIC_ROLE = { kind: 'input' };
+
+/**
+ * 発電パーツの基底クラス（太陽光パネル・バッテリー・バイオ燃料炉・電磁発電機）
+ * Power と同じく右ソケットから電気を出すが、出せるかどうかが時間や残量で変わる
+ *
+ * サブクラスは次を実装する
+ * - getSettingKeys(): 保存・編集する数値の名前（出力・容量・残量など）
+ * - updateSource(clock): 時間経過による残量などの更新
+ * - isSupplying(): 今電気を出せるか
+ * - getGaugeRatio(): 残量ゲージの割合（0～1、ゲージが無ければ null）
+ * - drawIcon(): パーツ固有の絵
+ */
+export class PowerSource extends CircuitPart {
+  constructor(id, x, y) {
+    super(id, x, y);
+
+    this.isOn = true;
+    this.output = 0;          // 出力（kP）。消費電力の計算で使う
+
+    // 真理値表などで状態を固定する時に true / false を入れる（null なら時間と残量で決まる）
+    this.forcedState = null;
+
+    this.sockets = [
+      new Socket(this, 'right', this.width / 2, 0, 'right')
+    ];
+  }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 論理上の役割を取得（ExpressionExtractor が参照する）
+   * @returns {Object}
+   */
+  getLogicRole() {
+    return LOGIC_ROLE;
+  }
+
+  // ==================== 設定 ====================
+
+  /**
+   * 保存・編集する数値の名前
+   * @returns {string[]}
+   */
+  getSettingKeys() {
+    return ['output'];
+  }
+
+  /**
+   * 設定と残量をまとめて取得（保存用）
+   * @returns {Object} { 名前: 数値 }
+   */
+  getSettings() {
+    const settings = {};
+    this.getSettingKeys().forEach(key => {
+      settings[key] = this[key];
+    });
+    return settings;
+  }
+
+  /**
+   * 設定と残量をまとめて反映する（読込・編集用）
+   * 知らない名前や数値でない値は無視し、範囲外の値は範囲内に収める
+   * @param {Object} settings - { 名前: 数値 }
+   */
+  applySettings(settings) {
+    if (!settings) return;
+    this.getSettingKeys().forEach(key => {
+      const value = Number(settings[key]);
+      if (settings[key] === undefined || settings[key] === null || !Number.isFinite(value)) return;
+      this[key] = Math.max(0, Math.min(CONST.POWER_SOURCES.MAX_SETTING, value));
+    });
+    this.clampSettings();
+  }
+
+  /**
+   * 残量が容量を超えないようにする（容量を持つサブクラスでオーバーライドする）
+   */
+  clampSettings() {}
+
+  // ==================== ライフサイクル ====================
+
+  /**
+   * 状態更新（残量を進めてから、電気を出せるかを決める）
+   * @param {SimulationClock} clock - シミュレーション用の時計
+   */
+  update(clock) {
+    this.updateSource(clock);
+    this.isOn = this.forcedState !== null ? this.forcedState : this.isSupplying();
+  }
+
+  /**
+   * 時間経過による更新（サブクラスでオーバーライドする）
+   * @param {SimulationClock} clock
+   */
+  updateSource(clock) {}
+
+  /**
+   * 今電気を出せるか（サブクラスでオーバーライドする）
+   * @returns {boolean}
+   */
+  isSupplying() {
+    return true;
+  }
+
+  /**
+   * 残量ゲージの割合（サブクラスでオーバーライドする）
+   * @returns {number|null} 0～1、ゲージを出さない場合は null
+   */
+  getGaugeRatio() {
+    return null;
+  }
+
+  // ==================== インタラクション ====================
+
+  /**
+   * 操作なし（バイオ燃料炉はオーバーライドして燃料を補給する）
+   */
+  interact() {
+    // 何もしない
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 外枠・パーツ固有の絵・残量ゲージを描画（相対座標、中心が原点）
+   */
+  drawShape(color) {
+    super.drawShape(color);
+
+    push();
+    this.drawIcon();
+    pop();
+
+    const ratio = this.getGaugeRatio();
+    if (ratio !== null) {
+      this.drawGauge(ratio);
+    }
+  }
+
+  /**
+   * パーツ固有の絵（サブクラスでオーバーライドする）
+   */
+  drawIcon() {}
+
+  /**
+   * 残量ゲージ（パーツ下部の横棒）
+   * @param {number} ratio - 0～1
+   */
+  drawGauge(ratio) {
+    const w = this.width * LOCAL_CONST.GAUGE_WIDTH_RATIO;
+    const h = LOCAL_CONST.GAUGE_HEIGHT;
+    const y = this.height * LOCAL_CONST.GAUGE_Y_RATIO;
+    const clamped = Math.max(0, Math.min(1, ratio));
+    const gaugeColor = clamped < CONST.POWER_SOURCES.GAUGE_LOW_RATIO
+      ? CONST.POWER_SOURCES.GAUGE_LOW_COLOR
+      : CONST.POWER_SOURCES.GAUGE_COLOR;
+
+    noStroke();
+    rectMode(CORNER);
+    fill(...LOCAL_CONST.GAUGE_BG);
+    rect(-w / 2, y - h / 2, w, h, h / 2);
+    if (clamped > 0) {
+      fill(...gaugeColor);
+      rect(-w / 2, y - h / 2, w * clamped, h, h / 2);
+    }
+    rectMode(CENTER);
+  }
+}
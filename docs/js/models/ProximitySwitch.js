@@ -4,6 +4,16 @@ import { CircuitPart } from './CircuitPart.js';
 import { Socket } from './Socket.js';
 import { CONST } from '../config/constants.js';
 
+// 導通テーブル: ONの間だけ左右がつながる
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: CircuitPart.twoWayPaths('left', 'right', part => part.isOn),
+  sinks: []
+};
+
+// 論理上の役割: 利用者が操作する入力
+const LOGIC_ROLE = { kind: 'input' };
+
 /**
  * 近接スイッチクラス（Proximity Switch）
  * マウスカーソルが近づくとONになるセンサー
@@ -32,6 +42,24 @@ export class ProximitySwitch extends CircuitPart {
     this.lastWorldMouse = null;
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  /**
+   * 論理上の役割を取得（ExpressionExtractor が参照する）
+   * @returns {Object}
+   */
+  getLogicRole() {
+    return LOGIC_ROLE;
+  }
+
   /**
    * リアルタイムセンサー判定
    * PowerSystem.update()から毎フレーム呼ばれる
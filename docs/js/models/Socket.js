@@ -2,6 +2,9 @@
 
 import { CONST } from '../config/constants.js';
 
+// ワイヤーの接続・切断のたびに増えるカウンタ（PowerSystem が接続構造の変化を検知するために使う）
+let connectionVersion = 0;
+
 /**
  * ソケットクラス
  * 回路部品の接続ポイントを表現
@@ -82,6 +85,7 @@ export class Socket {
    */
   connectWire(wire) {
     this.connectedWires.push(wire);
+    connectionVersion++;
   }
 
   /**
@@ -92,9 +96,19 @@ export class Socket {
     const index = this.connectedWires.indexOf(wire);
     if (index > -1) {
       this.connectedWires.splice(index, 1);
+      connectionVersion++;
     }
   }
 
+  /**
+   * 回路全体の接続構造のバージョンを取得
+   * いずれかのソケットでワイヤーが接続・切断されるたびに値が変わる
+   * @returns {number}
+   */
+  static getConnectionVersion() {
+    return connectionVersion;
+  }
+
   // ==================== マウス・入力処理 ====================
   
   /**
@@ -0,0 +1,86 @@
+'use strict';
+
+import { PowerSource } from './PowerSource.js';
+import { CONST } from '../config/constants.js';
+
+// SolarPanel固有の色定義
+const LOCAL_CONST = {
+  CELL_COLOR: [30, 60, 140],       // パネルのセルの色
+  CELL_LINE: [120, 160, 230],      // セルの区切り線
+  CELL_NIGHT: [25, 30, 50],        // 夜のセルの色
+  PANEL_RATIO: 0.6,                // パネルの大きさ（パーツ幅に対する比率）
+  PANEL_Y_RATIO: -0.06             // パネルの位置（ゲージと重ならないよう少し上）
+};
+
+// 導通テーブル: 昼の間だけ右ソケットから電気を出す
+const CONDUCTION_TABLE = {
+  sources: ['right'],
+  sourceWhen: part => part.isOn,
+  paths: [],
+  sinks: []
+};
+
+/**
+ * 太陽光パネルクラス
+ * シミュレーションの昼夜の時計を見て、昼の間だけ電気を出す
+ * ゲージは日没までの残り時間を表す
+ */
+export class SolarPanel extends PowerSource {
+  constructor(id, x, y) {
+    super(id, x, y);
+
+    this.type = CONST.PART_TYPE.SOLAR_PANEL;
+    this.output = CONST.POWER_SOURCES.SOLAR_PANEL.OUTPUT;
+
+    this.isDaytime = true;
+    this.daylightLeft = 1;    // 日没までの残り（昼の長さに対する割合）
+  }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  // ==================== ライフサイクル ====================
+
+  /**
+   * 昼夜の時計を読む
+   * @param {SimulationClock} clock
+   */
+  updateSource(clock) {
+    const timeOfDay = clock.getTimeOfDay();
+    this.isDaytime = clock.isDaytime();
+    this.daylightLeft = this.isDaytime ? 1 - timeOfDay / CONST.DAY_NIGHT.DAYLIGHT_RATIO : 0;
+  }
+
+  isSupplying() {
+    return this.isDaytime;
+  }
+
+  getGaugeRatio() {
+    return this.daylightLeft;
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 2x2 のセルに区切ったパネル（夜は暗くする）
+   */
+  drawIcon() {
+    const size = this.width * LOCAL_CONST.PANEL_RATIO;
+    const y = this.height * LOCAL_CONST.PANEL_Y_RATIO;
+
+    fill(...(this.isOn ? LOCAL_CONST.CELL_COLOR : LOCAL_CONST.CELL_NIGHT));
+    stroke(...LOCAL_CONST.CELL_LINE);
+    strokeWeight(1);
+    rectMode(CENTER);
+    rect(0, y, size, size * 0.7);
+    line(0, y - size * 0.35, 0, y + size * 0.35);
+    line(-size / 2, y, size / 2, y);
+  }
+}
@@ -4,6 +4,38 @@ import { CircuitPart } from './CircuitPart.js';
 import { Socket } from './Socket.js';
 import { CONST } from '../config/constants.js';
 
+// 等幅フォントの文字幅（フォントサイズに対する比率）
+// p5.jsが無い環境（Node.jsでのヘッドレス実行など）で幅を概算するために使う
+const MONOSPACE_CHAR_RATIO = 0.6;
+
+/**
+ * テキストの描画幅を測定する
+ * p5.jsが読み込まれていなければ、等幅フォントとして概算する
+ * @param {string} text - 測定するテキスト
+ * @param {number} size - フォントサイズ
+ * @param {string} font - フォント指定
+ * @returns {number} 幅（px）
+ */
+function measureTextWidth(text, size, font) {
+  if (typeof textWidth !== 'function') {
+    return text.length * size * MONOSPACE_CHAR_RATIO;
+  }
+
+  push();
+  textSize(size);
+  textFont(font);
+  const w = textWidth(text);
+  pop();
+  return w;
+}
+
+// 導通テーブル: 左右を常に素通しする
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: CircuitPart.twoWayPaths('left', 'right'),
+  sinks: []
+};
+
 /**
  * テキストラベルクラス
  * 自由なテキストを表示できる汎用パーツ
@@ -26,6 +58,16 @@ export class TextLabel extends CircuitPart {
     ];
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
   // ==================== 静的メソッド ====================
   
   /**
@@ -42,11 +84,7 @@ export class TextLabel extends CircuitPart {
     const trimmedText = text.substring(0, 50);
     
     // 仮のフォントサイズで測定
-    push();
-    textSize(20);
-    textFont("'Courier New', Courier, monospace");
-    const measuredWidth = textWidth(trimmedText);
-    pop();
+    const measuredWidth = measureTextWidth(trimmedText, 20, "'Courier New', Courier, monospace");
     
     // 余白を追加
     const padding = 0;
@@ -75,20 +113,16 @@ export class TextLabel extends CircuitPart {
     const padding = 10; // 左右の余白
     const availableWidth = this.width - padding;
     
-    push();
-    textFont("Monaco, Menlo, 'Courier New', Consolas, monospace");
+    const font = "Monaco, Menlo, 'Courier New', Consolas, monospace";
     
     // 最大サイズから試していき、収まるサイズを探す
     for (let size = maxSize; size >= minSize; size--) {
-      textSize(size);
-      const w = textWidth(this.text);
+      const w = measureTextWidth(this.text, size, font);
       if (w <= availableWidth) {
-        pop();
         return size;
       }
     }
     
-    pop();
     return minSize;
   }
 
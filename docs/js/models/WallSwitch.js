@@ -9,6 +9,16 @@ const LOCAL_CONST = {
   LEVER_THICKNESS: 4,          // 枠線の太さ
 };
 
+// 導通テーブル: ONの間だけ左右がつながる
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: CircuitPart.twoWayPaths('left', 'right', part => part.isOn),
+  sinks: []
+};
+
+// 論理上の役割: 利用者が操作する入力
+const LOGIC_ROLE = { kind: 'input' };
+
 /**
  * 壁面スイッチクラス
  * トグル式のスイッチ（ON/OFF切り替え）
@@ -29,6 +39,24 @@ export class WallSwitch extends CircuitPart {
       new Socket(this, 'right', this.width / 2, 0, 'right')
     ];
   }
+
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
+  /**
+   * 論理上の役割を取得（ExpressionExtractor が参照する）
+   * @returns {Object}
+   */
+  getLogicRole() {
+    return LOGIC_ROLE;
+  }
   
   // ==================== ライフサイクル ====================
   
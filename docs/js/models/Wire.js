@@ -1,6 +1,7 @@
 'use strict';
 
 import { CONST } from '../config/constants.js';
+import { MathUtils } from '../utils/MathUtils.js';
 
 /**
  * ワイヤークラス
@@ -20,6 +21,10 @@ export class Wire {
     this.endSocket.connectWire(this);
 
     this.isHighlighted = false;
+
+    // 直角配線モードの経路（見た目だけ。WireRouter が求め、つなぎ先には影響しない）
+    this.route = null;     // 始点から終点までの折れ点、null ならまっすぐ
+    this.routeKey = null;  // 経路を求めた時の両端と周りのパーツの位置（変化検出用）
   }
 
   // ==================== ヘルパー ====================
@@ -55,7 +60,7 @@ export class Wire {
     
     // 線分の長さが0の場合（始点と終点が同じ）
     if (lengthSquared === 0) {
-      return dist(px, py, x1, y1);
+      return MathUtils.distance(px, py, x1, y1);
     }
     
     // 線分上の最近接点のパラメータt（0～1）を計算
@@ -67,7 +72,47 @@ export class Wire {
     const closestY = y1 + t * dy;
     
     // 点と最近接点の距離を返す
-    return dist(px, py, closestX, closestY);
+    return MathUtils.distance(px, py, closestX, closestY);
+  }
+
+  /**
+   * 描画・当たり判定に使う折れ線（直角配線の経路が今の両端と合っていればそれ、無ければまっすぐ）
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getPath() {
+    const start = this.startSocket.getConnectorWorldPosition();
+    const end = this.endSocket.getConnectorWorldPosition();
+    if (this.route) {
+      const first = this.route[0];
+      const last = this.route[this.route.length - 1];
+      if (MathUtils.distance(first.x, first.y, start.x, start.y) < 0.5 &&
+          MathUtils.distance(last.x, last.y, end.x, end.y) < 0.5) {
+        return this.route;
+      }
+    }
+    return [start, end];
+  }
+
+  /**
+   * 折れ線に沿って半分の長さの位置（削除カーソルなどを置く場所）
+   * @returns {{x: number, y: number}}
+   */
+  getMidpoint() {
+    const path = this.getPath();
+    const lengths = path.slice(1).map((point, i) => MathUtils.distance(path[i].x, path[i].y, point.x, point.y));
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i] && lengths[i] > 0) {
+        const t = remaining / lengths[i];
+        return {
+          x: path[i].x + (path[i + 1].x - path[i].x) * t,
+          y: path[i].y + (path[i + 1].y - path[i].y) * t
+        };
+      }
+      remaining -= lengths[i];
+    }
+    return { ...path[0] };
   }
 
   // ==================== マウス・入力処理 ====================
@@ -80,13 +125,14 @@ export class Wire {
    * @returns {boolean} ワイヤー上にマウスがあればtrue
    */
   isMouseOver(mx, my, threshold = 8) {
-    const start = this.startSocket.getConnectorWorldPosition();
-    const end = this.endSocket.getConnectorWorldPosition();
-    
-    // 点と線分の距離を計算
-    const distance = this.pointToLineDistance(mx, my, start.x, start.y, end.x, end.y);
+    const path = this.getPath();
     
-    return distance < threshold;
+    // 点と線分の距離を計算（直角配線なら折れ線のどれかの線分に近ければ）
+    for (let i = 0; i < path.length - 1; i++) {
+      const distance = this.pointToLineDistance(mx, my, path[i].x, path[i].y, path[i + 1].x, path[i + 1].y);
+      if (distance < threshold) return true;
+    }
+    return false;
   }
 
   // ==================== 描画 ====================
@@ -95,8 +141,7 @@ export class Wire {
    * ワイヤーを描画
    */
   draw() {
-    const start = this.startSocket.getConnectorWorldPosition();
-    const end = this.endSocket.getConnectorWorldPosition();
+    const path = this.getPath();
 
     noFill();
     
@@ -107,7 +152,7 @@ export class Wire {
     stroke(...color);
     strokeWeight(CONST.WIRE.STROKE_WEIGHT);
     
-    line(start.x, start.y, end.x, end.y);
+    this.drawPath(path);
 
     // 2. ★追加: ハイライト時は、その上から「半透明の赤」を「太め」に重ねる
     if (this.isHighlighted) {
@@ -120,7 +165,17 @@ export class Wire {
       strokeWeight(CONST.WIRE.STROKE_WEIGHT + 6);
       
       // 同じ座標に重ね描き
-      line(start.x, start.y, end.x, end.y);
+      this.drawPath(path);
     }
   }
+
+  /**
+   * 折れ線を今の線の設定で描く
+   * @param {Array<{x: number, y: number}>} path
+   */
+  drawPath(path) {
+    beginShape();
+    path.forEach(point => vertex(point.x, point.y));
+    endShape();
+  }
 }
@@ -4,6 +4,13 @@ import { CircuitPart } from './CircuitPart.js';
 import { Socket } from './Socket.js';
 import { CONST } from '../config/constants.js';
 
+// 導通テーブル: ソケットは1つだけで、つながったワイヤー同士はソケット上で直接つながる
+const CONDUCTION_TABLE = {
+  sources: [],
+  paths: [],
+  sinks: []
+};
+
 /**
  * ワイヤージョイントクラス
  * ワイヤーの中継点として機能する極小のパーツ
@@ -19,6 +26,16 @@ export class WireJoint extends CircuitPart {
     ];
   }
 
+  // ==================== 導通 ====================
+
+  /**
+   * 導通テーブルを取得（PowerSystem が参照する）
+   * @returns {Object}
+   */
+  getConductionTable() {
+    return CONDUCTION_TABLE;
+  }
+
   // ==================== ライフサイクル ====================
   
   /**
@@ -0,0 +1,548 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { SelectionArranger } from './SelectionArranger.js';
+
+// 電源の種類（一番左の列に並べる）
+const POWER_TYPES = [
+  CONST.PART_TYPE.POWER,
+  CONST.PART_TYPE.SOLAR_PANEL,
+  CONST.PART_TYPE.BATTERY,
+  CONST.PART_TYPE.BIOFUEL_REACTOR,
+  CONST.PART_TYPE.EM_GENERATOR
+];
+
+// 出力の種類（まとまりの一番右の列に並べる）
+const OUTPUT_TYPES = [
+  CONST.PART_TYPE.COLOR_LIGHT,
+  CONST.PART_TYPE.POWER_DOOR
+];
+
+/**
+ * 自動整列
+ * ごちゃごちゃした回路を、左から右へ 電源 → スイッチ → ライト・ドア の順に並べ直す配置を求める
+ *
+ * 1. ワイヤー（Joint を経由したものを含む）でつながったパーツのまとまりごとに、
+ *    電源からのつながりの段数で列を決める（ライト・ドアはまとまりの一番右の列）
+ * 2. 列の中の順番を、隣の列とのつながりの平均位置で並べ替えて、ワイヤーの交差を減らす
+ * 3. 高さを、つながった相手の平均に近づけて、ワイヤーを短くする
+ * 4. 全てのパーツを向き 0 に戻し、粗いグリッドへ吸着させる
+ *
+ * Joint はつながった相手の間に置き直し、ワイヤーにつながっていない TextLabel は
+ * 近くのパーツ（名前を付けている相手）との位置関係を保ったまま一緒に動かす
+ * 求めるだけで回路は変えないので、プレビューを見てから apply() で反映できる
+ */
+export class AutoLayout {
+  /**
+   * 並べ直した後の位置を求める
+   * @param {Array<CircuitPart>} scope - 並べ直すパーツ（Joint・TextLabel を含んでよい）
+   * @param {Array<CircuitPart>} parts - 回路の全パーツ（名前の TextLabel を探すのに使う）
+   * @returns {Map<CircuitPart, {x: number, y: number, rotation: number}>} パーツごとの目標位置（左上）と角度
+   */
+  static plan(scope, parts) {
+    const placements = new Map();
+    const nodes = scope.filter(part => part.type !== CONST.PART_TYPE.JOINT && !this.isAnnotation(part));
+    if (nodes.length === 0) return placements;
+
+    const nodeSet = new Set(nodes);
+    const adjacency = this.buildAdjacency(nodes, nodeSet);
+    const annotations = this.findAnnotations(parts, nodeSet);
+    const blocks = this.getBlocks(nodes, annotations);
+
+    // まとまりごとに列を作って並べ、上から順に積む
+    const centers = new Map();
+    let top = 0;
+    this.findGroups(nodes, adjacency).forEach(group => {
+      const layers = this.assignLayers(group, adjacency);
+      this.orderLayers(layers, adjacency);
+      top = this.placeGroup(layers, adjacency, blocks, top, centers) + CONST.AUTO_LAYOUT.GROUP_GAP;
+    });
+
+    // 並べ直す前の範囲の左上に合わせる
+    const before = SelectionArranger.mergeBounds([...nodes, ...annotations.keys()].map(part => SelectionArranger.getBounds(part)));
+    const after = SelectionArranger.mergeBounds(nodes.map(part => {
+      const c = centers.get(part);
+      const b = blocks.get(part);
+      return { minX: c.x + b.minX, maxX: c.x + b.maxX, minY: c.y + b.minY, maxY: c.y + b.maxY };
+    }));
+    const shiftX = before.minX - after.minX;
+    const shiftY = before.minY - after.minY;
+
+    nodes.forEach(part => {
+      const c = centers.get(part);
+      const snapped = MathUtils.snapPosition(
+        c.x + shiftX - part.width / 2,
+        c.y + shiftY - part.height / 2,
+        CONST.GRID.SNAP_COARSE,
+        part.getSnapOffset()
+      );
+      placements.set(part, { x: snapped.x, y: snapped.y, rotation: 0 });
+    });
+
+    annotations.forEach(({ part, offset }, label) => {
+      const oldCenter = this.getBoundsCenter(label);
+      const p = placements.get(part);
+      const dx = p.x + part.width / 2 + offset.x - oldCenter.x;
+      const dy = p.y + part.height / 2 + offset.y - oldCenter.y;
+      const snapped = MathUtils.snapPosition(label.targetX + dx, label.targetY + dy, CONST.GRID.SNAP_COARSE, label.getSnapOffset());
+      placements.set(label, { x: snapped.x, y: snapped.y, rotation: label.targetRotation });
+    });
+
+    this.placeJoints(scope.filter(part => part.type === CONST.PART_TYPE.JOINT), placements);
+    return placements;
+  }
+
+  /**
+   * 求めた位置を目標値に設定する（SmoothValue でアニメーションしながら動く）
+   * @param {Map<CircuitPart, {x: number, y: number, rotation: number}>} placements
+   */
+  static apply(placements) {
+    placements.forEach((placement, part) => {
+      part.posX.setTarget(placement.x);
+      part.posY.setTarget(placement.y);
+      part.rot.setTarget(placement.rotation);
+    });
+  }
+
+  /**
+   * ソケットのコネクタの位置（placements にあるパーツは並べ直した後、無いパーツは今の目標位置）
+   * @param {Socket} socket
+   * @param {Map<CircuitPart, Object>} placements
+   * @returns {{x: number, y: number}}
+   */
+  static getConnectorPosition(socket, placements) {
+    const part = socket.parent;
+    const local = this.getConnectorLocal(socket);
+    const placement = placements.get(part) || { x: part.targetX, y: part.targetY, rotation: part.targetRotation };
+    return this.toWorld(part, placement, local.x, local.y);
+  }
+
+  /**
+   * placement の位置・角度に置いた時のローカル座標のワールド座標（localToWorld() の目標値版）
+   * @param {CircuitPart} part
+   * @param {{x: number, y: number, rotation: number}} placement
+   * @param {number} localX
+   * @param {number} localY
+   * @returns {{x: number, y: number}}
+   */
+  static toWorld(part, placement, localX, localY) {
+    const pivot = part.getPivotOffset();
+    const relX = localX - pivot.x;
+    const relY = localY - pivot.y;
+    const cos = Math.cos(placement.rotation);
+    const sin = Math.sin(placement.rotation);
+    return {
+      x: placement.x + part.width / 2 + pivot.x + relX * cos - relY * sin,
+      y: placement.y + part.height / 2 + pivot.y + relX * sin + relY * cos
+    };
+  }
+
+  // ==================== 内部処理 ====================
+
+  /**
+   * ワイヤーにつながっていない TextLabel（パーツの名前として置かれたもの）か
+   * ワイヤーにつながった TextLabel は通電を素通しするので、普通のパーツとして並べる
+   */
+  static isAnnotation(part) {
+    return part.type === CONST.PART_TYPE.TEXT_LABEL &&
+      part.sockets.every(socket => socket.connectedWires.length === 0);
+  }
+
+  /**
+   * パーツ同士のつながり（Joint を経由したものを含む）
+   * @param {Array<CircuitPart>} nodes
+   * @param {Set<CircuitPart>} nodeSet
+   * @returns {Map<CircuitPart, Map<CircuitPart, number>>} 相手ごとのワイヤーの本数
+   */
+  static buildAdjacency(nodes, nodeSet) {
+    const adjacency = new Map(nodes.map(part => [part, new Map()]));
+    const link = (a, b) => {
+      if (a === b || !nodeSet.has(a) || !nodeSet.has(b)) return;
+      adjacency.get(a).set(b, (adjacency.get(a).get(b) || 0) + 1);
+      adjacency.get(b).set(a, (adjacency.get(b).get(a) || 0) + 1);
+    };
+
+    // Joint の塊ごとに、塊につながったパーツを全て互いにつなぐ
+    const visited = new Set();
+    nodes.forEach(part => {
+      part.sockets.forEach(socket => {
+        socket.connectedWires.forEach(wire => {
+          const other = wire.getOtherEnd(socket)?.parent;
+          if (!other) return;
+          if (other.type !== CONST.PART_TYPE.JOINT) {
+            // 直接のワイヤーは両端から2回数えるので、片方からだけ足す
+            if (wire.startSocket === socket) link(part, other);
+            return;
+          }
+          if (visited.has(other)) return;
+
+          const ends = [...this.getJointCluster(other, visited).ends];
+          for (let i = 0; i < ends.length; i++) {
+            for (let j = i + 1; j < ends.length; j++) link(ends[i], ends[j]);
+          }
+        });
+      });
+    });
+    return adjacency;
+  }
+
+  /**
+   * ワイヤーで直接つながった Joint の塊と、塊につながった Joint 以外のパーツ
+   * @param {CircuitPart} start
+   * @param {Set<CircuitPart>} visited - 調べ終わった Joint（書き足す）
+   * @returns {{joints: Array<CircuitPart>, ends: Set<CircuitPart>}}
+   */
+  static getJointCluster(start, visited) {
+    const joints = [];
+    const ends = new Set();
+    const queue = [start];
+    visited.add(start);
+
+    while (queue.length > 0) {
+      const joint = queue.shift();
+      joints.push(joint);
+      joint.sockets.forEach(socket => {
+        socket.connectedWires.forEach(wire => {
+          const other = wire.getOtherEnd(socket)?.parent;
+          if (!other) return;
+          if (other.type !== CONST.PART_TYPE.JOINT) {
+            ends.add(other);
+          } else if (!visited.has(other)) {
+            visited.add(other);
+            queue.push(other);
+          }
+        });
+      });
+    }
+    return { joints, ends };
+  }
+
+  /**
+   * 名前の TextLabel と、それが付いているパーツ（一番近い並べ直すパーツ）
+   * ExpressionExtractor.nameOf() と同じく LABEL_RADIUS 以内のものだけを名前と見なす
+   * @param {Array<CircuitPart>} parts
+   * @param {Set<CircuitPart>} nodeSet
+   * @returns {Map<TextLabel, {part: CircuitPart, offset: {x: number, y: number}}>} offset はパーツの中心からラベルの中心まで
+   */
+  static findAnnotations(parts, nodeSet) {
+    const candidates = parts.filter(part => part.type !== CONST.PART_TYPE.JOINT && part.type !== CONST.PART_TYPE.TEXT_LABEL);
+    const annotations = new Map();
+
+    parts.filter(part => this.isAnnotation(part)).forEach(label => {
+      const center = this.getBoundsCenter(label);
+      let nearest = null;
+      let nearestDistance = CONST.SCENARIO.LABEL_RADIUS;
+      candidates.forEach(part => {
+        const c = this.getBoundsCenter(part);
+        const distance = Math.hypot(c.x - center.x, c.y - center.y);
+        if (distance <= nearestDistance) {
+          nearest = part;
+          nearestDistance = distance;
+        }
+      });
+      if (!nearest || !nodeSet.has(nearest)) return;
+
+      const c = this.getBoundsCenter(nearest);
+      annotations.set(label, { part: nearest, offset: { x: center.x - c.x, y: center.y - c.y } });
+    });
+    return annotations;
+  }
+
+  /**
+   * 目標の位置・角度での枠の中心
+   */
+  static getBoundsCenter(part) {
+    const b = SelectionArranger.getBounds(part);
+    return { x: (b.minX + b.maxX) / 2, y: (b.minY + b.maxY) / 2 };
+  }
+
+  /**
+   * 並べる時に1つのパーツが占める範囲（向き 0 の枠と、付いている名前の枠を合わせたもの）
+   * @returns {Map<CircuitPart, {minX: number, maxX: number, minY: number, maxY: number}>} パーツの中心からの相対座標
+   */
+  static getBlocks(nodes, annotations) {
+    const blocks = new Map(nodes.map(part => [part, {
+      minX: -part.width / 2,
+      maxX: part.width / 2,
+      minY: -part.height / 2,
+      maxY: part.height / 2
+    }]));
+
+    annotations.forEach(({ part, offset }, label) => {
+      const b = SelectionArranger.getBounds(label);
+      const halfW = (b.maxX - b.minX) / 2;
+      const halfH = (b.maxY - b.minY) / 2;
+      blocks.set(part, SelectionArranger.mergeBounds([blocks.get(part), {
+        minX: offset.x - halfW,
+        maxX: offset.x + halfW,
+        minY: offset.y - halfH,
+        maxY: offset.y + halfH
+      }]));
+    });
+    return blocks;
+  }
+
+  /**
+   * つながったパーツのまとまりに分ける（今の位置で上にあるまとまりから順に）
+   * @returns {Array<Array<CircuitPart>>}
+   */
+  static findGroups(nodes, adjacency) {
+    const visited = new Set();
+    const groups = [];
+
+    nodes.forEach(start => {
+      if (visited.has(start)) return;
+      const group = [];
+      const queue = [start];
+      visited.add(start);
+      while (queue.length > 0) {
+        const part = queue.shift();
+        group.push(part);
+        adjacency.get(part).forEach((count, other) => {
+          if (!visited.has(other)) {
+            visited.add(other);
+            queue.push(other);
+          }
+        });
+      }
+      groups.push(group);
+    });
+
+    const meanY = group => group.reduce((sum, part) => sum + this.getBoundsCenter(part).y, 0) / group.length;
+    return groups
+      .map(group => ({ group, y: meanY(group) }))
+      .sort((a, b) => a.y - b.y)
+      .map(entry => entry.group);
+  }
+
+  /**
+   * 電源からのつながりの段数で列に分ける
+   * 電源が無いまとまりは一番左にあるパーツから数え、ライト・ドアはまとまりの一番右の列に置く
+   * @returns {Array<Array<CircuitPart>>} 列ごとのパーツ（今の高さの順）
+   */
+  static assignLayers(group, adjacency) {
+    const depth = new Map();
+    let seeds = group.filter(part => POWER_TYPES.includes(part.type));
+    if (seeds.length === 0) {
+      seeds = [group.reduce((a, b) => this.getBoundsCenter(a).x <= this.getBoundsCenter(b).x ? a : b)];
+    }
+
+    const queue = [...seeds];
+    seeds.forEach(part => depth.set(part, 0));
+    while (queue.length > 0) {
+      const part = queue.shift();
+      adjacency.get(part).forEach((count, other) => {
+        if (depth.has(other)) return;
+        depth.set(other, depth.get(part) + 1);
+        queue.push(other);
+      });
+    }
+
+    const isOutput = part => OUTPUT_TYPES.includes(part.type);
+    const inner = group.filter(part => !isOutput(part));
+    const outputDepth = inner.length > 0 && inner.length < group.length
+      ? Math.max(...inner.map(part => depth.get(part))) + 1
+      : null;
+    if (outputDepth !== null) {
+      group.filter(isOutput).forEach(part => depth.set(part, outputDepth));
+    }
+
+    // 空いた列を詰める
+    const used = [...new Set(depth.values())].sort((a, b) => a - b);
+    const layers = used.map(d => group.filter(part => depth.get(part) === d));
+    layers.forEach(layer => layer.sort((a, b) => this.getBoundsCenter(a).y - this.getBoundsCenter(b).y));
+    return layers;
+  }
+
+  /**
+   * 隣の列とのつながりの平均位置で列の中の順番を並べ替え、交差が一番少なかった順番にする
+   * @param {Array<Array<CircuitPart>>} layers - 並べ替える（書き換える）
+   */
+  static orderLayers(layers, adjacency) {
+    const layerOf = new Map();
+    layers.forEach((layer, l) => layer.forEach(part => layerOf.set(part, l)));
+
+    const edges = [];
+    adjacency.forEach((neighbors, part) => {
+      neighbors.forEach((count, other) => {
+        if (layerOf.get(part) < layerOf.get(other)) edges.push([part, other]);
+      });
+    });
+
+    let best = layers.map(layer => [...layer]);
+    let bestCrossings = this.countCrossings(layers, edges, layerOf);
+
+    for (let sweep = 0; sweep < CONST.AUTO_LAYOUT.ORDER_SWEEPS && bestCrossings > 0; sweep++) {
+      const down = sweep % 2 === 0;
+      const order = layers.map((layer, l) => l);
+      if (!down) order.reverse();
+
+      order.forEach(l => {
+        const index = new Map();
+        layers.forEach(layer => layer.forEach((part, i) => index.set(part, i)));
+
+        const keys = new Map();
+        layers[l].forEach((part, i) => {
+          let sum = 0;
+          let weight = 0;
+          adjacency.get(part).forEach((count, other) => {
+            const otherLayer = layerOf.get(other);
+            if (down ? otherLayer >= l : otherLayer <= l) return;
+            sum += index.get(other) * count;
+            weight += count;
+          });
+          keys.set(part, weight > 0 ? sum / weight : i);
+        });
+        layers[l].sort((a, b) => keys.get(a) - keys.get(b));
+      });
+
+      const crossings = this.countCrossings(layers, edges, layerOf);
+      if (crossings < bestCrossings) {
+        best = layers.map(layer => [...layer]);
+        bestCrossings = crossings;
+      }
+    }
+
+    best.forEach((layer, l) => { layers[l] = layer; });
+  }
+
+  /**
+   * 同じ列の組をつなぐワイヤー同士の交差の数
+   */
+  static countCrossings(layers, edges, layerOf) {
+    const index = new Map();
+    layers.forEach(layer => layer.forEach((part, i) => index.set(part, i)));
+
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+      const [a1, b1] = edges[i];
+      for (let j = i + 1; j < edges.length; j++) {
+        const [a2, b2] = edges[j];
+        if (layerOf.get(a1) !== layerOf.get(a2) || layerOf.get(b1) !== layerOf.get(b2)) continue;
+        if ((index.get(a1) - index.get(a2)) * (index.get(b1) - index.get(b2)) < 0) crossings++;
+      }
+    }
+    return crossings;
+  }
+
+  /**
+   * 列の位置と列の中の高さを決める
+   * 高さはつながった相手の平均に近づけ、重ならないように詰めてから全体のずれが 0 になるように戻す
+   * @param {Map<CircuitPart, {x: number, y: number}>} centers - パーツの中心（書き足す）
+   * @returns {number} まとまりの下端
+   */
+  static placeGroup(layers, adjacency, blocks, top, centers) {
+    const { LAYER_GAP, ROW_GAP, POSITION_SWEEPS } = CONST.AUTO_LAYOUT;
+
+    let left = 0;
+    layers.forEach(layer => {
+      const before = Math.max(...layer.map(part => -blocks.get(part).minX));
+      const after = Math.max(...layer.map(part => blocks.get(part).maxX));
+      layer.forEach(part => centers.set(part, { x: left + before, y: 0 }));
+      left += before + after + LAYER_GAP;
+    });
+
+    const pack = (layer, desired) => {
+      const placed = [];
+      layer.forEach((part, i) => {
+        const min = i === 0 ? -Infinity
+          : placed[i - 1] + blocks.get(layer[i - 1]).maxY + ROW_GAP - blocks.get(part).minY;
+        placed.push(Math.max(desired[i], min));
+      });
+      const shift = desired.reduce((sum, y, i) => sum + y - placed[i], 0) / layer.length;
+      layer.forEach((part, i) => { centers.get(part).y = placed[i] + shift; });
+    };
+
+    layers.forEach(layer => pack(layer, layer.map(() => 0)));
+
+    for (let sweep = 0; sweep < POSITION_SWEEPS; sweep++) {
+      const order = sweep % 2 === 0 ? layers : [...layers].reverse();
+      order.forEach(layer => {
+        pack(layer, layer.map(part => {
+          let sum = 0;
+          let weight = 0;
+          adjacency.get(part).forEach((count, other) => {
+            sum += centers.get(other).y * count;
+            weight += count;
+          });
+          return weight > 0 ? sum / weight : centers.get(part).y;
+        }));
+      });
+    }
+
+    const group = layers.flat();
+    const minY = Math.min(...group.map(part => centers.get(part).y + blocks.get(part).minY));
+    group.forEach(part => { centers.get(part).y += top - minY; });
+    return Math.max(...group.map(part => centers.get(part).y + blocks.get(part).maxY));
+  }
+
+  /**
+   * Joint をつながった相手の間（相手のコネクタの平均の位置）に置き直す
+   * Joint 同士がつながっている時は、互いの位置が落ち着くまで繰り返す
+   * @param {Array<CircuitPart>} joints - 並べ直す Joint
+   * @param {Map<CircuitPart, Object>} placements - 書き足す
+   */
+  static placeJoints(joints, placements) {
+    if (joints.length === 0) return;
+    const jointSet = new Set(joints);
+    const positions = new Map();
+
+    // 最初は Joint の塊につながったパーツの平均の位置に置く
+    const visited = new Set();
+    joints.forEach(joint => {
+      if (visited.has(joint)) return;
+      const { joints: cluster, ends } = this.getJointCluster(joint, visited);
+      const anchors = [...ends].flatMap(part => part.sockets
+        .filter(socket => socket.connectedWires.some(wire => cluster.includes(wire.getOtherEnd(socket)?.parent)))
+        .map(socket => this.getConnectorPosition(socket, placements)));
+      cluster.forEach(member => {
+        const current = this.getConnectorPosition(member.sockets[0], new Map());
+        positions.set(member, anchors.length > 0 ? this.average(anchors) : current);
+      });
+    });
+
+    for (let i = 0; i < CONST.AUTO_LAYOUT.JOINT_SWEEPS; i++) {
+      joints.forEach(joint => {
+        const socket = joint.sockets[0];
+        const anchors = socket.connectedWires
+          .map(wire => wire.getOtherEnd(socket))
+          .filter(other => other)
+          .map(other => jointSet.has(other.parent) ? positions.get(other.parent) : this.getConnectorPosition(other, placements));
+        if (anchors.length > 0) positions.set(joint, this.average(anchors));
+      });
+    }
+
+    joints.forEach(joint => {
+      const p = positions.get(joint);
+      const snapped = MathUtils.snapPosition(p.x - joint.width / 2, p.y - joint.height / 2, CONST.GRID.SNAP_COARSE, joint.getSnapOffset());
+      placements.set(joint, { x: snapped.x, y: snapped.y, rotation: 0 });
+    });
+  }
+
+  static average(points) {
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+  }
+
+  /**
+   * コネクタのローカル座標（部品中心からの相対位置）
+   * getConnectorWorldPosition() を今の位置・角度で逆に変換して求める
+   */
+  static getConnectorLocal(socket) {
+    const part = socket.parent;
+    const world = socket.getConnectorWorldPosition();
+    const center = part.getRotationCenter();
+    const pivot = part.getPivotOffset();
+    const dx = world.x - center.x;
+    const dy = world.y - center.y;
+    const cos = Math.cos(-part.rotation);
+    const sin = Math.sin(-part.rotation);
+    return {
+      x: dx * cos - dy * sin + pivot.x,
+      y: dx * sin + dy * cos + pivot.y
+    };
+  }
+}
@@ -0,0 +1,172 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { GraphUtils } from '../utils/GraphUtils.js';
+
+/**
+ * 回路チェッカー（デザインルールチェック）
+ * parts と wires を調べて、動かしてみる前に気づきたい配線ミスを一覧にする
+ *
+ * 各指摘は { rule, severity, message, part, wire } の形で、
+ * 指摘箇所の座標は locate() で求める（一覧から視点を移すため）
+ */
+export class CircuitLinter {
+  /**
+   * 回路をチェックする
+   * @param {Array} parts - パーツ配列
+   * @param {Array} wires - ワイヤー配列
+   * @returns {Array<Object>} 指摘の一覧
+   */
+  static check(parts, wires) {
+    if (parts.length === 0) return [];
+
+    return [
+      ...this.checkPowerSources(parts),
+      ...this.checkControlSockets(parts),
+      ...this.checkUnreachableOutputs(parts),
+      ...this.checkDanglingJoints(parts),
+      ...this.checkRedundantWires(wires)
+    ];
+  }
+
+  /**
+   * 指摘箇所のワールド座標（パーツは中心、ワイヤーは中点）
+   * チェックした後に動かされていても、今の位置を返す
+   * @param {Object} finding
+   * @returns {{x: number, y: number}|null} 回路全体に対する指摘なら null
+   */
+  static locate(finding) {
+    if (finding.part) {
+      return finding.part.getRotationCenter();
+    }
+    if (finding.wire) {
+      return finding.wire.getMidpoint();
+    }
+    return null;
+  }
+
+  static createFinding(rule, severity, target = {}) {
+    return {
+      rule,
+      severity,
+      message: CONST.MESSAGES[`LINT_${rule}`],
+      part: target.part || null,
+      wire: target.wire || null
+    };
+  }
+
+  // ==================== ルール ====================
+
+  /**
+   * 電源が1つも無い（カスタム部品の中の電源も数える）
+   */
+  static checkPowerSources(parts) {
+    const allParts = GraphUtils.expandComponents(parts).parts;
+    if (allParts.some(part => part.getConductionTable().sources.length > 0)) return [];
+    return [this.createFinding('NO_POWER', 'error')];
+  }
+
+  /**
+   * AutoSwitch/Inverter の control ソケットが未接続
+   */
+  static checkControlSockets(parts) {
+    return parts
+      .filter(part => {
+        const control = part.getSocket('control');
+        return control && control.connectedWires.length === 0;
+      })
+      .map(part => this.createFinding('CONTROL_UNCONNECTED', 'warning', { part }));
+  }
+
+  /**
+   * どの電源からも電気が届き得ない ColorLight / PowerDoor
+   * スイッチ類は全てONにできるものとして、電源から辿れるソケットを調べる
+   */
+  static checkUnreachableOutputs(parts) {
+    const reachable = this.findReachableSockets(parts);
+    const outputTypes = [CONST.PART_TYPE.COLOR_LIGHT, CONST.PART_TYPE.POWER_DOOR];
+
+    return parts
+      .filter(part => outputTypes.includes(part.type))
+      .filter(part => !part.getConductionTable().sinks.some(name => reachable.has(part.getSocket(name))))
+      .map(part => this.createFinding('UNREACHABLE_OUTPUT', 'warning', { part }));
+  }
+
+  /**
+   * 電源から、条件付きの経路も全て通れるものとして辿れるソケットの集合
+   * カスタム部品は PowerSystem と同じく中身まで展開し、ピンから中のソケットへも辿る
+   */
+  static findReachableSockets(parts) {
+    const expanded = GraphUtils.expandComponents(parts);
+    const reachable = new Set();
+    const queue = [];
+    const visit = (socket) => {
+      if (!socket || reachable.has(socket)) return;
+      reachable.add(socket);
+      queue.push(socket);
+    };
+
+    expanded.parts.forEach(part => {
+      part.getConductionTable().sources.forEach(name => visit(part.getSocket(name)));
+    });
+
+    while (queue.length > 0) {
+      const socket = queue.shift();
+      socket.connectedWires.forEach(wire => visit(wire.getOtherEnd(socket)));
+      (expanded.links.get(socket) || []).forEach(visit);
+
+      const table = socket.parent.getConductionTable();
+      if (table.sinks.includes(socket.name)) continue;
+      table.paths.forEach(path => {
+        if (path.from === socket.name) visit(socket.parent.getSocket(path.to));
+      });
+    }
+    return reachable;
+  }
+
+  /**
+   * どこにもつながっていない、または行き止まりの WireJoint
+   */
+  static checkDanglingJoints(parts) {
+    return parts
+      .filter(part => part.type === CONST.PART_TYPE.JOINT)
+      .filter(part => part.getSocket('joint').connectedWires.length < 2)
+      .map(part => this.createFinding('DANGLING_JOINT', 'warning', { part }));
+  }
+
+  /**
+   * consolidateWires() で削除される長さ0のワイヤーと重複ワイヤー
+   * （判定条件は CircuitManager.consolidateWires() と揃えている）
+   */
+  static checkRedundantWires(wires) {
+    const findings = [];
+    const seen = new Map(); // socket -> それまでに出てきたワイヤーの反対側のソケット
+
+    wires.forEach(wire => {
+      const start = wire.startSocket.getConnectorWorldPosition();
+      const end = wire.endSocket.getConnectorWorldPosition();
+      const isZeroLength = MathUtils.distance(start.x, start.y, end.x, end.y) < CONST.PARTS.SOCKET_HIT_RADIUS;
+      const touchesJoint = wire.startSocket.parent.type === CONST.PART_TYPE.JOINT ||
+                           wire.endSocket.parent.type === CONST.PART_TYPE.JOINT;
+
+      if (isZeroLength && (wire.startSocket === wire.endSocket || touchesJoint)) {
+        findings.push(this.createFinding('ZERO_LENGTH_WIRE', 'warning', { wire }));
+        return;
+      }
+
+      // 向きが逆でも、同じソケットの組なら重複
+      const partners = seen.get(wire.startSocket);
+      if (partners && partners.has(wire.endSocket)) {
+        findings.push(this.createFinding('DUPLICATE_WIRE', 'warning', { wire }));
+        return;
+      }
+      [[wire.startSocket, wire.endSocket], [wire.endSocket, wire.startSocket]].forEach(([from, to]) => {
+        if (!seen.has(from)) seen.set(from, new Set());
+        seen.get(from).add(to);
+      });
+    });
+
+    return findings;
+  }
+}
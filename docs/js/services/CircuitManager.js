@@ -3,6 +3,7 @@
 import { Wire } from '../models/Wire.js';
 import { PartFactory } from '../models/PartFactory.js';
 import { TextLabel } from '../models/TextLabel.js';
+import { ComponentDefinition } from '../models/ComponentDefinition.js';
 import { PowerSystem } from './PowerSystem.js';
 import { InputManager } from './InputManager.js';
 import { CONST } from '../config/constants.js';
@@ -11,6 +12,14 @@ import { CircuitSerializer } from '../utils/CircuitSerializer.js';
 import { SmoothValue, SmoothRotation } from '../utils/Animator.js';
 import { MathUtils } from '../utils/MathUtils.js';
 import { PartsCounter } from '../utils/PartsCounter.js';
+import { SimulationClock } from '../utils/SimulationClock.js';
+import { SignalRecorder } from './SignalRecorder.js';
+import { OscillationDetector } from './OscillationDetector.js';
+import { CommandHistory } from './CommandHistory.js';
+import { SelectionArranger } from './SelectionArranger.js';
+import { SmartGuides } from './SmartGuides.js';
+import { AutoLayout } from './AutoLayout.js';
+import { WireRouter } from '../utils/WireRouter.js';
 
 /**
  * 回路マネージャー
@@ -21,7 +30,26 @@ export class CircuitManager {
     this.parts = [];
     this.wires = [];
 
-    this.powerSystem = new PowerSystem(this.parts, this.wires);
+    // シミュレーション時間はp5.jsの millis() ではなく専用の時計で管理する
+    this.clock = new SimulationClock();
+    this.powerSystem = new PowerSystem(this.parts, this.wires, this.clock);
+
+    // シミュレーションの再生制御
+    this.isSimulationPaused = false;
+    this.simulationSpeed = CONST.SIMULATION.DEFAULT_SPEED; // 再生速度の倍率
+
+    // 波形パネル用：回路計算のたびにピン留めした信号を記録する
+    this.signalRecorder = new SignalRecorder();
+    this.powerSystem.addUpdateListener(system => {
+      this.signalRecorder.record(system.clock.now(), system.getCurrentTick());
+    });
+
+    // 発振（フィードバックループ）の検出
+    this.oscillationDetector = new OscillationDetector(this.parts, this.wires);
+    this.powerSystem.addUpdateListener(system => this.oscillationDetector.onUpdate(system));
+
+    // 元に戻す/やり直しの履歴
+    this.history = new CommandHistory(this.parts, this.wires);
     this.inputManager = new InputManager();
 
     this.draggingPart = null;
@@ -30,6 +58,7 @@ export class CircuitManager {
     this.moveSnapEnabled = false;    // デフォルトはOFF（細かい移動 2.75px）
     this.isDeleteMode = false; // 削除モード
     this.isGridVisible = true; // グリッド表示フラグ（デフォルトで表示）
+    this.isOrthogonalWires = false; // 直角配線モード（ワイヤーを縦横の線だけで描く。見た目だけ）
     
     // 画面パンニング中かどうか
     this.isPanning = false;
@@ -39,6 +68,8 @@ export class CircuitManager {
     this.tempWireEndY = new SmoothValue(0, CONST.ANIMATION.MOVE_SPEED, CONST.ANIMATION.MOVE_SNAP_THRESHOLD);
     
     this.currentSnapSocket = null; // 仮ワイヤーのスナップ先ソケット
+    this.alignmentGuides = [];     // ドラッグ中に表示するスマートガイド（SmartGuides.snap() の戻り値）
+    this.layoutPreview = null;     // 自動整列のプレビュー（反映するまで回路は変えない）
 
     this.detachTargetSocket = null; // 切断対象のソケット
     this.detachStartPos = null;  // 切断開始時のマウス位置
@@ -49,6 +80,7 @@ export class CircuitManager {
     this.implicitJoints = new Set();     // 自動的に追従するJoint
     this.isGroupDragging = false;
     this.clickedPartWasSelected = false; // Press時点で既に選択済みだったか
+    this.boxSelection = null;            // 範囲選択中の矩形（始点・終点はワールド座標）
     
     // ★追加: グループ回転用変数
     this.isGroupRotating = false;
@@ -67,6 +99,20 @@ export class CircuitManager {
 
     // ★追加: パーツカウント更新のコールバック
     this.onPartsCountUpdate = null;
+
+    // パーツの上に表示するタグ（真理値表の入出力名など）: part -> { text, color }
+    this.partTags = new Map();
+
+    // 回路と一緒に保存するシナリオテストの文字列（ScenarioRunner で実行する）
+    this.scenarioText = '';
+
+    // 視点を移した先の目印（回路チェックの指摘箇所など）: { x, y, startTime }
+    this.focusMarker = null;
+
+    // カスタム部品の編集（中に入った順に積む）
+    // { definition, pins, outerParts, outerWires, view, partTags, probes }
+    // outer* はその部品に入る前に表示していた回路（終わったらこれに戻す）
+    this.componentEditStack = [];
   }
 
   // ==================== 初期化・状態管理 ====================
@@ -95,6 +141,109 @@ export class CircuitManager {
     this.isGridVisible = visible;
   }
 
+  /**
+   * 直角配線モードの有効/無効を設定
+   * 経路は update() で毎フレーム必要な分だけ求めるので、OFF にした時は求めた経路を捨てる
+   * @param {boolean} enabled
+   */
+  setOrthogonalWires(enabled) {
+    this.isOrthogonalWires = enabled;
+    if (!enabled) {
+      WireRouter.clearRoutes(this.wires);
+    }
+  }
+
+  /**
+   * 電力予算モードの設定を反映する
+   * @param {{enabled: boolean, draws: Object}} settings
+   */
+  setPowerBudget(settings) {
+    this.powerSystem.setPowerBudget(settings.enabled ? settings.draws : null);
+  }
+
+  /**
+   * シミュレーションの一時停止/再開を設定
+   * @param {boolean} paused
+   */
+  setSimulationPaused(paused) {
+    this.isSimulationPaused = paused;
+    console.log(`シミュレーション: ${paused ? '一時停止' : '再開'}`);
+  }
+
+  /**
+   * シミュレーションの一時停止/再開を切り替え
+   */
+  toggleSimulationPaused() {
+    this.setSimulationPaused(!this.isSimulationPaused);
+  }
+
+  /**
+   * シミュレーションの再生速度を設定
+   * @param {number} speed - 倍率（CONST.SIMULATION.SPEEDS のいずれか）
+   */
+  setSimulationSpeed(speed) {
+    this.simulationSpeed = speed;
+  }
+
+  /**
+   * 1ティック分だけシミュレーションを進める（再生中なら一時停止する）
+   */
+  stepSimulationTick() {
+    this.isSimulationPaused = true;
+    this.powerSystem.stepTick();
+  }
+
+  /**
+   * 1フレーム分だけシミュレーションを進める（再生中なら一時停止する）
+   */
+  stepSimulationFrame() {
+    this.isSimulationPaused = true;
+    this.powerSystem.step(CONST.SIMULATION.FRAME_INTERVAL);
+  }
+
+  /**
+   * 指定座標のソケット（無ければパーツのON/OFF）を波形パネルにピン留め/解除する
+   * @param {number} x - ワールドX座標
+   * @param {number} y - ワールドY座標
+   * @returns {boolean} ピン留めの対象が見つかったら true
+   */
+  toggleProbeAt(x, y) {
+    const socket = this.findNearbySocket(x, y, null);
+    if (socket) {
+      this.signalRecorder.toggleProbe(socket, `${this.getPartLabel(socket.parent)}.${socket.name}`);
+      return true;
+    }
+
+    for (let i = this.parts.length - 1; i >= 0; i--) {
+      const part = this.parts[i];
+      if (!('isOn' in part)) continue;
+      if (part.isMouseOver(x, y)) {
+        this.signalRecorder.toggleProbe(part, `${this.getPartLabel(part)}.isOn`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 回路の接続構造を表すキー（パーツ・ワイヤーの増減や、つなぎ変えのたびに変わる）
+   * パネルが一覧を作り直すかどうかの判定に使う。シミュレーションと同じ PowerSystem のキーを返す
+   * @returns {string}
+   */
+  getTopologyKey() {
+    return this.powerSystem.getTopologyKey();
+  }
+
+  /**
+   * 波形パネルなどで使うパーツの表示名（例: "Inverter#3"）
+   * @param {CircuitPart} part
+   * @returns {string}
+   */
+  getPartLabel(part) {
+    const typeLabel = part.definition ? part.definition.name : (CONST.UI_LABELS[part.type] || part.type);
+    return `${typeLabel}#${this.parts.indexOf(part) + 1}`;
+  }
+
   /**
    * 削除モードの切り替え
    */
@@ -124,6 +273,7 @@ export class CircuitManager {
 
   setMultiSelectMode(enabled) {
     this.isMultiSelectMode = enabled;
+    this.boxSelection = null;
     
     // モードOFF時に選択を全解除
     if (!enabled) {
@@ -153,39 +303,15 @@ export class CircuitManager {
    * ★修正: 道連れJoint (implicitJoints) も含めて複製するように変更
    */
   duplicateSelectedParts() {
-    // 何も選択されていなければ終了
-    if (this.selectedParts.size === 0) return;
-
-    this.detectImplicitJoints();
-
-    // 1. まず「複製すべき全パーツ」のセットを作る
-    //    (明示的に選択したパーツ + 自動的に道連れになるJoint)
-    const partsToDuplicate = new Set([...this.selectedParts, ...this.implicitJoints]);
-
-    // 2. このセット内で完結しているワイヤーを抽出
-    const wiresToDuplicate = [];
-    for (const wire of this.wires) {
-      const startPart = wire.startSocket.parent;
-      const endPart = wire.endSocket.parent;
-      
-      // 始点と終点の両方が「複製対象グループ」に含まれている場合のみ、ワイヤーも複製する
-      if (partsToDuplicate.has(startPart) && partsToDuplicate.has(endPart)) {
-        wiresToDuplicate.push(wire);
-      }
-    }
-
-    // 3. シリアライザを使ってディープコピーを作成
-    //    パーツリストには partsToDuplicate を渡す
-    const serializedData = CircuitSerializer.serialize(
-      Array.from(partsToDuplicate), 
-      wiresToDuplicate, 
-      true // compact mode
-    );
+    // 1～3. 選択中のパーツ（道連れJointを含む）と、その内部で完結するワイヤーのディープコピーを作成
+    const serializedData = this.serializeSelection(true);
+    if (serializedData === null) return;
 
     // 4. 一時的な配列に復元（IDは新規発行される）
+    // カスタム部品は元と同じ定義を使う（中身を編集すると複製した方も変わる）
     const newParts = [];
     const newWires = [];
-    CircuitSerializer.deserialize(serializedData, newParts, newWires);
+    CircuitSerializer.deserialize(serializedData, newParts, newWires, this.getComponentDefinitionMap());
 
     if (newParts.length === 0) return;
 
@@ -197,8 +323,10 @@ export class CircuitManager {
     });
 
     // 6. メインの配列に追加
-    this.parts.push(...newParts);
-    this.wires.push(...newWires);
+    this.history.record(() => {
+      this.parts.push(...newParts);
+      this.wires.push(...newWires);
+    });
 
     // 7. 選択状態を新しいパーツに切り替える
     this.clearSelection(); // 元の選択を解除
@@ -207,50 +335,659 @@ export class CircuitManager {
         this.setMultiSelectMode(true);
     }
 
-    // 新しく生成されたパーツを全て選択状態にする
-    newParts.forEach(part => {
-      if (part.type !== CONST.PART_TYPE.JOINT) {
-        part.isSelected = true;
-        this.selectedParts.add(part);
-      }
-    });
-    
-    // ★重要: 複製後の新しい配置で、再度「内部Joint」を計算し直す
-    // これで複製されたJointも正しくグループとして扱われるようになります
-    this.detectImplicitJoints();
+    // 新しく生成されたパーツを全て選択状態にする
+    newParts.forEach(part => {
+      if (part.type !== CONST.PART_TYPE.JOINT) {
+        part.isSelected = true;
+        this.selectedParts.add(part);
+      }
+    });
+    
+    // ★重要: 複製後の新しい配置で、再度「内部Joint」を計算し直す
+    // これで複製されたJointも正しくグループとして扱われるようになります
+    this.detectImplicitJoints();
+
+    console.log(`${newParts.length}個のパーツ（Joint含む）を複製しました`);
+  }
+
+  /**
+   * 選択中のパーツ（道連れJointを含む）と、その内部で完結するワイヤーをシリアライズする
+   * 複製やライブラリへの保存に使う
+   * @param {boolean} compact - true: v6 / v7（複製用）、false: v1.1（ライブラリ用）
+   * @returns {Object|string|null} 何も選択されていなければ null
+   */
+  serializeSelection(compact = false) {
+    if (this.selectedParts.size === 0) return null;
+
+    // 両端がグループに含まれるワイヤーだけを含める
+    const { group, innerWires } = this.getComponentSelection();
+    const parts = this.parts.filter(part => group.has(part));
+    return CircuitSerializer.serialize(parts, innerWires, compact);
+  }
+
+  /**
+   * シリアライズされた回路の断片（ライブラリの断片など）を、中心が指定した位置に来るように挿入する
+   * パーツのIDは新しく振り直し、挿入したパーツを選択状態にする
+   * @param {Object|string} data - CircuitSerializer の形式
+   * @param {number} x - ワールドX座標
+   * @param {number} y - ワールドY座標
+   * @returns {Array} 挿入したパーツ
+   */
+  insertSnippet(data, x, y) {
+    const newParts = [];
+    const newWires = [];
+    CircuitSerializer.deserialize(data, newParts, newWires, this.getComponentDefinitionMap());
+    if (newParts.length === 0) return newParts;
+
+    // 編集中の部品を自分の中に置くことになる断片は挿入しない
+    if (newParts.some(part => part.definition && !this.canPlaceComponent(part.definition))) {
+      console.warn('編集中の部品を含む断片は、その部品の中には挿入できません');
+      return [];
+    }
+
+    // グリッド単位で動かして、断片の中の並びがグリッドからずれないようにする
+    const bounds = this.getPartsBounds(newParts);
+    const gridSize = CONST.GRID.SIZE;
+    const dx = Math.round((x - (bounds.minX + bounds.maxX) / 2) / gridSize) * gridSize;
+    const dy = Math.round((y - (bounds.minY + bounds.maxY) / 2) / gridSize) * gridSize;
+    // 続けて挿入しても既存のパーツとIDが重ならないようにする
+    // （パーツが多いと引数の数の上限を超えるので、スプレッドでなく reduce で最大値を取る）
+    const baseId = this.parts.reduce((max, part) => Math.max(max, part.id + 1), Date.now());
+    newParts.forEach((part, index) => {
+      part.id = baseId + index;
+      part.setPositionImmediately(part.x + dx, part.y + dy);
+    });
+
+    this.addParts(newParts, newWires);
+    return newParts;
+  }
+
+  /**
+   * 選択中のパーツ（道連れJointを含む）を、つながっているワイヤーごと削除する（切り取り用）
+   */
+  deleteSelectedParts() {
+    const { group } = this.getComponentSelection();
+    if (group.size === 0) return;
+
+    this.history.record(() => {
+      group.forEach(part => this.deletePart(part));
+    });
+    this.clearSelection();
+    console.log(`${group.size}個のパーツ（Joint含む）を削除しました`);
+  }
+
+  /**
+   * 外で組み立てたパーツとワイヤー（論理合成の結果など）を回路に追加し、選択状態にする
+   * @param {Array} newParts - 追加するパーツ（IDは既存のパーツと重ならないこと）
+   * @param {Array} newWires - 追加するワイヤー（newParts のソケット同士をつないだもの）
+   */
+  addParts(newParts, newWires) {
+    if (newParts.length === 0) return;
+
+    this.history.record(() => {
+      this.parts.push(...newParts);
+      this.wires.push(...newWires);
+    });
+
+    this.clearSelection();
+    if (!this.isMultiSelectMode) {
+      this.setMultiSelectMode(true);
+    }
+    newParts.forEach(part => {
+      if (part.type !== CONST.PART_TYPE.JOINT) {
+        part.isSelected = true;
+        this.selectedParts.add(part);
+      }
+    });
+    this.detectImplicitJoints();
+  }
+
+  /**
+   * 内部Joint（挟まれたJoint）を特定する
+   * GraphUtilsを使って、選択パーツに囲まれたJointを抽出
+   */
+  detectImplicitJoints() {
+    // GraphUtilsに委譲（前回の修正を反映）
+    this.implicitJoints = GraphUtils.findEnclosedJoints(this.parts, this.selectedParts);
+  }
+
+  /**
+   * 全てのパーツとワイヤーをリセット（削除）
+   */
+  resetAll() {
+    // カスタム部品の編集中なら、編集をやめて一番外の回路ごと消す
+    this.discardComponentEdits();
+
+    // リセットも元に戻せるように履歴に残す
+    this.history.record(() => {
+      // 全てのワイヤーの接続情報をクリア
+      for (let wire of this.wires) {
+        wire.startSocket.disconnectWire(wire);
+        wire.endSocket.disconnectWire(wire);
+      }
+
+      // 配列をクリア
+      this.parts.length = 0;
+      this.wires.length = 0;
+    });
+    
+    // ドラッグ状態などもリセット
+    this.draggingPart = null;
+    this.wiringStartNode = null;
+    this.isPanning = false;
+
+    this.signalRecorder.clear();
+    this.oscillationDetector.reset();
+    this.powerSystem.invalidateTopology();
+    this.scenarioText = '';
+    
+    console.log("全てのパーツとワイヤーをリセットしました");
+  }
+
+  // ==================== 元に戻す/やり直し ====================
+
+  /**
+   * 外から回路を書き換える処理（最適化の適用など）を、1回の操作として履歴に残す
+   * @param {Function} action
+   * @returns {*} action の戻り値
+   */
+  recordChange(action) {
+    return this.history.record(action);
+  }
+
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * 直前の操作を元に戻す
+   */
+  undo() {
+    if (this.history.undo()) {
+      this.afterHistoryRestore();
+      console.log('元に戻しました');
+    }
+  }
+
+  /**
+   * 元に戻した操作をやり直す
+   */
+  redo() {
+    if (this.history.redo()) {
+      this.afterHistoryRestore();
+      console.log('やり直しました');
+    }
+  }
+
+  /**
+   * 履歴から回路の形を戻した後に、操作中の状態と選択を整える
+   */
+  afterHistoryRestore() {
+    this.draggingPart = null;
+    this.wiringStartNode = null;
+    this.detachTargetSocket = null;
+    this.isGroupDragging = false;
+    this.isGroupRotating = false;
+    this.groupRotationData.clear();
+    this.boxSelection = null;
+    this.alignmentGuides = [];
+    this.layoutPreview = null;
+
+    // 回路から無くなったパーツは選択から外す
+    this.selectedParts.forEach(part => {
+      if (!this.parts.includes(part)) {
+        part.isSelected = false;
+        this.selectedParts.delete(part);
+      }
+    });
+    this.detectImplicitJoints();
+
+    this.powerSystem.invalidateTopology();
+    this.oscillationDetector.reset();
+  }
+
+  // ==================== 整列・反転 ====================
+
+  /**
+   * 選択中のパーツの端または中央を揃える
+   * @param {string} edge - 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'
+   */
+  alignSelection(edge) {
+    this.arrangeSelection(parts => SelectionArranger.align(parts, edge, this.implicitJoints));
+  }
+
+  /**
+   * 選択中のパーツを等間隔に並べる
+   * @param {string} axis - 'horizontal' | 'vertical'
+   */
+  distributeSelection(axis) {
+    this.arrangeSelection(parts => SelectionArranger.distribute(parts, axis, this.implicitJoints));
+  }
+
+  /**
+   * 選択中のパーツを左右/上下に反転する
+   * @param {string} axis - 'horizontal' | 'vertical'
+   */
+  flipSelection(axis) {
+    this.arrangeSelection(parts => SelectionArranger.flip(parts, axis, this.implicitJoints));
+  }
+
+  /**
+   * 道連れJointを求め直してから、選択中のパーツの並べ替えを1回の操作として記録する
+   * @param {Function} arrange - 選択中のパーツの配列を受け取る
+   */
+  arrangeSelection(arrange) {
+    if (this.selectedParts.size === 0) return;
+    this.detectImplicitJoints();
+    this.history.record(() => arrange([...this.selectedParts]));
+  }
+
+  // ==================== 自動整列 ====================
+
+  /**
+   * 自動整列の対象（複数選択中なら選択中のパーツと道連れJoint、そうでなければ回路全体）
+   * @returns {Array<CircuitPart>}
+   */
+  getAutoLayoutScope() {
+    if (this.selectedParts.size === 0) return [...this.parts];
+    this.detectImplicitJoints();
+    const group = new Set([...this.selectedParts, ...this.implicitJoints]);
+    return this.parts.filter(part => group.has(part));
+  }
+
+  /**
+   * 自動整列した後の配置を求めてプレビューする（回路はまだ変えない）
+   * @returns {number} 動くパーツの数（0 ならプレビューしない）
+   */
+  previewAutoLayout() {
+    const moved = new Map();
+    AutoLayout.plan(this.getAutoLayoutScope(), this.parts).forEach((placement, part) => {
+      const still = Math.abs(placement.x - part.targetX) < 0.01 &&
+        Math.abs(placement.y - part.targetY) < 0.01 &&
+        Math.abs(MathUtils.normalizeAngle(placement.rotation - part.targetRotation)) < 0.001;
+      if (!still) moved.set(part, placement);
+    });
+
+    if (moved.size === 0) {
+      this.layoutPreview = null;
+      return 0;
+    }
+
+    // 求めた時の位置を覚えておき、プレビュー中に回路が変わったら捨てる
+    this.layoutPreview = {
+      placements: moved,
+      from: new Map([...moved.keys()].map(part => [part, { x: part.targetX, y: part.targetY, rotation: part.targetRotation }])),
+      topologyKey: this.getTopologyKey()
+    };
+    return moved.size;
+  }
+
+  /**
+   * プレビュー中の配置を反映する（1回の操作として記録し、アニメーションで動く）
+   */
+  acceptAutoLayout() {
+    if (!this.isAutoLayoutPreviewValid()) {
+      this.layoutPreview = null;
+      return;
+    }
+    const { placements } = this.layoutPreview;
+    this.layoutPreview = null;
+    this.history.record(() => AutoLayout.apply(placements));
+  }
+
+  discardAutoLayout() {
+    this.layoutPreview = null;
+  }
+
+  /**
+   * プレビューを求めた時から、パーツ・ワイヤーの増減や対象のパーツの移動が無いか
+   * @returns {boolean}
+   */
+  isAutoLayoutPreviewValid() {
+    const preview = this.layoutPreview;
+    if (!preview || preview.topologyKey !== this.getTopologyKey()) return false;
+    for (const [part, from] of preview.from) {
+      if (!this.parts.includes(part) || part.targetX !== from.x || part.targetY !== from.y || part.targetRotation !== from.rotation) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // ==================== カスタム部品 ====================
+
+  /**
+   * 選択中のパーツ（道連れJointを含む）と、それに関わるワイヤーを取得
+   * @returns {{group: Set, innerWires: Array, boundaryWires: Array}}
+   *          innerWires は両端がグループ内、boundaryWires は片方だけがグループ内のワイヤー
+   */
+  getComponentSelection() {
+    this.detectImplicitJoints();
+    const group = new Set([...this.selectedParts, ...this.implicitJoints]);
+    const innerWires = [];
+    const boundaryWires = [];
+    this.wires.forEach(wire => {
+      const hasStart = group.has(wire.startSocket.parent);
+      const hasEnd = group.has(wire.endSocket.parent);
+      if (hasStart && hasEnd) innerWires.push(wire);
+      else if (hasStart || hasEnd) boundaryWires.push(wire);
+    });
+    return { group, innerWires, boundaryWires };
+  }
+
+  /**
+   * 選択中のパーツを1つのカスタム部品にまとめ、同じ場所に置き換える
+   * ピンにしたソケットへの外からのワイヤーは箱のピンにつなぎ直し、それ以外の外からのワイヤーは消す
+   * @param {string} name - 部品名
+   * @param {Array<{socket: Socket, name: string}>} pins - ピンにするソケットと表示名
+   * @returns {CustomComponent|null} 置いた部品
+   */
+  createComponent(name, pins) {
+    const { group, innerWires, boundaryWires } = this.getComponentSelection();
+    if (group.size === 0 || pins.length === 0) return null;
+
+    const groupParts = this.parts.filter(part => group.has(part));
+    const bounds = this.getPartsBounds(groupParts);
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+
+    // ピンはグループの中心より左にあれば左側、そうでなければ右側に並べる
+    const definition = new ComponentDefinition(ComponentDefinition.createId(), name);
+    definition.setCircuit(groupParts, innerWires, pins.map(pin => ({
+      name: pin.name,
+      partId: pin.socket.parent.id,
+      socket: pin.socket.name,
+      side: pin.socket.getConnectorWorldPosition().x < centerX ? 'left' : 'right'
+    })));
+
+    const component = PartFactory.create(CONST.PART_TYPE.CUSTOM_COMPONENT, Date.now(), 0, 0);
+    component.setDefinition(definition);
+    component.setPositionImmediately(centerX - component.width / 2, centerY - component.height / 2);
+
+    this.history.record(() => {
+      // 外からのワイヤーをピンにつなぎ直す（ピンにしなかったソケットへのワイヤーは消す）
+      boundaryWires.forEach(wire => {
+        const innerSocket = group.has(wire.startSocket.parent) ? wire.startSocket : wire.endSocket;
+        const pinIndex = pins.slice(0, definition.pins.length).findIndex(pin => pin.socket === innerSocket);
+        if (pinIndex === -1) {
+          this.deleteWire(wire);
+          return;
+        }
+        const pinSocket = component.getPinSocket(pinIndex);
+        innerSocket.disconnectWire(wire);
+        if (wire.startSocket === innerSocket) wire.startSocket = pinSocket;
+        if (wire.endSocket === innerSocket) wire.endSocket = pinSocket;
+        pinSocket.connectWire(wire);
+      });
+
+      // まとめたパーツと中のワイヤーを外す（中身は定義が持っている）
+      innerWires.forEach(wire => {
+        wire.startSocket.disconnectWire(wire);
+        wire.endSocket.disconnectWire(wire);
+      });
+      this.wires.splice(0, this.wires.length, ...this.wires.filter(wire => !innerWires.includes(wire)));
+      this.parts.splice(0, this.parts.length, ...this.parts.filter(part => !group.has(part)));
+      this.parts.push(component);
+    });
+    groupParts.forEach(part => this.partTags.delete(part));
+
+    this.clearSelection();
+    component.isSelected = true;
+    this.selectedParts.add(component);
+    this.powerSystem.invalidateTopology();
+
+    console.log(`カスタム部品「${name}」を作成しました（パーツ${groupParts.length}個、ピン${definition.pins.length}個）`);
+    return component;
+  }
+
+  /**
+   * パーツ群の外接矩形（ワールド座標）
+   * @param {Array} parts
+   * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+   */
+  getPartsBounds(parts) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    parts.forEach(part => {
+      const center = part.getRotationCenter();
+      minX = Math.min(minX, center.x - part.width / 2);
+      minY = Math.min(minY, center.y - part.height / 2);
+      maxX = Math.max(maxX, center.x + part.width / 2);
+      maxY = Math.max(maxY, center.y + part.height / 2);
+    });
+    return { minX, minY, maxX, maxY };
+  }
+
+  /**
+   * 回路（編集中の部品の外側も含む）で使われているカスタム部品の定義を取得
+   * @returns {ComponentDefinition[]}
+   */
+  getComponentDefinitions() {
+    const definitions = [];
+    const add = (definition) => {
+      if (!definitions.includes(definition)) definitions.push(definition);
+    };
+    this.componentEditStack.forEach(frame => {
+      ComponentDefinition.collect(frame.outerParts).forEach(add);
+      add(frame.definition);
+    });
+    ComponentDefinition.collect(this.parts).forEach(add);
+    return definitions;
+  }
+
+  /**
+   * @returns {Map<string, ComponentDefinition>} id -> 定義
+   */
+  getComponentDefinitionMap() {
+    return new Map(this.getComponentDefinitions().map(definition => [definition.id, definition]));
+  }
+
+  /**
+   * 定義を使っている部品の数（編集中の部品の外側も含む）
+   * @param {ComponentDefinition} definition
+   * @returns {number}
+   */
+  countComponentInstances(definition) {
+    const circuits = [this.parts, ...this.componentEditStack.map(frame => frame.outerParts)];
+    return circuits.reduce((sum, parts) => sum + parts.filter(part => part.definition === definition).length, 0);
+  }
+
+  /**
+   * 定義を今の回路に置けるか（編集中の部品を自分の中に置くような循環を防ぐ）
+   * @param {ComponentDefinition} definition
+   * @returns {boolean}
+   */
+  canPlaceComponent(definition) {
+    return !this.componentEditStack.some(frame =>
+      frame.definition === definition || definition.contains(frame.definition));
+  }
+
+  /**
+   * カスタム部品を画面の中央に置く
+   * @param {ComponentDefinition} definition
+   * @returns {CustomComponent|null}
+   */
+  placeComponent(definition) {
+    if (!this.canPlaceComponent(definition)) return null;
+
+    const center = this.getWorldPosition(width / 2, height / 2);
+    const component = PartFactory.create(CONST.PART_TYPE.CUSTOM_COMPONENT, Date.now(), 0, 0);
+    component.setDefinition(definition);
+    component.setPositionImmediately(center.x - component.width / 2, center.y - component.height / 2);
+    this.history.record(() => this.parts.push(component));
+    return component;
+  }
+
+  /**
+   * 編集中のカスタム部品（編集中でなければ null）
+   * @returns {Object|null} componentEditStack の一番上
+   */
+  getEditingComponent() {
+    return this.componentEditStack[this.componentEditStack.length - 1] || null;
+  }
+
+  /**
+   * カスタム部品の中に入って編集する
+   * 今の回路は退避し、定義の中身の複製を表示する。ピンにしたパーツにはタグを付ける
+   * @param {ComponentDefinition} definition
+   * @returns {boolean} 編集を始めたら true
+   */
+  openComponent(definition) {
+    if (this.componentEditStack.some(frame => frame.definition === definition)) return false;
+
+    this.setMultiSelectMode(false);
+    this.draggingPart = null;
+    this.wiringStartNode = null;
+
+    // 履歴は表示中の回路に対するものなので、別の回路に入る時は捨てる
+    this.history.clear();
+    this.componentEditStack.push({
+      definition,
+      pins: definition.pins.map(pin => ({ ...pin })),
+      outerParts: [...this.parts],
+      outerWires: [...this.wires],
+      view: {
+        x: this.inputManager.viewOffsetX,
+        y: this.inputManager.viewOffsetY,
+        scale: this.inputManager.viewScale
+      },
+      partTags: new Map(this.partTags),
+      probes: this.signalRecorder.probes
+    });
+
+    const { parts, wires } = definition.instantiate();
+    this.parts.splice(0, this.parts.length, ...parts);
+    this.wires.splice(0, this.wires.length, ...wires);
+    this.signalRecorder.probes = [];
+    this.refreshComponentPinTags();
+
+    if (parts.length > 0) {
+      const bounds = this.getPartsBounds(parts);
+      this.focusOn({ x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 });
+    }
+    this.resetSimulationState();
+    return true;
+  }
+
+  /**
+   * 編集中の部品のピン（名前・場所）を変える
+   * @param {Array<{key?: string, name: string, partId: number, socket: string, side: string}>} pins
+   */
+  setEditingPins(pins) {
+    const frame = this.getEditingComponent();
+    if (!frame) return;
+    frame.pins = pins;
+    this.refreshComponentPinTags();
+  }
+
+  /**
+   * 編集中の部品の、ピンにしたパーツにピン名のタグを付ける
+   */
+  refreshComponentPinTags() {
+    const frame = this.getEditingComponent();
+    if (!frame) return;
+
+    this.partTags.clear();
+    const byId = new Map(this.parts.map(part => [part.id, part]));
+    frame.pins.forEach(pin => {
+      const part = byId.get(pin.partId);
+      if (!part) return;
+      const tag = this.partTags.get(part);
+      this.partTags.set(part, {
+        text: tag ? `${tag.text}, ${pin.name}` : pin.name,
+        color: CONST.COMPONENTS.COLOR_PIN_TAG
+      });
+    });
+  }
+
+  /**
+   * 編集中のカスタム部品を閉じて、1つ外側の回路に戻る
+   * 定義を書き換え、その定義を使っている部品を全て作り直す
+   */
+  closeComponent() {
+    const frame = this.componentEditStack.pop();
+    if (!frame) return;
+
+    this.setMultiSelectMode(false);
+    this.draggingPart = null;
+    this.wiringStartNode = null;
+
+    frame.definition.setCircuit(this.parts, this.wires, frame.pins);
+    this.history.clear();
+    this.restoreOuterCircuit(frame);
+    this.rebuildStaleComponents();
+    this.resetSimulationState();
+  }
+
+  /**
+   * 編集中の内容を（編集を続けたまま）定義に反映する（保存用）
+   * 内側から順に反映するので、入れ子で編集中でも一番外の回路に全て含まれる
+   */
+  commitComponentEdits() {
+    for (let i = this.componentEditStack.length - 1; i >= 0; i--) {
+      const frame = this.componentEditStack[i];
+      const inner = this.componentEditStack[i + 1];
+      const parts = inner ? inner.outerParts : this.parts;
+      const wires = inner ? inner.outerWires : this.wires;
+      frame.definition.setCircuit(parts, wires, frame.pins);
+      frame.pins = frame.definition.pins.map(pin => ({ ...pin }));
+    }
+  }
+
+  /**
+   * 編集中の部品があれば、変更を捨てて一番外の回路に戻る
+   */
+  discardComponentEdits() {
+    const root = this.componentEditStack[0];
+    if (!root) return;
+    this.componentEditStack = [];
+    this.history.clear();
+    this.restoreOuterCircuit(root);
+  }
 
-    console.log(`${newParts.length}個のパーツ（Joint含む）を複製しました`);
+  /**
+   * 部品に入る前の回路・視点・タグ・プローブに戻す
+   * @param {Object} frame - componentEditStack の要素
+   */
+  restoreOuterCircuit(frame) {
+    this.parts.splice(0, this.parts.length, ...frame.outerParts);
+    this.wires.splice(0, this.wires.length, ...frame.outerWires);
+    this.inputManager.viewOffsetX = frame.view.x;
+    this.inputManager.viewOffsetY = frame.view.y;
+    this.inputManager.viewScale = frame.view.scale;
+    this.partTags.clear();
+    frame.partTags.forEach((tag, part) => this.partTags.set(part, tag));
+    this.signalRecorder.probes = frame.probes;
+    this.refreshComponentPinTags();
   }
 
   /**
-   * 内部Joint（挟まれたJoint）を特定する
-   * GraphUtilsを使って、選択パーツに囲まれたJointを抽出
+   * 定義が編集されたカスタム部品を作り直す（中心の位置は変えない）
+   * 無くなったピンにつながっていたワイヤーは消す
    */
-  detectImplicitJoints() {
-    // GraphUtilsに委譲（前回の修正を反映）
-    this.implicitJoints = GraphUtils.findEnclosedJoints(this.parts, this.selectedParts);
+  rebuildStaleComponents() {
+    this.parts.forEach(part => {
+      if (typeof part.isStale !== 'function' || !part.isStale()) return;
+
+      const center = part.getRotationCenter();
+      const removedSockets = part.rebuild();
+      part.setPositionImmediately(center.x - part.width / 2, center.y - part.height / 2);
+      removedSockets.forEach(socket => {
+        [...socket.connectedWires].forEach(wire => this.deleteWire(wire));
+      });
+    });
   }
 
   /**
-   * 全てのパーツとワイヤーをリセット（削除）
+   * 表示する回路を入れ替えた後に、シミュレーションの状態を作り直す
    */
-  resetAll() {
-    // 全てのワイヤーの接続情報をクリア
-    for (let wire of this.wires) {
-      wire.startSocket.disconnectWire(wire);
-      wire.endSocket.disconnectWire(wire);
-    }
-    
-    // 配列をクリア
-    this.parts.length = 0;
-    this.wires.length = 0;
-    
-    // ドラッグ状態などもリセット
-    this.draggingPart = null;
-    this.wiringStartNode = null;
-    this.isPanning = false;
-    
-    console.log("全てのパーツとワイヤーをリセットしました");
+  resetSimulationState() {
+    this.powerSystem.lastTick = -1;
+    this.powerSystem.invalidateTopology();
+    this.oscillationDetector.reset();
   }
 
   // ==================== ヘルパー ====================
@@ -266,6 +1003,15 @@ export class CircuitManager {
     return this.inputManager.getWorldPosition(screenX, screenY);
   }
 
+  /**
+   * 指定したワールド座標を画面の中央に表示し、目印を出す
+   * @param {{x: number, y: number}} position - ワールド座標
+   */
+  focusOn(position) {
+    this.inputManager.centerOn(position.x, position.y, width / 2, height / 2);
+    this.focusMarker = { x: position.x, y: position.y, startTime: millis() };
+  }
+
   /**
    * InputManagerへのアクセス（UIなどから使用）
    * @returns {InputManager}
@@ -318,7 +1064,7 @@ export class CircuitManager {
     const newId = Date.now();
     const part = new TextLabel(newId, x, y, text);
     part.setPositionImmediately(x, y);
-    this.parts.push(part);
+    this.history.record(() => this.parts.push(part));
     return part;
   }
 
@@ -329,7 +1075,7 @@ export class CircuitManager {
     const newPart = PartFactory.create(type, newId, x, y);
     
     if (newPart) {
-      this.parts.push(newPart);
+      this.history.record(() => this.parts.push(newPart));
     }
   }
 
@@ -338,36 +1084,38 @@ export class CircuitManager {
    * @param {CircuitPart} targetPart - 削除対象のパーツ
    */
   deletePart(targetPart) {
-    // 影響を受ける隣接パーツを記録するセット
-    const neighborsToCheck = new Set();
-
-    // 手順A: この部品に繋がっているワイヤーを全て探して消す
-    for (let i = this.wires.length - 1; i >= 0; i--) {
-      const wire = this.wires[i];
-      
-      if (wire.startSocket.parent === targetPart || wire.endSocket.parent === targetPart) {
-        // 反対側のパーツを記録しておく
-        const otherPart = (wire.startSocket.parent === targetPart) 
-                          ? wire.endSocket.parent 
-                          : wire.startSocket.parent;
-        neighborsToCheck.add(otherPart);
-
-        wire.startSocket.disconnectWire(wire);
-        wire.endSocket.disconnectWire(wire);
-        this.wires.splice(i, 1);
+    this.history.record(() => {
+      // 影響を受ける隣接パーツを記録するセット
+      const neighborsToCheck = new Set();
+
+      // 手順A: この部品に繋がっているワイヤーを全て探して消す
+      for (let i = this.wires.length - 1; i >= 0; i--) {
+        const wire = this.wires[i];
+
+        if (wire.startSocket.parent === targetPart || wire.endSocket.parent === targetPart) {
+          // 反対側のパーツを記録しておく
+          const otherPart = (wire.startSocket.parent === targetPart) 
+                            ? wire.endSocket.parent 
+                            : wire.startSocket.parent;
+          neighborsToCheck.add(otherPart);
+
+          wire.startSocket.disconnectWire(wire);
+          wire.endSocket.disconnectWire(wire);
+          this.wires.splice(i, 1);
+        }
       }
-    }
 
-    // 手順B: 部品リストから本体を削除
-    const index = this.parts.indexOf(targetPart);
-    if (index > -1) {
-      this.parts.splice(index, 1);
-      console.log("部品を削除しました");
-    }
+      // 手順B: 部品リストから本体を削除
+      const index = this.parts.indexOf(targetPart);
+      if (index > -1) {
+        this.parts.splice(index, 1);
+        console.log("部品を削除しました");
+      }
 
-    // 手順C: 道連れでワイヤーが消えた先のJointをチェック
-    neighborsToCheck.forEach(part => {
-      this.cleanupOrphanedJoint(part);
+      // 手順C: 道連れでワイヤーが消えた先のJointをチェック
+      neighborsToCheck.forEach(part => {
+        this.cleanupOrphanedJoint(part);
+      });
     });
   }
 
@@ -376,21 +1124,23 @@ export class CircuitManager {
    * @param {Wire} targetWire - 削除対象のワイヤー
    */
   deleteWire(targetWire) {
-    const startPart = targetWire.startSocket.parent;
-    const endPart = targetWire.endSocket.parent;
+    this.history.record(() => {
+      const startPart = targetWire.startSocket.parent;
+      const endPart = targetWire.endSocket.parent;
 
-    const index = this.wires.indexOf(targetWire);
-    if (index > -1) {
-      targetWire.startSocket.disconnectWire(targetWire);
-      targetWire.endSocket.disconnectWire(targetWire);
-      
-      this.wires.splice(index, 1);
-      console.log("ワイヤーを削除しました");
+      const index = this.wires.indexOf(targetWire);
+      if (index > -1) {
+        targetWire.startSocket.disconnectWire(targetWire);
+        targetWire.endSocket.disconnectWire(targetWire);
 
-      // 両端がJointなら、もう不要かチェックして消す
-      this.cleanupOrphanedJoint(startPart);
-      this.cleanupOrphanedJoint(endPart);
-    }
+        this.wires.splice(index, 1);
+        console.log("ワイヤーを削除しました");
+
+        // 両端がJointなら、もう不要かチェックして消す
+        this.cleanupOrphanedJoint(startPart);
+        this.cleanupOrphanedJoint(endPart);
+      }
+    });
   }
 
   /**
@@ -423,80 +1173,83 @@ export class CircuitManager {
    * 操作の最後に呼び出すことでゴミデータを掃除する
    */
   consolidateWires() {
-    // 配列を操作（削除）するため、後ろからループする
-    for (let i = this.wires.length - 1; i >= 0; i--) {
-      const wire = this.wires[i];
-      const startPos = wire.startSocket.getConnectorWorldPosition();
-      const endPos = wire.endSocket.getConnectorWorldPosition();
+    // Jointのマージも含めて1回の操作として記録する（マウス操作の途中ならその操作にまとめる）
+    this.history.record(() => {
+      // 配列を操作（削除）するため、後ろからループする
+      for (let i = this.wires.length - 1; i >= 0; i--) {
+        const wire = this.wires[i];
+        const startPos = wire.startSocket.getConnectorWorldPosition();
+        const endPos = wire.endSocket.getConnectorWorldPosition();
+
+        // 1. 長さがほぼ0（重なっている）場合の処理
+        if (MathUtils.distance(startPos.x, startPos.y, endPos.x, endPos.y) < CONST.PARTS.SOCKET_HIT_RADIUS) {
+
+          const startPart = wire.startSocket.parent;
+          const endPart = wire.endSocket.parent;
+          const isStartJoint = (startPart.type === CONST.PART_TYPE.JOINT);
+          const isEndJoint = (endPart.type === CONST.PART_TYPE.JOINT);
+
+          // ★修正: 「同じパーツかどうか」ではなく「同じソケットかどうか」で判定する
+          // これにより、同じパーツの Left と Right を繋ぐような配線は
+          // たとえ距離が近くても削除されずに残ります。
+          if (wire.startSocket === wire.endSocket) {
+            this.deleteWire(wire);
+            continue;
+          }
 
-      // 1. 長さがほぼ0（重なっている）場合の処理
-      if (dist(startPos.x, startPos.y, endPos.x, endPos.y) < CONST.PARTS.SOCKET_HIT_RADIUS) {
-        
-        const startPart = wire.startSocket.parent;
-        const endPart = wire.endSocket.parent;
-        const isStartJoint = (startPart.type === CONST.PART_TYPE.JOINT);
-        const isEndJoint = (endPart.type === CONST.PART_TYPE.JOINT);
-        
-        // ★修正: 「同じパーツかどうか」ではなく「同じソケットかどうか」で判定する
-        // これにより、同じパーツの Left と Right を繋ぐような配線は
-        // たとえ距離が近くても削除されずに残ります。
-        if (wire.startSocket === wire.endSocket) {
-          this.deleteWire(wire);
-          continue;
-        }
+          // パターンB: Jointが含まれる接続
+          // Jointを削除して、もう片方のパーツに接続を集約する（マージ処理）
+          if (isStartJoint || isEndJoint) {
+             // 1. 消える側（Joint）と、残る側（Target）を決める
+             const joint = isStartJoint ? startPart : endPart;
+             const targetSocket = isStartJoint ? wire.endSocket : wire.startSocket;
+             const jointSocket = joint.getSocket('joint');
+
+             // 2. Jointに繋がっているワイヤーをリストアップ
+             const wiresToTransfer = [...jointSocket.connectedWires];
+
+             // 3. 全ワイヤーをターゲット（重ねた先のパーツ）に付け替える
+             wiresToTransfer.forEach(w => {
+               if (w === wire) {
+                 // 重なりの原因になったワイヤー自体は消す
+                 this.deleteWire(w);
+               } else {
+                 // それ以外のワイヤー（他から来ていた線）は引き継ぐ
+                 jointSocket.disconnectWire(w);
+
+                 // 端点の書き換え
+                 if (w.startSocket === jointSocket) w.startSocket = targetSocket;
+                 if (w.endSocket === jointSocket) w.endSocket = targetSocket;
+
+                 // 新しい接続先に登録
+                 targetSocket.connectWire(w);
+               }
+             });
+
+             // 4. 空っぽになったJointを削除
+             this.deletePart(joint);
+
+             continue; 
+          }
 
-        // パターンB: Jointが含まれる接続
-        // Jointを削除して、もう片方のパーツに接続を集約する（マージ処理）
-        if (isStartJoint || isEndJoint) {
-           // 1. 消える側（Joint）と、残る側（Target）を決める
-           const joint = isStartJoint ? startPart : endPart;
-           const targetSocket = isStartJoint ? wire.endSocket : wire.startSocket;
-           const jointSocket = joint.getSocket('joint');
-
-           // 2. Jointに繋がっているワイヤーをリストアップ
-           const wiresToTransfer = [...jointSocket.connectedWires];
-           
-           // 3. 全ワイヤーをターゲット（重ねた先のパーツ）に付け替える
-           wiresToTransfer.forEach(w => {
-             if (w === wire) {
-               // 重なりの原因になったワイヤー自体は消す
-               this.deleteWire(w);
-             } else {
-               // それ以外のワイヤー（他から来ていた線）は引き継ぐ
-               jointSocket.disconnectWire(w);
-               
-               // 端点の書き換え
-               if (w.startSocket === jointSocket) w.startSocket = targetSocket;
-               if (w.endSocket === jointSocket) w.endSocket = targetSocket;
-               
-               // 新しい接続先に登録
-               targetSocket.connectWire(w);
-             }
-           });
-           
-           // 4. 空っぽになったJointを削除
-           this.deletePart(joint);
-           
-           continue; 
+          // パターンC: 一般パーツ同士の重なり（自己接続含む）
+          // 別ソケット同士であれば、意図的な接続の可能性が高いため削除せずに残す
         }
-        
-        // パターンC: 一般パーツ同士の重なり（自己接続含む）
-        // 別ソケット同士であれば、意図的な接続の可能性が高いため削除せずに残す
-      }
 
-      // 2. 重複ワイヤー（始点・終点が同じペア）を削除
-      for (let j = 0; j < i; j++) {
-        const other = this.wires[j];
-        
-        const isSameDir = (wire.startSocket === other.startSocket && wire.endSocket === other.endSocket);
-        const isReverseDir = (wire.startSocket === other.endSocket && wire.endSocket === other.startSocket);
+        // 2. 重複ワイヤー（始点・終点が同じペア）を削除
+        for (let j = 0; j < i; j++) {
+          const other = this.wires[j];
 
-        if (isSameDir || isReverseDir) {
-          this.deleteWire(wire);
-          break; // 削除したのでinner loopを抜ける
+          const isSameDir = (wire.startSocket === other.startSocket && wire.endSocket === other.endSocket);
+          const isReverseDir = (wire.startSocket === other.endSocket && wire.endSocket === other.startSocket);
+
+          if (isSameDir || isReverseDir) {
+            this.deleteWire(wire);
+            break; // 削除したのでinner loopを抜ける
+          }
         }
       }
-    }
+    });
   }
 
   // ==================== 描画 ====================
@@ -529,6 +1282,82 @@ export class CircuitManager {
     }
   }
 
+  /**
+   * 自動整列のプレビュー（並べ直した後のパーツの枠と、つながるワイヤー）を点線で描く
+   */
+  drawAutoLayoutPreview() {
+    const preview = this.layoutPreview;
+    if (!preview) return;
+
+    const { placements } = preview;
+    push();
+    stroke(...CONST.AUTO_LAYOUT.PREVIEW_COLOR);
+    strokeWeight(CONST.AUTO_LAYOUT.PREVIEW_STROKE_WEIGHT);
+    drawingContext.setLineDash(CONST.AUTO_LAYOUT.PREVIEW_DASH_PATTERN);
+
+    noFill();
+    this.wires.forEach(wire => {
+      if (!placements.has(wire.startSocket.parent) && !placements.has(wire.endSocket.parent)) return;
+      const start = AutoLayout.getConnectorPosition(wire.startSocket, placements);
+      const end = AutoLayout.getConnectorPosition(wire.endSocket, placements);
+      line(start.x, start.y, end.x, end.y);
+    });
+
+    fill(...CONST.AUTO_LAYOUT.PREVIEW_COLOR, CONST.AUTO_LAYOUT.PREVIEW_FILL_ALPHA);
+    placements.forEach((placement, part) => {
+      const halfW = part.width / 2;
+      const halfH = part.height / 2;
+      beginShape();
+      [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]].forEach(([lx, ly]) => {
+        const corner = AutoLayout.toWorld(part, placement, lx, ly);
+        vertex(corner.x, corner.y);
+      });
+      endShape(CLOSE);
+    });
+
+    drawingContext.setLineDash([]);
+    pop();
+  }
+
+  /**
+   * スマートガイドの描画（揃った2点を結ぶ点線と、その距離のバッジ）
+   * 拡大率によらず同じ太さ・大きさに見えるように、線と文字は viewScale で割る
+   */
+  drawAlignmentGuides() {
+    if (this.alignmentGuides.length === 0) return;
+
+    const scale = this.inputManager.viewScale;
+    const extend = CONST.GUIDES.EXTEND / scale;
+
+    push();
+    textAlign(CENTER, CENTER);
+    textSize(CONST.GUIDES.BADGE_TEXT_SIZE / scale);
+    this.alignmentGuides.forEach(({ axis, from, to, distance }) => {
+      // 2点を結ぶ線を、両端から少し先まで伸ばす
+      const dirX = axis === 'x' ? 0 : Math.sign(to.x - from.x);
+      const dirY = axis === 'x' ? Math.sign(to.y - from.y) : 0;
+
+      stroke(...CONST.GUIDES.COLOR);
+      strokeWeight(CONST.GUIDES.STROKE_WEIGHT / scale);
+      drawingContext.setLineDash(CONST.GUIDES.DASH_PATTERN.map(length => length / scale));
+      line(from.x - dirX * extend, from.y - dirY * extend, to.x + dirX * extend, to.y + dirY * extend);
+      drawingContext.setLineDash([]);
+
+      // 距離（グリッド何個分か）
+      const label = String(Math.round(distance * 10) / 10);
+      const padding = CONST.GUIDES.BADGE_PADDING / scale;
+      const midX = (from.x + to.x) / 2;
+      const midY = (from.y + to.y) / 2;
+      noStroke();
+      fill(...CONST.GUIDES.COLOR);
+      rectMode(CENTER);
+      rect(midX, midY, textWidth(label) + padding * 2, CONST.GUIDES.BADGE_TEXT_SIZE / scale + padding, padding);
+      fill(0);
+      text(label, midX, midY);
+    });
+    pop();
+  }
+
   /**
    * 仮ワイヤーの描画（マウスについてくる線）
    */
@@ -600,6 +1429,138 @@ export class CircuitManager {
     return null;
   }
 
+  /**
+   * 発振ループのパーツとワイヤーを強調表示
+   * 意図しない発振は明滅させ、意図したクロックは落ち着いた色で表示する
+   */
+  drawOscillationLoops() {
+    const loops = this.oscillationDetector.loops;
+    if (loops.length === 0) return;
+
+    const { COLOR_RING, COLOR_CLOCK, HIGHLIGHT_ALPHA } = CONST.OSCILLATION;
+
+    push();
+    loops.forEach(loop => {
+      const baseColor = loop.isIntentional ? COLOR_CLOCK : COLOR_RING;
+      const alpha = loop.isIntentional
+        ? HIGHLIGHT_ALPHA
+        : HIGHLIGHT_ALPHA * (0.6 + 0.4 * Math.sin(millis() / 150));
+
+      stroke(...baseColor, alpha);
+      strokeWeight(CONST.WIRE.STROKE_WEIGHT + 10);
+      noFill();
+      loop.wires.forEach(wire => wire.drawPath(wire.getPath()));
+
+      noStroke();
+      fill(...baseColor, alpha);
+      loop.pathParts.forEach(part => {
+        const center = part.getRotationCenter();
+        circle(center.x, center.y, CONST.PARTS.WIDTH * 1.8);
+      });
+    });
+    pop();
+  }
+
+  /**
+   * 電力予算モードで過負荷になったネットワークの、止まっているライト・ドアを明滅させる
+   */
+  drawOverloadedNetworks() {
+    const overloaded = this.powerSystem.networks.filter(network => network.overloaded);
+    if (overloaded.length === 0) return;
+
+    const { COLOR_OVERLOAD, HIGHLIGHT_ALPHA, SHUTDOWN_TYPES } = CONST.POWER_BUDGET;
+    const alpha = HIGHLIGHT_ALPHA * (0.6 + 0.4 * Math.sin(millis() / 150));
+
+    push();
+    noStroke();
+    fill(...COLOR_OVERLOAD, alpha);
+    overloaded.forEach(network => {
+      network.consumers
+        .filter(part => SHUTDOWN_TYPES.includes(part.type))
+        .forEach(part => {
+          const center = part.getRotationCenter();
+          circle(center.x, center.y, CONST.PARTS.WIDTH * 1.8);
+        });
+    });
+    pop();
+  }
+
+  /**
+   * 視点を移した先に、しばらくの間だけ目印の円を描画
+   */
+  drawFocusMarker() {
+    if (!this.focusMarker) return;
+
+    const { FOCUS_MARKER_DURATION, FOCUS_MARKER_COLOR, FOCUS_MARKER_SIZE } = CONST.LINT;
+    const elapsed = millis() - this.focusMarker.startTime;
+    if (elapsed > FOCUS_MARKER_DURATION) {
+      this.focusMarker = null;
+      return;
+    }
+
+    const progress = elapsed / FOCUS_MARKER_DURATION;
+    push();
+    noFill();
+    stroke(...FOCUS_MARKER_COLOR, 255 * (1 - progress));
+    strokeWeight(4);
+    circle(this.focusMarker.x, this.focusMarker.y, FOCUS_MARKER_SIZE * (1 - 0.4 * progress));
+    pop();
+  }
+
+  /**
+   * パーツの上にタグ（短いテキスト）を描画
+   */
+  drawPartTags() {
+    if (this.partTags.size === 0) return;
+
+    push();
+    textAlign(CENTER, CENTER);
+    textSize(13);
+    textStyle(BOLD);
+    for (const [part, tag] of this.partTags) {
+      if (!this.parts.includes(part)) continue;
+
+      const center = part.getRotationCenter();
+      const y = center.y - part.height / 2 - 16;
+      const w = textWidth(tag.text) + 10;
+
+      noStroke();
+      fill(0, 0, 0, 180);
+      rectMode(CENTER);
+      rect(center.x, y, w, 18, 4);
+      fill(...tag.color);
+      text(tag.text, center.x, y);
+    }
+    pop();
+  }
+
+  /**
+   * 波形パネルにピン留めされたソケット・パーツに目印を描画
+   */
+  drawProbeMarkers() {
+    const probes = this.signalRecorder.probes;
+    if (probes.length === 0) return;
+
+    push();
+    noFill();
+    stroke(CONST.WAVEFORM.COLOR_MARKER);
+    strokeWeight(2);
+    drawingContext.setLineDash([3, 3]);
+
+    probes.forEach(probe => {
+      if (probe.kind === 'socket') {
+        const pos = probe.target.getConnectorWorldPosition();
+        circle(pos.x, pos.y, CONST.PARTS.SOCKET_HIT_RADIUS * 2);
+      } else {
+        const center = probe.target.getRotationCenter();
+        circle(center.x, center.y, CONST.PARTS.WIDTH * 1.5);
+      }
+    });
+
+    drawingContext.setLineDash([]);
+    pop();
+  }
+
   /**
    * 削除モードの警告表示
    */
@@ -616,6 +1577,41 @@ export class CircuitManager {
     pop();
   }
 
+  /**
+   * カスタム部品の編集中は、画面下に編集中の部品名を表示
+   */
+  drawComponentEditBanner() {
+    const frame = this.getEditingComponent();
+    if (!frame) return;
+
+    push();
+    textAlign(CENTER, BOTTOM);
+    textSize(16);
+    textStyle(BOLD);
+    fill(...CONST.COMPONENTS.COLOR_PIN_TAG);
+    stroke(0);
+    strokeWeight(3);
+    text(CONST.MESSAGES.TEXT_COMPONENTS_EDITING + frame.definition.name, width / 2, height - 20);
+    pop();
+  }
+
+  /**
+   * 自動整列のプレビュー中であることを画面下に表示する（部品の編集中の表示と重ならないように上にずらす）
+   */
+  drawAutoLayoutBanner() {
+    if (!this.layoutPreview) return;
+
+    push();
+    textAlign(CENTER, BOTTOM);
+    textSize(16);
+    textStyle(BOLD);
+    fill(...CONST.AUTO_LAYOUT.PREVIEW_COLOR);
+    stroke(0);
+    strokeWeight(3);
+    text(CONST.MESSAGES.TEXT_AUTO_LAYOUT_PREVIEWING, width / 2, height - (this.getEditingComponent() ? 44 : 20));
+    pop();
+  }
+
   /**
    * 複数選択モードの表示（テキスト＆カーソル）
    * update() の最後で呼び出す
@@ -645,7 +1641,7 @@ export class CircuitManager {
     
     // ドラッグ中や操作中は吸着させない（カーソルが暴れるのを防ぐ）
     // ★追加: グループ回転中も吸着させない
-    if (!this.isGroupDragging && !this.draggingPart && !this.isGroupRotating) {
+    if (!this.isGroupDragging && !this.draggingPart && !this.isGroupRotating && !this.boxSelection) {
       for (let i = this.parts.length - 1; i >= 0; i--) {
         const part = this.parts[i];
         if (part.type === CONST.PART_TYPE.JOINT) continue;
@@ -659,6 +1655,8 @@ export class CircuitManager {
       }
     }
 
+    this.drawBoxSelection();
+
     // --- 目標値の設定 ---
     if (targetPart) {
       // ■ パーツに吸着する場合
@@ -725,6 +1723,35 @@ export class CircuitManager {
     pop(); // applyTransformの解除
   }
 
+  /**
+   * 範囲選択の矩形を描く（ワールド座標系で呼ぶ）
+   * スマホで長押しが成立してまだ動かしていない時は、始点に丸を出して知らせる
+   */
+  drawBoxSelection() {
+    const box = this.boxSelection;
+    if (!box || !box.active) return;
+
+    const color = box.mode === 'subtract'
+      ? CONST.MULTI_SELECT_MODE.BOX_COLOR_SUBTRACT
+      : CONST.MULTI_SELECT_MODE.COLOR_STROKE;
+
+    push();
+    stroke(...color);
+    strokeWeight(CONST.MULTI_SELECT_MODE.BOX_STROKE_WEIGHT);
+
+    if (!box.dragged) {
+      noFill();
+      circle(box.startX, box.startY, CONST.MULTI_SELECT_MODE.BOX_START_MARKER_SIZE);
+    } else {
+      fill(...CONST.MULTI_SELECT_MODE.COLOR_BG);
+      drawingContext.setLineDash(CONST.MULTI_SELECT_MODE.CURSOR_DASH_PATTERN);
+      rectMode(CORNERS);
+      rect(box.startX, box.startY, box.endX, box.endY);
+      drawingContext.setLineDash([]);
+    }
+    pop();
+  }
+
   /**
    * 現在の状態から「何を表示すべきか」を判定する可視性ルール
    * @returns {Object} 可視性ルール
@@ -774,15 +1801,31 @@ export class CircuitManager {
    * キャンバスの更新と描画
    */
   update() {
-    this.powerSystem.update();
+    // p5.jsの deltaTime（前フレームからの経過ミリ秒）に再生速度を掛けた分だけシミュレーションを進める
+    // 一時停止中は時間を止めたまま、スイッチ操作などによる電気の伝播だけを反映する
+    const simDelta = this.isSimulationPaused ? 0 : deltaTime * this.simulationSpeed;
+    this.powerSystem.step(simDelta);
     
     this.parts.forEach(part => part.updateAnimation());
 
+    // 削除されたパーツのプローブは波形パネルから外す
+    this.signalRecorder.pruneMissing(this.parts);
+
     // ★追加: グループ回転中の追従処理（塊感を出すため、毎フレーム即時計算）
     if (this.isGroupRotating && this.draggingPart) {
       this.syncGroupRotation();
     }
 
+    if (this.layoutPreview && !this.isAutoLayoutPreviewValid()) {
+      this.layoutPreview = null;
+    }
+
+    // スマホ: 指を動かさずに長押ししたら範囲選択を始める
+    const box = this.boxSelection;
+    if (box && !box.active && millis() - box.pressTime >= CONST.MULTI_SELECT_MODE.LONG_PRESS_MS) {
+      box.active = true;
+    }
+
     background(CONST.COLORS.BACKGROUND);
 
     push(); // 座標系保存
@@ -798,15 +1841,31 @@ export class CircuitManager {
     // 可視性ルールを生成
     const visibilityRules = this.getVisibilityRules();
 
+    // 直角配線モードの経路を、動いたワイヤーの分だけ求め直す
+    if (this.isOrthogonalWires) {
+      WireRouter.updateRoutes(this.wires, this.parts);
+    }
+
+    // 発振ループの強調表示（パーツ・ワイヤーの下に描く）
+    this.drawOscillationLoops();
+    this.drawOverloadedNetworks();
+
     // 各パーツに可視性ルールを渡して描画
     this.parts.forEach(part => part.draw(worldMouse, visibilityRules));
     this.wires.forEach(wire => wire.draw());
 
+    this.drawAlignmentGuides();
+    this.drawAutoLayoutPreview();
     this.drawTempWire();
+    this.drawProbeMarkers();
+    this.drawPartTags();
+    this.drawFocusMarker();
 
     pop(); // 座標系復帰
 
     this.drawDeleteModeWarning();
+    this.drawComponentEditBanner();
+    this.drawAutoLayoutBanner();
     this.drawMultiSelectOverlay();
 
     // ★追加: パーツ数カウントを通知（UIControllerがリスナー登録）
@@ -867,7 +1926,15 @@ export class CircuitManager {
    * マウスボタンを押した時の処理
    */
   handleMousePressed(isMobile = false) {
+    // 離すまでの変更（移動・回転・配線・削除など）を1回の操作として記録する
+    this.history.begin();
+
     const worldMouse = this.getWorldPosition(mouseX, mouseY);
+
+    // 0. Alt+クリック：波形パネルへのピン留め（PC版のみ）
+    if (!isMobile && keyIsDown(ALT)) {
+      if (this.toggleProbeAt(worldMouse.x, worldMouse.y)) return;
+    }
     
     // 1. 削除モード（優先）
     if (this.isDeleteMode && !isMobile) {
@@ -985,7 +2052,12 @@ export class CircuitManager {
         this.startGroupDrag(worldMouse);
         return;
       } else {
-        if (!isMobile) this.isPanning = true;
+        // 何も無い場所: 範囲選択（PC版は中ボタンか Ctrl+ドラッグでパン）
+        if (!isMobile && (mouseButton === CENTER || keyIsDown(CONTROL))) {
+          this.isPanning = true;
+        } else {
+          this.startBoxSelection(worldMouse, isMobile);
+        }
         return; 
       }
     }
@@ -1037,6 +2109,98 @@ export class CircuitManager {
     }
   }
 
+  // ==================== 範囲選択 ====================
+
+  /**
+   * 範囲選択を始める
+   * PC版はそのままドラッグで矩形を描く（Shift: 選択に追加、Alt: 選択から外す、何も無し: 選び直す）
+   * スマホ版は長押しが成立してから（update() で判定）指を動かすと矩形を描く
+   * @param {{x: number, y: number}} worldMouse
+   * @param {boolean} isMobile
+   */
+  startBoxSelection(worldMouse, isMobile) {
+    let mode = 'replace';
+    if (!isMobile && keyIsDown(SHIFT)) {
+      mode = 'add';
+    } else if (!isMobile && keyIsDown(ALT)) {
+      mode = 'subtract';
+    }
+
+    this.boxSelection = {
+      startX: worldMouse.x,
+      startY: worldMouse.y,
+      endX: worldMouse.x,
+      endY: worldMouse.y,
+      screenX: mouseX,
+      screenY: mouseY,
+      pressTime: millis(),
+      mode,
+      active: !isMobile, // false の間は長押し待ち
+      dragged: false     // 少しでも矩形を広げたか（広げずに離したらクリック扱い）
+    };
+  }
+
+  /**
+   * ドラッグに合わせて矩形の終点を動かす
+   * 長押しが成立する前に指が動いたら範囲選択をやめる
+   * @param {{x: number, y: number}} worldMouse
+   */
+  updateBoxSelection(worldMouse) {
+    const box = this.boxSelection;
+    const moved = dist(mouseX, mouseY, box.screenX, box.screenY);
+
+    if (!box.active) {
+      if (moved > CONST.MULTI_SELECT_MODE.LONG_PRESS_TOLERANCE) {
+        this.boxSelection = null;
+      }
+      return;
+    }
+
+    box.endX = worldMouse.x;
+    box.endY = worldMouse.y;
+    if (moved >= CONST.MULTI_SELECT_MODE.BOX_MIN_DRAG) {
+      box.dragged = true;
+    }
+  }
+
+  /**
+   * 離した時に、矩形に収まったパーツで選択を更新する
+   * 回転したパーツは isMouseOver() と同じ回転した矩形の4つの角が全て入ったものだけを選ぶ
+   * Jointは直接選ばず、detectImplicitJoints() で選択に囲まれたものが道連れになる
+   */
+  finishBoxSelection() {
+    const box = this.boxSelection;
+    this.boxSelection = null;
+    if (!box.active || !box.dragged) return;
+
+    const minX = Math.min(box.startX, box.endX);
+    const maxX = Math.max(box.startX, box.endX);
+    const minY = Math.min(box.startY, box.endY);
+    const maxY = Math.max(box.startY, box.endY);
+
+    const hits = this.parts.filter(part => {
+      if (part.type === CONST.PART_TYPE.JOINT) return false;
+      return part.getWorldCorners().every(corner =>
+        corner.x >= minX && corner.x <= maxX && corner.y >= minY && corner.y <= maxY);
+    });
+
+    if (box.mode === 'replace') {
+      this.clearSelection();
+    }
+    hits.forEach(part => {
+      if (box.mode === 'subtract') {
+        part.isSelected = false;
+        this.selectedParts.delete(part);
+      } else {
+        part.isSelected = true;
+        this.selectedParts.add(part);
+      }
+    });
+    this.detectImplicitJoints();
+
+    console.log(`範囲選択: ${hits.length}個 (${box.mode}) → 選択中 ${this.selectedParts.size}個`);
+  }
+
   /**
    * グループドラッグ開始処理
    */
@@ -1111,6 +2275,7 @@ export class CircuitManager {
       this.draggingPart = null;
       this.dragJointWeights = null;
       this.isGroupDragging = false;
+      this.boxSelection = null;
       return;
     }
 
@@ -1151,6 +2316,11 @@ export class CircuitManager {
 
     const worldMouse = this.getWorldPosition(mouseX, mouseY);
 
+    if (this.boxSelection) {
+      this.updateBoxSelection(worldMouse);
+      return;
+    }
+
     // ★追加: グループ回転処理
     if (this.isGroupRotating && this.draggingPart) {
       const pivot = this.draggingPart;
@@ -1172,6 +2342,7 @@ export class CircuitManager {
       if (leader) {
         // 1. リーダー自身の移動（ここでスナップ計算が行われる）
         leader.onMouseDragged(worldMouse.x, worldMouse.y, snapUnit);
+        this.snapToGuides(leader, new Set([...this.selectedParts, ...this.implicitJoints]));
         
         // 2. リーダーの「移動量（開始位置からの変位）」を算出
         // dragStartX は onMouseDown で記録された「ドラッグ開始時の座標」
@@ -1233,6 +2404,16 @@ export class CircuitManager {
           }
         }
 
+        // ソケットに吸着したJoint以外は、近くのパーツの中心・ソケットに揃える
+        if (this.currentSnapSocket) {
+          this.alignmentGuides = [];
+        } else {
+          const following = this.dragJointWeights
+            ? [...this.dragJointWeights].filter(([, weight]) => weight > 0).map(([joint]) => joint)
+            : [];
+          this.snapToGuides(this.draggingPart, new Set([this.draggingPart, ...following]));
+        }
+
         const dx = this.draggingPart.targetX - oldX;
         const dy = this.draggingPart.targetY - oldY;
         
@@ -1251,12 +2432,36 @@ export class CircuitManager {
     }
   }
 
+  /**
+   * ドラッグ中のパーツを近くのパーツの中心・ソケットに揃え、表示するガイドを更新する
+   * @param {CircuitPart} part
+   * @param {Set<CircuitPart>} moving - 一緒に動いているパーツ（揃える相手にしない）
+   */
+  snapToGuides(part, moving) {
+    const threshold = CONST.GUIDES.SNAP_DISTANCE / this.inputManager.viewScale;
+    this.alignmentGuides = SmartGuides.snap(part, this.parts, moving, threshold);
+  }
+
   /**
    * マウスを離した時の処理
    */
   handleMouseReleased() {
+    this.finishPointerOperation();
+    this.history.commit();
+  }
+
+  /**
+   * 押していたパーツ・ワイヤーの操作を終える（handleMouseReleased から呼ぶ）
+   */
+  finishPointerOperation() {
     this.inputManager.resetTwoFingerGesture();
     this.isPanning = false;
+    this.alignmentGuides = [];
+
+    if (this.boxSelection) {
+      this.finishBoxSelection();
+      return;
+    }
 
     // ★追加: グループ回転終了
     if (this.isGroupRotating) {
@@ -1411,23 +2616,36 @@ export class CircuitManager {
    * 回路データをシリアライズ
    */
   serializeCircuitData(compact = false) {
-    const viewState = {
+    // カスタム部品の編集中は、編集内容を定義に反映してから一番外の回路を保存する
+    this.commitComponentEdits();
+    const root = this.componentEditStack[0];
+    const viewState = root ? root.view : {
       x: this.inputManager.viewOffsetX,
       y: this.inputManager.viewOffsetY,
       scale: this.inputManager.viewScale
     };
-    return CircuitSerializer.serialize(this.parts, this.wires, compact, viewState);
+    const data = root
+      ? CircuitSerializer.serialize(root.outerParts, root.outerWires, compact, viewState)
+      : CircuitSerializer.serialize(this.parts, this.wires, compact, viewState);
+
+    // シナリオテストはファイル保存（v1.1）にだけ含める
+    if (!compact && this.scenarioText) {
+      data.scenario = this.scenarioText;
+    }
+    return data;
   }
 
   /**
    * シリアライズされたデータから回路を復元
    */
   restoreFromData(saveData) {
+    this.discardComponentEdits();
     this.draggingPart = null;
     this.wiringStartNode = null;
     this.isPanning = false;
     
     const restoredView = CircuitSerializer.deserialize(saveData, this.parts, this.wires);
+    this.history.clear();
     
     if (restoredView) {
       this.inputManager.viewOffsetX = restoredView.x;
@@ -1440,5 +2658,9 @@ export class CircuitManager {
     }
     
     this.powerSystem.lastTick = -1;
+    this.powerSystem.invalidateTopology();
+    this.signalRecorder.clear();
+    this.oscillationDetector.reset();
+    this.scenarioText = (saveData && typeof saveData.scenario === 'string') ? saveData.scenario : '';
   }
 }
@@ -0,0 +1,438 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { PartFactory } from '../models/PartFactory.js';
+import { Wire } from '../models/Wire.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+import { BooleanExpression } from '../utils/BooleanExpression.js';
+import { PartsCounter } from '../utils/PartsCounter.js';
+import { ExpressionExtractor } from './ExpressionExtractor.js';
+import { TruthTableGenerator } from './TruthTableGenerator.js';
+
+const GATE_TYPES = [CONST.PART_TYPE.AUTO_SWITCH, CONST.PART_TYPE.INVERTER];
+
+/**
+ * パーツ数の最適化
+ * 同じ働きのまま、より少ないパーツで組める箇所を探して書き換える
+ *
+ * - GATE_ALWAYS_ON   : control が定数で常に導通するゲート → WireJoint に置き換える
+ * - GATE_ALWAYS_OFF  : control が定数で一度も導通しないゲート → 削除する
+ * - DOUBLE_INVERTER  : 電源直結の Inverter の出力がゲートの control にしか使われていない
+ *                      → Inverter を省き、そのゲートの種類（AutoSwitch / Inverter）を入れ替える
+ * - MERGE_JOINTS     : ワイヤーで直接つながった WireJoint → 1つにまとめる
+ *
+ * 提案は { rule, part, partId, ... } の形で、適用時は ID でパーツを探し直す
+ * （回路のコピーに適用して、変更前後の真理値表を比べてから本物に適用するため）
+ */
+export class CircuitOptimizer {
+  /**
+   * 最適化の提案を探す
+   * @param {Array} parts - パーツ配列
+   * @param {Set<CircuitPart>|null} [scope] - 対象のパーツ（null なら回路全体）
+   * @returns {Array<Object>} 提案の一覧
+   */
+  static analyze(parts, scope = null) {
+    const inScope = (part) => !scope || scope.has(part);
+    const extractor = new ExpressionExtractor(parts);
+
+    return [
+      ...this.findConstantGates(parts, extractor, inScope),
+      ...this.findDoubleInverters(parts, extractor, inScope),
+      ...this.findJointGroups(parts, inScope)
+    ];
+  }
+
+  static createProposal(rule, part, extra = {}) {
+    return {
+      rule,
+      message: CONST.MESSAGES[`OPTIMIZE_${rule}`],
+      part,
+      partId: part.id,
+      partType: part.type,
+      ...extra
+    };
+  }
+
+  // ==================== 検出 ====================
+
+  /**
+   * control に来る電気が定数（常に来る / 決して来ない）のゲート
+   */
+  static findConstantGates(parts, extractor, inScope) {
+    const proposals = [];
+    parts
+      .filter(part => GATE_TYPES.includes(part.type) && inScope(part))
+      .forEach(part => {
+        // control が未接続なのは作りかけの可能性が高い（回路チェックで警告される）
+        const control = part.getSocket('control');
+        if (control.connectedWires.length === 0) return;
+
+        const powered = this.constantPowered(extractor, control);
+        if (powered === null) return;
+
+        const conducts = (part.type === CONST.PART_TYPE.AUTO_SWITCH) ? powered : !powered;
+        proposals.push(this.createProposal(conducts ? 'GATE_ALWAYS_ON' : 'GATE_ALWAYS_OFF', part));
+      });
+    return proposals;
+  }
+
+  /**
+   * ソケットに電気が来るかが入力によらず決まっていれば true / false、そうでなければ null
+   */
+  static constantPowered(extractor, socket) {
+    try {
+      const sop = extractor.poweredExpression(extractor.nodeOf.get(socket));
+      if (BooleanExpression.isTrue(sop)) return true;
+      if (BooleanExpression.isFalse(sop)) return false;
+    } catch (error) {
+      // フィードバックや複雑すぎる式、カスタム部品の中の入力に左右される式は対象外
+      extractor.gateStack = [];
+      if (!['FEEDBACK', 'EXPRESSION_TOO_COMPLEX', 'UNSUPPORTED'].includes(error.code)) throw error;
+    }
+    return null;
+  }
+
+  /**
+   * NOT としてだけ使われている Inverter
+   * 左が常に通電していて、右のノードにはジョイントと他のゲートの control しかないもの
+   */
+  static findDoubleInverters(parts, extractor, inScope) {
+    const members = this.groupSockets(extractor);
+    const proposals = [];
+
+    parts
+      .filter(part => part.type === CONST.PART_TYPE.INVERTER && inScope(part))
+      .forEach(part => {
+        const node = (name) => extractor.nodeOf.get(part.getSocket(name));
+        const leftNode = node('left');
+        const rightNode = node('right');
+        const controlNode = node('control');
+
+        if (!extractor.sourceNodes.has(leftNode)) return;
+        if (controlNode === rightNode || controlNode === leftNode) return;
+        if (members.get(controlNode).length < 2) return;
+
+        const consumers = [];
+        for (const socket of members.get(rightNode)) {
+          if (socket === part.getSocket('right') || socket.parent.type === CONST.PART_TYPE.JOINT) continue;
+          if (socket.name !== 'control' || !GATE_TYPES.includes(socket.parent.type) || socket.parent === part) return;
+          consumers.push(socket.parent);
+        }
+        if (consumers.length === 0) return;
+
+        proposals.push(this.createProposal('DOUBLE_INVERTER', part, {
+          consumerIds: consumers.map(consumer => consumer.id)
+        }));
+      });
+    return proposals;
+  }
+
+  /**
+   * ワイヤーで直接つながったジョイントのまとまり（2つ以上）
+   */
+  static findJointGroups(parts, inScope) {
+    const visited = new Set();
+    const proposals = [];
+
+    parts
+      .filter(part => part.type === CONST.PART_TYPE.JOINT)
+      .forEach(start => {
+        if (visited.has(start)) return;
+
+        const group = [];
+        const queue = [start];
+        visited.add(start);
+        while (queue.length > 0) {
+          const joint = queue.shift();
+          group.push(joint);
+          joint.getSocket('joint').connectedWires.forEach(wire => {
+            const other = wire.getOtherEnd(joint.getSocket('joint')).parent;
+            if (other.type === CONST.PART_TYPE.JOINT && !visited.has(other)) {
+              visited.add(other);
+              queue.push(other);
+            }
+          });
+        }
+
+        if (group.length < 2 || !group.some(inScope)) return;
+        proposals.push(this.createProposal('MERGE_JOINTS', group[0], {
+          mergedIds: group.slice(1).map(joint => joint.id)
+        }));
+      });
+    return proposals;
+  }
+
+  /**
+   * ノード（ワイヤーでつながったソケットのまとまり）ごとのソケット一覧
+   */
+  static groupSockets(extractor) {
+    const members = new Map();
+    extractor.nodeOf.forEach((node, socket) => {
+      if (!members.has(node)) members.set(node, []);
+      members.get(node).push(socket);
+    });
+    return members;
+  }
+
+  // ==================== 適用 ====================
+
+  /**
+   * 提案を回路に適用する（parts / wires を直接書き換える）
+   * 前の提案で対象が無くなっていたら、その提案は飛ばす
+   * @returns {number} 適用できた提案の数
+   */
+  static apply(proposals, parts, wires) {
+    let applied = 0;
+    proposals.forEach(proposal => {
+      if (this.applyProposal(proposal, parts, wires)) applied++;
+    });
+    return applied;
+  }
+
+  static applyProposal(proposal, parts, wires) {
+    const byId = new Map(parts.map(part => [part.id, part]));
+    const part = byId.get(proposal.partId);
+    if (!part || part.type !== proposal.partType) return false;
+
+    switch (proposal.rule) {
+      case 'GATE_ALWAYS_ON': {
+        const left = part.getSocket('left');
+        const right = part.getSocket('right');
+        if (left.connectedWires.length > 0 && right.connectedWires.length > 0) {
+          const center = part.getRotationCenter();
+          const joint = PartFactory.create(CONST.PART_TYPE.JOINT, this.newId(parts), center.x, center.y);
+          joint.setPositionImmediately(center.x - joint.width / 2, center.y - joint.height / 2);
+          parts.push(joint);
+          this.moveWires(left, joint.getSocket('joint'), wires);
+          this.moveWires(right, joint.getSocket('joint'), wires);
+        }
+        this.removePart(part, parts, wires);
+        return true;
+      }
+
+      case 'GATE_ALWAYS_OFF':
+        this.removePart(part, parts, wires);
+        return true;
+
+      case 'DOUBLE_INVERTER': {
+        const control = part.getSocket('control');
+        if (control.connectedWires.length === 0) return false;
+
+        // Inverter の control につながっていたソケット（置き換えるゲートのソケットの場合もあるので、IDと名前で覚える）
+        const source = control.connectedWires[0].getOtherEnd(control);
+        const sourceRef = { id: source.parent.id, name: source.name };
+
+        // 右のノードのジョイントは Inverter と一緒に不要になる
+        const deadJoints = this.collectJoints(part.getSocket('right'));
+        proposal.consumerIds.forEach(id => {
+          const consumer = parts.find(p => p.id === id);
+          if (!consumer || !GATE_TYPES.includes(consumer.type)) return;
+
+          const flippedType = consumer.type === CONST.PART_TYPE.AUTO_SWITCH
+            ? CONST.PART_TYPE.INVERTER
+            : CONST.PART_TYPE.AUTO_SWITCH;
+          const replacement = this.replacePart(consumer, flippedType, parts, wires);
+          this.removeWires(replacement.getSocket('control'), wires);
+
+          const sourceSocket = parts.find(p => p.id === sourceRef.id).getSocket(sourceRef.name);
+          wires.push(new Wire(sourceSocket, replacement.getSocket('control')));
+        });
+        deadJoints.forEach(joint => this.removePart(joint, parts, wires));
+        this.removePart(part, parts, wires);
+        return true;
+      }
+
+      case 'MERGE_JOINTS': {
+        const target = part.getSocket('joint');
+        proposal.mergedIds.forEach(id => {
+          const joint = byId.get(id);
+          if (!joint || !parts.includes(joint)) return;
+          this.moveWires(joint.getSocket('joint'), target, wires);
+          this.removePart(joint, parts, wires);
+        });
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  // ==================== 書き換えの部品 ====================
+
+  /**
+   * 既存のIDと重ならない新しいID
+   */
+  static newId(parts) {
+    return Math.max(Date.now(), ...parts.map(part => part.id + 1));
+  }
+
+  /**
+   * パーツとそのワイヤーを取り除く（ワイヤーが無くなったジョイントも消す）
+   */
+  static removePart(part, parts, wires) {
+    const neighbors = new Set();
+    part.sockets.forEach(socket => {
+      socket.connectedWires.forEach(wire => neighbors.add(wire.getOtherEnd(socket).parent));
+      this.removeWires(socket, wires);
+    });
+
+    const index = parts.indexOf(part);
+    if (index > -1) parts.splice(index, 1);
+
+    neighbors.forEach(neighbor => {
+      if (neighbor.type === CONST.PART_TYPE.JOINT && parts.includes(neighbor) &&
+          neighbor.getSocket('joint').connectedWires.length === 0) {
+        parts.splice(parts.indexOf(neighbor), 1);
+      }
+    });
+  }
+
+  static removeWires(socket, wires) {
+    [...socket.connectedWires].forEach(wire => {
+      wire.startSocket.disconnectWire(wire);
+      wire.endSocket.disconnectWire(wire);
+      const index = wires.indexOf(wire);
+      if (index > -1) wires.splice(index, 1);
+    });
+  }
+
+  /**
+   * from につながったワイヤーを to につなぎ替える（to 自身や、既につながっている相手へのワイヤーは捨てる）
+   */
+  static moveWires(from, to, wires) {
+    [...from.connectedWires].forEach(wire => {
+      const other = wire.getOtherEnd(from);
+      const index = wires.indexOf(wire);
+      wire.startSocket.disconnectWire(wire);
+      wire.endSocket.disconnectWire(wire);
+
+      const duplicate = other === to || to.connectedWires.some(existing => existing.getOtherEnd(to) === other);
+      if (duplicate) {
+        if (index > -1) wires.splice(index, 1);
+      } else if (index > -1) {
+        wires[index] = new Wire(to, other);
+      }
+    });
+  }
+
+  /**
+   * パーツを別の種類に置き換える（ID・位置・向き・ワイヤーはそのまま）
+   */
+  static replacePart(part, type, parts, wires) {
+    const replacement = PartFactory.create(type, part.id, part.x, part.y);
+    replacement.setPositionImmediately(part.x, part.y);
+    replacement.setRotationImmediately(part.rotation);
+
+    part.sockets.forEach(socket => {
+      const target = replacement.getSocket(socket.name);
+      if (target) {
+        this.moveWires(socket, target, wires);
+      } else {
+        this.removeWires(socket, wires);
+      }
+    });
+    parts[parts.indexOf(part)] = replacement;
+    return replacement;
+  }
+
+  /**
+   * ソケットからジョイントだけを辿って行けるジョイント
+   */
+  static collectJoints(socket) {
+    const joints = new Set();
+    const queue = [socket];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      current.connectedWires.forEach(wire => {
+        const other = wire.getOtherEnd(current);
+        if (other.parent.type === CONST.PART_TYPE.JOINT && !joints.has(other.parent)) {
+          joints.add(other.parent);
+          queue.push(other);
+        }
+      });
+    }
+    return [...joints];
+  }
+
+  // ==================== プレビュー・検証 ====================
+
+  /**
+   * 回路のコピーに提案を適用して、パーツ数の変化と動作が変わらないかを調べる
+   * 編集中の回路には触らない
+   * @param {Array} parts
+   * @param {Array} wires
+   * @param {Array<Object>} proposals
+   * @param {boolean} [verify=true] - false なら動作の確認を省く（verification は null）
+   * @returns {{before: Object, after: Object, changes: Map<string, number>, verification: Object|null}}
+   *          before / after は PartsCounter.countParts() の結果、changes は種類ごとの増減
+   */
+  static preview(parts, wires, proposals, verify = true) {
+    const clone = this.cloneCircuit(parts, wires);
+    this.apply(proposals, clone.parts, clone.wires);
+
+    const before = PartsCounter.countParts(parts, wires);
+    const after = PartsCounter.countParts(clone.parts, clone.wires);
+    const changes = new Map();
+    before.partCounts.forEach((count, type) => {
+      const delta = after.partCounts.get(type) - count;
+      if (delta !== 0) changes.set(type, delta);
+    });
+
+    return {
+      before,
+      after,
+      changes,
+      verification: verify ? this.verify(parts, wires, clone.parts, clone.wires) : null
+    };
+  }
+
+  /**
+   * 組み合わせ回路の出力（フィードバックの無い ColorLight / PowerDoor）について、
+   * 全ての入力の組み合わせで変更前後の状態が同じかを調べる
+   * @returns {{status: 'ok'|'mismatch'|'skipped', combinations: number, mismatched: Array<CircuitPart>}}
+   *          skipped は入力が多すぎて調べなかった場合。mismatched は結果の違った出力（変更前のパーツ）
+   */
+  static verify(beforeParts, beforeWires, afterParts, afterWires) {
+    const extracted = ExpressionExtractor.extract(beforeParts);
+    const outputs = extracted.outputs
+      .filter(output => output.status === 'ok')
+      .map(output => ({ part: output.part, name: output.name }));
+    const inputs = extracted.inputs;
+
+    if (inputs.length > CONST.TRUTH_TABLE.MAX_INPUTS) {
+      return { status: 'skipped', combinations: 0, mismatched: [] };
+    }
+    if (outputs.length === 0) {
+      return { status: 'ok', combinations: 0, mismatched: [] };
+    }
+
+    // 変更後の回路から、同じIDのパーツを入力・出力にする
+    const afterById = new Map(afterParts.map(part => [part.id, part]));
+    const mapEntries = (entries) => entries.map(entry => ({ part: afterById.get(entry.part.id), name: entry.name }));
+    const missing = [...inputs, ...outputs].filter(entry => !afterById.has(entry.part.id));
+    if (missing.length > 0) {
+      return { status: 'mismatch', combinations: 0, mismatched: missing.map(entry => entry.part) };
+    }
+
+    const beforeTable = TruthTableGenerator.generate(beforeParts, beforeWires, inputs, outputs);
+    const afterTable = TruthTableGenerator.generate(afterParts, afterWires, mapEntries(inputs), mapEntries(outputs));
+
+    const mismatched = outputs
+      .filter((output, column) => beforeTable.rows.some((row, i) => row.outputs[column] !== afterTable.rows[i].outputs[column]))
+      .map(output => output.part);
+
+    return {
+      status: mismatched.length === 0 ? 'ok' : 'mismatch',
+      combinations: beforeTable.rows.length,
+      mismatched
+    };
+  }
+
+  static cloneCircuit(parts, wires) {
+    const cloneParts = [];
+    const cloneWires = [];
+    CircuitSerializer.deserialize(CircuitSerializer.serialize(parts, wires), cloneParts, cloneWires);
+    return { parts: cloneParts, wires: cloneWires };
+  }
+}
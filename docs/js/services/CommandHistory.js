@@ -0,0 +1,197 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 操作履歴（元に戻す/やり直し）
+ * 1回の操作の前後で「回路の形」（パーツ・ワイヤーの並びと、位置・角度・つなぎ先）を記録し、
+ * 元に戻す時は操作前、やり直す時は操作後の形に戻す
+ *
+ * パーツ・ワイヤーは同じオブジェクトを使い回すので、プローブやタグの参照はそのまま残る
+ * スイッチの ON/OFF などのシミュレーションの状態は記録しない（操作ではなく回路の動作のため）
+ *
+ * マウスを押してから離すまで（グループ移動・回転、ワイヤーの接続、Jointのマージなど）は
+ * begin() と commit() で囲み、中で何回変更があっても1回の操作にまとめる
+ */
+export class CommandHistory {
+  /**
+   * @param {Array} parts - CircuitManager と共有するパーツ配列
+   * @param {Array} wires - CircuitManager と共有するワイヤー配列
+   */
+  constructor(parts, wires) {
+    this.parts = parts;
+    this.wires = wires;
+
+    this.undoStack = [];   // { before, after }
+    this.redoStack = [];
+    this.pending = null;   // begin() してまだ commit() していない操作の、操作前の形
+    this.depth = 0;        // record() の入れ子の深さ（内側の record() は外側にまとめる）
+  }
+
+  // ==================== 記録 ====================
+
+  /**
+   * 関数の中で行った変更を1回の操作として記録する
+   * begin() ～ commit() の途中や record() の中で呼ばれた場合は、外側の操作にまとめる
+   * @param {Function} action
+   * @returns {*} action の戻り値
+   */
+  record(action) {
+    if (this.pending || this.depth > 0) return action();
+
+    const before = this.capture();
+    this.depth++;
+    const result = action();
+    this.depth--;
+    this.push(before, this.capture());
+    return result;
+  }
+
+  /**
+   * マウス操作などの、複数回に分かれる操作の記録を始める
+   * 前の操作が commit() されずに残っていたら（キャンバスの外で離した時など）先に確定する
+   */
+  begin() {
+    this.commit();
+    this.pending = this.capture();
+  }
+
+  /**
+   * begin() からの変更を1回の操作として確定する（変更が無ければ何も残さない）
+   */
+  commit() {
+    if (!this.pending) return;
+    const before = this.pending;
+    this.pending = null;
+    this.push(before, this.capture());
+  }
+
+  /**
+   * 操作を履歴に積む（形が変わっていなければ積まない）
+   * @param {Object} before
+   * @param {Object} after
+   */
+  push(before, after) {
+    if (this.isSame(before, after)) return;
+
+    this.undoStack.push({ before, after });
+    if (this.undoStack.length > CONST.HISTORY.MAX_STEPS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * 履歴を全て捨てる（別の回路を読み込んだ時など）
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+  }
+
+  // ==================== 元に戻す/やり直し ====================
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 直前の操作を元に戻す
+   * @returns {boolean} 戻したら true
+   */
+  undo() {
+    this.commit();
+    const command = this.undoStack.pop();
+    if (!command) return false;
+    this.restore(command.before);
+    this.redoStack.push(command);
+    return true;
+  }
+
+  /**
+   * 元に戻した操作をやり直す
+   * @returns {boolean} やり直したら true
+   */
+  redo() {
+    this.commit();
+    const command = this.redoStack.pop();
+    if (!command) return false;
+    this.restore(command.after);
+    this.undoStack.push(command);
+    return true;
+  }
+
+  // ==================== 回路の形 ====================
+
+  /**
+   * 今の回路の形を記録する（位置・角度はアニメーションの目標値）
+   * @returns {{parts: Array, wires: Array}}
+   */
+  capture() {
+    return {
+      parts: this.parts.map(part => ({
+        part,
+        x: part.targetX,
+        y: part.targetY,
+        rotation: part.targetRotation
+      })),
+      wires: this.wires.map(wire => ({
+        wire,
+        start: wire.startSocket,
+        end: wire.endSocket
+      }))
+    };
+  }
+
+  /**
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean} 回路の形が同じなら true
+   */
+  isSame(a, b) {
+    if (a.parts.length !== b.parts.length || a.wires.length !== b.wires.length) return false;
+
+    const samePart = (p, i) => {
+      const q = b.parts[i];
+      return p.part === q.part && p.x === q.x && p.y === q.y && p.rotation === q.rotation;
+    };
+    const sameWire = (w, i) => {
+      const v = b.wires[i];
+      return w.wire === v.wire && w.start === v.start && w.end === v.end;
+    };
+    return a.parts.every(samePart) && a.wires.every(sameWire);
+  }
+
+  /**
+   * 記録した形に戻す
+   * 共有している配列は中身だけを入れ替え、ソケットのワイヤー一覧は作り直す
+   * @param {Object} snapshot - capture() の戻り値
+   */
+  restore(snapshot) {
+    const affected = new Set([...this.parts, ...snapshot.parts.map(entry => entry.part)]);
+    affected.forEach(part => {
+      part.sockets.forEach(socket => {
+        [...socket.connectedWires].forEach(wire => socket.disconnectWire(wire));
+      });
+    });
+
+    this.parts.splice(0, this.parts.length, ...snapshot.parts.map(entry => entry.part));
+    snapshot.parts.forEach(({ part, x, y, rotation }) => {
+      part.setPositionImmediately(x, y);
+      part.setRotationImmediately(rotation);
+    });
+
+    this.wires.splice(0, this.wires.length, ...snapshot.wires.map(entry => entry.wire));
+    snapshot.wires.forEach(({ wire, start, end }) => {
+      wire.startSocket = start;
+      wire.endSocket = end;
+      start.connectWire(wire);
+      end.connectWire(wire);
+    });
+  }
+}
@@ -0,0 +1,276 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { BooleanExpression } from '../utils/BooleanExpression.js';
+import { GraphUtils } from '../utils/GraphUtils.js';
+import { ScenarioRunner } from './ScenarioRunner.js';
+
+/**
+ * 論理式の抽出
+ * ColorLight / PowerDoor が、利用者の操作する入力（WallSwitch, Button など）の
+ * どんな論理式で点灯・開閉するかを、配線を辿って求める
+ *
+ * - 電源から出力までの経路ごとに、途中のパーツの導通条件を AND でつなぎ、経路どうしを OR でまとめる
+ * - 導通条件が AutoSwitch / Inverter なら、その control ソケットの式（Inverter は NOT）に置き換える
+ * - 式を求める途中で同じゲートに戻ってきたら、フィードバックのある順序回路として式の代わりに報告する
+ * - カスタム部品は PowerSystem と同じく中身まで展開する。ただし中の入力（スイッチなど）は
+ *   外から操作できず式の変数にできないので、それに左右される出力は 'unsupported' として報告する
+ *
+ * ティックの遅れは考えない（全てのゲートが落ち着いた後の状態を表す）
+ */
+export class ExpressionExtractor {
+  /**
+   * 全ての出力の論理式を求める
+   * @param {Array} parts - パーツ配列
+   * @returns {{inputs: Array<{part, name}>, outputs: Array<{part, name, status: string, expression: string|null, sop: Array|null, loopParts: Array}>}}
+   *          status は 'ok' / 'sequential'（フィードバックあり）/ 'complex'（式が大きすぎる）
+   *          / 'unsupported'（カスタム部品の中の入力に左右される）
+   */
+  static extract(parts) {
+    return new ExpressionExtractor(parts).extractAll();
+  }
+
+  /**
+   * パーツの表示名（近くの TextLabel の文字、無ければ「種類#番号」）
+   * TextLabel の名前はシナリオテストと同じ規則で対応付ける
+   */
+  static nameOf(part, parts) {
+    const center = part.getCenter();
+    const labels = parts
+      .filter(p => p.type === CONST.PART_TYPE.TEXT_LABEL)
+      .map(label => {
+        const c = label.getCenter();
+        return { label, distance: Math.hypot(c.x - center.x, c.y - center.y) };
+      })
+      .filter(entry => entry.distance <= CONST.SCENARIO.LABEL_RADIUS)
+      .sort((a, b) => a.distance - b.distance);
+
+    for (const { label } of labels) {
+      const ref = { type: part.type, typeName: part.type, name: label.text };
+      if (ScenarioRunner.findPart(ref, parts).part === part) return label.text;
+    }
+
+    const typeLabel = CONST.UI_LABELS[part.type] || part.type;
+    return `${typeLabel}#${parts.indexOf(part) + 1}`;
+  }
+
+  constructor(parts) {
+    this.parts = parts;
+
+    // カスタム部品の中身まで展開したパーツ（graphParts）と、ピンと中のソケットのつながり
+    const expanded = GraphUtils.expandComponents(parts);
+    this.graphParts = expanded.parts;
+    this.pinLinks = expanded.links;
+    this.innerParts = expanded.inner;
+
+    this.nodeOf = new Map();     // socket -> ワイヤーでつながったソケットの代表
+    this.incoming = new Map();   // node -> [{ from: node, part: 条件になるパーツ|null }]
+    this.sourceNodes = new Set();
+
+    this.poweredCache = new Map(); // node -> 式
+    this.stateCache = new Map();   // part -> 式（isOn）
+    this.gateStack = [];           // 式を求めている途中のゲート（フィードバック検出用）
+
+    this.buildGraph();
+  }
+
+  // ==================== グラフ ====================
+
+  /**
+   * ワイヤー（とカスタム部品のピン）でつながったソケットを1つのノードにまとめ、導通テーブルの paths を辺にする
+   */
+  buildGraph() {
+    const parent = new Map();
+    const find = (socket) => {
+      let root = socket;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(socket, root);
+      return root;
+    };
+
+    this.graphParts.forEach(part => part.sockets.forEach(socket => parent.set(socket, socket)));
+    this.graphParts.forEach(part => part.sockets.forEach(socket => {
+      socket.connectedWires.forEach(wire => {
+        const other = wire.getOtherEnd(socket);
+        if (other && parent.has(other)) parent.set(find(socket), find(other));
+      });
+      (this.pinLinks.get(socket) || []).forEach(other => {
+        if (parent.has(other)) parent.set(find(socket), find(other));
+      });
+    }));
+    this.graphParts.forEach(part => part.sockets.forEach(socket => this.nodeOf.set(socket, find(socket))));
+
+    // 条件付きの電源（太陽光パネルなど）は、常に通電している仮のノードから
+    // そのパーツの状態を条件にして電気が来るものとして扱う
+    const alwaysOn = {};
+    this.sourceNodes.add(alwaysOn);
+
+    this.graphParts.forEach(part => {
+      const table = part.getConductionTable();
+      table.sources.forEach(name => {
+        const socket = part.getSocket(name);
+        if (!socket) return;
+
+        const node = this.nodeOf.get(socket);
+        if (!table.sourceWhen) {
+          this.sourceNodes.add(node);
+          return;
+        }
+        if (!this.incoming.has(node)) this.incoming.set(node, []);
+        this.incoming.get(node).push({ from: alwaysOn, part });
+      });
+      table.paths.forEach(path => {
+        if (table.sinks.includes(path.from)) return;
+        const from = part.getSocket(path.from);
+        const to = part.getSocket(path.to);
+        if (!from || !to) return;
+
+        const toNode = this.nodeOf.get(to);
+        if (!this.incoming.has(toNode)) this.incoming.set(toNode, []);
+        this.incoming.get(toNode).push({ from: this.nodeOf.get(from), part: path.when ? part : null });
+      });
+    });
+  }
+
+  // ==================== 式 ====================
+
+  extractAll() {
+    const outputs = this.parts
+      .filter(part => CONST.EXPRESSION.OUTPUT_TYPES.includes(part.type))
+      .map(part => this.extractOutput(part));
+
+    // 式に出てきた入力を、回路に追加した順に並べる
+    const used = new Set();
+    outputs.forEach(output => {
+      if (output.sop) BooleanExpression.variables(output.sop).forEach(id => used.add(id));
+    });
+    const inputs = this.parts
+      .filter(part => used.has(String(part.id)))
+      .map(part => ({ part, name: ExpressionExtractor.nameOf(part, this.parts) }));
+
+    const order = inputs.map(input => String(input.part.id));
+    const names = new Map(inputs.map(input => [String(input.part.id), input.name]));
+    outputs.forEach(output => {
+      if (!output.sop) return;
+      output.sop = BooleanExpression.minimize(output.sop, order.filter(id => BooleanExpression.variables(output.sop).includes(id)));
+      output.expression = BooleanExpression.toString(output.sop, { order, nameOf: id => names.get(id) });
+    });
+
+    return { inputs, outputs };
+  }
+
+  extractOutput(part) {
+    const result = {
+      part,
+      name: ExpressionExtractor.nameOf(part, this.parts),
+      status: 'ok',
+      expression: null,
+      sop: null,
+      loopParts: []
+    };
+
+    try {
+      let sop = BooleanExpression.constant(false);
+      part.getConductionTable().sinks.forEach(name => {
+        const socket = part.getSocket(name);
+        if (socket) sop = BooleanExpression.or(sop, this.poweredExpression(this.nodeOf.get(socket)));
+      });
+      result.sop = sop;
+    } catch (error) {
+      this.gateStack = [];
+      if (error.code === 'FEEDBACK') {
+        result.status = 'sequential';
+        result.loopParts = error.loopParts;
+      } else if (error.code === 'EXPRESSION_TOO_COMPLEX') {
+        result.status = 'complex';
+      } else if (error.code === 'UNSUPPORTED') {
+        result.status = 'unsupported';
+      } else {
+        throw error;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * ノードに電気が来る条件（電源からの全ての単純経路の OR）
+   */
+  poweredExpression(node) {
+    if (this.poweredCache.has(node)) return this.poweredCache.get(node);
+
+    let sop = BooleanExpression.constant(false);
+    let pathCount = 0;
+    const visited = new Set([node]);
+    const conditions = [];
+
+    // 出力側から電源に向かって逆向きに辿る
+    const walk = (current) => {
+      if (this.sourceNodes.has(current)) {
+        if (++pathCount > CONST.EXPRESSION.MAX_PATHS) {
+          const error = new Error(`More than ${CONST.EXPRESSION.MAX_PATHS} paths`);
+          error.code = 'EXPRESSION_TOO_COMPLEX';
+          throw error;
+        }
+        let term = BooleanExpression.constant(true);
+        for (const part of conditions) {
+          term = BooleanExpression.and(term, this.stateExpression(part));
+          if (BooleanExpression.isFalse(term)) break;
+        }
+        sop = BooleanExpression.or(sop, term);
+        return; // 電源から先は辿らなくてよい（電源ノードは常に通電）
+      }
+
+      for (const edge of this.incoming.get(current) || []) {
+        if (visited.has(edge.from)) continue;
+        visited.add(edge.from);
+        if (edge.part) conditions.push(edge.part);
+        walk(edge.from);
+        if (edge.part) conditions.pop();
+        visited.delete(edge.from);
+      }
+    };
+    walk(node);
+
+    this.poweredCache.set(node, sop);
+    return sop;
+  }
+
+  /**
+   * パーツが ON になる条件
+   */
+  stateExpression(part) {
+    if (this.stateCache.has(part)) return this.stateCache.get(part);
+
+    const role = part.getLogicRole();
+    let sop;
+
+    if (!role || role.kind === 'input') {
+      // カスタム部品の中の入力は、外から操作できないので変数にできない
+      if (this.innerParts.has(part)) {
+        const error = new Error('Input inside a custom component');
+        error.code = 'UNSUPPORTED';
+        throw error;
+      }
+      // 入力（役割の分からないパーツも、外から決まる値として変数にする）
+      sop = BooleanExpression.variable(String(part.id));
+    } else {
+      const index = this.gateStack.indexOf(part);
+      if (index !== -1) {
+        const error = new Error('Feedback loop');
+        error.code = 'FEEDBACK';
+        error.loopParts = this.gateStack.slice(index);
+        throw error;
+      }
+
+      this.gateStack.push(part);
+      const control = part.getSocket(role.control);
+      const powered = control ? this.poweredExpression(this.nodeOf.get(control)) : BooleanExpression.constant(false);
+      this.gateStack.pop();
+
+      sop = role.inverted ? BooleanExpression.not(powered) : powered;
+    }
+
+    this.stateCache.set(part, sop);
+    return sop;
+  }
+}
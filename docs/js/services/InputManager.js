@@ -139,6 +139,18 @@ export class InputManager {
     this.viewOffsetY += dy;
   }
 
+  /**
+   * 指定したワールド座標が画面上の指定位置に来るように視点を移す（倍率はそのまま）
+   * @param {number} worldX - ワールドX座標
+   * @param {number} worldY - ワールドY座標
+   * @param {number} screenX - 合わせる先のスクリーンX座標
+   * @param {number} screenY - 合わせる先のスクリーンY座標
+   */
+  centerOn(worldX, worldY, screenX, screenY) {
+    this.viewOffsetX = screenX - worldX * this.viewScale;
+    this.viewOffsetY = screenY - worldY * this.viewScale;
+  }
+
   /**
    * ビューポート変換を適用
    * p5.jsのtranslateとscaleを使用
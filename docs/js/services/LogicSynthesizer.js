@@ -0,0 +1,175 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { PartFactory } from '../models/PartFactory.js';
+import { TextLabel } from '../models/TextLabel.js';
+import { Wire } from '../models/Wire.js';
+import { BooleanExpression } from '../utils/BooleanExpression.js';
+import { MathUtils } from '../utils/MathUtils.js';
+
+/**
+ * 論理合成
+ * 積和形の論理式から、同じ働きをする回路（パーツとワイヤー）を組み立てる
+ *
+ *   Power ─┬─ WallSwitch（入力ごと）… 右ソケットが入力の信号
+ *          └─ 積項ごとに AutoSwitch（肯定）/ Inverter（否定）を直列につなぐ
+ *             各ゲートの control には、その変数の WallSwitch をつなぐ
+ *   積項の出口を WireJoint でまとめて（OR）ColorLight へ
+ *
+ * 入力と出力の名前は TextLabel として隣に置く（論理式パネル・シナリオテストで使われる名前になる）
+ * 変数 i のゲートは常に同じ列に並べるので、どの積項にどの変数が入っているかが見て分かる
+ */
+export class LogicSynthesizer {
+  /**
+   * 回路を組み立てる（parts / wires にはまだ追加しない）
+   * @param {Array<Object>} sop - 積和形の式（変数名は入力の名前）
+   * @param {string[]} variables - 入力の名前（WallSwitch を置く順。式に出てこない変数にも置く）
+   * @param {Object} [options]
+   * @param {string} [options.outputName] - 出力（ColorLight）の名前
+   * @param {{x: number, y: number}} [options.origin] - 左上のワールド座標
+   * @param {number} [options.baseId] - パーツIDの開始値（省略時は Date.now()）
+   * @returns {{parts: Array, wires: Array}}
+   */
+  static build(sop, variables, options = {}) {
+    return new LogicSynthesizer(options).build(sop, variables);
+  }
+
+  /**
+   * 真理値表から積和形を作る
+   * @param {string[]} variables - 入力の名前（先頭が最上位ビット）
+   * @param {Array<boolean|null>} outputs - 行ごとの出力（null はどちらでもよい）
+   * @param {boolean} [minimize=true] - false なら真になる行をそのまま積項にする
+   * @returns {Array<Object>}
+   */
+  static sopFromTable(variables, outputs, minimize = true) {
+    const minterms = [];
+    const dontCares = [];
+    outputs.forEach((value, m) => {
+      if (value === true) minterms.push(m);
+      if (value === null) dontCares.push(m);
+    });
+
+    if (minimize) {
+      return BooleanExpression.fromMinterms(minterms, variables, dontCares);
+    }
+    return minterms.map(m => BooleanExpression.assignmentOf(m, variables));
+  }
+
+  constructor(options) {
+    this.outputName = options.outputName || CONST.SYNTHESIS.DEFAULT_OUTPUT_NAME;
+    this.origin = options.origin || { x: 0, y: 0 };
+    this.nextId = options.baseId !== undefined ? options.baseId : Date.now();
+
+    this.parts = [];
+    this.wires = [];
+  }
+
+  build(sop, variables) {
+    const terms = BooleanExpression.isTrue(sop) ? [] : sop;
+
+    // 列: 0 = 電源・ラベル, 1 = 入力, 2.. = 変数ごとのゲート, 最後 = 出力
+    const gateColumn = (i) => 2 + i;
+    const outputColumn = gateColumn(variables.length);
+
+    const power = this.place(CONST.PART_TYPE.POWER, 0, 0);
+    const powerSocket = power.getSocket('right');
+
+    // 入力
+    const signals = new Map();
+    variables.forEach((name, i) => {
+      const wallSwitch = this.place(CONST.PART_TYPE.WALL_SWITCH, 1, 1 + i);
+      this.placeLabel(name, wallSwitch, 'left');
+      this.connect(powerSocket, wallSwitch.getSocket('left'));
+      signals.set(name, wallSwitch.getSocket('right'));
+    });
+
+    // 積項（1行に1つ）
+    const termOutputs = terms.map((term, row) => {
+      let previous = powerSocket;
+      variables.forEach((name, i) => {
+        if (!(name in term)) return;
+        const type = term[name] ? CONST.PART_TYPE.AUTO_SWITCH : CONST.PART_TYPE.INVERTER;
+        const gate = this.place(type, gateColumn(i), 1 + row);
+        this.connect(previous, gate.getSocket('left'));
+        this.connect(signals.get(name), gate.getSocket('control'));
+        previous = gate.getSocket('right');
+      });
+      return previous;
+    });
+
+    // 出力
+    const outputRow = terms.length > 1 ? 1 + (terms.length - 1) / 2 : 1;
+    const light = this.place(CONST.PART_TYPE.COLOR_LIGHT, outputColumn + 1, outputRow - 0.5);
+    this.placeLabel(this.outputName, light, 'above');
+    const lightSocket = light.getSocket('bottom');
+
+    if (BooleanExpression.isTrue(sop)) {
+      this.connect(powerSocket, lightSocket);
+    } else if (termOutputs.length === 1) {
+      this.connect(termOutputs[0], lightSocket);
+    } else if (termOutputs.length > 1) {
+      const joint = this.place(CONST.PART_TYPE.JOINT, outputColumn, outputRow);
+      const jointSocket = joint.getSocket('joint');
+      termOutputs.forEach(socket => this.connect(socket, jointSocket));
+      this.connect(jointSocket, lightSocket);
+    }
+
+    // 長い名前のラベルは電源より左にはみ出すので、全体の左上が origin になるようずらす
+    this.alignTo(this.origin);
+
+    return { parts: this.parts, wires: this.wires };
+  }
+
+  // ==================== 配置 ====================
+
+  /**
+   * パーツを格子の (column, row) に置く
+   */
+  place(type, column, row) {
+    const pitch = CONST.SYNTHESIS.PART_PITCH;
+    const part = PartFactory.create(type, this.nextId++, column * pitch, row * pitch);
+    this.parts.push(part);
+    return part;
+  }
+
+  /**
+   * 名前の TextLabel をパーツの左、または上に置く
+   */
+  placeLabel(text, part, side) {
+    const label = new TextLabel(this.nextId++, 0, 0, text);
+    const center = part.getCenter();
+    const gap = CONST.SYNTHESIS.PART_PITCH - CONST.PARTS.WIDTH;
+
+    if (side === 'left') {
+      label.setPositionImmediately(part.x - gap - label.width, center.y - label.height / 2);
+    } else {
+      label.setPositionImmediately(center.x - label.width / 2, part.y - gap - label.height);
+    }
+    this.parts.push(label);
+    return label;
+  }
+
+  connect(startSocket, endSocket) {
+    const wire = new Wire(startSocket, endSocket);
+    this.wires.push(wire);
+    return wire;
+  }
+
+  /**
+   * 全体の左上を origin に合わせ、各パーツをグリッドにスナップする
+   */
+  alignTo(origin) {
+    const left = Math.min(...this.parts.map(part => part.x));
+    const top = Math.min(...this.parts.map(part => part.y));
+
+    this.parts.forEach(part => {
+      const snapped = MathUtils.snapPosition(
+        part.x - left + origin.x,
+        part.y - top + origin.y,
+        CONST.GRID.SNAP_COARSE,
+        part.getSnapOffset()
+      );
+      part.setPositionImmediately(snapped.x, snapped.y);
+    });
+  }
+}
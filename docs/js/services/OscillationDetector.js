@@ -0,0 +1,285 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 発振・フィードバックループ検出器
+ * PowerSystem と並行して動き、ティックごとに各パーツの isOn を記録する
+ * isOn が周期的に切り替わっているパーツを見つけたら、その原因となっている
+ * フィードバックループ（control ソケットを経由した循環）を探して報告する
+ *
+ * ループのパーツに intentionalOscillation フラグが立っていれば「意図したクロック」、
+ * 無ければ「意図しない発振（リング）」として扱う
+ */
+export class OscillationDetector {
+  /**
+   * @param {Array} parts - パーツ配列
+   * @param {Array} wires - ワイヤー配列
+   */
+  constructor(parts, wires) {
+    this.parts = parts;
+    this.wires = wires;
+    this.histories = new Map(); // part -> isOn の履歴（ティックごと、古い順）
+    this.lastTick = -1;
+    this.loops = [];            // 検出したループ
+  }
+
+  /**
+   * 履歴と検出結果を捨てる（回路の読込・リセット時）
+   */
+  reset() {
+    this.histories.clear();
+    this.lastTick = -1;
+    this.loops = [];
+  }
+
+  /**
+   * PowerSystem の更新ごとに呼ぶ
+   * ティックが進んだ時だけ isOn を記録して解析する
+   * @param {PowerSystem} powerSystem
+   */
+  onUpdate(powerSystem) {
+    const tick = powerSystem.getCurrentTick();
+    if (tick === this.lastTick) return;
+    this.lastTick = tick;
+
+    this.sample();
+    this.analyze();
+  }
+
+  /**
+   * 各パーツの現在の isOn を履歴に追加
+   */
+  sample() {
+    const maxLength = CONST.OSCILLATION.HISTORY_TICKS;
+    const alive = new Set();
+
+    this.parts.forEach(part => {
+      if (!('isOn' in part)) return;
+      alive.add(part);
+
+      let history = this.histories.get(part);
+      if (!history) {
+        history = [];
+        this.histories.set(part, history);
+      }
+      history.push(!!part.isOn);
+      if (history.length > maxLength) history.shift();
+    });
+
+    // 削除されたパーツの履歴は捨てる
+    for (const part of this.histories.keys()) {
+      if (!alive.has(part)) this.histories.delete(part);
+    }
+  }
+
+  /**
+   * 履歴から周期（ティック数）を求める
+   * 直近の MIN_CYCLES 周期ぶんが同じパターンを繰り返していれば周期的とみなす
+   * @param {boolean[]} history
+   * @returns {number|null} 周期。周期的でなければ null
+   */
+  static findPeriod(history) {
+    const { MAX_PERIOD, MIN_CYCLES } = CONST.OSCILLATION;
+    const n = history.length;
+
+    for (let period = 2; period <= MAX_PERIOD; period++) {
+      const windowSize = period * MIN_CYCLES;
+      if (windowSize > n) break;
+
+      const start = n - windowSize;
+      let repeats = true;
+      let changes = false;
+      for (let i = start + 1; i < n; i++) {
+        if (history[i] !== history[i - 1]) changes = true;
+        if (i >= start + period && history[i] !== history[i - period]) {
+          repeats = false;
+          break;
+        }
+      }
+      if (repeats && changes) return period;
+    }
+    return null;
+  }
+
+  /**
+   * 周期的なパーツを探し、それを含むフィードバックループを組み立てる
+   */
+  analyze() {
+    const periods = new Map(); // part -> period
+    for (const [part, history] of this.histories) {
+      const period = OscillationDetector.findPeriod(history);
+      if (period !== null) periods.set(part, period);
+    }
+
+    if (periods.size === 0) {
+      this.loops = [];
+      return;
+    }
+
+    const graph = this.buildInfluenceGraph();
+    const components = this.findStronglyConnected(graph);
+
+    this.loops = components
+      .filter(component => component.some(part => periods.has(part)))
+      .map(component => {
+        const members = new Set(component);
+        const pathParts = new Set(component);
+        const pathWires = new Set();
+
+        // ループ内の辺（A -> B）の経路に含まれるパーツとワイヤーを集める
+        component.forEach(from => {
+          graph.get(from).forEach((path, to) => {
+            if (!members.has(to)) return;
+            path.parts.forEach(p => pathParts.add(p));
+            path.wires.forEach(w => pathWires.add(w));
+          });
+        });
+
+        const period = Math.max(...component.map(part => periods.get(part) || 0));
+        return {
+          key: component.map(part => part.id).sort().join(','),
+          parts: component,
+          pathParts: pathParts,
+          wires: pathWires,
+          period: period,
+          isIntentional: component.some(part => part.intentionalOscillation)
+        };
+      });
+  }
+
+  /**
+   * 制御ソケットを持つパーツ同士の「影響グラフ」を作る
+   * A の出力（right）から電気が届き得る B の control があれば、A -> B の辺を張る
+   * 途中のパーツは ON/OFF に関係なく通れるものとして扱う（構造上のループを探すため）
+   * @returns {Map<CircuitPart, Map<CircuitPart, {parts: CircuitPart[], wires: Wire[]}>>}
+   */
+  buildInfluenceGraph() {
+    const graph = new Map();
+    const controlled = this.parts.filter(part => part.getSocket('control'));
+    controlled.forEach(part => graph.set(part, new Map()));
+
+    controlled.forEach(source => {
+      const output = source.getSocket('right');
+      if (!output) return;
+
+      // 幅優先探索（経路復元用に直前のソケットとワイヤーを覚えておく）
+      const visited = new Map([[output, null]]);
+      const queue = [output];
+
+      while (queue.length > 0) {
+        const socket = queue.shift();
+
+        if (socket.name === 'control' && graph.has(socket.parent)) {
+          graph.get(source).set(socket.parent, this.tracePath(visited, socket));
+          continue;
+        }
+
+        const neighbors = [];
+        socket.connectedWires.forEach(wire => {
+          const otherEnd = wire.getOtherEnd(socket);
+          if (otherEnd) neighbors.push({ socket: otherEnd, wire: wire });
+        });
+
+        // 導通テーブルに従ってパーツを通り抜ける（起点のパーツには戻らない）
+        const part = socket.parent;
+        if (part !== source) {
+          const table = part.getConductionTable();
+          if (!table.sinks.includes(socket.name)) {
+            table.paths.forEach(path => {
+              if (path.from !== socket.name) return;
+              const opposite = part.getSocket(path.to);
+              if (opposite) neighbors.push({ socket: opposite, wire: null });
+            });
+          }
+        }
+
+        neighbors.forEach(next => {
+          if (visited.has(next.socket)) return;
+          visited.set(next.socket, { from: socket, wire: next.wire });
+          queue.push(next.socket);
+        });
+      }
+    });
+
+    return graph;
+  }
+
+  /**
+   * 探索結果から、到達したソケットまでの経路（パーツとワイヤー）を取り出す
+   */
+  tracePath(visited, socket) {
+    const parts = [];
+    const wires = [];
+    let current = socket;
+    while (current) {
+      parts.push(current.parent);
+      const step = visited.get(current);
+      if (!step) break;
+      if (step.wire) wires.push(step.wire);
+      current = step.from;
+    }
+    return { parts, wires };
+  }
+
+  /**
+   * 強連結成分のうち、ループになっているもの（2つ以上のパーツ、または自己ループ）を返す
+   * （Tarjanのアルゴリズム）
+   */
+  findStronglyConnected(graph) {
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const result = [];
+
+    const visit = (node) => {
+      indices.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+
+      for (const next of graph.get(node).keys()) {
+        if (!indices.has(next)) {
+          visit(next);
+          lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+        } else if (onStack.has(next)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+        }
+      }
+
+      if (lowLinks.get(node) === indices.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+
+        if (component.length > 1 || graph.get(node).has(node)) {
+          result.push(component);
+        }
+      }
+    };
+
+    for (const node of graph.keys()) {
+      if (!indices.has(node)) visit(node);
+    }
+    return result;
+  }
+
+  /**
+   * ループを「意図したクロック」としてマークする（解除もできる）
+   * @param {Object} loop - analyze() で作ったループ
+   * @param {boolean} intentional
+   */
+  setLoopIntentional(loop, intentional) {
+    loop.parts.forEach(part => {
+      part.intentionalOscillation = intentional;
+    });
+    loop.isIntentional = intentional;
+  }
+}
@@ -1,19 +1,101 @@
 'use strict';
 
 import { CONST } from '../config/constants.js';
+import { SimulationClock } from '../utils/SimulationClock.js';
+import { Socket } from '../models/Socket.js';
+import { PowerBudget } from '../utils/PowerBudget.js';
 
-const UPDATE_INTERVAL = 1000;
+const UPDATE_INTERVAL = CONST.SIMULATION.TICK_INTERVAL;
 
 /**
  * 電力システム
- * 再帰呼び出しによって電気を伝播させる
+ * ソケットの隣接リストを作業リストで辿って電気を伝播させる
+ *
+ * p5.jsのグローバル関数には依存しないので、parts/wires 配列だけを渡せば
+ * Node.js などのブラウザ外の環境でもそのまま回路を動かせる
  */
 export class PowerSystem {
-  constructor(parts, wires) {
+  /**
+   * @param {Array} parts - パーツ配列
+   * @param {Array} wires - ワイヤー配列
+   * @param {SimulationClock} clock - シミュレーション用の時計（省略時は新規作成）
+   */
+  constructor(parts, wires, clock = new SimulationClock()) {
     this.parts = parts;
     this.wires = wires;
-    // this.processedSockets = new Set();
+    this.clock = clock;
     this.lastTick = -1;
+    this.updateListeners = []; // 1回の回路計算が終わるたびに呼ばれる関数
+
+    // 伝播用の隣接リスト（パーツやワイヤーが変わった時だけ作り直す）
+    this.topology = null;
+    this.topologyKey = null;
+
+    // カスタム部品の中身まで展開したパーツ（同じく変わった時だけ作り直す）
+    this.simulationParts = [];
+    this.simulationPartsKey = null;
+
+    // デバッグ用: true にすると毎フレーム差分計算の結果を全体計算と照合する
+    this.verifyIncremental = CONST.SIMULATION.VERIFY_INCREMENTAL;
+
+    // 電力予算モード（null なら OFF で、電気は無制限に流れる）
+    this.budgetDraws = null;
+    this.networks = [];     // 電源を含む連結成分ごとの供給・消費（applyPowerBudget() で更新）
+  }
+
+  /**
+   * 回路計算が終わるたびに呼ばれるリスナーを登録する
+   * @param {Function} listener - (powerSystem) => void
+   */
+  addUpdateListener(listener) {
+    this.updateListeners.push(listener);
+  }
+
+  /**
+   * 時計を進めてから回路計算を行う
+   * 早送りなどで進める時間が大きい場合は、ティックを取りこぼさないように細かく分けて計算する
+   * 0を渡した場合は時間を止めたまま電気の伝播だけを行う（一時停止中用）
+   * @param {number} deltaMs - 進める時間（ミリ秒）
+   */
+  step(deltaMs) {
+    let remaining = deltaMs;
+    do {
+      const dt = Math.min(remaining, CONST.SIMULATION.MAX_SUBSTEP);
+      this.clock.advance(dt);
+      this.update();
+      remaining -= dt;
+    } while (remaining > 0);
+  }
+
+  /**
+   * 次のティックの瞬間まで時間を進める（1ティック送り）
+   */
+  stepTick() {
+    const now = this.clock.now();
+    const nextTickTime = (Math.floor(now / UPDATE_INTERVAL) + 1) * UPDATE_INTERVAL;
+    this.step(nextTickTime - now);
+  }
+
+  /**
+   * 現在のティック番号を取得
+   * @returns {number} まだ一度もティックが来ていなければ0
+   */
+  getCurrentTick() {
+    return Math.max(0, this.lastTick);
+  }
+
+  /**
+   * 指定した時間だけ回路を動かす（ヘッドレス実行用）
+   * @param {number} durationMs - 動かす時間（ミリ秒）
+   * @param {number} frameMs - 1フレームあたりの時間（ミリ秒）
+   */
+  runFor(durationMs, frameMs = 1000 / 60) {
+    let remaining = durationMs;
+    while (remaining > 0) {
+      const dt = Math.min(frameMs, remaining);
+      this.step(dt);
+      remaining -= dt;
+    }
   }
 
   /**
@@ -23,18 +105,20 @@ export class PowerSystem {
     // 1. リアルタイム更新（Physics/Time Update）★追加
     // ----------------------------------------------------
     // 各パーツの update() メソッドを呼び出して、リアルタイムな状態更新を行う
-    this.parts.forEach(part => part.update());
+    // カスタム部品の中のパーツも同じように動かす
+    const parts = this.getSimulationParts();
+    parts.forEach(part => part.update(this.clock));
 
     // ----------------------------------------------------
     // 2. 論理状態の更新（Logic Update）
     // ----------------------------------------------------
     // グローバルなティックを計算
-    const currentTick = Math.floor(millis() / UPDATE_INTERVAL);
+    const currentTick = Math.floor(this.clock.now() / UPDATE_INTERVAL);
     
     // ティックが進んだ瞬間だけ、全パーツのロジックを更新！
     if (currentTick > this.lastTick) {
       // 全パーツの onTick() を無条件に呼ぶ
-      this.parts.forEach(part => part.onTick());
+      parts.forEach(part => part.onTick());
       this.lastTick = currentTick;
     }
 
@@ -42,87 +126,473 @@ export class PowerSystem {
     // 3. 電気の伝播（Physics Update）
     // ----------------------------------------------------
     // こっちは毎フレーム実行して、瞬時の電気の流れを描画に反映させる
-    this.parts.forEach(part => part.resetPowerState());
-    // this.processedSockets.clear();
-
-    // 電源を探してスタート
-    const powerSources = this.parts.filter(part => part.type === CONST.PART_TYPE.POWER);
-    powerSources.forEach(source => {
-      const outputSocket = source.getSocket('right');
-      if (outputSocket) this.flowPower(outputSocket);
+    this.propagatePower();
+
+    // ----------------------------------------------------
+    // 4. 計算結果の通知（波形記録など）
+    // ----------------------------------------------------
+    this.updateListeners.forEach(listener => listener(this));
+  }
+
+  // ==================== 電力予算 ====================
+
+  /**
+   * 電力予算モードを切り替える
+   * ON の間は、消費電力の合計が電源の供給量を超えた連結成分（ネットワーク）を過負荷とし、
+   * そのネットワークのライト・ドアを止める
+   * @param {Object|null} draws - パーツの種類ごとの消費電力（null で OFF）
+   */
+  setPowerBudget(draws) {
+    this.budgetDraws = draws ? { ...draws } : null;
+    this.networks = [];
+    // 止めていたライト・ドアを元に戻すため、次のフレームで全体を計算し直す
+    this.invalidateTopology();
+  }
+
+  /**
+   * 電力予算モードが ON か
+   * @returns {boolean}
+   */
+  isPowerBudgetEnabled() {
+    return this.budgetDraws !== null;
+  }
+
+  /**
+   * ネットワークごとの供給・消費を集計し、過負荷のネットワークのライト・ドアを止める
+   * 消費は予算を適用する前の通電状態で数えるので、止めたことで過負荷が解消して
+   * 点滅を繰り返すことはない
+   */
+  applyPowerBudget() {
+    const { parts, sockets, socketIndex, powered, compOf, sourceIndices, sourceParts, sourceState } = this.topology;
+    const networks = new Map(); // 連結成分番号 -> 集計
+
+    for (let k = 0; k < sourceIndices.length; k++) {
+      const comp = compOf[sourceIndices[k]];
+      let network = networks.get(comp);
+      if (!network) {
+        network = { comp, supply: 0, demand: 0, overloaded: false, sources: [], consumers: [] };
+        networks.set(comp, network);
+      }
+      const part = sourceParts[k];
+      if (!network.sources.includes(part)) network.sources.push(part);
+      if (sourceState[k]) network.supply += PowerBudget.getSupply(part);
+    }
+
+    parts.forEach(part => {
+      const draw = PowerBudget.getDraw(part, this.budgetDraws);
+      if (draw <= 0) return;
+      const socket = part.sockets.find(s => powered[socketIndex.get(s)]);
+      if (!socket) return;
+      const network = networks.get(compOf[socketIndex.get(socket)]);
+      if (!network) return;
+      network.demand += draw;
+      network.consumers.push(part);
     });
+
+    networks.forEach(network => {
+      network.overloaded = network.demand > network.supply;
+    });
+
+    // 通電状態は予算を適用する前の値から毎回作り直す（過負荷が解消したら元に戻る）
+    parts.forEach(part => {
+      if (!CONST.POWER_BUDGET.SHUTDOWN_TYPES.includes(part.type)) return;
+      part.sockets.forEach(socket => {
+        const i = socketIndex.get(socket);
+        const network = networks.get(compOf[i]);
+        sockets[i].isPowered = powered[i] === 1 && !(network && network.overloaded);
+      });
+    });
+
+    this.networks = [...networks.values()];
   }
 
+  // ==================== 接続構造（隣接リスト） ====================
+
   /**
-   * 電気を流すメソッド（再帰）
-   * @param {Socket} socket - 今、電気が到達したソケット
+   * 接続構造の作り直しを要求する
+   * （通常はワイヤーの接続・切断やパーツ数の変化を自動で検知するので呼ばなくてよい）
    */
-  flowPower(socket) {
-    // 【無限ループ回避の要】
-    // すでに電気が来ているなら、これ以上計算しない（ここで止まる）
-    if (socket.isPowered) {
-      return;
+  invalidateTopology() {
+    this.topologyKey = null;
+    this.simulationPartsKey = null;
+  }
+
+  getTopologyKey() {
+    return `${this.parts.length}:${this.wires.length}:${Socket.getConnectionVersion()}`;
+  }
+
+  /**
+   * カスタム部品の中身（入れ子も含む）まで展開したパーツを取得
+   * カスタム部品の箱自体も含む（箱は何も導通しない）
+   * @returns {Array}
+   */
+  getSimulationParts() {
+    const key = this.getTopologyKey();
+    if (key !== this.simulationPartsKey) {
+      this.simulationPartsKey = key;
+      this.simulationParts = [];
+      const collect = (parts) => {
+        parts.forEach(part => {
+          this.simulationParts.push(part);
+          if (typeof part.getInnerCircuit === 'function') collect(part.getInnerCircuit().parts);
+        });
+      };
+      collect(this.parts);
     }
+    return this.simulationParts;
+  }
 
-    // 通電させる！
-    socket.isPowered = true;
+  /**
+   * パーツやワイヤーが変わっていれば、ソケットの隣接リストを作り直す
+   * @returns {boolean} 作り直した場合は true
+   */
+  ensureTopology() {
+    const key = this.getTopologyKey();
+    if (key === this.topologyKey) return false;
+    this.topologyKey = key;
+    this.buildTopology();
+    return true;
+  }
 
-    // --------------------------------------------
-    // A. ワイヤーの先へ流す（Socket -> Wire -> Socket）
-    // --------------------------------------------
-    socket.connectedWires.forEach(wire => {
-      const otherEnd = wire.getOtherEnd(socket);
-      if (otherEnd) {
-        this.flowPower(otherEnd); // 再帰呼び出し
-      }
+  /**
+   * 全ソケットに番号を振り、隣接関係を配列（CSR形式）にまとめる
+   * - wireOffsets/wireTargets: ワイヤーの先のソケット
+   * - passOffsets/passTargets: パーツを通り抜けた先のソケット（各パーツの導通テーブルから作る。
+   *   通れるかどうかは passConditions を毎フレーム判定する）
+   * - compOffsets/compMembers: 連結成分ごとのソケット（パーツの ON/OFF に関係なく繋がり得る範囲）
+   *
+   * ソケットの位置は通電に関係しないので、パーツを動かしただけでは作り直さない
+   * カスタム部品はピンと中のソケットをワイヤーと同じようにつなぐ
+   */
+  buildTopology() {
+    const parts = this.getSimulationParts();
+    const sockets = [];
+    const indexOf = new Map();
+    parts.forEach(part => {
+      part.sockets.forEach(socket => {
+        indexOf.set(socket, sockets.length);
+        sockets.push(socket);
+      });
     });
 
-    // --------------------------------------------
-    // B. パーツの反対側へ流す（Socket -> Part -> Socket）
-    // --------------------------------------------
-    // 今いるソケットが「入力」なら、「出力」へ電気を通せるかチェック
-    const part = socket.parent;
-    
-    // パーツごとのルール判定（通していい状態か？）
-    if (this.canPassThrough(part, socket)) {
-      // 反対側のソケットを取得して流す
-      const outputSockets = this.getOutputSockets(part, socket);
-      outputSockets.forEach(outSocket => {
-        this.flowPower(outSocket); // 再帰呼び出し
+    const count = sockets.length;
+    const wireLists = sockets.map(() => []);
+    const passLists = sockets.map(() => []);
+    const sourceIndices = [];
+    const sourceParts = [];
+    const sourceConditions = [];
+
+    sockets.forEach((socket, i) => {
+      socket.connectedWires.forEach(wire => {
+        const otherEnd = wire.getOtherEnd(socket);
+        const j = otherEnd ? indexOf.get(otherEnd) : undefined;
+        if (j !== undefined) wireLists[i].push(j);
       });
+    });
+
+    parts.forEach(part => {
+      if (typeof part.getInnerCircuit !== 'function') return;
+      part.getInnerCircuit().links.forEach(([pin, inner]) => {
+        const i = indexOf.get(pin);
+        const j = indexOf.get(inner);
+        wireLists[i].push(j);
+        wireLists[j].push(i);
+      });
+    });
+
+    // 各パーツの導通テーブルを読み込む
+    parts.forEach(part => {
+      const table = part.getConductionTable();
+
+      table.sources.forEach(name => {
+        const socket = part.getSocket(name);
+        if (!socket) return;
+        sourceIndices.push(indexOf.get(socket));
+        sourceParts.push(part);
+        sourceConditions.push(table.sourceWhen || null);
+      });
+
+      table.paths.forEach(path => {
+        if (table.sinks.includes(path.from)) return; // 行き止まりのソケットからは流さない
+        const from = part.getSocket(path.from);
+        const to = part.getSocket(path.to);
+        if (!from || !to) return;
+        passLists[indexOf.get(from)].push({ target: indexOf.get(to), part, when: path.when || null });
+      });
+    });
+
+    const wireOffsets = new Int32Array(count + 1);
+    const passOffsets = new Int32Array(count + 1);
+    for (let i = 0; i < count; i++) {
+      wireOffsets[i + 1] = wireOffsets[i] + wireLists[i].length;
+      passOffsets[i + 1] = passOffsets[i] + passLists[i].length;
+    }
+
+    const wireTargets = new Int32Array(wireOffsets[count]);
+    const passTargets = new Int32Array(passOffsets[count]);
+    const passSources = new Int32Array(passOffsets[count]);
+    const passParts = new Array(passOffsets[count]);
+    const passConditions = new Array(passOffsets[count]);
+    for (let i = 0; i < count; i++) {
+      wireTargets.set(wireLists[i], wireOffsets[i]);
+      passLists[i].forEach((edge, k) => {
+        const e = passOffsets[i] + k;
+        passTargets[e] = edge.target;
+        passSources[e] = i;
+        passParts[e] = edge.part;
+        passConditions[e] = edge.when;
+      });
+    }
+
+    // 連結成分（Union-Find）
+    const parent = new Int32Array(count);
+    for (let i = 0; i < count; i++) parent[i] = i;
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const union = (a, b) => {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent[ra] = rb;
+    };
+    for (let i = 0; i < count; i++) {
+      for (let e = wireOffsets[i]; e < wireOffsets[i + 1]; e++) union(i, wireTargets[e]);
+      for (let e = passOffsets[i]; e < passOffsets[i + 1]; e++) union(i, passTargets[e]);
+    }
+
+    const compOf = new Int32Array(count);
+    const rootToComp = new Map();
+    const compSizes = [];
+    for (let i = 0; i < count; i++) {
+      const root = find(i);
+      let comp = rootToComp.get(root);
+      if (comp === undefined) {
+        comp = compSizes.length;
+        rootToComp.set(root, comp);
+        compSizes.push(0);
+      }
+      compOf[i] = comp;
+      compSizes[comp]++;
     }
+
+    const compCount = compSizes.length;
+    const compOffsets = new Int32Array(compCount + 1);
+    for (let c = 0; c < compCount; c++) compOffsets[c + 1] = compOffsets[c] + compSizes[c];
+    const compMembers = new Int32Array(count);
+    const fill = compOffsets.slice(0, compCount);
+    for (let i = 0; i < count; i++) compMembers[fill[compOf[i]]++] = i;
+
+    // 通り抜け・電源の判定結果（前回値）。変化した経路や電源の連結成分だけを計算し直す
+    const passState = new Uint8Array(passOffsets[count]);
+    const sourceState = new Uint8Array(sourceIndices.length);
+
+    this.topology = {
+      parts,
+      sockets,
+      socketIndex: indexOf,
+      wireOffsets,
+      wireTargets,
+      passOffsets,
+      passTargets,
+      passSources,
+      passParts,
+      passConditions,
+      compOf,
+      compOffsets,
+      compMembers,
+      sourceIndices: Int32Array.from(sourceIndices),
+      sourceParts,
+      sourceConditions,
+      sourceState,
+      passState,
+      powered: new Uint8Array(count),
+      worklist: new Int32Array(count), // 各ソケットは高々1回しか積まれないので、ソケット数あれば足りる
+      dirtyComps: new Uint8Array(compCount)
+    };
   }
 
+  // ==================== 電気の伝播 ====================
+
   /**
-   * 電気がパーツを通り抜けられるか判定
+   * 電気の伝播を必要な分だけ計算し直す
+   * - 接続構造が変わった時: 全体を計算し直す
+   * - パーツの通り抜け可否や電源の ON/OFF（導通テーブルの条件）が変わった時: そのパーツを含む連結成分だけを計算し直す
+   * - 何も変わっていない時: 何もしない（前回の結果がそのまま正しい）
    */
-  canPassThrough(part, inputSocket) {
-    // 制御用ソケット（control）に入った電気は、そこで行き止まり
-    if (inputSocket.name === 'control') {
-      return false;
+  propagatePower() {
+    if (this.ensureTopology()) {
+      this.updatePassState();
+      this.floodAll();
+    } else {
+      const dirtyCount = this.updatePassState();
+      if (dirtyCount > 0) this.floodDirtyComponents();
     }
 
-    // それ以外は、パーツごとの isOn プロパティを見る
-    // (スイッチがOFFなら false が返ってきて、電気は止まる)
-    if ('isOn' in part) {
-      return part.isOn;
+    if (this.verifyIncremental) {
+      this.verifyAgainstFullFlood();
     }
 
-    // プロパティが無いパーツ（ただの接続点など）は通す
-    return true;
+    if (this.budgetDraws) {
+      this.applyPowerBudget();
+    }
   }
 
   /**
-   * 入力ソケットに対して、出口となるソケットはどれか？
+   * 全ての通り抜け経路と電源の条件を判定し直し、前回から変わった経路・電源の連結成分に印を付ける
+   * @returns {number} 印を付けた連結成分の数
    */
-  getOutputSockets(part, inputSocket) {
-    // 基本は「左から入ったら右へ」「右から入ったら左へ」
-    if (inputSocket.name === 'left') {
-      return [part.getSocket('right')].filter(s => s);
+  updatePassState() {
+    const {
+      passSources, passParts, passConditions, passState,
+      sourceIndices, sourceParts, sourceConditions, sourceState,
+      compOf, dirtyComps
+    } = this.topology;
+    let dirtyCount = 0;
+    const markDirty = (comp) => {
+      if (!dirtyComps[comp]) {
+        dirtyComps[comp] = 1;
+        dirtyCount++;
+      }
+    };
+
+    for (let e = 0; e < passState.length; e++) {
+      const when = passConditions[e];
+      const state = (!when || when(passParts[e])) ? 1 : 0;
+      if (state === passState[e]) continue;
+
+      passState[e] = state;
+      markDirty(compOf[passSources[e]]);
     }
-    if (inputSocket.name === 'right') {
-      return [part.getSocket('left')].filter(s => s);
+
+    for (let k = 0; k < sourceState.length; k++) {
+      const when = sourceConditions[k];
+      const state = (!when || when(sourceParts[k])) ? 1 : 0;
+      if (state === sourceState[k]) continue;
+
+      sourceState[k] = state;
+      markDirty(compOf[sourceIndices[k]]);
     }
-    return [];
+    return dirtyCount;
+  }
+
+  /**
+   * 今電気を出している電源のソケット番号
+   * @param {Function} [filter] - (socketIndex) => boolean 対象を絞る条件
+   * @returns {Int32Array}
+   */
+  getActiveSources(filter) {
+    const { sourceIndices, sourceState } = this.topology;
+    return sourceIndices.filter((i, k) => sourceState[k] && (!filter || filter(i)));
+  }
+
+  /**
+   * 全ソケットを計算し直す
+   */
+  floodAll() {
+    const { sockets, powered, dirtyComps } = this.topology;
+    powered.fill(0);
+    this.flood(this.getActiveSources(), powered);
+    dirtyComps.fill(0);
+
+    // 結果をソケットに書き戻す
+    for (let i = 0; i < sockets.length; i++) {
+      sockets[i].isPowered = powered[i] === 1;
+    }
+  }
+
+  /**
+   * 印の付いた連結成分だけを計算し直す
+   * 連結成分の外には電気が流れ得ないので、成分内の電源から流し直せば十分
+   */
+  floodDirtyComponents() {
+    const { sockets, powered, compOf, compOffsets, compMembers, dirtyComps } = this.topology;
+
+    for (let c = 0; c < dirtyComps.length; c++) {
+      if (!dirtyComps[c]) continue;
+      for (let k = compOffsets[c]; k < compOffsets[c + 1]; k++) powered[compMembers[k]] = 0;
+    }
+
+    const seeds = this.getActiveSources(i => dirtyComps[compOf[i]]);
+    this.flood(seeds, powered);
+
+    for (let c = 0; c < dirtyComps.length; c++) {
+      if (!dirtyComps[c]) continue;
+      for (let k = compOffsets[c]; k < compOffsets[c + 1]; k++) {
+        const i = compMembers[k];
+        sockets[i].isPowered = powered[i] === 1;
+      }
+      dirtyComps[c] = 0;
+    }
+  }
+
+  /**
+   * 起点のソケットから電気が届く全てのソケットに印を付ける
+   * 再帰ではなく作業リスト（スタック）で辿るので、長いJointの鎖や大きなバスでも
+   * コールスタックがあふれない
+   * @param {Int32Array} seeds - 起点のソケット番号
+   * @param {Uint8Array} powered - 通電フラグ（呼び出し側で対象範囲を0にしておく）
+   */
+  flood(seeds, powered) {
+    const { wireOffsets, wireTargets, passOffsets, passTargets, passState, worklist } = this.topology;
+    let top = 0;
+
+    for (let k = 0; k < seeds.length; k++) {
+      const i = seeds[k];
+      if (!powered[i]) {
+        powered[i] = 1;
+        worklist[top++] = i;
+      }
+    }
+
+    while (top > 0) {
+      const i = worklist[--top];
+
+      // A. ワイヤーの先へ流す（Socket -> Wire -> Socket）
+      for (let e = wireOffsets[i]; e < wireOffsets[i + 1]; e++) {
+        const j = wireTargets[e];
+        if (!powered[j]) {
+          powered[j] = 1;
+          worklist[top++] = j;
+        }
+      }
+
+      // B. パーツの反対側へ流す（Socket -> Part -> Socket）
+      // 通していい状態かは updatePassState() で判定済み
+      for (let e = passOffsets[i]; e < passOffsets[i + 1]; e++) {
+        const j = passTargets[e];
+        if (passState[e] && !powered[j]) {
+          powered[j] = 1;
+          worklist[top++] = j;
+        }
+      }
+    }
+  }
+
+  /**
+   * デバッグ用: 差分計算の結果が全体計算と一致するか確認する
+   * 食い違いがあれば警告を出し、全体計算の結果で上書きする
+   * （電力予算モードで止めたソケットは isPowered が変わっているので、予算を適用する前の値と比べる）
+   * @returns {boolean} 一致していれば true
+   */
+  verifyAgainstFullFlood() {
+    const { sockets, powered } = this.topology;
+    const expected = new Uint8Array(sockets.length);
+    this.flood(this.getActiveSources(), expected);
+
+    const mismatches = [];
+    for (let i = 0; i < sockets.length; i++) {
+      const actual = this.budgetDraws ? powered[i] === 1 : sockets[i].isPowered;
+      if (actual !== (expected[i] === 1)) mismatches.push(sockets[i]);
+    }
+    if (mismatches.length === 0) return true;
+
+    console.warn(`PowerSystem: 差分計算の結果が全体計算と一致しません（${mismatches.length}ソケット）`,
+      mismatches.map(socket => `${socket.parent.type}#${socket.parent.id}.${socket.name}`));
+    this.floodAll();
+    return false;
   }
 }
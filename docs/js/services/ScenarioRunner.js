@@ -0,0 +1,333 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+import { PowerSystem } from './PowerSystem.js';
+
+// 操作の種類
+const ACTIONS = ['toggle', 'press', 'set'];
+
+// 期待する状態 -> 判定方法
+// lit / closed / powered はどれも「どこかのソケットが通電している」を意味する
+// （ColorLight なら点灯、PowerDoor は通電している間は閉じ、止まると開く）
+const STATES = {
+  lit: part => isPartPowered(part),
+  unlit: part => !isPartPowered(part),
+  open: part => !isPartPowered(part),
+  closed: part => isPartPowered(part),
+  powered: part => isPartPowered(part),
+  unpowered: part => !isPartPowered(part),
+  on: part => part.isOn === true,
+  off: part => part.isOn === false
+};
+
+function isPartPowered(part) {
+  return part.sockets.some(socket => socket.isPowered);
+}
+
+/**
+ * 現在の状態を期待値と同じ言葉で表す（失敗時のメッセージ用）
+ */
+function describeState(part, expected) {
+  if (expected === 'on' || expected === 'off') {
+    return part.isOn ? 'on' : 'off';
+  }
+  const powered = isPartPowered(part);
+  if (expected === 'lit' || expected === 'unlit') return powered ? 'lit' : 'unlit';
+  if (expected === 'open' || expected === 'closed') return powered ? 'closed' : 'open';
+  return powered ? 'powered' : 'unpowered';
+}
+
+/**
+ * シナリオテスト（回路の自動テスト）
+ * 回路と一緒に保存する短いスクリプトを読み、回路のコピーをティック単位で動かして
+ * 期待した状態になっているかを1つずつ判定する
+ *
+ * 書式（1行または ; 区切りで1文、# で始まる行はコメント）:
+ *   t=0 toggle WallSwitch 'A'
+ *   t=3 press Button 'B'
+ *   t=4 set WallSwitch id=1718000000000 off
+ *   at t=5 expect ColorLight 'L1' lit and PowerDoor 'D' closed
+ *
+ * パーツは「種類 + 名前」で指定する。名前 'X' は、テキストが X の TextLabel に
+ * 一番近いその種類のパーツを指す。id=N で保存データのIDを直接指定することもできる
+ *
+ * ブラウザでもNode.jsでも動く（CircuitSerializer の出力を受け取る）
+ */
+export class ScenarioRunner {
+  /**
+   * シナリオを実行する
+   * @param {Object|string} saveData - CircuitSerializer.serialize() の結果
+   * @param {string} [scenarioText] - シナリオ（省略時は saveData.scenario）
+   * @returns {{passed: number, failed: number, results: Array<{line: number, source: string, passed: boolean, message: string}>}}
+   */
+  static run(saveData, scenarioText = saveData.scenario) {
+    const steps = this.parse(scenarioText || '');
+
+    const parts = [];
+    const wires = [];
+    CircuitSerializer.deserialize(saveData, parts, wires);
+    const sim = new PowerSystem(parts, wires);
+    sim.step(0);
+
+    const results = [];
+    const lastTick = steps.reduce((max, step) => Math.max(max, step.tick), 0);
+    let index = 0;
+
+    for (let tick = 0; tick <= lastTick; tick++) {
+      if (tick > 0) sim.stepTick();
+
+      // このティックの操作をまとめて行い、電気の伝播を反映させてから判定する
+      const current = [];
+      while (index < steps.length && steps[index].tick === tick) {
+        current.push(steps[index++]);
+      }
+
+      let acted = false;
+      current.filter(step => step.kind === 'action').forEach(step => {
+        const error = this.applyAction(step, parts);
+        if (error) {
+          results.push({ line: step.line, source: step.source, passed: false, message: error });
+        }
+        acted = true;
+      });
+      if (acted) sim.step(0);
+
+      current.filter(step => step.kind === 'expect').forEach(step => {
+        results.push(this.checkExpectation(step, parts));
+      });
+    }
+
+    const passed = results.filter(result => result.passed).length;
+    return { passed, failed: results.length - passed, results };
+  }
+
+  // ==================== 解析 ====================
+
+  /**
+   * シナリオの文字列を解析して、ティック順に並んだ手順にする
+   * 書式の誤りは行番号付きの Error を投げる
+   * @param {string} text
+   * @returns {Array<Object>}
+   */
+  static parse(text) {
+    const steps = [];
+
+    this.splitStatements(text).forEach(({ line, source }) => {
+      const tokens = this.tokenize(source, line);
+      let pos = 0;
+      const next = () => tokens[pos++];
+      const peek = () => tokens[pos];
+      const fail = (message) => {
+        throw new Error(`Line ${line}: ${message} (${source})`);
+      };
+
+      if (peek() && peek().toLowerCase() === 'at') next();
+
+      const timeMatch = /^t=(\d+)$/i.exec(next() || '');
+      if (!timeMatch) fail('expected "t=<tick>"');
+      const tick = parseInt(timeMatch[1], 10);
+      if (tick > CONST.SCENARIO.MAX_TICKS) fail(`tick must be ${CONST.SCENARIO.MAX_TICKS} or less`);
+
+      const verb = (next() || '').toLowerCase();
+
+      if (ACTIONS.includes(verb)) {
+        const ref = this.parseReference(next, fail);
+        let value = null;
+        if (verb === 'set') {
+          value = (next() || '').toLowerCase();
+          if (value !== 'on' && value !== 'off') fail('expected "on" or "off" after set');
+        }
+        if (peek() !== undefined) fail(`unexpected "${peek()}"`);
+        steps.push({ kind: 'action', line, source, tick, action: verb, ref, value });
+        return;
+      }
+
+      if (verb === 'expect') {
+        const checks = [];
+        for (;;) {
+          const ref = this.parseReference(next, fail);
+          const state = (next() || '').toLowerCase();
+          if (!STATES[state]) fail(`unknown state "${state}" (use ${Object.keys(STATES).join(', ')})`);
+          checks.push({ ref, state });
+
+          if (peek() === undefined) break;
+          if (next().toLowerCase() !== 'and') fail(`expected "and", got "${tokens[pos - 1]}"`);
+        }
+        steps.push({ kind: 'expect', line, source, tick, checks });
+        return;
+      }
+
+      fail(`unknown command "${verb}" (use ${[...ACTIONS, 'expect'].join(', ')})`);
+    });
+
+    // 同じティックの中では書いた順を保つ（安定ソート）
+    return steps.sort((a, b) => a.tick - b.tick);
+  }
+
+  /**
+   * 「種類 + 名前」または「種類 + id=N」を読む
+   */
+  static parseReference(next, fail) {
+    const typeName = next();
+    if (!typeName) fail('expected a part type');
+    const type = this.resolveType(typeName);
+    if (!type) fail(`unknown part type "${typeName}"`);
+
+    const token = next();
+    if (token === undefined) fail('expected a part name or id=<id>');
+
+    const idMatch = /^id=(\d+)$/i.exec(token);
+    if (idMatch) return { type, typeName, id: Number(idMatch[1]) };
+    if (token.startsWith('\'') || token.startsWith('"')) return { type, typeName, name: token.slice(1, -1) };
+    fail(`expected a quoted name or id=<id>, got "${token}"`);
+  }
+
+  /**
+   * 'WallSwitch' / 'wall_switch' などの表記を PART_TYPE に変換
+   */
+  static resolveType(typeName) {
+    const normalized = typeName.replace(/_/g, '').toUpperCase();
+    return Object.values(CONST.PART_TYPE).find(type => type.replace(/_/g, '') === normalized) || null;
+  }
+
+  /**
+   * 改行と ; で文に分ける（引用符の中の ; は区切りにしない）
+   * @returns {Array<{line: number, source: string}>}
+   */
+  static splitStatements(text) {
+    const statements = [];
+    text.split('\n').forEach((rawLine, i) => {
+      const lineText = rawLine.trim();
+      if (lineText === '' || lineText.startsWith('#') || lineText.startsWith('//')) return;
+
+      let current = '';
+      let quote = null;
+      for (const ch of lineText) {
+        if (quote) {
+          if (ch === quote) quote = null;
+        } else if (ch === '\'' || ch === '"') {
+          quote = ch;
+        } else if (ch === ';') {
+          if (current.trim()) statements.push({ line: i + 1, source: current.trim() });
+          current = '';
+          continue;
+        }
+        current += ch;
+      }
+      if (current.trim()) statements.push({ line: i + 1, source: current.trim() });
+    });
+    return statements;
+  }
+
+  /**
+   * 空白で区切る（引用符で囲まれた部分は引用符ごと1語にする）
+   */
+  static tokenize(source, line) {
+    const tokens = source.match(/'[^']*'|"[^"]*"|\S+/g) || [];
+    tokens.forEach(token => {
+      if (/^['"]/.test(token) && (token.length < 2 || token[token.length - 1] !== token[0])) {
+        throw new Error(`Line ${line}: unterminated quote (${source})`);
+      }
+    });
+    return tokens;
+  }
+
+  // ==================== 実行 ====================
+
+  /**
+   * パーツの参照を解決する
+   * @returns {{part: CircuitPart|null, error: string|null}}
+   */
+  static findPart(ref, parts) {
+    if (ref.id !== undefined) {
+      const part = parts.find(p => p.id === ref.id);
+      if (!part) return { part: null, error: `${ref.typeName} id=${ref.id} not found` };
+      if (part.type !== ref.type) return { part: null, error: `id=${ref.id} is ${part.type}, not ${ref.typeName}` };
+      return { part, error: null };
+    }
+
+    const labels = parts.filter(p => p.type === CONST.PART_TYPE.TEXT_LABEL && p.text === ref.name);
+    if (labels.length === 0) return { part: null, error: `no TextLabel '${ref.name}'` };
+    if (labels.length > 1) return { part: null, error: `TextLabel '${ref.name}' is not unique` };
+
+    // ラベルに一番近い、指定された種類のパーツ
+    const labelCenter = labels[0].getCenter();
+    let best = null;
+    let bestDist = CONST.SCENARIO.LABEL_RADIUS;
+    parts.forEach(part => {
+      if (part.type !== ref.type) return;
+      const center = part.getCenter();
+      const d = Math.hypot(center.x - labelCenter.x, center.y - labelCenter.y);
+      if (d <= bestDist) {
+        bestDist = d;
+        best = part;
+      }
+    });
+    if (!best) return { part: null, error: `no ${ref.typeName} near TextLabel '${ref.name}'` };
+    return { part: best, error: null };
+  }
+
+  /**
+   * 操作を行う
+   * @returns {string|null} 失敗した場合はエラーメッセージ
+   */
+  static applyAction(step, parts) {
+    const { part, error } = this.findPart(step.ref, parts);
+    if (error) return error;
+    if (!('isOn' in part)) return `${step.ref.typeName} cannot be operated`;
+
+    if (step.action === 'toggle') {
+      part.isOn = !part.isOn;
+    } else if (step.action === 'press') {
+      part.interact();
+      return null;
+    } else {
+      part.isOn = (step.value === 'on');
+      // Buttonは押しっぱなし（時間切れで戻らない）として扱う
+      if (part.type === CONST.PART_TYPE.BUTTON) {
+        part.remainingTime = part.isOn ? Infinity : 0;
+      }
+    }
+    // 発電パーツは毎フレーム昼夜や残量から isOn を決め直すので、toggle / set した状態に固定する
+    if ('forcedState' in part) {
+      part.forcedState = part.isOn;
+    }
+    return null;
+  }
+
+  /**
+   * 期待値を判定する（and でつないだ条件は全て満たす必要がある）
+   */
+  static checkExpectation(step, parts) {
+    const failures = [];
+    step.checks.forEach(check => {
+      const { part, error } = this.findPart(check.ref, parts);
+      if (error) {
+        failures.push(error);
+      } else if (!STATES[check.state](part)) {
+        const name = check.ref.name !== undefined ? `'${check.ref.name}'` : `id=${check.ref.id}`;
+        failures.push(`${check.ref.typeName} ${name}: expected ${check.state}, was ${describeState(part, check.state)}`);
+      }
+    });
+
+    return {
+      line: step.line,
+      source: step.source,
+      passed: failures.length === 0,
+      message: failures.join('; ')
+    };
+  }
+
+  /**
+   * 結果を人が読める文字列にする（Node.jsからの実行用）
+   */
+  static formatResults(report) {
+    const lines = report.results.map(result =>
+      `${result.passed ? 'PASS' : 'FAIL'}  line ${result.line}: ${result.source}` +
+      (result.passed ? '' : `\n      ${result.message}`)
+    );
+    lines.push('', `${report.passed} passed, ${report.failed} failed`);
+    return lines.join('\n');
+  }
+}
@@ -0,0 +1,223 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { MathUtils } from '../utils/MathUtils.js';
+
+/**
+ * 選択中のパーツの整列・等間隔配置・反転
+ *
+ * - align      : 左端・右端・上端・下端・中央（横/縦）を揃える
+ * - distribute : 両端のパーツはそのままに、間のすき間が等しくなるように並べる
+ * - flip       : 選択範囲の中心線で左右/上下に反転する
+ *
+ * パーツの端は、回転中心（pivot）を軸に目標の角度まで回した枠で測る
+ * 動かした後の位置は各パーツの snapOffset に合わせて細かいグリッドへ吸着させ、
+ * SmoothValue の目標値を変えるだけなので、ドラッグと同じようにアニメーションで動く
+ * 選択に囲まれた Joint（implicitJoints）も一緒に動かすので、ワイヤーはつながったまま
+ */
+export class SelectionArranger {
+  /**
+   * 端または中央を揃える
+   * @param {Array<CircuitPart>} parts - 選択中のパーツ（Jointを除く）
+   * @param {string} edge - 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom'
+   * @param {Set<CircuitPart>} joints - 道連れにする Joint
+   */
+  static align(parts, edge, joints) {
+    if (parts.length < 2) return;
+
+    const boxes = parts.map(part => this.getBounds(part));
+    const all = this.mergeBounds(boxes);
+    const targets = {
+      left: { axis: 'x', value: all.minX, of: b => b.minX },
+      right: { axis: 'x', value: all.maxX, of: b => b.maxX },
+      center: { axis: 'x', value: (all.minX + all.maxX) / 2, of: b => (b.minX + b.maxX) / 2 },
+      top: { axis: 'y', value: all.minY, of: b => b.minY },
+      bottom: { axis: 'y', value: all.maxY, of: b => b.maxY },
+      middle: { axis: 'y', value: (all.minY + all.maxY) / 2, of: b => (b.minY + b.maxY) / 2 }
+    };
+    const target = targets[edge];
+    if (!target) return;
+
+    const deltas = new Map();
+    parts.forEach((part, i) => {
+      const shift = target.value - target.of(boxes[i]);
+      deltas.set(part, target.axis === 'x' ? this.moveBy(part, shift, 0) : this.moveBy(part, 0, shift));
+    });
+    this.followJoints(joints, deltas);
+  }
+
+  /**
+   * 両端のパーツの間に、すき間が等しくなるように並べる
+   * @param {Array<CircuitPart>} parts - 選択中のパーツ（Jointを除く）
+   * @param {string} axis - 'horizontal' | 'vertical'
+   * @param {Set<CircuitPart>} joints - 道連れにする Joint
+   */
+  static distribute(parts, axis, joints) {
+    if (parts.length < 3) return;
+
+    const horizontal = axis === 'horizontal';
+    const min = b => horizontal ? b.minX : b.minY;
+    const max = b => horizontal ? b.maxX : b.maxY;
+
+    const items = parts
+      .map(part => ({ part, box: this.getBounds(part) }))
+      .sort((a, b) => (min(a.box) + max(a.box)) - (min(b.box) + max(b.box)));
+
+    const first = items[0].box;
+    const last = items[items.length - 1].box;
+    const totalSize = items.reduce((sum, item) => sum + max(item.box) - min(item.box), 0);
+    const gap = (max(last) - min(first) - totalSize) / (items.length - 1);
+
+    const deltas = new Map();
+    let position = min(first);
+    items.forEach(({ part, box }) => {
+      const shift = position - min(box);
+      deltas.set(part, horizontal ? this.moveBy(part, shift, 0) : this.moveBy(part, 0, shift));
+      position += max(box) - min(box) + gap;
+    });
+    this.followJoints(joints, deltas);
+  }
+
+  /**
+   * 選択範囲の中心線で反転する
+   * パーツ自体は裏返せないので、向き（left → right の向き）が鏡に映るように角度を変える
+   * TextLabel は文字が逆さまにならないように角度を変えず、位置だけ反転する
+   * @param {Array<CircuitPart>} parts - 選択中のパーツ（Jointを除く）
+   * @param {string} axis - 'horizontal'（左右） | 'vertical'（上下）
+   * @param {Set<CircuitPart>} joints - 一緒に反転する Joint
+   */
+  static flip(parts, axis, joints) {
+    if (parts.length === 0) return;
+
+    const horizontal = axis === 'horizontal';
+    const all = this.mergeBounds(parts.map(part => this.getBounds(part)));
+    const centerX = (all.minX + all.maxX) / 2;
+    const centerY = (all.minY + all.maxY) / 2;
+
+    [...parts, ...joints].forEach(part => {
+      const pivot = this.getTargetPivot(part);
+      const mirrored = horizontal
+        ? { x: centerX * 2 - pivot.x, y: pivot.y }
+        : { x: pivot.x, y: centerY * 2 - pivot.y };
+      this.moveBy(part, mirrored.x - pivot.x, mirrored.y - pivot.y);
+
+      if (part.type === CONST.PART_TYPE.JOINT || part.type === CONST.PART_TYPE.TEXT_LABEL) return;
+      const rotation = horizontal ? Math.PI - part.targetRotation : -part.targetRotation;
+      part.rot.setTarget(MathUtils.normalizeAngle(rotation));
+    });
+  }
+
+  // ==================== 内部処理 ====================
+
+  /**
+   * 目標の位置・角度でのパーツの枠（回転後の外接矩形）
+   * @param {CircuitPart} part
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+   */
+  static getBounds(part) {
+    const center = this.getTargetPivot(part);
+    const pivot = part.getPivotOffset();
+    const cos = Math.cos(part.targetRotation);
+    const sin = Math.sin(part.targetRotation);
+    const halfW = part.width / 2;
+    const halfH = part.height / 2;
+
+    const corners = [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]].map(([lx, ly]) => {
+      const relX = lx - pivot.x;
+      const relY = ly - pivot.y;
+      return { x: center.x + relX * cos - relY * sin, y: center.y + relX * sin + relY * cos };
+    });
+    return {
+      minX: Math.min(...corners.map(c => c.x)),
+      maxX: Math.max(...corners.map(c => c.x)),
+      minY: Math.min(...corners.map(c => c.y)),
+      maxY: Math.max(...corners.map(c => c.y))
+    };
+  }
+
+  /**
+   * 目標の位置での回転中心（getRotationCenter() の目標値版）
+   * @param {CircuitPart} part
+   * @returns {{x: number, y: number}}
+   */
+  static getTargetPivot(part) {
+    const pivot = part.getPivotOffset();
+    return {
+      x: part.targetX + part.width / 2 + pivot.x,
+      y: part.targetY + part.height / 2 + pivot.y
+    };
+  }
+
+  static mergeBounds(boxes) {
+    return {
+      minX: Math.min(...boxes.map(b => b.minX)),
+      maxX: Math.max(...boxes.map(b => b.maxX)),
+      minY: Math.min(...boxes.map(b => b.minY)),
+      maxY: Math.max(...boxes.map(b => b.maxY))
+    };
+  }
+
+  /**
+   * 目標位置をずらし、snapOffset に合わせて細かいグリッドへ吸着させる
+   * @param {CircuitPart} part
+   * @param {number} dx
+   * @param {number} dy
+   * @returns {{dx: number, dy: number}} 吸着後に実際に動いた量
+   */
+  static moveBy(part, dx, dy) {
+    const fromX = part.targetX;
+    const fromY = part.targetY;
+    const snapped = MathUtils.snapPosition(fromX + dx, fromY + dy, CONST.GRID.SNAP_FINE, part.getSnapOffset());
+    part.posX.setTarget(snapped.x);
+    part.posY.setTarget(snapped.y);
+    return { dx: snapped.x - fromX, dy: snapped.y - fromY };
+  }
+
+  /**
+   * 整列・等間隔配置で動いたパーツに合わせて、道連れの Joint を動かす
+   * Joint の塊（ワイヤーで直接つながった Joint 同士）ごとに、塊に隣り合う選択パーツの移動量の平均だけ動かす
+   * @param {Set<CircuitPart>} joints
+   * @param {Map<CircuitPart, {dx: number, dy: number}>} deltas
+   */
+  static followJoints(joints, deltas) {
+    const visited = new Set();
+
+    joints.forEach(start => {
+      if (visited.has(start)) return;
+
+      const cluster = [];
+      const neighbors = new Set();
+      const queue = [start];
+      visited.add(start);
+
+      while (queue.length > 0) {
+        const joint = queue.shift();
+        cluster.push(joint);
+
+        joint.sockets.forEach(socket => {
+          socket.connectedWires.forEach(wire => {
+            const other = wire.getOtherEnd(socket)?.parent;
+            if (!other) return;
+            if (joints.has(other)) {
+              if (!visited.has(other)) {
+                visited.add(other);
+                queue.push(other);
+              }
+            } else if (deltas.has(other)) {
+              neighbors.add(other);
+            }
+          });
+        });
+      }
+
+      if (neighbors.size === 0) return;
+      let dx = 0;
+      let dy = 0;
+      neighbors.forEach(part => {
+        dx += deltas.get(part).dx;
+        dy += deltas.get(part).dy;
+      });
+      cluster.forEach(joint => this.moveBy(joint, dx / neighbors.size, dy / neighbors.size));
+    });
+  }
+}
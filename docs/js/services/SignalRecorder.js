@@ -0,0 +1,150 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { Socket } from '../models/Socket.js';
+
+/**
+ * 信号レコーダー（ロジックアナライザー）
+ * ピン留めしたソケットの通電状態（Socket.isPowered）やパーツのON/OFF（isOn）を
+ * フレームごとに記録し、タイミングチャート表示用の履歴を保持する
+ *
+ * 履歴は「値が変化した瞬間」だけを保存するので、長時間記録してもデータは増えにくい
+ * p5.jsには依存しないので、ヘッドレス実行時にも使える
+ */
+export class SignalRecorder {
+  constructor() {
+    this.probes = [];       // ピン留め中のプローブ
+    this.nextProbeId = 1;
+    this.lastTime = 0;      // 最後に記録したシミュレーション時刻（ミリ秒）
+    this.lastTick = 0;      // 最後に記録したティック番号
+  }
+
+  // ==================== プローブ管理 ====================
+
+  /**
+   * プローブを追加する
+   * @param {Socket|CircuitPart} target - ソケット、または isOn を持つパーツ
+   * @param {string} label - 表示名
+   * @returns {Object} 追加したプローブ
+   */
+  addProbe(target, label) {
+    const existing = this.findProbe(target);
+    if (existing) return existing;
+
+    const probe = {
+      id: this.nextProbeId++,
+      kind: (target instanceof Socket) ? 'socket' : 'part',
+      target: target,
+      label: label,
+      samples: [] // { time, tick, value } を変化した時だけ追加
+    };
+    this.probes.push(probe);
+    this.sampleProbe(probe, this.lastTime, this.lastTick);
+    return probe;
+  }
+
+  /**
+   * プローブを削除する
+   * @param {number} probeId
+   */
+  removeProbe(probeId) {
+    this.probes = this.probes.filter(probe => probe.id !== probeId);
+  }
+
+  /**
+   * ピン留め状態を切り替える
+   * @param {Socket|CircuitPart} target
+   * @param {string} label - 追加する場合の表示名
+   * @returns {boolean} ピン留めされた状態になったら true
+   */
+  toggleProbe(target, label) {
+    const existing = this.findProbe(target);
+    if (existing) {
+      this.removeProbe(existing.id);
+      return false;
+    }
+    this.addProbe(target, label);
+    return true;
+  }
+
+  /**
+   * 対象に対応するプローブを探す
+   * @param {Socket|CircuitPart} target
+   * @returns {Object|null}
+   */
+  findProbe(target) {
+    return this.probes.find(probe => probe.target === target) || null;
+  }
+
+  /**
+   * 全てのプローブを削除する
+   */
+  clear() {
+    this.probes = [];
+  }
+
+  /**
+   * 回路から削除されたパーツのプローブを取り除く
+   * @param {Array} parts - 現在のパーツ配列
+   */
+  pruneMissing(parts) {
+    const alive = new Set(parts);
+    this.probes = this.probes.filter(probe => {
+      const part = (probe.kind === 'socket') ? probe.target.parent : probe.target;
+      return alive.has(part);
+    });
+  }
+
+  // ==================== 記録 ====================
+
+  /**
+   * 全プローブの現在値を記録する（PowerSystemの更新ごとに呼ぶ）
+   * @param {number} time - シミュレーション時刻（ミリ秒）
+   * @param {number} tick - 現在のティック番号
+   */
+  record(time, tick) {
+    this.lastTime = time;
+    this.lastTick = tick;
+    this.probes.forEach(probe => this.sampleProbe(probe, time, tick));
+  }
+
+  /**
+   * 1つのプローブの値を読み取り、変化していれば履歴に追加する
+   */
+  sampleProbe(probe, time, tick) {
+    const value = (probe.kind === 'socket') ? probe.target.isPowered : !!probe.target.isOn;
+    const last = probe.samples[probe.samples.length - 1];
+    if (last && last.value === value) return;
+
+    probe.samples.push({ time, tick, value });
+    this.trimHistory(probe, time);
+  }
+
+  /**
+   * 保持期間より古い履歴を捨てる
+   * 保持期間の開始時点の値が分かるように、境界より前のサンプルを1つだけ残す
+   */
+  trimHistory(probe, time) {
+    const oldest = time - CONST.WAVEFORM.HISTORY_TICKS * CONST.SIMULATION.TICK_INTERVAL;
+    let dropCount = 0;
+    while (dropCount + 1 < probe.samples.length && probe.samples[dropCount + 1].time <= oldest) {
+      dropCount++;
+    }
+    if (dropCount > 0) probe.samples.splice(0, dropCount);
+  }
+
+  /**
+   * 指定時刻のプローブの値を取得する
+   * @param {Object} probe
+   * @param {number} time - シミュレーション時刻（ミリ秒）
+   * @returns {boolean|null} 記録が無い時刻なら null
+   */
+  getValueAt(probe, time) {
+    let value = null;
+    for (const sample of probe.samples) {
+      if (sample.time > time) break;
+      value = sample.value;
+    }
+    return value;
+  }
+}
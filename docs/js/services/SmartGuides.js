@@ -0,0 +1,112 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * スマートガイド
+ * ドラッグ中のパーツの中心・ソケットが、近くのパーツの中心・ソケットと縦または横に揃いそうな時に
+ * 揃う位置へ吸着させ、補助線（ガイド）として返す
+ *
+ * snapOffset の違うパーツ（PowerDoor・FloorSwitch・TextLabel など）はグリッドへの吸着だけでは
+ * 中心やソケットが揃わないので、グリッドの吸着（onMouseDragged）の後にこれで揃える
+ *
+ * ガイドは { axis, from, to, distance } の形
+ * axis が 'x' なら縦線（X座標が揃った）、'y' なら横線。from は相手の点、to はドラッグ中のパーツの点
+ * distance は線に沿った2点の距離（グリッド何個分か）
+ */
+export class SmartGuides {
+  /**
+   * ドラッグ中のパーツを揃う位置へ吸着させ、表示するガイドを返す
+   * @param {CircuitPart} part - ドラッグ中のパーツ（目標位置を書き換える）
+   * @param {Array<CircuitPart>} parts - 全パーツ
+   * @param {Set<CircuitPart>} moving - 一緒に動いているパーツ（揃える相手にしない）
+   * @param {number} threshold - 吸着する距離（ワールド座標）
+   * @returns {Array<Object>} ガイドの一覧（縦横それぞれ最大1本）
+   */
+  static snap(part, parts, moving, threshold) {
+    const others = parts
+      .filter(other => other !== part && !moving.has(other))
+      .flatMap(other => this.getAnchors(other));
+    if (others.length === 0) return [];
+
+    // 縦・横それぞれ、一番近くで揃いそうなずれを探す
+    const own = this.getAnchors(part);
+    let shiftX = null;
+    let shiftY = null;
+    own.forEach(a => {
+      others.forEach(b => {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        if (Math.abs(dx) <= threshold && Math.abs(dy) <= CONST.GUIDES.RANGE &&
+            (shiftX === null || Math.abs(dx) < Math.abs(shiftX))) {
+          shiftX = dx;
+        }
+        if (Math.abs(dy) <= threshold && Math.abs(dx) <= CONST.GUIDES.RANGE &&
+            (shiftY === null || Math.abs(dy) < Math.abs(shiftY))) {
+          shiftY = dy;
+        }
+      });
+    });
+
+    if (shiftX !== null) part.posX.setTarget(part.targetX + shiftX);
+    if (shiftY !== null) part.posY.setTarget(part.targetY + shiftY);
+
+    // 吸着後の位置で、揃った点の組のうち一番近いものをガイドにする
+    const snapped = this.getAnchors(part);
+    const guides = [];
+    if (shiftX !== null) {
+      const guide = this.findNearestPair(snapped, others, 'x');
+      if (guide) guides.push(guide);
+    }
+    if (shiftY !== null) {
+      const guide = this.findNearestPair(snapped, others, 'y');
+      if (guide) guides.push(guide);
+    }
+    return guides;
+  }
+
+  /**
+   * パーツの中心とソケットの位置（目標位置での値）
+   * アニメーション中でも目標位置で揃えるため、今の位置から目標位置までのずれを足す
+   * @param {CircuitPart} part
+   * @returns {Array<{x: number, y: number}>}
+   */
+  static getAnchors(part) {
+    const shiftX = part.targetX - part.x;
+    const shiftY = part.targetY - part.y;
+    const points = [part.localToWorld(0, 0), ...part.sockets.map(socket => socket.getConnectorWorldPosition())];
+    return points.map(point => ({ x: point.x + shiftX, y: point.y + shiftY }));
+  }
+
+  /**
+   * axis の座標が揃っている点の組のうち、線に沿って一番近いものを探す（重なっている点は除く）
+   * @param {Array<{x: number, y: number}>} own
+   * @param {Array<{x: number, y: number}>} others
+   * @param {string} axis - 'x' | 'y'
+   * @returns {Object|null} ガイド
+   */
+  static findNearestPair(own, others, axis) {
+    const along = axis === 'x' ? 'y' : 'x';
+    const epsilon = 0.01;
+    let best = null;
+
+    own.forEach(a => {
+      others.forEach(b => {
+        if (Math.abs(a[axis] - b[axis]) > epsilon) return;
+        const gap = Math.abs(a[along] - b[along]);
+        if (gap < epsilon || gap > CONST.GUIDES.RANGE) return;
+        if (!best || gap < best.gap) {
+          best = { gap, from: b, to: a };
+        }
+      });
+    });
+
+    if (!best) return null;
+    return {
+      axis,
+      from: best.from,
+      to: best.to,
+      distance: best.gap / CONST.GRID.SIZE
+    };
+  }
+}
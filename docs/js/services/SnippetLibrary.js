@@ -0,0 +1,305 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { PartFactory } from '../models/PartFactory.js';
+import { TextLabel } from '../models/TextLabel.js';
+import { Wire } from '../models/Wire.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+import { MathUtils } from '../utils/MathUtils.js';
+
+/**
+ * 部品ライブラリ（よく使う回路の断片）
+ * 断片は { id, name, data, builtIn } で、data は CircuitSerializer の v1.1 形式
+ * 保存・読込は StorageService（IndexedDB・ファイル）が行い、ここではデータの作成と検証を受け持つ
+ *
+ * 組み込みの断片（SRラッチ・Tフリップフロップ・1ティックパルス・クロック・2進カウンター）は
+ * 既存のパーツだけで毎回組み立てる
+ */
+export class SnippetLibrary {
+  /**
+   * 組み込みの断片を取得（保存・書き出しはされず、削除もできない）
+   * @returns {Array<{id: string, name: string, data: Object, builtIn: boolean}>}
+   */
+  static getBuiltInSnippets() {
+    const presets = [
+      ['builtin-sr-latch', CONST.UI_LABELS.LIBRARY_SR_LATCH, builder => builder.buildSrLatch()],
+      ['builtin-t-flip-flop', CONST.UI_LABELS.LIBRARY_T_FLIP_FLOP, builder => builder.buildTFlipFlop()],
+      ['builtin-pulse', CONST.UI_LABELS.LIBRARY_PULSE, builder => builder.buildPulseGenerator()],
+      ['builtin-clock', CONST.UI_LABELS.LIBRARY_CLOCK, builder => builder.buildClock()],
+      ['builtin-counter', CONST.UI_LABELS.LIBRARY_COUNTER, builder => builder.buildCounter()]
+    ];
+    return presets.map(([id, name, build]) => {
+      const builder = new PresetBuilder();
+      build(builder);
+      builder.alignToOrigin();
+      return { id, name, data: CircuitSerializer.serialize(builder.parts, builder.wires), builtIn: true };
+    });
+  }
+
+  /**
+   * 新しい断片を作る
+   * @param {string} name
+   * @param {Object} data - v1.1 形式の回路データ
+   * @returns {{id: string, name: string, data: Object, builtIn: boolean}}
+   */
+  static createSnippet(name, data) {
+    return {
+      id: `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: this.normalizeName(name),
+      data,
+      builtIn: false
+    };
+  }
+
+  /**
+   * 名前の前後の空白を除き、長さを制限する（空なら既定の名前）
+   * @param {string} name
+   * @returns {string}
+   */
+  static normalizeName(name) {
+    const trimmed = String(name || '').trim().slice(0, CONST.LIBRARY.MAX_NAME_LENGTH);
+    return trimmed || CONST.LIBRARY.DEFAULT_NAME;
+  }
+
+  /**
+   * 保存されていた・読み込んだ断片を検証する
+   * @param {Object} raw
+   * @returns {{id: string, name: string, data: Object, builtIn: boolean}|null} 使えなければ null
+   */
+  static normalizeSnippet(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const data = raw.data;
+    if (!data || typeof data !== 'object' || !data.version || !Array.isArray(data.parts) || !Array.isArray(data.wires)) {
+      return null;
+    }
+    const snippet = this.createSnippet(raw.name, data);
+    if (typeof raw.id === 'string' && raw.id && !raw.id.startsWith('builtin-')) {
+      snippet.id = raw.id;
+    }
+    return snippet;
+  }
+
+  /**
+   * ライブラリのファイル（書き出し用）を作る
+   * @param {Array} snippets - 自分で保存した断片
+   * @returns {Object}
+   */
+  static toFileData(snippets) {
+    return {
+      format: CONST.LIBRARY.FILE_FORMAT,
+      version: CONST.LIBRARY.FILE_VERSION,
+      snippets: snippets
+        .filter(snippet => !snippet.builtIn)
+        .map(({ id, name, data }) => ({ id, name, data }))
+    };
+  }
+
+  /**
+   * ライブラリのファイルを読む
+   * 同じIDの断片は上書きされるので、チームで共有したライブラリを何度読み込んでも重複しない
+   * @param {Object} fileData - JSON.parse した値
+   * @returns {Array} 使える断片（壊れた断片は飛ばす）
+   */
+  static parseFileData(fileData) {
+    if (!fileData || fileData.format !== CONST.LIBRARY.FILE_FORMAT || !Array.isArray(fileData.snippets)) {
+      throw new Error(CONST.MESSAGES.ERROR_INVALID_FILE_FORMAT);
+    }
+    return fileData.snippets
+      .map(raw => this.normalizeSnippet(raw))
+      .filter(snippet => snippet !== null);
+  }
+}
+
+/**
+ * 組み込みの断片を組み立てる（LogicSynthesizer と同じく、格子に並べてワイヤーでつなぐ）
+ * ゲート（AutoSwitch / Inverter）は左を電源側、右を出力側にし、control に入力の信号をつなぐ
+ * ゲートはティックごとに control を読むので、1段ごとに1ティック遅れる
+ */
+class PresetBuilder {
+  constructor() {
+    this.parts = [];
+    this.wires = [];
+    this.nextId = 1;
+  }
+
+  // ==================== 断片 ====================
+
+  /**
+   * SRラッチ: S を押すと Q が ON になり、AutoSwitch が自分の出力で ON を保つ。R を押すと Inverter が切る
+   */
+  buildSrLatch() {
+    const power = this.place(CONST.PART_TYPE.POWER, 0, 1).getSocket('right');
+    const set = this.placeInput(CONST.PART_TYPE.BUTTON, 'S', 1, 0);
+    const reset = this.placeInput(CONST.PART_TYPE.BUTTON, 'R', 1, 2);
+    const inverter = this.place(CONST.PART_TYPE.INVERTER, 2, 1);
+    const hold = this.place(CONST.PART_TYPE.AUTO_SWITCH, 3, 1);
+    const q = this.place(CONST.PART_TYPE.JOINT, 4, 0.5).getSocket('joint');
+
+    this.connect(power, set.getSocket('left'));
+    this.connect(power, reset.getSocket('left'));
+    this.connect(power, inverter.getSocket('left'));
+    this.connect(set.getSocket('right'), q);
+    this.connect(reset.getSocket('right'), inverter.getSocket('control'));
+    this.connect(inverter.getSocket('right'), hold.getSocket('left'));
+    this.connect(hold.getSocket('right'), q);
+    this.connect(q, hold.getSocket('control'));
+    this.connect(q, this.placeOutput('Q', 5, 0).getSocket('bottom'));
+  }
+
+  /**
+   * Tフリップフロップ: T の入力が OFF に戻るたびに Q が反転する
+   */
+  buildTFlipFlop() {
+    const power = this.place(CONST.PART_TYPE.POWER, 0, 1.5).getSocket('right');
+    const t = this.placeInput(CONST.PART_TYPE.BUTTON, 'T', 0, 4);
+    this.connect(power, t.getSocket('left'));
+
+    const q = this.addToggle(power, t.getSocket('right'), 1, 0);
+    this.connect(q, this.placeOutput('Q', 4, 0).getSocket('bottom'));
+  }
+
+  /**
+   * 1ティックパルス: IN が ON になった次のティックに、1ティックだけ OUT が ON になる
+   * AutoSwitch が IN をティックに合わせ、その出力で自分を切る Inverter が1ティック後に止める
+   */
+  buildPulseGenerator() {
+    const power = this.place(CONST.PART_TYPE.POWER, 0, 1).getSocket('right');
+    const input = this.placeInput(CONST.PART_TYPE.WALL_SWITCH, 'IN', 1, 2);
+    const sync = this.place(CONST.PART_TYPE.AUTO_SWITCH, 1, 1);
+    const cut = this.place(CONST.PART_TYPE.INVERTER, 3, 1);
+    const middle = this.place(CONST.PART_TYPE.JOINT, 2, 1.5).getSocket('joint');
+
+    this.connect(power, input.getSocket('left'));
+    this.connect(power, sync.getSocket('left'));
+    this.connect(input.getSocket('right'), sync.getSocket('control'));
+    this.connect(sync.getSocket('right'), middle);
+    this.connect(middle, cut.getSocket('left'));
+    this.connect(middle, cut.getSocket('control'));
+    this.connect(cut.getSocket('right'), this.placeOutput('OUT', 4, 0).getSocket('bottom'));
+  }
+
+  /**
+   * クロック: 出力を自分の control に戻した Inverter（1ティックごとに反転、周期2ティック）
+   * 意図したクロックとしてマークしておく
+   */
+  buildClock() {
+    const power = this.place(CONST.PART_TYPE.POWER, 0, 1).getSocket('right');
+    const inverter = this.place(CONST.PART_TYPE.INVERTER, 1, 1);
+    inverter.intentionalOscillation = true;
+    const output = this.place(CONST.PART_TYPE.JOINT, 2, 1.5).getSocket('joint');
+
+    this.connect(power, inverter.getSocket('left'));
+    this.connect(inverter.getSocket('right'), output);
+    this.connect(output, inverter.getSocket('control'));
+    this.connect(output, this.placeOutput('CLK', 3, 0).getSocket('bottom'));
+  }
+
+  /**
+   * 3ビットの2進カウンター: Tフリップフロップを3段つなぐ（前の段の Q が OFF に戻ると次の段が反転する）
+   */
+  buildCounter() {
+    const power = this.place(CONST.PART_TYPE.POWER, 0, 1.5).getSocket('right');
+    const count = this.placeInput(CONST.PART_TYPE.BUTTON, 'COUNT', 0, 4);
+    this.connect(power, count.getSocket('left'));
+
+    let t = count.getSocket('right');
+    for (let bit = 0; bit < 3; bit++) {
+      const q = this.addToggle(power, t, 1, bit * 6);
+      this.connect(q, this.placeOutput(`Q${bit}`, 4, bit * 6).getSocket('bottom'));
+      t = q;
+    }
+  }
+
+  /**
+   * Tフリップフロップの本体（ゲート8個）を (column, row) から4行に並べる
+   *   Q = (M ∧ ¬T) ∨ (Q ∧ T)   … T が OFF の間は M を写し、ON の間は保持
+   *   M = (¬Q ∧ T) ∨ (M ∧ ¬T)  … T が ON の間は ¬Q を写し、OFF の間は保持
+   * 1行が1つの積項（ゲート2個の直列）で、行の出口を Joint でまとめて OR にする
+   * @param {Socket} power - 電源のソケット
+   * @param {Socket} t - T の信号のソケット
+   * @returns {Socket} Q の Joint のソケット
+   */
+  addToggle(power, t, column, row) {
+    const q = this.place(CONST.PART_TYPE.JOINT, column + 2.5, row + 0.5).getSocket('joint');
+    const m = this.place(CONST.PART_TYPE.JOINT, column + 2.5, row + 2.5).getSocket('joint');
+    const terms = [
+      [CONST.PART_TYPE.INVERTER, CONST.PART_TYPE.AUTO_SWITCH, m, q],
+      [CONST.PART_TYPE.AUTO_SWITCH, CONST.PART_TYPE.AUTO_SWITCH, q, q],
+      [CONST.PART_TYPE.AUTO_SWITCH, CONST.PART_TYPE.INVERTER, q, m],
+      [CONST.PART_TYPE.INVERTER, CONST.PART_TYPE.AUTO_SWITCH, m, m]
+    ];
+    terms.forEach(([firstType, secondType, control, output], i) => {
+      const first = this.place(firstType, column, row + i);
+      const second = this.place(secondType, column + 1, row + i);
+      this.connect(power, first.getSocket('left'));
+      this.connect(t, first.getSocket('control'));
+      this.connect(first.getSocket('right'), second.getSocket('left'));
+      this.connect(control, second.getSocket('control'));
+      this.connect(second.getSocket('right'), output);
+    });
+    return q;
+  }
+
+  // ==================== 配置 ====================
+
+  /**
+   * パーツを格子の (column, row) に置く
+   */
+  place(type, column, row) {
+    const pitch = CONST.SYNTHESIS.PART_PITCH;
+    const part = PartFactory.create(type, this.nextId++, column * pitch, row * pitch);
+    this.parts.push(part);
+    return part;
+  }
+
+  /**
+   * 入力（Button / WallSwitch）を置き、左に名前の TextLabel を付ける
+   */
+  placeInput(type, name, column, row) {
+    const part = this.place(type, column, row);
+    this.placeLabel(name, part, 'left');
+    return part;
+  }
+
+  /**
+   * 出力（ColorLight）を置き、上に名前の TextLabel を付ける
+   */
+  placeOutput(name, column, row) {
+    const part = this.place(CONST.PART_TYPE.COLOR_LIGHT, column, row);
+    this.placeLabel(name, part, 'above');
+    return part;
+  }
+
+  placeLabel(text, part, side) {
+    const label = new TextLabel(this.nextId++, 0, 0, text);
+    const center = part.getCenter();
+    const gap = CONST.SYNTHESIS.PART_PITCH - CONST.PARTS.WIDTH;
+
+    if (side === 'left') {
+      label.setPositionImmediately(part.x - gap - label.width, center.y - label.height / 2);
+    } else {
+      label.setPositionImmediately(center.x - label.width / 2, part.y - gap - label.height);
+    }
+    this.parts.push(label);
+    return label;
+  }
+
+  connect(startSocket, endSocket) {
+    const wire = new Wire(startSocket, endSocket);
+    this.wires.push(wire);
+    return wire;
+  }
+
+  /**
+   * 全体の左上を原点に合わせ、各パーツをグリッドにスナップする
+   */
+  alignToOrigin() {
+    const left = Math.min(...this.parts.map(part => part.x));
+    const top = Math.min(...this.parts.map(part => part.y));
+
+    this.parts.forEach(part => {
+      const snapped = MathUtils.snapPosition(part.x - left, part.y - top, CONST.GRID.SNAP_COARSE, part.getSnapOffset());
+      part.setPositionImmediately(snapped.x, snapped.y);
+    });
+  }
+}
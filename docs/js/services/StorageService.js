@@ -1,6 +1,10 @@
 'use strict';
 
 import { CONST } from '../config/constants.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+import { PartsCounter } from '../utils/PartsCounter.js';
+import { PowerBudget } from '../utils/PowerBudget.js';
+import { SnippetLibrary } from './SnippetLibrary.js';
 
 /**
  * ストレージサービス
@@ -12,6 +16,12 @@ export class StorageService {
    */
   constructor(circuitManager) {
     this.circuitManager = circuitManager;
+    this.costTable = null; // 建設コスト表（初めて使う時に localStorage から読み込む）
+    this.powerBudget = null; // 電力予算モードの設定（同上）
+
+    // 部品ライブラリの IndexedDB（初めて使う時に開く Promise）と、使えない環境での代わりの置き場所
+    this.libraryDb = null;
+    this.libraryFallback = new Map();
   }
 
   /**
@@ -23,8 +33,6 @@ export class StorageService {
       const saveData = this.circuitManager.serializeCircuitData();
       const jsonString = JSON.stringify(saveData, null, 2);
       
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      
       // 日付入りファイル名の生成
       const now = new Date();
       const timestamp = now.toISOString().replace(/[:\.]/g, '-').slice(0, -5);
@@ -43,14 +51,7 @@ export class StorageService {
       
       fileName = fileName.replace(/\.json$/i, '');
       
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${fileName}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      this.downloadText(jsonString, `${fileName}.json`, 'application/json');
       
       console.log("回路データを保存しました");
       return true;
@@ -61,6 +62,24 @@ export class StorageService {
     }
   }
 
+  /**
+   * テキストをファイルとしてダウンロードさせる
+   * @param {string} text - ファイルの内容
+   * @param {string} fileName - ファイル名（拡張子付き）
+   * @param {string} mimeType - MIMEタイプ
+   */
+  downloadText(text, fileName, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * ファイルから読込
    * ★修正: 完了時のコールバック関数を受け取るように変更
@@ -107,6 +126,92 @@ export class StorageService {
     }
   }
 
+  /**
+   * テキストをクリップボードにコピー
+   * Clipboard API が使えない環境（HTTPなど）では execCommand で代用する
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  copyText(text) {
+    return new Promise((resolve, reject) => {
+      // 1. モダンAPI（HTTPS環境）が使える場合
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text)
+          .then(resolve)
+          .catch(reject);
+      } else {
+        // 2. レガシー対応（HTTP環境や古いブラウザ用）
+        try {
+          const textarea = document.createElement('textarea');
+          textarea.value = text;
+          // 画面外に飛ばさず、かつ見えないように配置（スマホでのスクロール防止）
+          textarea.style.position = 'fixed';
+          textarea.style.left = '0';
+          textarea.style.top = '0';
+          textarea.style.opacity = '0';
+          document.body.appendChild(textarea);
+          
+          textarea.focus();
+          textarea.select();
+          
+          const successful = document.execCommand('copy');
+          document.body.removeChild(textarea);
+          
+          if (successful) {
+            resolve();
+          } else {
+            reject(new Error('execCommand failed'));
+          }
+        } catch (err) {
+          reject(err);
+        }
+      }
+    });
+  }
+
+  /**
+   * 選択中のパーツをクリップボード用のテキストにする
+   * 他のタブやチャットに貼っても、そのまま貼り付け直せるように先頭に目印を付ける
+   * @returns {string|null} 何も選択されていなければ null
+   */
+  getSelectionClipboardText() {
+    const data = this.circuitManager.serializeSelection(true);
+    return data === null ? null : CONST.CLIPBOARD.PREFIX + data;
+  }
+
+  /**
+   * クリップボードのテキストから回路の断片を取り出して、指定した位置に挿入する
+   * テキストの途中に目印があれば（チャットのメッセージなど）その後ろを読む
+   * @param {string} text
+   * @param {number} x - ワールドX座標
+   * @param {number} y - ワールドY座標
+   * @returns {Array|null} 挿入したパーツ（回路の断片でない・壊れている時は null）
+   */
+  pasteClipboardText(text, x, y) {
+    const start = text.indexOf(CONST.CLIPBOARD.PREFIX);
+    if (start === -1) return null;
+
+    const match = /^[A-Za-z0-9_-]+/.exec(text.slice(start + CONST.CLIPBOARD.PREFIX.length));
+    if (!match) return null;
+
+    // 壊れた断片は URL 用の読み込み失敗の alert を出さず、貼り付けの失敗として知らせる
+    if (!CircuitSerializer.isReadableBitStream(match[0])) {
+      console.warn('クリップボードの回路の断片が壊れているため貼り付けません');
+      alert(CONST.MESSAGES.ALERT_PASTE_INVALID);
+      return null;
+    }
+
+    try {
+      const newParts = this.circuitManager.insertSnippet(match[0], x, y);
+      console.log(`クリップボードから${newParts.length}個のパーツを貼り付けました`);
+      return newParts;
+    } catch (error) {
+      console.error('貼り付け中にエラーが発生しました:', error);
+      alert(CONST.MESSAGES.ALERT_LOAD_FAILED + ': ' + error.message);
+      return null;
+    }
+  }
+
   /**
    * URLでシェア
    */
@@ -122,48 +227,8 @@ export class StorageService {
       // アドレスバーのURLも更新（ページリロードなし）
       window.history.pushState(null, null, shareUrl);
       
-      // ---------------------------------------------------------
-      // ★修正: クリップボードコピーの堅牢化（フォールバック実装）
-      // ---------------------------------------------------------
-      const copyToClipboard = (text) => {
-        return new Promise((resolve, reject) => {
-          // 1. モダンAPI（HTTPS環境）が使える場合
-          if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(text)
-              .then(resolve)
-              .catch(reject);
-          } else {
-            // 2. レガシー対応（HTTP環境や古いブラウザ用）
-            try {
-              const textarea = document.createElement('textarea');
-              textarea.value = text;
-              // 画面外に飛ばさず、かつ見えないように配置（スマホでのスクロール防止）
-              textarea.style.position = 'fixed';
-              textarea.style.left = '0';
-              textarea.style.top = '0';
-              textarea.style.opacity = '0';
-              document.body.appendChild(textarea);
-              
-              textarea.focus();
-              textarea.select();
-              
-              const successful = document.execCommand('copy');
-              document.body.removeChild(textarea);
-              
-              if (successful) {
-                resolve();
-              } else {
-                reject(new Error('execCommand failed'));
-              }
-            } catch (err) {
-              reject(err);
-            }
-          }
-        });
-      };
-
       // コピー実行
-      copyToClipboard(shareUrl)
+      this.copyText(shareUrl)
         .then(() => {
           // 成功時
           prompt(CONST.MESSAGES.PROMPT_SHARE_SUCCESS, shareUrl);
@@ -235,4 +300,243 @@ export class StorageService {
       return false;
     }
   }
+
+  // ==================== 建設コスト表 ====================
+
+  /**
+   * 建設コスト表を取得（保存されていなければ初期値）
+   * @returns {{limit: number|null, parts: Object}}
+   */
+  getCostTable() {
+    if (!this.costTable) {
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(CONST.STORAGE_KEYS.BUILD_COST_TABLE));
+      } catch (error) {
+        console.warn('保存された建設コスト表を読み込めませんでした:', error);
+      }
+      this.costTable = PartsCounter.normalizeCostTable(saved);
+    }
+    return this.costTable;
+  }
+
+  /**
+   * 建設コスト表を保存
+   * @param {{limit: number|null, parts: Object}} table
+   */
+  saveCostTable(table) {
+    this.costTable = table;
+    localStorage.setItem(CONST.STORAGE_KEYS.BUILD_COST_TABLE, JSON.stringify(table));
+  }
+
+  /**
+   * 建設コスト表を初期値に戻す
+   * @returns {{limit: number|null, parts: Object}}
+   */
+  resetCostTable() {
+    localStorage.removeItem(CONST.STORAGE_KEYS.BUILD_COST_TABLE);
+    this.costTable = PartsCounter.getDefaultCostTable();
+    return this.costTable;
+  }
+
+  // ==================== 電力予算モード ====================
+
+  /**
+   * 電力予算モードの設定を取得（保存されていなければ初期値）
+   * @returns {{enabled: boolean, draws: Object}}
+   */
+  getPowerBudget() {
+    if (!this.powerBudget) {
+      let saved = null;
+      try {
+        saved = JSON.parse(localStorage.getItem(CONST.STORAGE_KEYS.POWER_BUDGET));
+      } catch (error) {
+        console.warn('保存された電力予算の設定を読み込めませんでした:', error);
+      }
+      this.powerBudget = PowerBudget.normalizeSettings(saved);
+    }
+    return this.powerBudget;
+  }
+
+  /**
+   * 電力予算モードの設定を保存
+   * @param {{enabled: boolean, draws: Object}} settings
+   */
+  savePowerBudget(settings) {
+    this.powerBudget = settings;
+    localStorage.setItem(CONST.STORAGE_KEYS.POWER_BUDGET, JSON.stringify(settings));
+  }
+
+  /**
+   * 消費電力の表を初期値に戻す（ON/OFF はそのまま）
+   * @returns {{enabled: boolean, draws: Object}}
+   */
+  resetPowerBudget() {
+    const settings = PowerBudget.getDefaultSettings();
+    settings.enabled = this.getPowerBudget().enabled;
+    this.savePowerBudget(settings);
+    return settings;
+  }
+
+  // ==================== 部品ライブラリ ====================
+
+  /**
+   * ライブラリのデータベースを開く（2回目以降は同じ Promise を返す）
+   * IndexedDB が使えない環境（プライベートブラウズなど）では null になり、ライブラリはメモリ上だけに置く
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  openLibrary() {
+    if (!this.libraryDb) {
+      this.libraryDb = new Promise(resolve => {
+        try {
+          const request = indexedDB.open(CONST.LIBRARY.DB_NAME, CONST.LIBRARY.DB_VERSION);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CONST.LIBRARY.STORE_NAME)) {
+              db.createObjectStore(CONST.LIBRARY.STORE_NAME, { keyPath: 'id' });
+            }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => {
+            console.warn('ライブラリのデータベースを開けませんでした:', request.error);
+            resolve(null);
+          };
+        } catch (error) {
+          console.warn('IndexedDB が使えません:', error);
+          resolve(null);
+        }
+      });
+    }
+    return this.libraryDb;
+  }
+
+  /**
+   * ライブラリをブラウザに保存できるか
+   * @returns {Promise<boolean>}
+   */
+  isLibraryPersistent() {
+    return this.openLibrary().then(db => db !== null);
+  }
+
+  /**
+   * ライブラリのオブジェクトストアで1回処理を行う
+   * @param {IDBDatabase} db
+   * @param {string} mode - 'readonly' / 'readwrite'
+   * @param {Function} action - (store) => IDBRequest|undefined
+   * @returns {Promise<*>} action が返したリクエストの結果（トランザクションの完了後）
+   */
+  runLibraryTransaction(db, mode, action) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CONST.LIBRARY.STORE_NAME, mode);
+      const request = action(transaction.objectStore(CONST.LIBRARY.STORE_NAME));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 保存されている断片を取得（壊れた断片は飛ばす）
+   * @returns {Promise<Array>}
+   */
+  getLibrarySnippets() {
+    return this.openLibrary().then(db => {
+      if (!db) return [...this.libraryFallback.values()];
+      return this.runLibraryTransaction(db, 'readonly', store => store.getAll())
+        .then(records => records
+          .map(record => SnippetLibrary.normalizeSnippet(record))
+          .filter(snippet => snippet !== null));
+    });
+  }
+
+  /**
+   * 断片を保存（同じIDの断片は上書き）
+   * @param {Array} snippets
+   * @returns {Promise<void>}
+   */
+  saveLibrarySnippets(snippets) {
+    const records = snippets.map(({ id, name, data }) => ({ id, name, data }));
+    return this.openLibrary().then(db => {
+      if (!db) {
+        records.forEach(record => this.libraryFallback.set(record.id, SnippetLibrary.normalizeSnippet(record)));
+        return undefined;
+      }
+      return this.runLibraryTransaction(db, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+    });
+  }
+
+  /**
+   * 断片を削除
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  deleteLibrarySnippet(id) {
+    return this.openLibrary().then(db => {
+      if (!db) {
+        this.libraryFallback.delete(id);
+        return undefined;
+      }
+      return this.runLibraryTransaction(db, 'readwrite', store => {
+        store.delete(id);
+      });
+    });
+  }
+
+  /**
+   * 自分で保存した断片を1つのファイルに書き出す
+   * @returns {Promise<void>}
+   */
+  exportLibrary() {
+    return this.getLibrarySnippets()
+      .then(snippets => {
+        const timestamp = new Date().toISOString().replace(/[:\.]/g, '-').slice(0, -5);
+        const jsonString = JSON.stringify(SnippetLibrary.toFileData(snippets), null, 2);
+        this.downloadText(jsonString, `library_${timestamp}.json`, 'application/json');
+      })
+      .catch(error => {
+        console.error('ライブラリの書き出し中にエラーが発生しました:', error);
+        alert(CONST.MESSAGES.ALERT_SAVE_FAILED + ': ' + error.message);
+      });
+  }
+
+  /**
+   * ファイルから断片を読み込んでライブラリに追加する
+   * @param {Function} onLoaded - 追加が終わった時に、読み込んだ断片の数を渡して呼ぶ
+   */
+  importLibraryFile(onLoaded) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+
+    input.onchange = (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        let snippets;
+        try {
+          snippets = SnippetLibrary.parseFileData(JSON.parse(e.target.result));
+        } catch (error) {
+          console.error("ライブラリの読み込み中にエラーが発生しました:", error);
+          alert(CONST.MESSAGES.ALERT_LOAD_FAILED + ': ' + error.message);
+          return;
+        }
+        this.saveLibrarySnippets(snippets)
+          .then(() => {
+            console.log(`ライブラリに断片を読み込みました: ${snippets.length}個`);
+            if (onLoaded) onLoaded(snippets.length);
+          })
+          .catch(error => {
+            console.error("ライブラリへの保存中にエラーが発生しました:", error);
+            alert(CONST.MESSAGES.ALERT_LOAD_FAILED + ': ' + error.message);
+          });
+      };
+      reader.readAsText(file);
+    };
+
+    input.click();
+  }
 }
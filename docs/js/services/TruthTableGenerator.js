@@ -0,0 +1,187 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+import { PowerSystem } from './PowerSystem.js';
+
+/**
+ * 真理値表の生成
+ * 入力に指定したパーツ（WallSwitch/Button）の全ての組み合わせについて
+ * 回路のコピーを安定するまで動かし、出力に指定したパーツ（ColorLight/PowerDoor）の状態を調べる
+ *
+ * 編集中の回路には一切触らないので、シミュレーション中でも実行できる
+ */
+export class TruthTableGenerator {
+  /**
+   * 入力にできるパーツか
+   * @param {CircuitPart} part
+   * @returns {boolean}
+   */
+  static isInputCandidate(part) {
+    return CONST.TRUTH_TABLE.INPUT_TYPES.includes(part.type);
+  }
+
+  /**
+   * 出力にできるパーツか
+   * @param {CircuitPart} part
+   * @returns {boolean}
+   */
+  static isOutputCandidate(part) {
+    return CONST.TRUTH_TABLE.OUTPUT_TYPES.includes(part.type);
+  }
+
+  /**
+   * 真理値表を生成する
+   * @param {Array} parts - パーツ配列
+   * @param {Array} wires - ワイヤー配列
+   * @param {Array<{part: CircuitPart, name: string}>} inputs - 入力（先頭が最上位ビット）
+   * @param {Array<{part: CircuitPart, name: string}>} outputs - 出力
+   * @returns {{inputs: string[], outputs: string[], rows: Array<{inputs: boolean[], outputs: Array<boolean|null>, settled: boolean, ticks: number}>}}
+   */
+  static generate(parts, wires, inputs, outputs) {
+    if (inputs.length > CONST.TRUTH_TABLE.MAX_INPUTS) {
+      throw new Error(`Too many inputs (max ${CONST.TRUTH_TABLE.MAX_INPUTS})`);
+    }
+
+    // 回路をコピーして、元のパーツとの対応を取る（v1.1形式はIDを保持する）
+    const cloneParts = [];
+    const cloneWires = [];
+    CircuitSerializer.deserialize(CircuitSerializer.serialize(parts, wires), cloneParts, cloneWires);
+    const byId = new Map(cloneParts.map(part => [part.id, part]));
+    const inputParts = inputs.map(input => byId.get(input.part.id));
+    const outputParts = outputs.map(output => byId.get(output.part.id));
+
+    // 組み合わせごとに同じ初期状態から始める
+    const initialStates = cloneParts.map(part => ('isOn' in part) ? part.isOn : undefined);
+    const sim = new PowerSystem(cloneParts, cloneWires);
+
+    const rows = [];
+    const combinations = 1 << inputs.length;
+    for (let combo = 0; combo < combinations; combo++) {
+      cloneParts.forEach((part, i) => {
+        if (initialStates[i] !== undefined) part.isOn = initialStates[i];
+      });
+
+      const inputValues = inputParts.map((part, i) => ((combo >> (inputs.length - 1 - i)) & 1) === 1);
+      inputParts.forEach((part, i) => this.applyInput(part, inputValues[i]));
+
+      const result = this.runUntilSettled(sim, cloneParts);
+      rows.push({
+        inputs: inputValues,
+        outputs: outputParts.map(part => result.settled ? this.readOutput(part) : null),
+        settled: result.settled,
+        ticks: result.ticks
+      });
+    }
+
+    return {
+      inputs: inputs.map(input => input.name),
+      outputs: outputs.map(output => output.name),
+      rows
+    };
+  }
+
+  /**
+   * 入力パーツを指定の状態にする
+   * Buttonは押しっぱなし（時間切れで戻らない）として扱う
+   * 発電パーツは昼夜や残量に関係なく、指定の状態に固定する
+   */
+  static applyInput(part, value) {
+    part.isOn = value;
+    if (part.type === CONST.PART_TYPE.BUTTON) {
+      part.remainingTime = value ? Infinity : 0;
+    }
+    if ('forcedState' in part) {
+      part.forcedState = value;
+    }
+  }
+
+  /**
+   * 出力パーツが通電しているか
+   */
+  static readOutput(part) {
+    return part.sockets.some(socket => socket.isPowered);
+  }
+
+  /**
+   * 1ティックずつ進め、全パーツの isOn が変わらなくなるまで動かす
+   * @returns {{settled: boolean, ticks: number}} ticks は安定するまでにかかったティック数
+   */
+  static runUntilSettled(sim, parts) {
+    const signature = () => parts.map(part => (part.isOn ? '1' : '0')).join('');
+
+    sim.clock.reset();
+    sim.lastTick = -1;
+    sim.step(0);
+
+    let previous = signature();
+    for (let tick = 1; tick <= CONST.TRUTH_TABLE.MAX_SETTLE_TICKS; tick++) {
+      sim.stepTick();
+      const current = signature();
+      if (current === previous) {
+        return { settled: true, ticks: tick - 1 };
+      }
+      previous = current;
+    }
+    return { settled: false, ticks: CONST.TRUTH_TABLE.MAX_SETTLE_TICKS };
+  }
+
+  // ==================== エクスポート ====================
+
+  /**
+   * 出力セルの表記（安定しなかった場合は記号で示す）
+   */
+  static formatOutput(value) {
+    if (value === null) return CONST.TRUTH_TABLE.UNSETTLED_MARK;
+    return value ? '1' : '0';
+  }
+
+  /**
+   * CSV形式に変換
+   * @param {Object} table - generate() の結果
+   * @returns {string}
+   */
+  static toCSV(table) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [[...table.inputs, ...table.outputs, 'settled_ticks'].map(escape).join(',')];
+    table.rows.forEach(row => {
+      lines.push([
+        ...row.inputs.map(v => (v ? '1' : '0')),
+        ...row.outputs.map(v => this.formatOutput(v)),
+        row.settled ? row.ticks : ''
+      ].map(escape).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Markdown形式（表）に変換
+   * @param {Object} table - generate() の結果
+   * @returns {string}
+   */
+  static toMarkdown(table) {
+    const escape = (value) => String(value).replace(/\|/g, '\\|');
+    const header = [...table.inputs, ...table.outputs];
+
+    const lines = [
+      `| ${header.map(escape).join(' | ')} |`,
+      `| ${header.map(() => ':-:').join(' | ')} |`
+    ];
+    table.rows.forEach(row => {
+      const cells = [
+        ...row.inputs.map(v => (v ? '1' : '0')),
+        ...row.outputs.map(v => this.formatOutput(v))
+      ];
+      lines.push(`| ${cells.join(' | ')} |`);
+    });
+
+    if (table.rows.some(row => !row.settled)) {
+      lines.push('', CONST.MESSAGES.TEXT_TRUTH_TABLE_UNSETTLED);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 整列パネル（PC版のみ）
+ * 複数選択モードで選んだパーツの端や中央を揃え、等間隔に並べ、左右/上下に反転する
+ */
+export class ArrangePanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.alignButtons = [];
+    this.distributeButtons = [];
+    this.flipButtons = [];
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.ARRANGE_PANEL);
+    if (!this.panel) return;
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.ARRANGE;
+    this.panel.querySelector('.arrange-hint').textContent = CONST.MESSAGES.TEXT_ARRANGE_HINT;
+    this.panel.querySelector('.arrange-align-label').textContent = CONST.UI_LABELS.ARRANGE_ALIGN;
+    this.panel.querySelector('.arrange-distribute-label').textContent = CONST.UI_LABELS.ARRANGE_DISTRIBUTE;
+    this.panel.querySelector('.arrange-flip-label').textContent = CONST.UI_LABELS.ARRANGE_FLIP;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const alignLabels = {
+      left: CONST.UI_LABELS.ARRANGE_LEFT,
+      center: CONST.UI_LABELS.ARRANGE_CENTER,
+      right: CONST.UI_LABELS.ARRANGE_RIGHT,
+      top: CONST.UI_LABELS.ARRANGE_TOP,
+      middle: CONST.UI_LABELS.ARRANGE_MIDDLE,
+      bottom: CONST.UI_LABELS.ARRANGE_BOTTOM
+    };
+    const axisLabels = {
+      horizontal: CONST.UI_LABELS.ARRANGE_HORIZONTAL,
+      vertical: CONST.UI_LABELS.ARRANGE_VERTICAL
+    };
+
+    this.alignButtons = [...this.panel.querySelectorAll('[data-align]')];
+    this.alignButtons.forEach(btn => {
+      btn.textContent = alignLabels[btn.dataset.align];
+      btn.addEventListener('click', () => this.circuitManager.alignSelection(btn.dataset.align));
+    });
+
+    this.distributeButtons = [...this.panel.querySelectorAll('[data-distribute]')];
+    this.distributeButtons.forEach(btn => {
+      btn.textContent = axisLabels[btn.dataset.distribute];
+      btn.addEventListener('click', () => this.circuitManager.distributeSelection(btn.dataset.distribute));
+    });
+
+    this.flipButtons = [...this.panel.querySelectorAll('[data-flip]')];
+    this.flipButtons.forEach(btn => {
+      btn.textContent = axisLabels[btn.dataset.flip];
+      btn.addEventListener('click', () => this.circuitManager.flipSelection(btn.dataset.flip));
+    });
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * 選択中のパーツの数が足りない操作のボタンは押せなくする
+   */
+  update() {
+    if (!this.isOpen()) return;
+    const count = this.circuitManager.selectedParts.size;
+    this.alignButtons.forEach(btn => btn.disabled = count < 2);
+    this.distributeButtons.forEach(btn => btn.disabled = count < 3);
+    this.flipButtons.forEach(btn => btn.disabled = count < 1);
+  }
+}
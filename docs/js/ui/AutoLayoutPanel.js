@@ -0,0 +1,103 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 自動整列パネル（PC版のみ）
+ * 回路全体（複数選択中なら選択中のパーツ）を左から右へ並べ直した配置をプレビューし、反映または破棄する
+ */
+export class AutoLayoutPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.scope = null;
+    this.status = null;
+    this.previewBtn = null;
+    this.acceptBtn = null;
+    this.discardBtn = null;
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.AUTO_LAYOUT_PANEL);
+    if (!this.panel) return;
+
+    this.scope = this.panel.querySelector('.auto-layout-scope');
+    this.status = this.panel.querySelector('.auto-layout-status');
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.AUTO_LAYOUT;
+    this.panel.querySelector('.auto-layout-hint').textContent = CONST.MESSAGES.TEXT_AUTO_LAYOUT_HINT;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    this.previewBtn = this.panel.querySelector('.auto-layout-preview');
+    this.previewBtn.textContent = CONST.UI_LABELS.AUTO_LAYOUT_PREVIEW;
+    this.previewBtn.addEventListener('click', () => this.preview());
+
+    this.acceptBtn = this.panel.querySelector('.auto-layout-accept');
+    this.acceptBtn.textContent = CONST.UI_LABELS.AUTO_LAYOUT_ACCEPT;
+    this.acceptBtn.addEventListener('click', () => {
+      this.circuitManager.acceptAutoLayout();
+      this.status.textContent = '';
+    });
+
+    this.discardBtn = this.panel.querySelector('.auto-layout-discard');
+    this.discardBtn.textContent = CONST.UI_LABELS.AUTO_LAYOUT_DISCARD;
+    this.discardBtn.addEventListener('click', () => {
+      this.circuitManager.discardAutoLayout();
+      this.status.textContent = '';
+    });
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.status.textContent = '';
+  }
+
+  /**
+   * パネルを閉じたら、反映していないプレビューは捨てる
+   */
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+    this.circuitManager.discardAutoLayout();
+  }
+
+  preview() {
+    const count = this.circuitManager.previewAutoLayout();
+    this.status.textContent = count > 0
+      ? CONST.MESSAGES.TEXT_AUTO_LAYOUT_MOVED + count
+      : CONST.MESSAGES.TEXT_AUTO_LAYOUT_EMPTY;
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * 対象の表示と、プレビューの有無に合わせたボタンの状態を切り替える
+   * （プレビュー中に回路が変わってプレビューが消えたら、件数の表示も消す）
+   */
+  update() {
+    if (!this.isOpen()) return;
+    const { selectedParts, parts, layoutPreview } = this.circuitManager;
+
+    this.scope.textContent = selectedParts.size > 0
+      ? CONST.MESSAGES.TEXT_AUTO_LAYOUT_SCOPE_SELECTION
+      : CONST.MESSAGES.TEXT_AUTO_LAYOUT_SCOPE_ALL;
+
+    const previewing = layoutPreview !== null;
+    if (!previewing && this.status.textContent.startsWith(CONST.MESSAGES.TEXT_AUTO_LAYOUT_MOVED)) {
+      this.status.textContent = '';
+    }
+    this.previewBtn.disabled = parts.length === 0;
+    this.acceptBtn.disabled = !previewing;
+    this.discardBtn.disabled = !previewing;
+  }
+}
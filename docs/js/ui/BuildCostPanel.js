@@ -0,0 +1,268 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { PartsCounter } from '../utils/PartsCounter.js';
+
+/**
+ * 建設コストパネル（PC版のみ）
+ * パーツ数とコスト表から、必要な資材の一覧（部品表）と拠点の複雑さを表示する
+ * コスト表と拠点の上限はここで編集し、StorageService 経由で localStorage に保存する
+ */
+export class BuildCostPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   * @param {StorageService} storage - コスト表の読み書きに使う
+   */
+  constructor(circuitManager, storage) {
+    this.circuitManager = circuitManager;
+    this.storage = storage;
+
+    this.panel = null;
+    this.bom = null;
+    this.totals = null;
+    this.limitInput = null;
+    this.editor = null;
+
+    this.calculatedKey = null; // 最後に計算した時の回路の構造（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.BUILD_COST_PANEL);
+    if (!this.panel) return;
+
+    this.bom = this.panel.querySelector('.build-cost-bom');
+    this.totals = this.panel.querySelector('.build-cost-totals');
+    this.limitInput = this.panel.querySelector('.build-cost-limit');
+    this.editor = this.panel.querySelector('.build-cost-editor');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.BUILD_COST;
+    this.panel.querySelector('.build-cost-limit-label').textContent = CONST.UI_LABELS.BUILD_COST_LIMIT;
+    this.panel.querySelector('.build-cost-editor-label').textContent = CONST.UI_LABELS.BUILD_COST_TABLE;
+    this.limitInput.placeholder = CONST.MESSAGES.TEXT_BUILD_COST_NO_LIMIT;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const resetBtn = this.panel.querySelector('.build-cost-reset');
+    resetBtn.textContent = CONST.UI_LABELS.BUILD_COST_RESET;
+    resetBtn.addEventListener('click', () => {
+      if (!confirm(CONST.MESSAGES.CONFIRM_BUILD_COST_RESET)) return;
+      this.storage.resetCostTable();
+      this.renderEditor();
+      this.calculate();
+    });
+
+    this.limitInput.addEventListener('change', () => {
+      const value = this.limitInput.value.trim();
+      const limit = Number(value);
+      const valid = value === '' || (Number.isFinite(limit) && limit > 0);
+      this.limitInput.classList.toggle('invalid', !valid);
+      if (!valid) return;
+
+      const table = this.storage.getCostTable();
+      table.limit = value === '' ? null : limit;
+      this.storage.saveCostTable(table);
+      this.calculate();
+    });
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.renderEditor();
+    this.calculate();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   */
+  update() {
+    if (!this.isOpen()) return;
+    if (this.getCircuitKey() !== this.calculatedKey) {
+      this.calculate();
+    }
+  }
+
+  getCircuitKey() {
+    return this.circuitManager.getTopologyKey();
+  }
+
+  // ==================== 部品表 ====================
+
+  calculate() {
+    this.calculatedKey = this.getCircuitKey();
+
+    const { parts, wires } = this.circuitManager;
+    const cost = PartsCounter.calculateBuildCost(PartsCounter.countParts(parts, wires), this.storage.getCostTable());
+
+    this.bom.innerHTML = '';
+    if (cost.lines.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'build-cost-empty';
+      empty.textContent = CONST.MESSAGES.TEXT_BUILD_COST_EMPTY;
+      this.bom.appendChild(empty);
+    } else {
+      const table = document.createElement('table');
+      table.appendChild(this.createRow('th', [
+        CONST.UI_LABELS.BUILD_COST_PART,
+        CONST.UI_LABELS.BUILD_COST_COUNT,
+        CONST.UI_LABELS.BUILD_COST_COMPLEXITY,
+        CONST.UI_LABELS.BUILD_COST_MATERIALS
+      ]));
+      cost.lines.forEach(line => {
+        table.appendChild(this.createRow('td', [
+          PartsCounter.getDisplayName(line.partType),
+          line.count,
+          line.complexity,
+          this.formatMaterials(line.materials)
+        ]));
+      });
+      this.bom.appendChild(table);
+    }
+
+    // 合計
+    this.totals.innerHTML = '';
+    const materials = document.createElement('div');
+    materials.className = 'build-cost-total';
+    materials.textContent = `${CONST.UI_LABELS.BUILD_COST_TOTAL}: ${this.formatMaterials(cost.materials) || '-'}`;
+    this.totals.appendChild(materials);
+
+    const level = PartsCounter.getLimitLevel(cost.ratio);
+    const complexity = document.createElement('div');
+    complexity.className = `build-cost-total ${level}`;
+    complexity.textContent = cost.limit
+      ? `${CONST.UI_LABELS.BUILD_COST_COMPLEXITY}: ${cost.complexity} / ${cost.limit} (${Math.round(cost.ratio * 100)}%)`
+      : `${CONST.UI_LABELS.BUILD_COST_COMPLEXITY}: ${cost.complexity}`;
+    this.totals.appendChild(complexity);
+
+    if (cost.limit) {
+      const bar = document.createElement('div');
+      bar.className = `complexity-bar ${level}`;
+      const fill = document.createElement('div');
+      fill.className = 'complexity-bar-fill';
+      fill.style.width = `${Math.min(cost.ratio, 1) * 100}%`;
+      bar.appendChild(fill);
+      this.totals.appendChild(bar);
+
+      if (level !== 'ok') {
+        const warning = document.createElement('div');
+        warning.className = `build-cost-warning ${level}`;
+        warning.textContent = level === 'over'
+          ? CONST.MESSAGES.TEXT_BUILD_COST_OVER_LIMIT
+          : CONST.MESSAGES.TEXT_BUILD_COST_NEAR_LIMIT;
+        this.totals.appendChild(warning);
+      }
+    }
+  }
+
+  createRow(cellTag, values) {
+    const tr = document.createElement('tr');
+    values.forEach(value => {
+      const cell = document.createElement(cellTag);
+      cell.textContent = value;
+      tr.appendChild(cell);
+    });
+    return tr;
+  }
+
+  /**
+   * 資材の一覧を "Chromatic Metal 20, Metal Plating 2" の形にする
+   * @param {Map<string, number>|Object} materials
+   */
+  formatMaterials(materials) {
+    const entries = materials instanceof Map ? [...materials] : Object.entries(materials);
+    return entries.map(([name, amount]) => `${name} ${amount}`).join(', ');
+  }
+
+  /**
+   * formatMaterials() の逆。書式が正しくなければ null
+   * @param {string} text
+   * @returns {Object|null} { 資材名: 数 }
+   */
+  parseMaterials(text) {
+    const materials = {};
+    for (const entry of text.split(',').map(item => item.trim()).filter(item => item.length > 0)) {
+      const match = entry.match(/^(.*\S)\s+(\d+(?:\.\d+)?)$/);
+      if (!match) return null;
+      materials[match[1]] = (materials[match[1]] || 0) + Number(match[2]);
+    }
+    return materials;
+  }
+
+  // ==================== コスト表の編集 ====================
+
+  renderEditor() {
+    const table = this.storage.getCostTable();
+    this.limitInput.value = table.limit === null ? '' : table.limit;
+    this.limitInput.classList.remove('invalid');
+
+    this.editor.innerHTML = '';
+    const editorTable = document.createElement('table');
+    editorTable.appendChild(this.createRow('th', [
+      CONST.UI_LABELS.BUILD_COST_PART,
+      CONST.UI_LABELS.BUILD_COST_COMPLEXITY,
+      CONST.UI_LABELS.BUILD_COST_MATERIALS
+    ]));
+
+    Object.keys(table.parts).forEach(partType => {
+      const tr = document.createElement('tr');
+
+      const name = document.createElement('td');
+      name.textContent = PartsCounter.getDisplayName(partType);
+      tr.appendChild(name);
+
+      const complexityInput = document.createElement('input');
+      complexityInput.type = 'number';
+      complexityInput.min = '0';
+      complexityInput.className = 'build-cost-input complexity';
+      complexityInput.value = table.parts[partType].complexity;
+      complexityInput.addEventListener('change', () => {
+        const value = Number(complexityInput.value);
+        const valid = complexityInput.value.trim() !== '' && Number.isFinite(value) && value >= 0;
+        complexityInput.classList.toggle('invalid', !valid);
+        if (valid) this.updateCost(partType, { complexity: value });
+      });
+
+      const materialsInput = document.createElement('input');
+      materialsInput.type = 'text';
+      materialsInput.className = 'build-cost-input materials';
+      materialsInput.spellcheck = false;
+      materialsInput.placeholder = CONST.MESSAGES.TEXT_BUILD_COST_MATERIALS_HINT;
+      materialsInput.value = this.formatMaterials(table.parts[partType].materials);
+      materialsInput.addEventListener('change', () => {
+        const materials = this.parseMaterials(materialsInput.value);
+        materialsInput.classList.toggle('invalid', materials === null);
+        if (materials) this.updateCost(partType, { materials });
+      });
+
+      [complexityInput, materialsInput].forEach(input => {
+        const td = document.createElement('td');
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+      editorTable.appendChild(tr);
+    });
+
+    this.editor.appendChild(editorTable);
+  }
+
+  /**
+   * コスト表の1行を書き換えて保存する
+   */
+  updateCost(partType, changes) {
+    const table = this.storage.getCostTable();
+    Object.assign(table.parts[partType], changes);
+    this.storage.saveCostTable(table);
+    this.calculate();
+  }
+}
@@ -0,0 +1,363 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * カスタム部品パネル（PC版のみ）
+ * 複数選択したパーツを名前付きの部品にまとめ、外に出すソケット（ピン）と名前を選ぶ
+ * 回路で使っている部品の一覧から、配置・中身の編集ができる
+ * 編集中は、ピンの追加・削除・名前の変更をここで行う
+ */
+export class ComponentPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.editing = null;
+    this.editingName = null;
+    this.newSections = [];
+    this.nameInput = null;
+    this.pinsList = null;
+    this.warning = null;
+    this.createBtn = null;
+    this.list = null;
+
+    // ピン候補ごとの入力内容（一覧を作り直しても残す）: socket -> { checked, name }
+    this.pinChoices = new Map();
+    this.renderedKey = null;   // 最後に一覧を作った時の回路・選択の状態（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.COMPONENT_PANEL);
+    if (!this.panel) return;
+
+    this.editing = this.panel.querySelector('.component-editing');
+    this.editingName = this.panel.querySelector('.component-editing-name');
+    this.newSections = this.panel.querySelectorAll('.component-new');
+    this.nameInput = this.panel.querySelector('.component-name');
+    this.pinsList = this.panel.querySelector('.component-pins');
+    this.warning = this.panel.querySelector('.component-warning');
+    this.list = this.panel.querySelector('.component-list');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.COMPONENTS;
+    this.panel.querySelector('.component-new-label').textContent = CONST.UI_LABELS.COMPONENTS_NEW;
+    this.panel.querySelector('.component-name-label').textContent = CONST.UI_LABELS.COMPONENTS_NAME;
+    this.panel.querySelector('.component-pins-label').textContent = CONST.UI_LABELS.COMPONENTS_PINS;
+    this.panel.querySelector('.component-list-label').textContent = CONST.UI_LABELS.COMPONENTS_LIST;
+
+    this.nameInput.maxLength = CONST.COMPONENTS.MAX_NAME_LENGTH;
+    this.nameInput.placeholder = CONST.COMPONENTS.DEFAULT_NAME;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const finishBtn = this.panel.querySelector('.component-finish');
+    finishBtn.textContent = CONST.UI_LABELS.COMPONENTS_FINISH;
+    finishBtn.addEventListener('click', () => {
+      this.circuitManager.closeComponent();
+      this.render();
+    });
+
+    this.createBtn = this.panel.querySelector('.component-create');
+    this.createBtn.textContent = CONST.UI_LABELS.COMPONENTS_CREATE;
+    this.createBtn.addEventListener('click', () => this.create());
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.render();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * 回路や選択が変わったら作り直す（名前を入力中は作り直さない）
+   */
+  update() {
+    const active = document.activeElement;
+    if (!this.isOpen() || (this.panel.contains(active) && active.type === 'text')) return;
+    if (this.getCircuitKey() !== this.renderedKey) {
+      this.render();
+    }
+  }
+
+  getCircuitKey() {
+    const { selectedParts, componentEditStack } = this.circuitManager;
+    const selection = [...selectedParts].map(part => part.id).join(',');
+    return `${this.circuitManager.getTopologyKey()}:${selection}:${componentEditStack.length}`;
+  }
+
+  render() {
+    this.renderedKey = this.getCircuitKey();
+
+    const frame = this.circuitManager.getEditingComponent();
+    this.editing.classList.toggle('hidden', !frame);
+    this.newSections.forEach(section => section.classList.toggle('hidden', !!frame));
+    if (frame) {
+      this.editingName.textContent = CONST.MESSAGES.TEXT_COMPONENTS_EDITING + frame.definition.name;
+      this.renderEditingPins(frame);
+    } else {
+      this.renderNewPins();
+    }
+    this.renderList();
+  }
+
+  // ==================== 新しい部品 ====================
+
+  /**
+   * 選択中のパーツのソケットをピンの候補として並べる
+   * 外へワイヤーが出ているソケットは最初からチェックしておく
+   */
+  renderNewPins() {
+    this.pinsList.innerHTML = '';
+    this.warning.textContent = '';
+
+    const { group, boundaryWires } = this.circuitManager.getComponentSelection();
+    if (this.circuitManager.selectedParts.size === 0) {
+      this.addEmpty(this.pinsList, CONST.MESSAGES.TEXT_COMPONENTS_NO_SELECTION);
+      this.createBtn.disabled = true;
+      return;
+    }
+
+    const boundarySockets = new Set(boundaryWires.flatMap(wire =>
+      [wire.startSocket, wire.endSocket].filter(socket => group.has(socket.parent))));
+
+    const candidates = this.circuitManager.parts
+      .filter(part => group.has(part))
+      .flatMap(part => part.sockets);
+    const choices = new Map();
+    candidates.forEach((socket, index) => {
+      const choice = this.pinChoices.get(socket)
+        || { checked: boundarySockets.has(socket), name: `${CONST.COMPONENTS.PIN_PREFIX}${index + 1}` };
+      choices.set(socket, choice);
+      this.addPinRow(socket, choice, () => this.updateNewWarning(boundaryWires, group));
+    });
+    this.pinChoices = choices;
+
+    this.updateNewWarning(boundaryWires, group);
+  }
+
+  /**
+   * ピンが無い・外からの接続が外れる場合の注意を表示し、作成ボタンの有効/無効を切り替える
+   * @param {Array} boundaryWires
+   * @param {Set} group
+   */
+  updateNewWarning(boundaryWires, group) {
+    const checked = [...this.pinChoices.values()].filter(choice => choice.checked).length;
+    const dropped = boundaryWires.filter(wire => {
+      const socket = group.has(wire.startSocket.parent) ? wire.startSocket : wire.endSocket;
+      return !this.pinChoices.get(socket)?.checked;
+    }).length;
+
+    if (checked === 0) {
+      this.warning.textContent = CONST.MESSAGES.TEXT_COMPONENTS_NO_PINS;
+    } else if (checked > CONST.COMPONENTS.MAX_PINS) {
+      this.warning.textContent = `${CONST.UI_LABELS.COMPONENTS_PINS}: ${checked} / ${CONST.COMPONENTS.MAX_PINS}`;
+    } else {
+      this.warning.textContent = dropped > 0 ? CONST.MESSAGES.TEXT_COMPONENTS_DROPPED_WIRES + dropped : '';
+    }
+    this.createBtn.disabled = checked === 0 || checked > CONST.COMPONENTS.MAX_PINS;
+  }
+
+  create() {
+    const pins = [];
+    this.pinChoices.forEach((choice, socket) => {
+      if (choice.checked) pins.push({ socket, name: this.normalizeName(choice.name, `${CONST.COMPONENTS.PIN_PREFIX}${pins.length + 1}`) });
+    });
+    if (pins.length === 0) return;
+
+    const name = this.normalizeName(this.nameInput.value, CONST.COMPONENTS.DEFAULT_NAME);
+    if (!this.circuitManager.createComponent(name, pins)) return;
+
+    this.nameInput.value = '';
+    this.pinChoices.clear();
+    this.render();
+  }
+
+  // ==================== 編集中の部品のピン ====================
+
+  /**
+   * 編集中の部品のピンと、選択中のパーツのソケットを並べる
+   * チェック・名前の変更はすぐに編集中のピンに反映する（定義には編集を終えた時に反映）
+   * @param {Object} frame - CircuitManager.getEditingComponent()
+   */
+  renderEditingPins(frame) {
+    this.pinsList.innerHTML = '';
+    this.warning.textContent = '';
+
+    const { parts, selectedParts } = this.circuitManager;
+    const byId = new Map(parts.map(part => [part.id, part]));
+    const pinOf = (socket) => frame.pins.find(pin => pin.partId === socket.parent.id && pin.socket === socket.name);
+
+    const sockets = [];
+    frame.pins.forEach(pin => {
+      const socket = byId.get(pin.partId)?.getSocket(pin.socket);
+      if (socket) sockets.push(socket);
+    });
+    parts.filter(part => selectedParts.has(part)).forEach(part => {
+      part.sockets.forEach(socket => {
+        if (!sockets.includes(socket)) sockets.push(socket);
+      });
+    });
+
+    if (sockets.length === 0) {
+      this.addEmpty(this.pinsList, CONST.MESSAGES.TEXT_COMPONENTS_NO_SELECTION);
+      return;
+    }
+
+    const bounds = this.circuitManager.getPartsBounds(parts);
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    sockets.forEach(socket => {
+      const pin = pinOf(socket);
+      const choice = {
+        checked: !!pin,
+        name: pin ? pin.name : `${CONST.COMPONENTS.PIN_PREFIX}${frame.pins.length + 1}`
+      };
+      this.addPinRow(socket, choice, () => {
+        const current = pinOf(socket);
+        let pins = frame.pins;
+        if (choice.checked && !current) {
+          pins = [...pins, {
+            name: this.normalizeName(choice.name, CONST.COMPONENTS.PIN_PREFIX),
+            partId: socket.parent.id,
+            socket: socket.name,
+            side: socket.getConnectorWorldPosition().x < centerX ? 'left' : 'right'
+          }];
+        } else if (!choice.checked && current) {
+          pins = pins.filter(p => p !== current);
+        } else if (current) {
+          pins = pins.map(p => p === current ? { ...p, name: this.normalizeName(choice.name, p.name) } : p);
+        }
+        this.circuitManager.setEditingPins(pins);
+
+        if (pins.length === 0) {
+          this.warning.textContent = CONST.MESSAGES.TEXT_COMPONENTS_NO_PINS;
+        } else if (pins.length > CONST.COMPONENTS.MAX_PINS) {
+          this.warning.textContent = `${CONST.UI_LABELS.COMPONENTS_PINS}: ${pins.length} / ${CONST.COMPONENTS.MAX_PINS}`;
+        } else {
+          this.warning.textContent = '';
+        }
+      });
+    });
+  }
+
+  // ==================== 共通 ====================
+
+  /**
+   * ピン候補の行（チェックボックス・ソケット名・ピン名）を追加する
+   * @param {Socket} socket
+   * @param {{checked: boolean, name: string}} choice - 入力内容をここに書き込む
+   * @param {Function} onChange
+   */
+  addPinRow(socket, choice, onChange) {
+    const item = document.createElement('label');
+    item.className = 'component-pin';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = choice.checked;
+    checkbox.addEventListener('change', () => {
+      choice.checked = checkbox.checked;
+      onChange();
+    });
+    item.appendChild(checkbox);
+
+    const label = document.createElement('span');
+    label.className = 'component-pin-socket';
+    label.textContent = `${this.circuitManager.getPartLabel(socket.parent)}.${socket.name}`;
+    label.addEventListener('click', () => {
+      this.circuitManager.focusOn(socket.getConnectorWorldPosition());
+    });
+    item.appendChild(label);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'component-input component-pin-name';
+    name.maxLength = CONST.COMPONENTS.MAX_NAME_LENGTH;
+    name.value = choice.name;
+    name.addEventListener('change', () => {
+      choice.name = name.value;
+      onChange();
+    });
+    item.appendChild(name);
+
+    this.pinsList.appendChild(item);
+  }
+
+  /**
+   * 空白を除き、空なら既定の名前にする
+   * @param {string} value
+   * @param {string} fallback
+   * @returns {string}
+   */
+  normalizeName(value, fallback) {
+    const name = value.trim().slice(0, CONST.COMPONENTS.MAX_NAME_LENGTH);
+    return name || fallback;
+  }
+
+  addEmpty(container, message) {
+    const empty = document.createElement('div');
+    empty.className = 'component-empty';
+    empty.textContent = message;
+    container.appendChild(empty);
+  }
+
+  // ==================== 部品の一覧 ====================
+
+  renderList() {
+    this.list.innerHTML = '';
+
+    const definitions = this.circuitManager.getComponentDefinitions();
+    if (definitions.length === 0) {
+      this.addEmpty(this.list, CONST.MESSAGES.TEXT_COMPONENTS_NONE);
+      return;
+    }
+
+    const frame = this.circuitManager.getEditingComponent();
+    definitions.forEach(definition => {
+      const item = document.createElement('div');
+      item.className = 'component-item';
+      item.classList.toggle('editing', frame?.definition === definition);
+
+      const name = document.createElement('span');
+      name.className = 'component-item-name';
+      name.textContent = `${definition.name} (${this.circuitManager.countComponentInstances(definition)}${CONST.MESSAGES.TEXT_COMPONENTS_INSTANCES})`;
+      item.appendChild(name);
+
+      const placeBtn = document.createElement('button');
+      placeBtn.className = 'tool-panel-btn';
+      placeBtn.textContent = CONST.UI_LABELS.COMPONENTS_PLACE;
+      placeBtn.disabled = !this.circuitManager.canPlaceComponent(definition);
+      placeBtn.addEventListener('click', () => {
+        this.circuitManager.placeComponent(definition);
+        this.render();
+      });
+      item.appendChild(placeBtn);
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'tool-panel-btn';
+      editBtn.textContent = CONST.UI_LABELS.COMPONENTS_EDIT;
+      editBtn.disabled = this.circuitManager.componentEditStack.some(f => f.definition === definition);
+      editBtn.addEventListener('click', () => {
+        this.circuitManager.openComponent(definition);
+        this.render();
+      });
+      item.appendChild(editBtn);
+
+      this.list.appendChild(item);
+    });
+  }
+}
@@ -175,12 +175,7 @@ export class DeleteCursorOverlay {
 
   getTargetCenter(result) {
     if (result.type === 'wire') {
-      const start = result.target.startSocket.getConnectorWorldPosition();
-      const end = result.target.endSocket.getConnectorWorldPosition();
-      return {
-        x: (start.x + end.x) / 2,
-        y: (start.y + end.y) / 2
-      };
+      return result.target.getMidpoint();
     } else {
       return result.target.getCenter();
     }
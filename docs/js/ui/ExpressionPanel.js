@@ -0,0 +1,124 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { ExpressionExtractor } from '../services/ExpressionExtractor.js';
+
+/**
+ * 論理式パネル（PC版のみ）
+ * 各出力（ColorLight / PowerDoor）の論理式を一覧にする
+ * 開いている間は、パーツやワイヤーが増減するたびに自動で求め直す
+ */
+export class ExpressionPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   * @param {StorageService} storage - クリップボードへのコピーに使う
+   */
+  constructor(circuitManager, storage) {
+    this.circuitManager = circuitManager;
+    this.storage = storage;
+
+    this.panel = null;
+    this.list = null;
+
+    this.result = null;
+    this.extractedKey = null; // 最後に求めた時の回路の構造（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.EXPRESSION_PANEL);
+    if (!this.panel) return;
+
+    this.list = this.panel.querySelector('.expression-list');
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.EXPRESSIONS;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const refreshBtn = this.panel.querySelector('.expression-refresh');
+    refreshBtn.textContent = CONST.UI_LABELS.EXPRESSIONS_REFRESH;
+    refreshBtn.addEventListener('click', () => this.extract());
+
+    const copyBtn = this.panel.querySelector('.expression-copy');
+    copyBtn.textContent = CONST.UI_LABELS.EXPRESSIONS_COPY;
+    copyBtn.addEventListener('click', () => this.copy());
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.extract();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   */
+  update() {
+    if (!this.isOpen()) return;
+    if (this.getCircuitKey() !== this.extractedKey) {
+      this.extract();
+    }
+  }
+
+  getCircuitKey() {
+    return this.circuitManager.getTopologyKey();
+  }
+
+  extract() {
+    this.extractedKey = this.getCircuitKey();
+    this.result = ExpressionExtractor.extract(this.circuitManager.parts);
+
+    this.list.innerHTML = '';
+    if (this.result.outputs.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'expression-empty';
+      empty.textContent = CONST.MESSAGES.TEXT_EXPRESSION_NO_OUTPUTS;
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.result.outputs.forEach(output => {
+      const item = document.createElement('div');
+      item.className = `expression-item ${output.status}`;
+      item.textContent = this.formatOutput(output);
+      item.addEventListener('click', () => {
+        this.circuitManager.focusOn(output.part.getRotationCenter());
+      });
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * 1行分の表記（"L1 = A AND NOT B" など）
+   */
+  formatOutput(output) {
+    if (output.status === 'sequential') {
+      const loop = output.loopParts.map(part => this.circuitManager.getPartLabel(part)).join(', ');
+      return `${output.name}: ${CONST.MESSAGES.TEXT_EXPRESSION_SEQUENTIAL} (${loop})`;
+    }
+    if (output.status === 'complex') {
+      return `${output.name}: ${CONST.MESSAGES.TEXT_EXPRESSION_TOO_COMPLEX}`;
+    }
+    if (output.status === 'unsupported') {
+      return `${output.name}: ${CONST.MESSAGES.TEXT_EXPRESSION_UNSUPPORTED}`;
+    }
+    return `${output.name} = ${output.expression}`;
+  }
+
+  copy() {
+    if (!this.result) return;
+    const text = this.result.outputs.map(output => this.formatOutput(output)).join('\n');
+    this.storage.copyText(text).catch(err => {
+      console.warn('クリップボードへのコピーに失敗しました:', err);
+    });
+  }
+}
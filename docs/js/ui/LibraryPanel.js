@@ -0,0 +1,270 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { SnippetLibrary } from '../services/SnippetLibrary.js';
+import { CircuitSerializer } from '../utils/CircuitSerializer.js';
+
+/**
+ * 部品ライブラリパネル（PC版のみ）
+ * 選択中のパーツを名前を付けて断片として保存し、一覧からキャンバスへドラッグして挿入する
+ * 一覧には組み込みの断片と、IndexedDB に保存した断片をサムネイル付きで並べる
+ * ファイルへの書き出し・読込でライブラリをチームで共有できる
+ */
+export class LibraryPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   * @param {StorageService} storage
+   */
+  constructor(circuitManager, storage) {
+    this.circuitManager = circuitManager;
+    this.storage = storage;
+
+    this.panel = null;
+    this.nameInput = null;
+    this.saveBtn = null;
+    this.notice = null;
+    this.list = null;
+
+    this.builtIns = null;       // 組み込みの断片（初めて開いた時に組み立てる）
+    this.snippets = new Map();  // 一覧に並べている断片（id -> 断片、ドロップ時に探す）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.LIBRARY_PANEL);
+    if (!this.panel) return;
+
+    this.nameInput = this.panel.querySelector('.library-name');
+    this.notice = this.panel.querySelector('.library-notice');
+    this.list = this.panel.querySelector('.library-list');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.LIBRARY;
+    this.panel.querySelector('.library-name-label').textContent = CONST.UI_LABELS.LIBRARY_NAME;
+    this.panel.querySelector('.library-hint').textContent = CONST.MESSAGES.TEXT_LIBRARY_HINT;
+
+    this.nameInput.maxLength = CONST.LIBRARY.MAX_NAME_LENGTH;
+    this.nameInput.placeholder = CONST.LIBRARY.DEFAULT_NAME;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    this.saveBtn = this.panel.querySelector('.library-save');
+    this.saveBtn.textContent = CONST.UI_LABELS.LIBRARY_SAVE;
+    this.saveBtn.addEventListener('click', () => this.saveSelection());
+
+    const importBtn = this.panel.querySelector('.library-import');
+    importBtn.textContent = CONST.UI_LABELS.LIBRARY_IMPORT;
+    importBtn.addEventListener('click', () => {
+      this.storage.importLibraryFile(count => {
+        alert(CONST.MESSAGES.TEXT_LIBRARY_IMPORTED + count);
+        this.refresh();
+      });
+    });
+
+    const exportBtn = this.panel.querySelector('.library-export');
+    exportBtn.textContent = CONST.UI_LABELS.LIBRARY_EXPORT;
+    exportBtn.addEventListener('click', () => this.storage.exportLibrary());
+
+    this.setupDrop();
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.refresh();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * 何も選択されていない時は保存ボタンを押せなくする
+   */
+  update() {
+    if (!this.isOpen()) return;
+    this.saveBtn.disabled = this.circuitManager.selectedParts.size === 0;
+  }
+
+  // ==================== 保存 ====================
+
+  /**
+   * 選択中のパーツを断片としてライブラリに保存する
+   */
+  saveSelection() {
+    const data = this.circuitManager.serializeSelection(false);
+    if (data === null) {
+      this.notice.textContent = CONST.MESSAGES.TEXT_LIBRARY_NO_SELECTION;
+      return;
+    }
+
+    const snippet = SnippetLibrary.createSnippet(this.nameInput.value, data);
+    this.storage.saveLibrarySnippets([snippet])
+      .then(() => {
+        this.nameInput.value = '';
+        this.refresh();
+      })
+      .catch(error => {
+        console.error('ライブラリへの保存中にエラーが発生しました:', error);
+        alert(CONST.MESSAGES.ALERT_SAVE_FAILED + ': ' + error.message);
+      });
+  }
+
+  // ==================== 一覧 ====================
+
+  /**
+   * 保存されている断片を読み直して一覧を作り直す
+   */
+  refresh() {
+    if (!this.builtIns) {
+      this.builtIns = SnippetLibrary.getBuiltInSnippets();
+    }
+
+    Promise.all([this.storage.getLibrarySnippets(), this.storage.isLibraryPersistent()])
+      .then(([saved, persistent]) => {
+        this.notice.textContent = persistent ? '' : CONST.MESSAGES.TEXT_LIBRARY_NOT_PERSISTENT;
+        saved.sort((a, b) => a.name.localeCompare(b.name));
+        this.render([...this.builtIns, ...saved]);
+      })
+      .catch(error => {
+        console.error('ライブラリの読み込み中にエラーが発生しました:', error);
+        this.render(this.builtIns);
+      });
+  }
+
+  /**
+   * @param {Array} snippets
+   */
+  render(snippets) {
+    this.list.innerHTML = '';
+    this.snippets = new Map(snippets.map(snippet => [snippet.id, snippet]));
+
+    snippets.forEach(snippet => {
+      const item = document.createElement('div');
+      item.className = 'library-item';
+      item.draggable = true;
+      item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(CONST.LIBRARY.DRAG_TYPE, snippet.id);
+        e.dataTransfer.setData('text/plain', snippet.name);
+        e.dataTransfer.effectAllowed = 'copy';
+      });
+
+      item.appendChild(this.createThumbnail(snippet.data));
+
+      const name = document.createElement('span');
+      name.className = 'library-item-name';
+      name.textContent = snippet.name;
+      item.appendChild(name);
+
+      if (snippet.builtIn) {
+        const tag = document.createElement('span');
+        tag.className = 'library-item-tag';
+        tag.textContent = CONST.UI_LABELS.LIBRARY_BUILT_IN;
+        item.appendChild(tag);
+      } else {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'tool-panel-btn';
+        deleteBtn.textContent = CONST.UI_LABELS.LIBRARY_DELETE;
+        deleteBtn.addEventListener('click', () => {
+          if (!confirm(CONST.MESSAGES.CONFIRM_LIBRARY_DELETE + snippet.name)) return;
+          this.storage.deleteLibrarySnippet(snippet.id)
+            .then(() => this.refresh())
+            .catch(error => console.error('ライブラリからの削除中にエラーが発生しました:', error));
+        });
+        item.appendChild(deleteBtn);
+      }
+
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * 断片のサムネイルを描く（ワイヤーを線、パーツを種類ごとの色の四角で表す）
+   * @param {Object} data - v1.1 形式の回路データ
+   * @returns {HTMLCanvasElement}
+   */
+  createThumbnail(data) {
+    const { THUMBNAIL_WIDTH: width, THUMBNAIL_HEIGHT: height, THUMBNAIL_PADDING: padding } = CONST.LIBRARY;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'library-thumbnail';
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = CONST.LIBRARY.THUMBNAIL_BG;
+    ctx.fillRect(0, 0, width, height);
+
+    const parts = [];
+    const wires = [];
+    CircuitSerializer.deserialize(data, parts, wires);
+    if (parts.length === 0) return canvas;
+
+    // 全体が収まる倍率で中央に置く
+    const bounds = this.circuitManager.getPartsBounds(parts);
+    const scale = Math.min(
+      (width - padding * 2) / Math.max(1, bounds.maxX - bounds.minX),
+      (height - padding * 2) / Math.max(1, bounds.maxY - bounds.minY)
+    );
+    const offsetX = width / 2 - (bounds.minX + bounds.maxX) / 2 * scale;
+    const offsetY = height / 2 - (bounds.minY + bounds.maxY) / 2 * scale;
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+
+    ctx.strokeStyle = CONST.LIBRARY.THUMBNAIL_WIRE;
+    ctx.lineWidth = 2 / scale;
+    wires.forEach(wire => {
+      const start = wire.startSocket.getConnectorWorldPosition();
+      const end = wire.endSocket.getConnectorWorldPosition();
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    });
+
+    parts.forEach(part => {
+      const center = part.getRotationCenter();
+      ctx.save();
+      ctx.translate(center.x, center.y);
+      ctx.rotate(part.rotation);
+      ctx.fillStyle = CONST.LIBRARY.THUMBNAIL_PART_COLORS[part.type] || CONST.LIBRARY.THUMBNAIL_PART;
+      ctx.fillRect(-part.width / 2, -part.height / 2, part.width, part.height);
+      ctx.restore();
+    });
+
+    return canvas;
+  }
+
+  // ==================== キャンバスへのドロップ ====================
+
+  /**
+   * 一覧からキャンバスにドロップされた断片を、カーソルの位置に挿入する
+   */
+  setupDrop() {
+    const container = document.getElementById(CONST.DOM_IDS.COMMON.CANVAS_CONTAINER);
+    if (!container) return;
+
+    container.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(CONST.LIBRARY.DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+
+    container.addEventListener('drop', (e) => {
+      const snippet = this.snippets.get(e.dataTransfer.getData(CONST.LIBRARY.DRAG_TYPE));
+      if (!snippet) return;
+      e.preventDefault();
+
+      const canvas = container.querySelector('canvas');
+      const rect = canvas ? canvas.getBoundingClientRect() : { left: 0, top: 0 };
+      const world = this.circuitManager.getWorldPosition(e.clientX - rect.left, e.clientY - rect.top);
+
+      // 挿入したパーツが断片のデータを書き換えないように複製して渡す
+      this.circuitManager.insertSnippet(JSON.parse(JSON.stringify(snippet.data)), world.x, world.y);
+    });
+  }
+}
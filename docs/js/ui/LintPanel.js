@@ -0,0 +1,108 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { CircuitLinter } from '../services/CircuitLinter.js';
+
+/**
+ * 回路チェックパネル（PC版のみ）
+ * CircuitLinter の指摘を一覧にし、クリックでその箇所へ視点を移す
+ * 開いている間は、パーツやワイヤーが増減するたびに自動でチェックし直す
+ */
+export class LintPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.list = null;
+
+    this.checkedKey = null; // 最後にチェックした時の回路の構造（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.LINT_PANEL);
+    if (!this.panel) return;
+
+    this.list = this.panel.querySelector('.lint-list');
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.CHECK_CIRCUIT;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const recheckBtn = this.panel.querySelector('.lint-recheck');
+    recheckBtn.textContent = CONST.UI_LABELS.CHECK_CIRCUIT_RECHECK;
+    recheckBtn.addEventListener('click', () => this.check());
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.check();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   */
+  update() {
+    if (!this.isOpen()) return;
+    if (this.getCircuitKey() !== this.checkedKey) {
+      this.check();
+    }
+  }
+
+  getCircuitKey() {
+    return this.circuitManager.getTopologyKey();
+  }
+
+  check() {
+    this.checkedKey = this.getCircuitKey();
+    const findings = CircuitLinter.check(this.circuitManager.parts, this.circuitManager.wires);
+
+    this.list.innerHTML = '';
+    if (findings.length === 0) {
+      const ok = document.createElement('div');
+      ok.className = 'lint-ok';
+      ok.textContent = CONST.MESSAGES.TEXT_LINT_OK;
+      this.list.appendChild(ok);
+      return;
+    }
+
+    findings.forEach(finding => {
+      const item = document.createElement('div');
+      item.className = `lint-item ${finding.severity}`;
+
+      const target = finding.part
+        ? this.circuitManager.getPartLabel(finding.part)
+        : (finding.wire ? this.getWireLabel(finding.wire) : '');
+      item.textContent = target ? `${target}: ${finding.message}` : finding.message;
+
+      // クリックで指摘箇所を画面の中央に表示
+      if (finding.part || finding.wire) {
+        item.classList.add('clickable');
+        item.addEventListener('click', () => {
+          const position = CircuitLinter.locate(finding);
+          if (position) this.circuitManager.focusOn(position);
+        });
+      }
+      this.list.appendChild(item);
+    });
+  }
+
+  getWireLabel(wire) {
+    const start = `${this.circuitManager.getPartLabel(wire.startSocket.parent)}.${wire.startSocket.name}`;
+    const end = `${this.circuitManager.getPartLabel(wire.endSocket.parent)}.${wire.endSocket.name}`;
+    return `${start} – ${end}`;
+  }
+}
@@ -0,0 +1,242 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { CircuitOptimizer } from '../services/CircuitOptimizer.js';
+import { PartsCounter } from '../utils/PartsCounter.js';
+
+/**
+ * パーツ数の最適化パネル（PC版のみ）
+ * CircuitOptimizer の提案を一覧にし、選んだ提案を適用した後のパーツ数と、
+ * 動作が変わらないかの確認結果を前もって表示する
+ * 選択中のパーツがあればその範囲だけ、無ければ回路全体を対象にする
+ */
+export class OptimizerPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.scope = null;
+    this.list = null;
+    this.summary = null;
+    this.applyBtn = null;
+
+    this.proposals = [];
+    this.checked = new Set();  // 適用する提案
+    this.analyzedKey = null;   // 最後に調べた時の回路の構造（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.OPTIMIZER_PANEL);
+    if (!this.panel) return;
+
+    this.scope = this.panel.querySelector('.optimizer-scope');
+    this.list = this.panel.querySelector('.optimizer-list');
+    this.summary = this.panel.querySelector('.optimizer-summary');
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.OPTIMIZE;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const analyzeBtn = this.panel.querySelector('.optimizer-analyze');
+    analyzeBtn.textContent = CONST.UI_LABELS.OPTIMIZE_ANALYZE;
+    analyzeBtn.addEventListener('click', () => this.analyze());
+
+    this.applyBtn = this.panel.querySelector('.optimizer-apply');
+    this.applyBtn.textContent = CONST.UI_LABELS.OPTIMIZE_APPLY;
+    this.applyBtn.addEventListener('click', () => this.apply());
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.analyze();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+    this.circuitManager.partTags.clear();
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   */
+  update() {
+    if (!this.isOpen()) return;
+    if (this.getCircuitKey() !== this.analyzedKey) {
+      this.analyze();
+    }
+  }
+
+  getCircuitKey() {
+    return `${this.circuitManager.getTopologyKey()}:${this.circuitManager.selectedParts.size}`;
+  }
+
+  // ==================== 提案 ====================
+
+  analyze() {
+    this.analyzedKey = this.getCircuitKey();
+
+    const { parts, selectedParts, implicitJoints } = this.circuitManager;
+    const scope = selectedParts.size > 0 ? new Set([...selectedParts, ...implicitJoints]) : null;
+    this.scope.textContent = scope ? CONST.MESSAGES.TEXT_OPTIMIZE_SCOPE_SELECTION : CONST.MESSAGES.TEXT_OPTIMIZE_SCOPE_ALL;
+
+    this.proposals = CircuitOptimizer.analyze(parts, scope);
+    this.checked = new Set(this.proposals);
+
+    this.list.innerHTML = '';
+    if (this.proposals.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'optimizer-empty';
+      empty.textContent = CONST.MESSAGES.TEXT_OPTIMIZE_NONE;
+      this.list.appendChild(empty);
+    }
+
+    this.proposals.forEach(proposal => {
+      const item = document.createElement('div');
+      item.className = 'optimizer-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.checked.add(proposal);
+        } else {
+          this.checked.delete(proposal);
+        }
+        this.updatePreview();
+      });
+
+      // 1つだけ適用した時の増減（全体の確認は下の要約で行う）
+      const single = CircuitOptimizer.preview(parts, this.circuitManager.wires, [proposal], false);
+      const delta = single.after.total - single.before.total;
+
+      const text = document.createElement('span');
+      text.className = 'optimizer-text';
+      text.textContent = `${this.circuitManager.getPartLabel(proposal.part)}: ${proposal.message} (${this.formatDelta(delta)})`;
+      text.addEventListener('click', () => {
+        this.circuitManager.focusOn(proposal.part.getRotationCenter());
+      });
+
+      item.appendChild(checkbox);
+      item.appendChild(text);
+      this.list.appendChild(item);
+    });
+
+    this.updatePreview();
+  }
+
+  /**
+   * 選んだ提案をまとめて適用した結果（パーツ数の増減と動作の確認）を表示する
+   */
+  updatePreview() {
+    this.summary.innerHTML = '';
+    this.updateTags();
+
+    const selected = this.getCheckedProposals();
+    this.applyBtn.disabled = selected.length === 0;
+    if (selected.length === 0) return;
+
+    const { parts, wires } = this.circuitManager;
+    const result = CircuitOptimizer.preview(parts, wires, selected);
+
+    const total = document.createElement('div');
+    total.className = 'optimizer-total';
+    const delta = result.after.total - result.before.total;
+    total.textContent = `${CONST.UI_LABELS.OPTIMIZE_PARTS}: ${result.before.total} → ${result.after.total} (${this.formatDelta(delta)})`;
+    this.summary.appendChild(total);
+
+    if (result.changes.size > 0) {
+      const changes = document.createElement('div');
+      changes.className = 'optimizer-changes';
+      changes.textContent = [...result.changes]
+        .map(([type, change]) => `${PartsCounter.getDisplayName(type)} ${this.formatDelta(change)}`)
+        .join(', ');
+      this.summary.appendChild(changes);
+    }
+
+    const verification = document.createElement('div');
+    const { status, combinations } = result.verification;
+    verification.className = `optimizer-verification ${status}`;
+    if (status === 'ok') {
+      verification.textContent = `${CONST.MESSAGES.TEXT_OPTIMIZE_VERIFIED} (${combinations})`;
+    } else if (status === 'mismatch') {
+      const outputs = result.verification.mismatched.map(part => this.circuitManager.getPartLabel(part)).join(', ');
+      verification.textContent = `${CONST.MESSAGES.TEXT_OPTIMIZE_MISMATCH}: ${outputs}`;
+    } else {
+      verification.textContent = CONST.MESSAGES.TEXT_OPTIMIZE_NOT_VERIFIED;
+    }
+    this.summary.appendChild(verification);
+
+    // 動作が変わってしまう組み合わせは適用させない
+    this.applyBtn.disabled = status === 'mismatch';
+  }
+
+  /**
+   * 選んだ提案で消える・置き換わるパーツにキャンバス上でタグを付ける
+   */
+  updateTags() {
+    const tags = this.circuitManager.partTags;
+    tags.clear();
+
+    const { parts } = this.circuitManager;
+    const byId = new Map(parts.map(part => [part.id, part]));
+    const tag = (id, text, color) => {
+      const part = byId.get(id);
+      if (part) tags.set(part, { text, color });
+    };
+    const { TAG_REMOVE, TAG_REPLACE, TAG_MERGE, COLOR_REMOVE, COLOR_REPLACE, COLOR_MERGE } = CONST.OPTIMIZER;
+
+    this.getCheckedProposals().forEach(proposal => {
+      switch (proposal.rule) {
+        case 'GATE_ALWAYS_ON':
+          tag(proposal.partId, TAG_REPLACE, COLOR_REPLACE);
+          break;
+        case 'GATE_ALWAYS_OFF':
+          tag(proposal.partId, TAG_REMOVE, COLOR_REMOVE);
+          break;
+        case 'DOUBLE_INVERTER':
+          tag(proposal.partId, TAG_REMOVE, COLOR_REMOVE);
+          proposal.consumerIds.forEach(id => tag(id, TAG_REPLACE, COLOR_REPLACE));
+          break;
+        case 'MERGE_JOINTS':
+          [proposal.partId, ...proposal.mergedIds].forEach(id => tag(id, TAG_MERGE, COLOR_MERGE));
+          break;
+      }
+    });
+  }
+
+  getCheckedProposals() {
+    return this.proposals.filter(proposal => this.checked.has(proposal));
+  }
+
+  formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : (delta < 0 ? `−${-delta}` : '±0');
+  }
+
+  // ==================== 適用 ====================
+
+  /**
+   * 選んだ提案をまとめて1回で回路に適用する
+   */
+  apply() {
+    const selected = this.getCheckedProposals();
+    if (selected.length === 0) return;
+
+    // 消えるパーツが選択されたまま残らないようにする
+    this.circuitManager.clearSelection();
+    this.circuitManager.recordChange(() => {
+      CircuitOptimizer.apply(selected, this.circuitManager.parts, this.circuitManager.wires);
+    });
+    this.analyze();
+  }
+}
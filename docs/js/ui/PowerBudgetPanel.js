@@ -0,0 +1,207 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { PartsCounter } from '../utils/PartsCounter.js';
+
+/**
+ * 電力予算パネル（PC版のみ）
+ * 電力予算モードの ON/OFF と、電源を含むネットワークごとの供給・消費・余裕を表示する
+ * パーツの種類ごとの消費電力はここで編集し、StorageService 経由で localStorage に保存する
+ */
+export class PowerBudgetPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   * @param {StorageService} storage - 設定の読み書きに使う
+   */
+  constructor(circuitManager, storage) {
+    this.circuitManager = circuitManager;
+    this.storage = storage;
+
+    this.panel = null;
+    this.enableCheckbox = null;
+    this.list = null;
+    this.editor = null;
+
+    this.rows = [];          // [{ item, values }]（powerSystem.networks と同じ順番）
+    this.listedKey = null;   // 最後に一覧を作った時の回路の構造（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.POWER_BUDGET_PANEL);
+    if (!this.panel) return;
+
+    this.enableCheckbox = this.panel.querySelector('.power-budget-enable');
+    this.list = this.panel.querySelector('.power-budget-list');
+    this.editor = this.panel.querySelector('.power-budget-editor');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.POWER_BUDGET;
+    this.panel.querySelector('.power-budget-enable-label').textContent = CONST.UI_LABELS.POWER_BUDGET_ENABLE;
+    this.panel.querySelector('.power-budget-editor-label').textContent = CONST.UI_LABELS.POWER_BUDGET_DRAWS;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    this.enableCheckbox.addEventListener('change', () => {
+      const settings = this.storage.getPowerBudget();
+      settings.enabled = this.enableCheckbox.checked;
+      this.saveSettings(settings);
+    });
+
+    const resetBtn = this.panel.querySelector('.power-budget-reset');
+    resetBtn.textContent = CONST.UI_LABELS.POWER_BUDGET_RESET;
+    resetBtn.addEventListener('click', () => {
+      if (!confirm(CONST.MESSAGES.CONFIRM_POWER_BUDGET_RESET)) return;
+      this.circuitManager.setPowerBudget(this.storage.resetPowerBudget());
+      this.renderEditor();
+      this.renderList();
+    });
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.enableCheckbox.checked = this.storage.getPowerBudget().enabled;
+    this.renderEditor();
+    this.renderList();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * ネットワークが増減したら一覧を作り直し、供給・消費は毎フレーム書き換える
+   */
+  update() {
+    if (!this.isOpen()) return;
+    const { networks } = this.circuitManager.powerSystem;
+    if (this.getCircuitKey() !== this.listedKey || networks.length !== this.rows.length) {
+      this.renderList();
+    }
+    this.updateValues();
+  }
+
+  getCircuitKey() {
+    return this.circuitManager.getTopologyKey();
+  }
+
+  /**
+   * 設定を保存し、シミュレーションに反映する
+   * @param {{enabled: boolean, draws: Object}} settings
+   */
+  saveSettings(settings) {
+    this.storage.savePowerBudget(settings);
+    this.circuitManager.setPowerBudget(settings);
+    this.renderList();
+  }
+
+  // ==================== ネットワーク一覧 ====================
+
+  renderList() {
+    this.listedKey = this.getCircuitKey();
+    this.list.innerHTML = '';
+    this.rows = [];
+
+    const { powerSystem } = this.circuitManager;
+    const message = !powerSystem.isPowerBudgetEnabled()
+      ? CONST.MESSAGES.TEXT_POWER_BUDGET_DISABLED
+      : (powerSystem.networks.length === 0 ? CONST.MESSAGES.TEXT_POWER_BUDGET_NONE : null);
+    if (message) {
+      const empty = document.createElement('div');
+      empty.className = 'power-budget-empty';
+      empty.textContent = message;
+      this.list.appendChild(empty);
+      return;
+    }
+
+    powerSystem.networks.forEach((network, index) => {
+      const item = document.createElement('div');
+      item.className = 'power-budget-item';
+
+      const name = document.createElement('div');
+      name.className = 'power-budget-name';
+      name.textContent = `${CONST.UI_LABELS.POWER_BUDGET_NETWORK} ${index + 1}: `
+        + network.sources.map(part => this.circuitManager.getPartLabel(part)).join(', ');
+      name.addEventListener('click', () => {
+        const current = this.circuitManager.powerSystem.networks[index];
+        if (current) this.circuitManager.focusOn(current.sources[0].getRotationCenter());
+      });
+      item.appendChild(name);
+
+      const values = document.createElement('div');
+      values.className = 'power-budget-values';
+      item.appendChild(values);
+
+      this.list.appendChild(item);
+      this.rows.push({ item, values });
+    });
+
+    this.updateValues();
+  }
+
+  /**
+   * 各ネットワークの供給・消費・余裕の表示を書き換える
+   */
+  updateValues() {
+    const { networks } = this.circuitManager.powerSystem;
+    this.rows.forEach(({ item, values }, index) => {
+      const network = networks[index];
+      if (!network) return;
+
+      const headroom = network.supply - network.demand;
+      let text = `${CONST.UI_LABELS.POWER_BUDGET_SUPPLY} ${this.formatPower(network.supply)}`
+        + ` / ${CONST.UI_LABELS.POWER_BUDGET_DEMAND} ${this.formatPower(network.demand)}`
+        + ` / ${CONST.UI_LABELS.POWER_BUDGET_HEADROOM} ${this.formatPower(headroom)}`;
+      if (network.overloaded) text += ` ${CONST.MESSAGES.TEXT_POWER_BUDGET_OVERLOADED}`;
+
+      if (values.textContent !== text) values.textContent = text;
+      item.classList.toggle('overloaded', network.overloaded);
+    });
+  }
+
+  formatPower(value) {
+    return Number.isFinite(value) ? `${Math.round(value)} kP` : CONST.MESSAGES.TEXT_POWER_BUDGET_UNLIMITED;
+  }
+
+  // ==================== 消費電力の編集 ====================
+
+  renderEditor() {
+    const { draws } = this.storage.getPowerBudget();
+
+    this.editor.innerHTML = '';
+    Object.keys(draws).forEach(partType => {
+      const field = document.createElement('label');
+      field.className = 'power-budget-field';
+
+      const label = document.createElement('span');
+      label.textContent = PartsCounter.getDisplayName(partType);
+      field.appendChild(label);
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.className = 'power-budget-input';
+      input.value = draws[partType];
+      input.addEventListener('change', () => {
+        const value = Number(input.value);
+        const valid = input.value.trim() !== '' && Number.isFinite(value) && value >= 0;
+        input.classList.toggle('invalid', !valid);
+        if (!valid) return;
+
+        const settings = this.storage.getPowerBudget();
+        settings.draws[partType] = value;
+        this.saveSettings(settings);
+      });
+      field.appendChild(input);
+
+      this.editor.appendChild(field);
+    });
+  }
+}
@@ -0,0 +1,208 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+// 設定値の名前と表示ラベルの対応
+const SETTING_LABELS = {
+  output: 'POWER_SOURCES_OUTPUT',
+  capacity: 'POWER_SOURCES_CAPACITY',
+  stored: 'POWER_SOURCES_STORED',
+  chargeRate: 'POWER_SOURCES_CHARGE_RATE',
+  burnTime: 'POWER_SOURCES_BURN_TIME',
+  fuel: 'POWER_SOURCES_FUEL'
+};
+
+/**
+ * 発電パーツのパネル（PC版のみ）
+ * 昼夜の時計（1日の長さ、日の出・日の入りへの早送り）と、
+ * 太陽光パネル・バッテリー・バイオ燃料炉・電磁発電機ごとの出力や容量、残量を表示・編集する
+ */
+export class PowerSourcePanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.time = null;
+    this.list = null;
+
+    this.rows = [];          // [{ part, status, inputs: Map<key, input> }]
+    this.listedKey = null;   // 最後に一覧を作った時の回路の構造（変化検出用）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.POWER_SOURCE_PANEL);
+    if (!this.panel) return;
+
+    this.time = this.panel.querySelector('.power-source-time');
+    this.list = this.panel.querySelector('.power-source-list');
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.POWER_SOURCES;
+    this.panel.querySelector('.power-source-day-length-label').textContent = CONST.UI_LABELS.POWER_SOURCES_DAY_LENGTH;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const clock = this.circuitManager.clock;
+
+    // 1日の長さの選択肢を定数から生成
+    const dayLength = this.panel.querySelector('.power-source-day-length');
+    CONST.DAY_NIGHT.DAY_LENGTHS.forEach(ms => {
+      const option = document.createElement('option');
+      option.value = ms;
+      option.textContent = `${ms / 60000} min`;
+      option.selected = (ms === clock.dayLength);
+      dayLength.appendChild(option);
+    });
+    dayLength.addEventListener('change', (e) => {
+      clock.setDayLength(parseFloat(e.target.value));
+      e.target.blur(); // Spaceキーでの一時停止がselectに奪われないようにする
+    });
+
+    const sunriseBtn = this.panel.querySelector('.power-source-sunrise');
+    sunriseBtn.textContent = CONST.UI_LABELS.POWER_SOURCES_TO_SUNRISE;
+    sunriseBtn.addEventListener('click', () => clock.setTimeOfDay(0));
+
+    const sunsetBtn = this.panel.querySelector('.power-source-sunset');
+    sunsetBtn.textContent = CONST.UI_LABELS.POWER_SOURCES_TO_SUNSET;
+    sunsetBtn.addEventListener('click', () => clock.setTimeOfDay(CONST.DAY_NIGHT.DAYLIGHT_RATIO));
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.renderList();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * パーツが増減したら一覧を作り直し、時刻と残量は毎フレーム書き換える
+   */
+  update() {
+    if (!this.isOpen()) return;
+    if (this.getCircuitKey() !== this.listedKey) {
+      this.renderList();
+    }
+    this.updateValues();
+  }
+
+  getCircuitKey() {
+    return this.circuitManager.getTopologyKey();
+  }
+
+  // ==================== 一覧 ====================
+
+  renderList() {
+    this.listedKey = this.getCircuitKey();
+    this.list.innerHTML = '';
+    this.rows = [];
+
+    const sources = this.circuitManager.parts.filter(part => typeof part.getSettings === 'function');
+    if (sources.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'power-source-empty';
+      empty.textContent = CONST.MESSAGES.TEXT_POWER_SOURCES_NONE;
+      this.list.appendChild(empty);
+      return;
+    }
+
+    sources.forEach(part => {
+      const item = document.createElement('div');
+      item.className = 'power-source-item';
+
+      const header = document.createElement('div');
+      header.className = 'power-source-header';
+
+      const name = document.createElement('span');
+      name.className = 'power-source-name';
+      name.textContent = this.circuitManager.getPartLabel(part);
+      name.addEventListener('click', () => {
+        this.circuitManager.focusOn(part.getRotationCenter());
+      });
+      header.appendChild(name);
+
+      const status = document.createElement('span');
+      status.className = 'power-source-status';
+      header.appendChild(status);
+
+      // バイオ燃料炉は燃料の補給ボタンを付ける（キャンバス上でクリックしても補給できる）
+      if (part.type === CONST.PART_TYPE.BIOFUEL_REACTOR) {
+        const refuel = document.createElement('button');
+        refuel.className = 'tool-panel-btn power-source-refuel';
+        refuel.textContent = CONST.UI_LABELS.POWER_SOURCES_REFUEL;
+        refuel.addEventListener('click', () => part.interact());
+        header.appendChild(refuel);
+      }
+      item.appendChild(header);
+
+      const inputs = new Map();
+      part.getSettingKeys().forEach(key => {
+        const field = document.createElement('label');
+        field.className = 'power-source-field';
+
+        const label = document.createElement('span');
+        label.textContent = CONST.UI_LABELS[SETTING_LABELS[key]] || key;
+        field.appendChild(label);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.className = 'power-source-input';
+        input.addEventListener('change', () => {
+          const value = Number(input.value);
+          const valid = input.value.trim() !== '' && Number.isFinite(value) && value >= 0;
+          input.classList.toggle('invalid', !valid);
+          if (valid) part.applySettings({ [key]: value });
+        });
+        field.appendChild(input);
+
+        inputs.set(key, input);
+        item.appendChild(field);
+      });
+
+      this.list.appendChild(item);
+      this.rows.push({ part, status, inputs });
+    });
+
+    this.updateValues();
+  }
+
+  /**
+   * 時刻・各パーツの状態・設定値の表示を書き換える（入力中の欄はそのままにする）
+   */
+  updateValues() {
+    const clock = this.circuitManager.clock;
+    const day = clock.isDaytime();
+    this.setText(this.time, `${day ? '☀' : '☾'} ${day ? CONST.MESSAGES.TEXT_POWER_SOURCES_DAY : CONST.MESSAGES.TEXT_POWER_SOURCES_NIGHT} ${clock.formatTimeOfDay()}`);
+
+    this.rows.forEach(({ part, status, inputs }) => {
+      const ratio = part.getGaugeRatio();
+      const gauge = ratio === null ? '' : ` ${Math.round(ratio * 100)}%`;
+      this.setText(status, `${part.isOn ? 'ON' : 'OFF'}${gauge}`);
+      status.classList.toggle('on', part.isOn);
+
+      const settings = part.getSettings();
+      inputs.forEach((input, key) => {
+        if (document.activeElement === input) return;
+        const value = String(Math.round(settings[key]));
+        if (input.value !== value) input.value = value;
+        input.classList.remove('invalid');
+      });
+    });
+  }
+
+  setText(element, text) {
+    if (element.textContent !== text) element.textContent = text;
+  }
+}
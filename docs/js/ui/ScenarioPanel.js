@@ -0,0 +1,121 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { ScenarioRunner } from '../services/ScenarioRunner.js';
+
+/**
+ * シナリオテストパネル（PC版のみ）
+ * 回路と一緒に保存するシナリオを編集・実行し、判定ごとの成否を表示する
+ */
+export class ScenarioPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.editor = null;
+    this.result = null;
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.SCENARIO_PANEL);
+    if (!this.panel) return;
+
+    this.editor = this.panel.querySelector('.scenario-editor');
+    this.result = this.panel.querySelector('.scenario-result');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.SCENARIO;
+    this.editor.placeholder = CONST.MESSAGES.TEXT_SCENARIO_HINT;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const runBtn = this.panel.querySelector('.scenario-run');
+    runBtn.textContent = CONST.UI_LABELS.SCENARIO_RUN;
+    runBtn.addEventListener('click', () => this.run());
+
+    // 編集内容はそのまま回路に持たせる（ファイル保存に含まれる）
+    this.editor.addEventListener('input', () => {
+      this.circuitManager.scenarioText = this.editor.value;
+    });
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.editor.value = this.circuitManager.scenarioText;
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * ファイルの読込などでシナリオが差し替わったら、編集欄に反映する
+   */
+  update() {
+    if (!this.isOpen() || document.activeElement === this.editor) return;
+
+    if (this.editor.value !== this.circuitManager.scenarioText) {
+      this.editor.value = this.circuitManager.scenarioText;
+      this.result.innerHTML = '';
+    }
+  }
+
+  run() {
+    this.result.innerHTML = '';
+
+    const text = this.circuitManager.scenarioText;
+    if (!text.trim()) {
+      this.showError(CONST.MESSAGES.TEXT_SCENARIO_EMPTY);
+      return;
+    }
+
+    let report;
+    try {
+      report = ScenarioRunner.run(this.circuitManager.serializeCircuitData(false), text);
+    } catch (error) {
+      // 書式の誤り（行番号付き）
+      this.showError(error.message);
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'scenario-summary ' + (report.failed === 0 ? 'pass' : 'fail');
+    summary.textContent = `${report.passed} ${CONST.UI_LABELS.SCENARIO_PASSED}, ${report.failed} ${CONST.UI_LABELS.SCENARIO_FAILED}`;
+    this.result.appendChild(summary);
+
+    report.results.forEach(result => {
+      const item = document.createElement('div');
+      item.className = 'scenario-item ' + (result.passed ? 'pass' : 'fail');
+
+      const source = document.createElement('div');
+      source.textContent = `${result.passed ? '✓' : '✗'} ${result.line}: ${result.source}`;
+      item.appendChild(source);
+
+      if (!result.passed) {
+        const message = document.createElement('div');
+        message.className = 'scenario-message';
+        message.textContent = result.message;
+        item.appendChild(message);
+      }
+      this.result.appendChild(item);
+    });
+  }
+
+  showError(message) {
+    const error = document.createElement('div');
+    error.className = 'scenario-item fail';
+    error.textContent = message;
+    this.result.appendChild(error);
+  }
+}
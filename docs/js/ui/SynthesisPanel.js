@@ -0,0 +1,258 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { BooleanExpression } from '../utils/BooleanExpression.js';
+import { LogicSynthesizer } from '../services/LogicSynthesizer.js';
+
+/**
+ * 論理合成パネル（PC版のみ）
+ * 論理式、または真理値表から回路を組み立てて、画面の中央に配置する
+ */
+export class SynthesisPanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   */
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+
+    this.panel = null;
+    this.expressionInput = null;
+    this.inputsInput = null;
+    this.table = null;
+    this.minimizeCheckbox = null;
+    this.result = null;
+
+    this.mode = 'expression';   // 'expression' / 'table'
+    this.tableInputs = [];      // 真理値表の入力の名前
+    this.tableOutputs = [];     // 行ごとの出力（true / false / null = どちらでもよい）
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.SYNTHESIS_PANEL);
+    if (!this.panel) return;
+
+    this.expressionInput = this.panel.querySelector('.synthesis-expression');
+    this.inputsInput = this.panel.querySelector('.synthesis-inputs');
+    this.table = this.panel.querySelector('.synthesis-table');
+    this.minimizeCheckbox = this.panel.querySelector('.synthesis-minimize');
+    this.result = this.panel.querySelector('.synthesis-result');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.SYNTHESIS;
+    this.panel.querySelector('.synthesis-mode-expression').textContent = CONST.UI_LABELS.SYNTHESIS_FROM_EXPRESSION;
+    this.panel.querySelector('.synthesis-mode-table').textContent = CONST.UI_LABELS.SYNTHESIS_FROM_TABLE;
+    this.panel.querySelector('.synthesis-inputs-label').textContent = CONST.UI_LABELS.SYNTHESIS_INPUTS;
+    this.panel.querySelector('.synthesis-table-hint').textContent = CONST.MESSAGES.TEXT_SYNTHESIS_TABLE_HINT;
+    this.panel.querySelector('.synthesis-minimize-label').textContent = CONST.UI_LABELS.SYNTHESIS_MINIMIZE;
+    this.expressionInput.placeholder = CONST.MESSAGES.TEXT_SYNTHESIS_EXPRESSION_HINT;
+    this.inputsInput.placeholder = CONST.MESSAGES.TEXT_SYNTHESIS_INPUTS_HINT;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const placeBtn = this.panel.querySelector('.synthesis-place');
+    placeBtn.textContent = CONST.UI_LABELS.SYNTHESIS_PLACE;
+    placeBtn.addEventListener('click', () => this.place());
+
+    this.panel.querySelectorAll('input[name="synthesis-mode"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        if (radio.checked) this.setMode(radio.value);
+      });
+    });
+
+    this.inputsInput.addEventListener('input', () => this.updateTableInputs());
+
+    this.expressionInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.place();
+    });
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.setMode(this.mode);
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理（回路の変化には追従しない）
+   */
+  update() {}
+
+  setMode(mode) {
+    this.mode = mode;
+    this.panel.querySelector('.synthesis-expression-section').classList.toggle('hidden', mode !== 'expression');
+    this.panel.querySelector('.synthesis-table-section').classList.toggle('hidden', mode !== 'table');
+    this.result.innerHTML = '';
+    if (mode === 'table') this.updateTableInputs();
+  }
+
+  // ==================== 真理値表 ====================
+
+  /**
+   * 入力の名前が変わったら表を作り直す（出力の欄は全て 0 に戻す）
+   */
+  updateTableInputs() {
+    const names = this.parseInputNames(this.inputsInput.value);
+    this.result.innerHTML = '';
+
+    // 入力の名前が正しくない間は表を消しておく（配置もできない）
+    const invalid = names.find((name, i) => !BooleanExpression.isVariableName(name) || names.indexOf(name) !== i);
+    if (names.length > CONST.SYNTHESIS.MAX_TABLE_INPUTS || invalid !== undefined) {
+      this.tableInputs = [];
+      this.tableOutputs = [];
+      this.renderTable();
+      this.showError(invalid !== undefined
+        ? `${CONST.MESSAGES.ALERT_SYNTHESIS_BAD_NAME}: ${invalid}`
+        : `${CONST.MESSAGES.ALERT_SYNTHESIS_TOO_MANY_INPUTS} (max ${CONST.SYNTHESIS.MAX_TABLE_INPUTS})`);
+      return;
+    }
+
+    if (names.join(',') !== this.tableInputs.join(',')) {
+      this.tableInputs = names;
+      this.tableOutputs = new Array(names.length > 0 ? 1 << names.length : 0).fill(false);
+    }
+    this.renderTable();
+  }
+
+  parseInputNames(text) {
+    return text.split(/[\s,]+/).filter(name => name.length > 0);
+  }
+
+  renderTable() {
+    this.table.innerHTML = '';
+    if (this.tableInputs.length === 0) return;
+
+    const table = document.createElement('table');
+    const header = document.createElement('tr');
+    [...this.tableInputs, CONST.SYNTHESIS.DEFAULT_OUTPUT_NAME].forEach((name, i) => {
+      const th = document.createElement('th');
+      th.textContent = name;
+      th.className = i < this.tableInputs.length ? 'truth-table-input-col' : 'truth-table-output-col';
+      header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    this.tableOutputs.forEach((value, m) => {
+      const tr = document.createElement('tr');
+      const assignment = BooleanExpression.assignmentOf(m, this.tableInputs);
+      this.tableInputs.forEach(name => {
+        const td = document.createElement('td');
+        td.textContent = assignment[name] ? '1' : '0';
+        tr.appendChild(td);
+      });
+
+      const output = document.createElement('td');
+      output.className = 'synthesis-output-cell';
+      this.renderOutputCell(output, value);
+      output.addEventListener('click', () => {
+        // 0 → 1 → x → 0
+        const current = this.tableOutputs[m];
+        this.tableOutputs[m] = current === false ? true : (current === true ? null : false);
+        this.renderOutputCell(output, this.tableOutputs[m]);
+      });
+      tr.appendChild(output);
+      table.appendChild(tr);
+    });
+
+    this.table.appendChild(table);
+  }
+
+  renderOutputCell(cell, value) {
+    cell.textContent = value === null ? 'x' : (value ? '1' : '0');
+    cell.classList.toggle('on', value === true);
+    cell.classList.toggle('dont-care', value === null);
+  }
+
+  // ==================== 配置 ====================
+
+  /**
+   * 入力から式を求める
+   * @returns {{sop: Array<Object>, variables: string[], outputName: string}}
+   * @throws {Error} 式の書式の誤りなど
+   */
+  buildSpec() {
+    const minimize = this.minimizeCheckbox.checked;
+
+    if (this.mode === 'table') {
+      return {
+        sop: LogicSynthesizer.sopFromTable(this.tableInputs, this.tableOutputs, minimize),
+        variables: this.tableInputs,
+        outputName: CONST.SYNTHESIS.DEFAULT_OUTPUT_NAME
+      };
+    }
+
+    // "Q = ..." の形なら左辺を出力の名前にする
+    let text = this.expressionInput.value;
+    let outputName = CONST.SYNTHESIS.DEFAULT_OUTPUT_NAME;
+    const assignment = text.match(/^\s*([^=]+?)\s*=(.*)$/s);
+    if (assignment && BooleanExpression.isVariableName(assignment[1])) {
+      outputName = assignment[1];
+      text = assignment[2];
+    }
+
+    const { sop, variables } = BooleanExpression.parse(text);
+    return {
+      sop: minimize ? BooleanExpression.minimize(sop, variables) : sop,
+      variables,
+      outputName
+    };
+  }
+
+  place() {
+    this.result.innerHTML = '';
+    if (this.mode === 'table' && this.tableInputs.length === 0) return;
+
+    let spec;
+    try {
+      spec = this.buildSpec();
+    } catch (error) {
+      if (error.code === 'EXPRESSION_TOO_COMPLEX') {
+        this.showError(CONST.MESSAGES.TEXT_EXPRESSION_TOO_COMPLEX);
+      } else if (error.code === 'PARSE_ERROR') {
+        this.showError(error.message);
+      } else {
+        throw error;
+      }
+      return;
+    }
+
+    // 画面の中央から並べ始める
+    const origin = this.circuitManager.getWorldPosition(width / 2, height / 2);
+    const { parts, wires } = LogicSynthesizer.build(spec.sop, spec.variables, {
+      outputName: spec.outputName,
+      origin
+    });
+    this.circuitManager.addParts(parts, wires);
+
+    // 配置した回路全体が見えるよう、中心に視点を移す
+    const centers = parts.map(part => part.getRotationCenter());
+    const xs = centers.map(c => c.x);
+    const ys = centers.map(c => c.y);
+    this.circuitManager.focusOn({
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2
+    });
+
+    const expression = BooleanExpression.toString(spec.sop, { order: spec.variables });
+    const summary = document.createElement('div');
+    summary.className = 'synthesis-summary';
+    summary.textContent = `${spec.outputName} = ${expression}\n${CONST.MESSAGES.TEXT_SYNTHESIS_PLACED}: ${parts.length}`;
+    this.result.appendChild(summary);
+  }
+
+  showError(message) {
+    const error = document.createElement('div');
+    error.className = 'synthesis-error';
+    error.textContent = message;
+    this.result.appendChild(error);
+  }
+}
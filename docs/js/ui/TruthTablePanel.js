@@ -0,0 +1,262 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+import { TruthTableGenerator } from '../services/TruthTableGenerator.js';
+
+/**
+ * 真理値表パネル（PC版のみ）
+ * WallSwitch/Button を入力、ColorLight/PowerDoor を出力として選び、
+ * 全ての入力の組み合わせに対する出力を表にする
+ */
+export class TruthTablePanel {
+  /**
+   * @param {CircuitManager} circuitManager
+   * @param {StorageService} storage - エクスポート（ファイル保存）に使う
+   */
+  constructor(circuitManager, storage) {
+    this.circuitManager = circuitManager;
+    this.storage = storage;
+
+    this.panel = null;
+    this.inputList = null;
+    this.outputList = null;
+    this.result = null;
+
+    this.lastTable = null;       // 最後に生成した表（エクスポート用）
+    this.candidateSignature = ''; // 候補パーツの一覧が変わったかの判定用
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.TRUTH_TABLE_PANEL);
+    if (!this.panel) return;
+
+    this.inputList = this.panel.querySelector('.truth-table-inputs');
+    this.outputList = this.panel.querySelector('.truth-table-outputs');
+    this.result = this.panel.querySelector('.truth-table-result');
+
+    this.panel.querySelector('.tool-panel-title').textContent = CONST.UI_LABELS.TRUTH_TABLE;
+    this.panel.querySelector('.truth-table-inputs-label').textContent = CONST.UI_LABELS.TRUTH_TABLE_INPUTS;
+    this.panel.querySelector('.truth-table-outputs-label').textContent = CONST.UI_LABELS.TRUTH_TABLE_OUTPUTS;
+
+    const closeBtn = this.panel.querySelector('.tool-panel-close');
+    closeBtn.title = CONST.UI_LABELS.CLOSE;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const generateBtn = this.panel.querySelector('.truth-table-generate');
+    generateBtn.textContent = CONST.UI_LABELS.TRUTH_TABLE_GENERATE;
+    generateBtn.addEventListener('click', () => this.generate());
+
+    this.csvBtn = this.panel.querySelector('.truth-table-export-csv');
+    this.csvBtn.textContent = CONST.UI_LABELS.TRUTH_TABLE_EXPORT_CSV;
+    this.csvBtn.addEventListener('click', () => this.exportTable('csv'));
+
+    this.markdownBtn = this.panel.querySelector('.truth-table-export-md');
+    this.markdownBtn.textContent = CONST.UI_LABELS.TRUTH_TABLE_EXPORT_MARKDOWN;
+    this.markdownBtn.addEventListener('click', () => this.exportTable('md'));
+
+    this.updateExportButtons();
+  }
+
+  isOpen() {
+    return this.panel && !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.panel.classList.remove('hidden');
+    this.refreshLists();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.add('hidden');
+    this.circuitManager.partTags.clear();
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   * パーツが追加・削除されたら候補の一覧を作り直す
+   */
+  update() {
+    if (!this.isOpen()) return;
+
+    const signature = this.circuitManager.parts
+      .filter(part => TruthTableGenerator.isInputCandidate(part) || TruthTableGenerator.isOutputCandidate(part))
+      .map(part => part.id)
+      .join(',');
+    if (signature !== this.candidateSignature) {
+      this.refreshLists();
+    }
+  }
+
+  // ==================== 入出力の選択 ====================
+
+  /**
+   * 選択されている入力・出力を名前付きで取得
+   * 入力は A, B, C...、出力は Q1, Q2... と、回路に追加した順に名前を付ける
+   */
+  getSelectedIO() {
+    const parts = this.circuitManager.parts;
+    const inputs = parts
+      .filter(part => TruthTableGenerator.isInputCandidate(part) && part.truthTableRole === 'input')
+      .map((part, i) => ({ part, name: String.fromCharCode(65 + i) }));
+    const outputs = parts
+      .filter(part => TruthTableGenerator.isOutputCandidate(part) && part.truthTableRole === 'output')
+      .map((part, i) => ({ part, name: `Q${i + 1}` }));
+    return { inputs, outputs };
+  }
+
+  refreshLists() {
+    const parts = this.circuitManager.parts;
+    const inputCandidates = parts.filter(part => TruthTableGenerator.isInputCandidate(part));
+    const outputCandidates = parts.filter(part => TruthTableGenerator.isOutputCandidate(part));
+    this.candidateSignature = [...inputCandidates, ...outputCandidates].map(part => part.id).join(',');
+
+    this.fillList(this.inputList, inputCandidates, 'input');
+    this.fillList(this.outputList, outputCandidates, 'output');
+    this.updateTags();
+  }
+
+  fillList(container, candidates, role) {
+    container.innerHTML = '';
+
+    if (candidates.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'truth-table-empty';
+      empty.textContent = CONST.MESSAGES.TEXT_TRUTH_TABLE_NO_CANDIDATES;
+      container.appendChild(empty);
+      return;
+    }
+
+    candidates.forEach(part => {
+      const label = document.createElement('label');
+      label.className = 'truth-table-item';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = (part.truthTableRole === role);
+      checkbox.addEventListener('change', () => {
+        part.truthTableRole = checkbox.checked ? role : null;
+        this.updateTags();
+      });
+
+      const text = document.createElement('span');
+      text.textContent = this.circuitManager.getPartLabel(part);
+
+      label.append(checkbox, text);
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * キャンバス上のパーツに入出力名のタグを付ける（選ばれていない候補は番号だけ）
+   */
+  updateTags() {
+    const tags = this.circuitManager.partTags;
+    tags.clear();
+
+    this.circuitManager.parts.forEach((part, index) => {
+      if (TruthTableGenerator.isInputCandidate(part) || TruthTableGenerator.isOutputCandidate(part)) {
+        tags.set(part, { text: `#${index + 1}`, color: CONST.TRUTH_TABLE.COLOR_CANDIDATE });
+      }
+    });
+
+    const { inputs, outputs } = this.getSelectedIO();
+    inputs.forEach(({ part, name }) => tags.set(part, { text: name, color: CONST.TRUTH_TABLE.COLOR_INPUT }));
+    outputs.forEach(({ part, name }) => tags.set(part, { text: name, color: CONST.TRUTH_TABLE.COLOR_OUTPUT }));
+  }
+
+  // ==================== 生成・表示 ====================
+
+  generate() {
+    const { inputs, outputs } = this.getSelectedIO();
+    if (inputs.length === 0 || outputs.length === 0) {
+      alert(CONST.MESSAGES.ALERT_TRUTH_TABLE_NO_IO);
+      return;
+    }
+
+    try {
+      this.lastTable = TruthTableGenerator.generate(
+        this.circuitManager.parts,
+        this.circuitManager.wires,
+        inputs,
+        outputs
+      );
+      this.renderTable(this.lastTable);
+    } catch (error) {
+      console.error('真理値表の生成中にエラーが発生しました:', error);
+      alert(CONST.MESSAGES.ALERT_TRUTH_TABLE_FAILED + ': ' + error.message);
+      this.lastTable = null;
+    }
+    this.updateExportButtons();
+  }
+
+  renderTable(table) {
+    this.result.innerHTML = '';
+
+    const tableElem = document.createElement('table');
+    const headRow = tableElem.createTHead().insertRow();
+    table.inputs.forEach(name => {
+      const th = document.createElement('th');
+      th.textContent = name;
+      th.className = 'truth-table-input-col';
+      headRow.appendChild(th);
+    });
+    table.outputs.forEach(name => {
+      const th = document.createElement('th');
+      th.textContent = name;
+      th.className = 'truth-table-output-col';
+      headRow.appendChild(th);
+    });
+
+    const body = tableElem.createTBody();
+    table.rows.forEach(row => {
+      const tr = body.insertRow();
+      if (!row.settled) tr.className = 'unsettled';
+      row.inputs.forEach(value => {
+        tr.insertCell().textContent = value ? '1' : '0';
+      });
+      row.outputs.forEach(value => {
+        const cell = tr.insertCell();
+        cell.textContent = TruthTableGenerator.formatOutput(value);
+        if (value) cell.className = 'on';
+      });
+    });
+    this.result.appendChild(tableElem);
+
+    if (table.rows.some(row => !row.settled)) {
+      const note = document.createElement('div');
+      note.className = 'truth-table-note';
+      note.textContent = CONST.MESSAGES.TEXT_TRUTH_TABLE_UNSETTLED;
+      this.result.appendChild(note);
+    }
+  }
+
+  updateExportButtons() {
+    const disabled = !this.lastTable;
+    this.csvBtn.classList.toggle('disabled', disabled);
+    this.markdownBtn.classList.toggle('disabled', disabled);
+  }
+
+  /**
+   * 最後に生成した表をファイルに書き出す
+   * @param {'csv'|'md'} format
+   */
+  exportTable(format) {
+    if (!this.lastTable) return;
+
+    if (format === 'csv') {
+      this.storage.downloadText(TruthTableGenerator.toCSV(this.lastTable), 'truth_table.csv', 'text/csv');
+    } else {
+      this.storage.downloadText(TruthTableGenerator.toMarkdown(this.lastTable), 'truth_table.md', 'text/markdown');
+    }
+  }
+}
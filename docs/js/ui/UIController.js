@@ -4,6 +4,20 @@ import { CONST } from '../config/constants.js';
 import { PartFactory } from '../models/PartFactory.js';
 import { deviceDetector } from '../utils/DeviceDetector.js';
 import { DeleteCursorOverlay } from './DeleteCursorOverlay.js';
+import { WaveformPanel } from './WaveformPanel.js';
+import { TruthTablePanel } from './TruthTablePanel.js';
+import { ScenarioPanel } from './ScenarioPanel.js';
+import { LintPanel } from './LintPanel.js';
+import { ExpressionPanel } from './ExpressionPanel.js';
+import { SynthesisPanel } from './SynthesisPanel.js';
+import { OptimizerPanel } from './OptimizerPanel.js';
+import { BuildCostPanel } from './BuildCostPanel.js';
+import { PowerSourcePanel } from './PowerSourcePanel.js';
+import { PowerBudgetPanel } from './PowerBudgetPanel.js';
+import { ComponentPanel } from './ComponentPanel.js';
+import { LibraryPanel } from './LibraryPanel.js';
+import { ArrangePanel } from './ArrangePanel.js';
+import { AutoLayoutPanel } from './AutoLayoutPanel.js';
 import { PartsCounter } from '../utils/PartsCounter.js';
 
 /**
@@ -17,6 +31,15 @@ export class UIController {
     
     // スマホ専用削除カーソルのオーバーレイ
     this.deleteCursorOverlay = null;
+
+    // 波形パネル（PC版のみ）
+    this.waveformPanel = null;
+
+    // Tools メニューから開くパネル（data-tool の値 -> パネル、PC版のみ）
+    this.toolPanels = {};
+
+    // 発振ループ一覧の表示内容（変化検出用）
+    this.oscillationPanelSignature = '';
     
     // ★追加: パーツカウント表示の状態
     this.partsCountVisible = false;
@@ -49,6 +72,25 @@ export class UIController {
     // PC用操作のセットアップ
     if (deviceDetector.isPC()) {
       this.setupPCViewControls();
+
+      this.waveformPanel = new WaveformPanel(this.simulator);
+      this.waveformPanel.initialize();
+
+      this.toolPanels['truth-table'] = new TruthTablePanel(this.simulator, this.storage);
+      this.toolPanels['scenario'] = new ScenarioPanel(this.simulator);
+      this.toolPanels['check-circuit'] = new LintPanel(this.simulator);
+      this.toolPanels['expressions'] = new ExpressionPanel(this.simulator, this.storage);
+      this.toolPanels['synthesis'] = new SynthesisPanel(this.simulator);
+      this.toolPanels['optimize'] = new OptimizerPanel(this.simulator);
+      this.toolPanels['build-cost'] = new BuildCostPanel(this.simulator, this.storage);
+      this.toolPanels['power-sources'] = new PowerSourcePanel(this.simulator);
+      this.toolPanels['power-budget'] = new PowerBudgetPanel(this.simulator, this.storage);
+      this.toolPanels['components'] = new ComponentPanel(this.simulator);
+      this.toolPanels['library'] = new LibraryPanel(this.simulator, this.storage);
+      this.toolPanels['arrange'] = new ArrangePanel(this.simulator);
+      this.toolPanels['auto-layout'] = new AutoLayoutPanel(this.simulator);
+      Object.values(this.toolPanels).forEach(panel => panel.initialize());
+      this.setupToolsMenu();
     }
 
     // ★追加: パーツカウント更新のコールバックを登録
@@ -97,7 +139,19 @@ export class UIController {
       if (mobileGridCheck) mobileGridCheck.checked = isGridVisible;
     }
 
-    // 4. パーツカウント表示設定の復元（PC版のみ）
+    // 4. 直角配線モードの復元
+    const savedOrthogonal = localStorage.getItem(CONST.STORAGE_KEYS.ORTHOGONAL_WIRES);
+    if (savedOrthogonal !== null) {
+      const isOrthogonal = (savedOrthogonal === 'true');
+      this.simulator.setOrthogonalWires(isOrthogonal);
+
+      const pcOrthogonalCheck = document.getElementById(CONST.DOM_IDS.PC.ORTHOGONAL_WIRES);
+      const mobileOrthogonalCheck = document.getElementById(CONST.DOM_IDS.MOBILE.ORTHOGONAL_WIRES);
+      if (pcOrthogonalCheck) pcOrthogonalCheck.checked = isOrthogonal;
+      if (mobileOrthogonalCheck) mobileOrthogonalCheck.checked = isOrthogonal;
+    }
+
+    // 5. パーツカウント表示設定の復元（PC版のみ）
     if (deviceDetector.isPC()) {
       const savedPartsCount = localStorage.getItem(CONST.STORAGE_KEYS.PARTS_COUNT_VISIBLE);
       if (savedPartsCount !== null) {
@@ -117,6 +171,12 @@ export class UIController {
         }
       }
     }
+
+    // 6. 電力予算モードの復元（OFF なら何もしない）
+    const powerBudget = this.storage.getPowerBudget();
+    if (powerBudget.enabled) {
+      this.simulator.setPowerBudget(powerBudget);
+    }
   }
 
   /**
@@ -168,6 +228,10 @@ setupLabels() {
     document.getElementById('btn-power-door').title = CONST.UI_LABELS.POWER_DOOR;
     document.getElementById('btn-floor-switch').title = CONST.UI_LABELS.FLOOR_SWITCH;
     document.getElementById('btn-proximity-switch').title = CONST.UI_LABELS.PROXIMITY_SWITCH;
+    document.getElementById('btn-solar-panel').title = CONST.UI_LABELS.SOLAR_PANEL;
+    document.getElementById('btn-battery').title = CONST.UI_LABELS.BATTERY;
+    document.getElementById('btn-biofuel-reactor').title = CONST.UI_LABELS.BIOFUEL_REACTOR;
+    document.getElementById('btn-em-generator').title = CONST.UI_LABELS.EM_GENERATOR;
     
     // ★修正: 削除ボタンもテキストを消し、ツールチップのみ設定する
     const deleteBtn = document.getElementById('btn-delete-mode');
@@ -184,6 +248,28 @@ setupLabels() {
     const dupBtn = document.getElementById(CONST.DOM_IDS.PC.DUPLICATE);
     if(dupBtn) dupBtn.title = CONST.UI_LABELS.DUPLICATE;
 
+    // 元に戻す/やり直しボタンのツールチップ（PC用とモバイル用）
+    [CONST.DOM_IDS.PC.UNDO, CONST.DOM_IDS.MOBILE.UNDO].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.title = CONST.UI_LABELS.UNDO;
+    });
+    [CONST.DOM_IDS.PC.REDO, CONST.DOM_IDS.MOBILE.REDO].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.title = CONST.UI_LABELS.REDO;
+    });
+
+    // シミュレーション操作バーのツールチップ
+    const simTitles = {
+      [CONST.DOM_IDS.PC.SIM_PAUSE]: CONST.UI_LABELS.SIM_PAUSE,
+      [CONST.DOM_IDS.PC.SIM_STEP_TICK]: CONST.UI_LABELS.SIM_STEP_TICK,
+      [CONST.DOM_IDS.PC.SIM_STEP_FRAME]: CONST.UI_LABELS.SIM_STEP_FRAME,
+      [CONST.DOM_IDS.PC.SIM_SPEED]: CONST.UI_LABELS.SIM_SPEED
+    };
+    for (const [id, title] of Object.entries(simTitles)) {
+      const elem = document.getElementById(id);
+      if (elem) elem.title = title;
+    }
+
     document.getElementById('btn-reset').textContent = 'Reset';
     document.getElementById('btn-save').textContent = CONST.UI_LABELS.SAVE;
     document.getElementById('btn-load').textContent = CONST.UI_LABELS.LOAD;
@@ -199,6 +285,9 @@ setupLabels() {
     const mobileGridLabel = document.querySelector('#mobile-grid-visible-checkbox + .slider + .label-text');
     if (mobileGridLabel) mobileGridLabel.textContent = CONST.UI_LABELS.GRID_VISIBLE;
 
+    const mobileOrthogonalLabel = document.querySelector('#mobile-orthogonal-wires-checkbox + .slider + .label-text');
+    if (mobileOrthogonalLabel) mobileOrthogonalLabel.textContent = CONST.UI_LABELS.ORTHOGONAL_WIRES;
+
     // PC用ラベル
     const pcRotationLabel = document.getElementById('label-rotation-snap');
     if (pcRotationLabel) pcRotationLabel.textContent = CONST.UI_LABELS.ROTATION_SNAP;
@@ -209,6 +298,9 @@ setupLabels() {
     const pcGridLabel = document.getElementById('label-grid-visible');
     if (pcGridLabel) pcGridLabel.textContent = CONST.UI_LABELS.GRID_VISIBLE;
 
+    const pcOrthogonalLabel = document.getElementById('label-orthogonal-wires');
+    if (pcOrthogonalLabel) pcOrthogonalLabel.textContent = CONST.UI_LABELS.ORTHOGONAL_WIRES;
+
     // ★追加: パーツカウントラベル
     const pcPartsCountLabel = document.getElementById('label-parts-count');
     if (pcPartsCountLabel) pcPartsCountLabel.textContent = CONST.UI_LABELS.PARTS_COUNT;
@@ -267,6 +359,22 @@ setupLabels() {
       { 
         type: CONST.PART_TYPE.TEXT_LABEL, 
         ids: [CONST.DOM_IDS.PC.TEXT_LABEL, CONST.DOM_IDS.MOBILE.TEXT_LABEL]
+      },
+      { 
+        type: CONST.PART_TYPE.SOLAR_PANEL, 
+        ids: [CONST.DOM_IDS.PC.SOLAR_PANEL, CONST.DOM_IDS.MOBILE.SOLAR_PANEL]
+      },
+      { 
+        type: CONST.PART_TYPE.BATTERY, 
+        ids: [CONST.DOM_IDS.PC.BATTERY, CONST.DOM_IDS.MOBILE.BATTERY]
+      },
+      { 
+        type: CONST.PART_TYPE.BIOFUEL_REACTOR, 
+        ids: [CONST.DOM_IDS.PC.BIOFUEL_REACTOR, CONST.DOM_IDS.MOBILE.BIOFUEL_REACTOR]
+      },
+      { 
+        type: CONST.PART_TYPE.EM_GENERATOR, 
+        ids: [CONST.DOM_IDS.PC.EM_GENERATOR, CONST.DOM_IDS.MOBILE.EM_GENERATOR]
       }
     ];
 
@@ -420,6 +528,26 @@ setupLabels() {
     background(CONST.COLORS.BACKGROUND);
   }
 
+  /**
+   * 拠点の複雑さの上限に対する使用量（上限を設定した時だけ表示する）
+   * 上限に近づくとバーが黄色、超えると赤になる
+   * @param {Object} countData - { partCounts: Map, total: number }
+   * @returns {string} HTML
+   */
+  buildComplexityHtml(countData) {
+    const cost = PartsCounter.calculateBuildCost(countData, this.storage.getCostTable());
+    if (!cost.limit) return '';
+
+    const level = PartsCounter.getLimitLevel(cost.ratio);
+    const percent = Math.min(cost.ratio, 1) * 100;
+    let html = `<div class="parts-count-line complexity ${level}">`;
+    html += `<span class="parts-count-name">${CONST.UI_LABELS.BUILD_COST_COMPLEXITY}</span>`;
+    html += `<span class="parts-count-value">${cost.complexity} / ${cost.limit}</span>`;
+    html += `</div>`;
+    html += `<div class="complexity-bar ${level}"><div class="complexity-bar-fill" style="width: ${percent}%"></div></div>`;
+    return html;
+  }
+
   /**
    * 毎フレーム呼ばれる描画更新処理
    */
@@ -509,6 +637,17 @@ setupLabels() {
       }
     );
     
+    // 元に戻す/やり直しボタン（PC用とモバイル用）
+    this.bindAction(
+      [CONST.DOM_IDS.PC.UNDO, CONST.DOM_IDS.MOBILE.UNDO],
+      () => this.simulator.undo()
+    );
+
+    this.bindAction(
+      [CONST.DOM_IDS.PC.REDO, CONST.DOM_IDS.MOBILE.REDO],
+      () => this.simulator.redo()
+    );
+
     // ファイル操作ボタン（PC用とモバイル用）
     this.bindAction(
       [CONST.DOM_IDS.PC.SAVE, CONST.DOM_IDS.MOBILE.SAVE],
@@ -587,8 +726,33 @@ setupLabels() {
         e.preventDefault(); // ブラウザのブックマーク保存などを無効化
         this.simulator.duplicateSelectedParts();
       }
+
+      // Ctrl + Z: 元に戻す、Ctrl + Shift + Z / Ctrl + Y: やり直し
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.simulator.redo();
+        } else {
+          this.simulator.undo();
+        }
+      }
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || e.key === 'Y')) {
+        e.preventDefault();
+        this.simulator.redo();
+      }
+
+      // Space: シミュレーションの一時停止/再開
+      if (e.key === ' ' && !e.ctrlKey && !e.metaKey) {
+        e.preventDefault(); // フォーカス中のボタンが押されるのを防ぐ
+        this.simulator.toggleSimulationPaused();
+      }
     });
 
+    // Ctrl + C / Ctrl + X / Ctrl + V: システムのクリップボードで選択中のパーツをコピー/切り取り/貼り付け
+    document.addEventListener('copy', (e) => this.handleClipboardCopy(e, false));
+    document.addEventListener('cut', (e) => this.handleClipboardCopy(e, true));
+    document.addEventListener('paste', (e) => this.handleClipboardPaste(e));
+
     // グリッド表示チェックボックス（PC用とモバイル用で同期）
     const pcGridCheck = document.getElementById(CONST.DOM_IDS.PC.GRID_VISIBLE);
     const mobileGridCheck = document.getElementById(CONST.DOM_IDS.MOBILE.GRID_VISIBLE);
@@ -614,6 +778,29 @@ setupLabels() {
       });
     }
 
+    // 直角配線モードのチェックボックス（PC用とモバイル用で同期）
+    const pcOrthogonalCheck = document.getElementById(CONST.DOM_IDS.PC.ORTHOGONAL_WIRES);
+    const mobileOrthogonalCheck = document.getElementById(CONST.DOM_IDS.MOBILE.ORTHOGONAL_WIRES);
+
+    const updateOrthogonalSetting = (isChecked) => {
+      this.simulator.setOrthogonalWires(isChecked);
+      localStorage.setItem(CONST.STORAGE_KEYS.ORTHOGONAL_WIRES, isChecked);
+    };
+
+    if (pcOrthogonalCheck) {
+      pcOrthogonalCheck.addEventListener('change', (event) => {
+        updateOrthogonalSetting(event.target.checked);
+        if (mobileOrthogonalCheck) mobileOrthogonalCheck.checked = event.target.checked;
+      });
+    }
+
+    if (mobileOrthogonalCheck) {
+      mobileOrthogonalCheck.addEventListener('change', (event) => {
+        updateOrthogonalSetting(event.target.checked);
+        if (pcOrthogonalCheck) pcOrthogonalCheck.checked = event.target.checked;
+      });
+    }
+
     // ★追加: パーツカウント表示トグル（PC版のみ）
     if (deviceDetector.isPC()) {
       const pcPartsCountCheck = document.getElementById(CONST.DOM_IDS.PC.PARTS_COUNT_TOGGLE);
@@ -635,10 +822,124 @@ setupLabels() {
       }
     }
     
+    // シミュレーション操作バー（PC版のみ）
+    if (deviceDetector.isPC()) {
+      this.setupSimulationControls();
+    }
+
     // モバイル固有のUI操作
     this.setupMobileInteractions();
   }
 
+  /**
+   * シミュレーション操作バー（一時停止・コマ送り・再生速度）の初期化
+   */
+  setupSimulationControls() {
+    this.bindAction(
+      [CONST.DOM_IDS.PC.SIM_PAUSE],
+      () => this.simulator.toggleSimulationPaused()
+    );
+
+    this.bindAction(
+      [CONST.DOM_IDS.PC.SIM_STEP_TICK],
+      () => this.simulator.stepSimulationTick()
+    );
+
+    this.bindAction(
+      [CONST.DOM_IDS.PC.SIM_STEP_FRAME],
+      () => this.simulator.stepSimulationFrame()
+    );
+
+    // 再生速度の選択肢を定数から生成
+    const speedSelect = document.getElementById(CONST.DOM_IDS.PC.SIM_SPEED);
+    if (speedSelect) {
+      CONST.SIMULATION.SPEEDS.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${speed}x`;
+        option.selected = (speed === this.simulator.simulationSpeed);
+        speedSelect.appendChild(option);
+      });
+
+      speedSelect.addEventListener('change', (e) => {
+        this.simulator.setSimulationSpeed(parseFloat(e.target.value));
+        e.target.blur(); // Spaceキーでの一時停止がselectに奪われないようにする
+      });
+    }
+  }
+
+  /**
+   * Tools メニュー（ヘッダーのドロップダウン）の初期化
+   * 項目の data-tool に対応するパネルを開く
+   */
+  setupToolsMenu() {
+    const toolsBtn = document.getElementById(CONST.DOM_IDS.PC.TOOLS);
+    const menu = document.getElementById(CONST.DOM_IDS.PC.TOOLS_MENU);
+    if (!toolsBtn || !menu) return;
+
+    toolsBtn.textContent = `${CONST.UI_LABELS.TOOLS} ▾`;
+
+    const toolLabels = {
+      'truth-table': CONST.UI_LABELS.TRUTH_TABLE,
+      'scenario': CONST.UI_LABELS.SCENARIO,
+      'check-circuit': CONST.UI_LABELS.CHECK_CIRCUIT,
+      'expressions': CONST.UI_LABELS.EXPRESSIONS,
+      'synthesis': CONST.UI_LABELS.SYNTHESIS,
+      'optimize': CONST.UI_LABELS.OPTIMIZE,
+      'build-cost': CONST.UI_LABELS.BUILD_COST,
+      'power-sources': CONST.UI_LABELS.POWER_SOURCES,
+      'power-budget': CONST.UI_LABELS.POWER_BUDGET,
+      'components': CONST.UI_LABELS.COMPONENTS,
+      'library': CONST.UI_LABELS.LIBRARY,
+      'arrange': CONST.UI_LABELS.ARRANGE,
+      'auto-layout': CONST.UI_LABELS.AUTO_LAYOUT
+    };
+
+    toolsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.toggle('hidden');
+    });
+
+    menu.querySelectorAll('[data-tool]').forEach(item => {
+      const tool = item.dataset.tool;
+      item.textContent = toolLabels[tool] || tool;
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.classList.add('hidden');
+        const panel = this.toolPanels[tool];
+        if (panel) panel.open();
+      });
+    });
+
+    // メニューの外をクリックしたら閉じる
+    document.addEventListener('click', () => menu.classList.add('hidden'));
+  }
+
+  /**
+   * シミュレーション操作バーの表示（一時停止状態・ティック数）を更新
+   */
+  updateSimulationControlsState() {
+    const pauseBtn = document.getElementById(CONST.DOM_IDS.PC.SIM_PAUSE);
+    if (pauseBtn) {
+      const isPaused = this.simulator.isSimulationPaused;
+      pauseBtn.textContent = isPaused ? '▶' : '⏸';
+      pauseBtn.classList.toggle('active', isPaused);
+    }
+
+    const tickValue = document.getElementById(CONST.DOM_IDS.PC.SIM_TICK_VALUE);
+    if (tickValue) {
+      tickValue.textContent = this.simulator.powerSystem.getCurrentTick();
+    }
+
+    // 昼夜の時計（太陽光パネルが参照する）
+    const dayTime = document.getElementById(CONST.DOM_IDS.PC.SIM_DAY_TIME);
+    if (dayTime) {
+      const clock = this.simulator.clock;
+      dayTime.textContent = `${clock.isDaytime() ? '☀' : '☾'} ${clock.formatTimeOfDay()}`;
+      dayTime.classList.toggle('night', !clock.isDaytime());
+    }
+  }
+
   /**
    * ★追加: パーツグリッドを複製して無限スクロール感を演出
    * 元のパーツボタンを左右に10セットずつ複製し、初期位置を中央に設定
@@ -914,6 +1215,22 @@ setupLabels() {
     }
   }
 
+  /**
+   * 元に戻す/やり直しボタンの活性/非活性状態を更新
+   */
+  updateHistoryButtonsState() {
+    const canUndo = this.simulator.canUndo();
+    const canRedo = this.simulator.canRedo();
+    [CONST.DOM_IDS.PC.UNDO, CONST.DOM_IDS.MOBILE.UNDO].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.classList.toggle('disabled', !canUndo);
+    });
+    [CONST.DOM_IDS.PC.REDO, CONST.DOM_IDS.MOBILE.REDO].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.classList.toggle('disabled', !canRedo);
+    });
+  }
+
   /**
    * ★追加: 複製ボタンの活性/非活性状態を更新
    */
@@ -964,6 +1281,59 @@ setupLabels() {
     this.closeMobileMenu();
   }
 
+  /**
+   * 選択中のパーツをクリップボードにコピーする（切り取りならコピーした後に削除）
+   * 入力欄やページの文字のコピーや、何も選択していない時はブラウザに任せる
+   * @param {ClipboardEvent} e
+   * @param {boolean} isCut
+   */
+  handleClipboardCopy(e, isCut) {
+    if (this.isTextClipboardEvent(e)) return;
+
+    const text = this.storage.getSelectionClipboardText();
+    if (text === null) return;
+
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', text);
+    if (isCut) {
+      this.simulator.deleteSelectedParts();
+    }
+  }
+
+  /**
+   * 文字に対するクリップボード操作か（入力欄・編集できる要素の中か、ページの文字を選択している）
+   * この時は選択中のパーツではなく文字をコピー・切り取り・貼り付けする
+   * @param {ClipboardEvent} e
+   * @returns {boolean}
+   */
+  isTextClipboardEvent(e) {
+    const target = e.target;
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return true;
+
+    const selection = window.getSelection();
+    return selection !== null && !selection.isCollapsed;
+  }
+
+  /**
+   * クリップボードの回路の断片を、マウスの位置（キャンバスの外なら画面の中央）に貼り付ける
+   * @param {ClipboardEvent} e
+   */
+  handleClipboardPaste(e) {
+    if (this.isTextClipboardEvent(e)) return;
+
+    const text = e.clipboardData.getData('text/plain');
+    if (!text) return;
+
+    const isInsideCanvas = mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height;
+    const position = isInsideCanvas
+      ? this.simulator.getWorldPosition(mouseX, mouseY)
+      : this.simulator.getWorldPosition(width / 2, height / 2);
+
+    if (this.storage.pasteClipboardText(text, position.x, position.y)) {
+      e.preventDefault();
+    }
+  }
+
   /**
    * リセット処理（全パーツとワイヤーを削除）
    */
@@ -1067,6 +1437,7 @@ setupLabels() {
         html += `<span class="parts-count-name">Total</span>`;
         html += `<span class="parts-count-value">${total}</span>`;
         html += `</div>`;
+        html += this.buildComplexityHtml(countData);
         
         pcDisplay.innerHTML = html;
       }
@@ -1092,6 +1463,7 @@ setupLabels() {
         html += `<span class="parts-count-name">Total</span>`;
         html += `<span class="parts-count-value">${total}</span>`;
         html += `</div>`;
+        html += this.buildComplexityHtml(countData);
         
         mobileDisplay.innerHTML = html;
       }
@@ -1109,6 +1481,69 @@ setupLabels() {
     
     // 複製ボタンの状態を常時監視して更新
     this.updateDuplicateButtonState();
+
+    // 元に戻す/やり直しボタンの状態を更新
+    this.updateHistoryButtonsState();
+
+    // シミュレーション操作バーの状態を更新
+    this.updateSimulationControlsState();
+
+    // 波形パネルの描画
+    if (this.waveformPanel) {
+      this.waveformPanel.update();
+    }
+
+    // 発振ループ一覧の更新
+    this.updateOscillationPanel();
+
+    // Tools メニューのパネルの更新
+    Object.values(this.toolPanels).forEach(panel => panel.update());
+  }
+
+  /**
+   * 検出された発振ループの一覧を表示する
+   * 内容が変わった時だけDOMを作り直す（ボタンのクリックを取りこぼさないため）
+   */
+  updateOscillationPanel() {
+    const panel = document.getElementById(CONST.DOM_IDS.PC.OSCILLATION_PANEL);
+    if (!panel) return;
+
+    const detector = this.simulator.oscillationDetector;
+    const loops = detector.loops;
+    const signature = loops.map(loop => `${loop.key}:${loop.period}:${loop.isIntentional}`).join('|');
+    if (signature === this.oscillationPanelSignature) return;
+    this.oscillationPanelSignature = signature;
+
+    panel.classList.toggle('hidden', loops.length === 0);
+    panel.innerHTML = '';
+
+    loops.forEach(loop => {
+      const item = document.createElement('div');
+      item.className = `oscillation-item ${loop.isIntentional ? 'clock' : 'ring'}`;
+
+      const name = document.createElement('span');
+      name.className = 'oscillation-name';
+      name.textContent = loop.isIntentional
+        ? `⏱ ${CONST.UI_LABELS.OSCILLATION_CLOCK}`
+        : `⚠️ ${CONST.UI_LABELS.OSCILLATION_RING}`;
+      name.title = loop.parts.map(part => this.simulator.getPartLabel(part)).join(' → ');
+
+      const detail = document.createElement('span');
+      detail.className = 'oscillation-detail';
+      detail.textContent = `${loop.parts.length} parts / ${loop.period} ticks`;
+
+      const markBtn = document.createElement('button');
+      markBtn.className = 'oscillation-mark-btn';
+      markBtn.textContent = loop.isIntentional
+        ? CONST.UI_LABELS.OSCILLATION_UNMARK
+        : CONST.UI_LABELS.OSCILLATION_MARK;
+      markBtn.addEventListener('click', () => {
+        detector.setLoopIntentional(loop, !loop.isIntentional);
+      });
+
+      item.append(name, detail, markBtn);
+      panel.appendChild(item);
+    });
   }
 
   /**
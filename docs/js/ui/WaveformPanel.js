@@ -0,0 +1,292 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 波形パネル（ロジックアナライザー、PC版のみ）
+ * SignalRecorder が記録した信号をタイミングチャートとして描画する
+ *
+ * 横軸はシミュレーション時刻で、ティックの境界に縦線を引く
+ * カーソルA/Bを置くと、その間の遅延をティック数・フレーム数で表示する
+ */
+export class WaveformPanel {
+  constructor(circuitManager) {
+    this.circuitManager = circuitManager;
+    this.recorder = circuitManager.signalRecorder;
+
+    this.panel = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.readout = null;
+
+    this.scrollOffset = 0; // 最新時刻からどれだけ過去を表示しているか（ミリ秒）
+    this.cursorA = null;   // カーソルの時刻（ミリ秒）
+    this.cursorB = null;
+  }
+
+  initialize() {
+    this.panel = document.getElementById(CONST.DOM_IDS.PC.WAVEFORM_PANEL);
+    this.canvas = document.getElementById(CONST.DOM_IDS.PC.WAVEFORM_CANVAS);
+    this.readout = document.getElementById(CONST.DOM_IDS.PC.WAVEFORM_READOUT);
+    if (!this.panel || !this.canvas) return;
+
+    this.ctx = this.canvas.getContext('2d');
+
+    const title = this.panel.querySelector('.waveform-title');
+    if (title) {
+      title.textContent = CONST.UI_LABELS.WAVEFORM_TITLE;
+      title.title = CONST.UI_LABELS.WAVEFORM_HINT;
+    }
+
+    const clearBtn = document.getElementById(CONST.DOM_IDS.PC.WAVEFORM_CLEAR);
+    if (clearBtn) {
+      clearBtn.title = CONST.UI_LABELS.WAVEFORM_CLEAR;
+      clearBtn.addEventListener('click', () => {
+        this.recorder.clear();
+        this.resetView();
+      });
+    }
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // クリック: 信号名の×で削除、波形部分ならカーソルを置く
+    this.canvas.addEventListener('mousedown', (e) => {
+      const { x, y } = this.getLocalPosition(e);
+      const { LABEL_WIDTH, HEADER_HEIGHT, ROW_HEIGHT } = CONST.WAVEFORM;
+
+      if (x < LABEL_WIDTH) {
+        const row = Math.floor((y - HEADER_HEIGHT) / ROW_HEIGHT);
+        const probe = this.recorder.probes[row];
+        if (probe && y >= HEADER_HEIGHT && x < ROW_HEIGHT) {
+          this.recorder.removeProbe(probe.id);
+        }
+        return;
+      }
+
+      const time = this.snapToEdge(this.xToTime(x), y);
+      if (e.shiftKey) {
+        this.cursorB = time;
+      } else {
+        this.cursorA = time;
+      }
+    });
+
+    // ホイール: 過去の履歴へスクロール
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const { HISTORY_TICKS, VISIBLE_TICKS } = CONST.WAVEFORM;
+      const tickMs = CONST.SIMULATION.TICK_INTERVAL;
+      const maxOffset = Math.max(0, Math.min(this.recorder.lastTime, (HISTORY_TICKS - VISIBLE_TICKS) * tickMs));
+      const delta = Math.sign(e.deltaY) * tickMs;
+      this.scrollOffset = Math.max(0, Math.min(maxOffset, this.scrollOffset + delta));
+    }, { passive: false });
+
+    // ダブルクリック: 最新時刻の表示に戻し、カーソルを消す
+    this.canvas.addEventListener('dblclick', () => this.resetView());
+  }
+
+  resetView() {
+    this.scrollOffset = 0;
+    this.cursorA = null;
+    this.cursorB = null;
+  }
+
+  // ==================== 座標変換 ====================
+
+  getLocalPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  /**
+   * 表示範囲の開始・終了時刻（ミリ秒）
+   */
+  getTimeRange() {
+    const span = CONST.WAVEFORM.VISIBLE_TICKS * CONST.SIMULATION.TICK_INTERVAL;
+    const end = Math.max(span, this.recorder.lastTime - this.scrollOffset);
+    return { start: end - span, end: end };
+  }
+
+  timeToX(time) {
+    const { start, end } = this.getTimeRange();
+    const plotWidth = this.canvas.width - CONST.WAVEFORM.LABEL_WIDTH;
+    return CONST.WAVEFORM.LABEL_WIDTH + (time - start) / (end - start) * plotWidth;
+  }
+
+  xToTime(x) {
+    const { start, end } = this.getTimeRange();
+    const plotWidth = this.canvas.width - CONST.WAVEFORM.LABEL_WIDTH;
+    return start + (x - CONST.WAVEFORM.LABEL_WIDTH) / plotWidth * (end - start);
+  }
+
+  /**
+   * クリックした行の信号に変化点が近くにあれば、その時刻に吸着させる
+   * （遅延を測るときに正確な時刻を取るため）
+   */
+  snapToEdge(time, y) {
+    const row = Math.floor((y - CONST.WAVEFORM.HEADER_HEIGHT) / CONST.WAVEFORM.ROW_HEIGHT);
+    const probe = this.recorder.probes[row];
+    if (!probe) return time;
+
+    const clickX = this.timeToX(time);
+    let best = time;
+    let bestDist = CONST.WAVEFORM.EDGE_SNAP_DISTANCE;
+    probe.samples.forEach(sample => {
+      const d = Math.abs(this.timeToX(sample.time) - clickX);
+      if (d < bestDist) {
+        bestDist = d;
+        best = sample.time;
+      }
+    });
+    return best;
+  }
+
+  // ==================== 描画 ====================
+
+  /**
+   * 毎フレーム呼ばれる更新処理
+   */
+  update() {
+    if (!this.panel || !this.ctx) return;
+
+    const probes = this.recorder.probes;
+    const isVisible = probes.length > 0;
+    this.panel.classList.toggle('hidden', !isVisible);
+    if (!isVisible) {
+      this.resetView();
+      return;
+    }
+
+    // 表示サイズに合わせてキャンバスの解像度を調整
+    const { ROW_HEIGHT, HEADER_HEIGHT } = CONST.WAVEFORM;
+    const targetWidth = this.canvas.clientWidth;
+    const targetHeight = HEADER_HEIGHT + probes.length * ROW_HEIGHT;
+    if (this.canvas.width !== targetWidth) this.canvas.width = targetWidth;
+    if (this.canvas.height !== targetHeight) this.canvas.height = targetHeight;
+
+    this.draw();
+    this.updateReadout();
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const { LABEL_WIDTH, HEADER_HEIGHT, ROW_HEIGHT, COLOR_GRID } = CONST.WAVEFORM;
+    const tickMs = CONST.SIMULATION.TICK_INTERVAL;
+    const { start, end } = this.getTimeRange();
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.font = '11px Consolas, Monaco, "Courier New", monospace';
+    ctx.textBaseline = 'middle';
+
+    // ティック境界の縦線と番号
+    ctx.strokeStyle = this.toCss(COLOR_GRID);
+    ctx.fillStyle = '#aaa';
+    ctx.lineWidth = 1;
+    for (let tick = Math.ceil(start / tickMs); tick * tickMs <= end; tick++) {
+      const x = Math.round(this.timeToX(tick * tickMs)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, HEADER_HEIGHT);
+      ctx.lineTo(x, this.canvas.height);
+      ctx.stroke();
+      ctx.fillText(String(tick), x + 2, HEADER_HEIGHT / 2);
+    }
+
+    // 各信号の行
+    this.recorder.probes.forEach((probe, index) => {
+      const top = HEADER_HEIGHT + index * ROW_HEIGHT;
+
+      ctx.fillStyle = '#ccc';
+      ctx.fillText('×', 6, top + ROW_HEIGHT / 2);
+      ctx.fillText(probe.label, ROW_HEIGHT, top + ROW_HEIGHT / 2, LABEL_WIDTH - ROW_HEIGHT - 4);
+
+      this.drawSignal(probe, top, start, end);
+    });
+
+    this.drawCursor(this.cursorA, CONST.WAVEFORM.COLOR_CURSOR_A);
+    this.drawCursor(this.cursorB, CONST.WAVEFORM.COLOR_CURSOR_B);
+  }
+
+  /**
+   * 1つの信号の波形を描画
+   */
+  drawSignal(probe, top, start, end) {
+    const ctx = this.ctx;
+    const { ROW_HEIGHT, COLOR_HIGH, COLOR_LOW } = CONST.WAVEFORM;
+    const highY = top + 5;
+    const lowY = top + ROW_HEIGHT - 5;
+    const lastTime = Math.min(end, this.recorder.lastTime);
+
+    // 表示範囲内の区間 [from, to) ごとに、値に応じた高さで線を引く
+    const samples = probe.samples;
+    for (let i = 0; i < samples.length; i++) {
+      const from = Math.max(start, samples[i].time);
+      const to = Math.min(lastTime, (i + 1 < samples.length) ? samples[i + 1].time : lastTime);
+      if (to < start || from > end || to < from) continue;
+
+      const x1 = this.timeToX(from);
+      const x2 = this.timeToX(to);
+      const y = samples[i].value ? highY : lowY;
+
+      ctx.strokeStyle = this.toCss(samples[i].value ? COLOR_HIGH : COLOR_LOW);
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x1, y);
+      ctx.lineTo(x2, y);
+      ctx.stroke();
+
+      // 値の変化点に縦線
+      if (i > 0 && samples[i].time >= start) {
+        ctx.strokeStyle = this.toCss(COLOR_HIGH);
+        ctx.beginPath();
+        ctx.moveTo(x1, highY);
+        ctx.lineTo(x1, lowY);
+        ctx.stroke();
+      }
+    }
+  }
+
+  drawCursor(time, color) {
+    if (time === null) return;
+    const { start, end } = this.getTimeRange();
+    if (time < start || time > end) return;
+
+    const ctx = this.ctx;
+    const x = Math.round(this.timeToX(time)) + 0.5;
+    ctx.strokeStyle = this.toCss(color);
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, this.canvas.height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * カーソル位置と、カーソル間の遅延（ティック・フレーム）を表示
+   */
+  updateReadout() {
+    if (!this.readout) return;
+
+    const tickMs = CONST.SIMULATION.TICK_INTERVAL;
+    const format = (time) => `T${(time / tickMs).toFixed(2)}`;
+    const parts = [];
+    if (this.cursorA !== null) parts.push(`A: ${format(this.cursorA)}`);
+    if (this.cursorB !== null) parts.push(`B: ${format(this.cursorB)}`);
+    if (this.cursorA !== null && this.cursorB !== null) {
+      const delta = this.cursorB - this.cursorA;
+      const frames = Math.round(delta / CONST.SIMULATION.FRAME_INTERVAL);
+      parts.push(`Δ ${(delta / tickMs).toFixed(2)} ticks (${frames} frames)`);
+    }
+    if (this.scrollOffset > 0) parts.push(`◀ ${Math.round(this.scrollOffset / tickMs)} ticks ago`);
+
+    const text = parts.join('  ');
+    if (this.readout.textContent !== text) this.readout.textContent = text;
+  }
+
+  toCss(rgb) {
+    return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+  }
+}
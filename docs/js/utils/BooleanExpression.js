@@ -0,0 +1,425 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 論理式（積和形）のユーティリティ関数群
+ *
+ * 式は「積項の配列」で表す（積項どうしは OR、積項の中は AND）
+ *   積項: { 変数名: true（そのまま） / false（NOT） }
+ *   []   : 常に偽（0）
+ *   [{}] : 常に真（1）
+ * 例: A AND NOT B OR C -> [{A: true, B: false}, {C: true}]
+ */
+export class BooleanExpression {
+  /**
+   * 定数（常に真 / 常に偽）
+   * @param {boolean} value
+   * @returns {Array<Object>}
+   */
+  static constant(value) {
+    return value ? [{}] : [];
+  }
+
+  /**
+   * 変数1つだけの式
+   * @param {string} name
+   * @param {boolean} [positive=true] - false なら NOT name
+   */
+  static variable(name, positive = true) {
+    return [{ [name]: positive }];
+  }
+
+  static isTrue(sop) {
+    return sop.some(term => Object.keys(term).length === 0);
+  }
+
+  static isFalse(sop) {
+    return sop.length === 0;
+  }
+
+  // ==================== 演算 ====================
+
+  static or(a, b) {
+    return this.simplify([...a, ...b]);
+  }
+
+  /**
+   * AND（分配法則で積和形に展開する）
+   */
+  static and(a, b) {
+    const terms = [];
+    for (const termA of a) {
+      for (const termB of b) {
+        const merged = this.mergeTerms(termA, termB);
+        if (merged) terms.push(merged);
+      }
+    }
+    this.checkSize(terms);
+    return this.simplify(terms);
+  }
+
+  /**
+   * NOT（ド・モルガンの法則で積和形に展開する）
+   */
+  static not(sop) {
+    let result = this.constant(true);
+    for (const term of sop) {
+      const negated = Object.entries(term).map(([name, positive]) => ({ [name]: !positive }));
+      result = this.and(result, negated);
+      if (this.isFalse(result)) break;
+    }
+    return result;
+  }
+
+  /**
+   * 2つの積項の AND。同じ変数が肯定と否定の両方で出てきたら（常に偽）null
+   */
+  static mergeTerms(termA, termB) {
+    const merged = { ...termA };
+    for (const [name, positive] of Object.entries(termB)) {
+      if (name in merged && merged[name] !== positive) return null;
+      merged[name] = positive;
+    }
+    return merged;
+  }
+
+  /**
+   * 展開した結果が大きくなりすぎたら打ち切る
+   */
+  static checkSize(terms) {
+    if (terms.length > CONST.EXPRESSION.MAX_TERMS) {
+      const error = new Error(`Expression has more than ${CONST.EXPRESSION.MAX_TERMS} terms`);
+      error.code = 'EXPRESSION_TOO_COMPLEX';
+      throw error;
+    }
+  }
+
+  /**
+   * 重複した積項と、他の積項に吸収される積項を取り除く
+   * （A OR A AND B -> A）
+   */
+  static simplify(sop) {
+    const terms = [...sop].sort((a, b) => Object.keys(a).length - Object.keys(b).length);
+    const result = [];
+    for (const term of terms) {
+      const absorbed = result.some(kept =>
+        Object.entries(kept).every(([name, positive]) => term[name] === positive)
+      );
+      if (!absorbed) result.push(term);
+    }
+    return result;
+  }
+
+  // ==================== 評価・最小化 ====================
+
+  /**
+   * 式に出てくる変数名
+   * @returns {string[]}
+   */
+  static variables(sop) {
+    const names = new Set();
+    sop.forEach(term => Object.keys(term).forEach(name => names.add(name)));
+    return [...names];
+  }
+
+  /**
+   * 変数の値を与えて式を評価する
+   * @param {Array<Object>} sop
+   * @param {Object} assignment - { 変数名: boolean }
+   */
+  static evaluate(sop, assignment) {
+    return sop.some(term =>
+      Object.entries(term).every(([name, positive]) => !!assignment[name] === positive)
+    );
+  }
+
+  /**
+   * 最小の積和形に近づける（クワイン・マクラスキー法 + 貪欲法での被覆）
+   * 変数が多すぎる場合は simplify() の結果をそのまま返す
+   * @param {Array<Object>} sop
+   * @param {string[]} [variables] - 変数の並び（省略時は式に出てくる順）
+   */
+  static minimize(sop, variables = this.variables(sop)) {
+    if (variables.length > CONST.EXPRESSION.MAX_MINIMIZE_VARS) {
+      return this.simplify(sop);
+    }
+
+    const minterms = [];
+    for (let m = 0; m < (1 << variables.length); m++) {
+      if (this.evaluate(sop, this.assignmentOf(m, variables))) minterms.push(m);
+    }
+    return this.fromMinterms(minterms, variables);
+  }
+
+  /**
+   * 真になる入力の組み合わせ（ミンターム）から最小の積和形を作る
+   * ミンターム m のビットは variables の先頭が最上位
+   * @param {number[]} minterms
+   * @param {string[]} variables
+   * @param {number[]} [dontCares] - どちらでもよい組み合わせ
+   */
+  static fromMinterms(minterms, variables, dontCares = []) {
+    const n = variables.length;
+    if (minterms.length === 0) return this.constant(false);
+    if (minterms.length + dontCares.length === (1 << n)) return this.constant(true);
+
+    // 1. 主項を求める（'0' / '1' / '-' の文字列で表す）
+    const toPattern = (m) => m.toString(2).padStart(n, '0');
+    let current = new Set([...minterms, ...dontCares].map(toPattern));
+    const primes = new Set();
+
+    while (current.size > 0) {
+      const next = new Set();
+      const combined = new Set();
+      const patterns = [...current];
+
+      for (let i = 0; i < patterns.length; i++) {
+        for (let j = i + 1; j < patterns.length; j++) {
+          const merged = this.combinePatterns(patterns[i], patterns[j]);
+          if (merged) {
+            next.add(merged);
+            combined.add(patterns[i]);
+            combined.add(patterns[j]);
+          }
+        }
+      }
+      patterns.forEach(p => {
+        if (!combined.has(p)) primes.add(p);
+      });
+      current = next;
+    }
+
+    // 2. 必須主項 → 残りは多くのミンタームを覆う主項から選ぶ
+    const covers = (pattern, m) => {
+      const bits = toPattern(m);
+      for (let i = 0; i < n; i++) {
+        if (pattern[i] !== '-' && pattern[i] !== bits[i]) return false;
+      }
+      return true;
+    };
+
+    const primeList = [...primes];
+    const uncovered = new Set(minterms);
+    const chosen = [];
+    const choose = (pattern) => {
+      chosen.push(pattern);
+      minterms.forEach(m => {
+        if (covers(pattern, m)) uncovered.delete(m);
+      });
+    };
+
+    minterms.forEach(m => {
+      const covering = primeList.filter(p => covers(p, m));
+      if (covering.length === 1 && !chosen.includes(covering[0])) choose(covering[0]);
+    });
+
+    while (uncovered.size > 0) {
+      let best = null;
+      let bestCount = 0;
+      primeList.forEach(p => {
+        if (chosen.includes(p)) return;
+        const count = [...uncovered].filter(m => covers(p, m)).length;
+        // 同じ数なら変数の少ない方
+        if (count > bestCount || (count === bestCount && count > 0 && this.literalCount(p) < this.literalCount(best))) {
+          best = p;
+          bestCount = count;
+        }
+      });
+      choose(best);
+    }
+
+    return chosen.map(pattern => {
+      const term = {};
+      for (let i = 0; i < n; i++) {
+        if (pattern[i] !== '-') term[variables[i]] = (pattern[i] === '1');
+      }
+      return term;
+    });
+  }
+
+  /**
+   * 1文字だけ違うパターンを '-' でまとめる（まとめられなければ null）
+   */
+  static combinePatterns(a, b) {
+    let diff = -1;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) continue;
+      if (a[i] === '-' || b[i] === '-' || diff !== -1) return null;
+      diff = i;
+    }
+    if (diff === -1) return null;
+    return a.slice(0, diff) + '-' + a.slice(diff + 1);
+  }
+
+  static literalCount(pattern) {
+    return pattern.split('').filter(c => c !== '-').length;
+  }
+
+  /**
+   * ミンターム番号を変数の値に変換（variables の先頭が最上位ビット）
+   */
+  static assignmentOf(m, variables) {
+    const assignment = {};
+    variables.forEach((name, i) => {
+      assignment[name] = ((m >> (variables.length - 1 - i)) & 1) === 1;
+    });
+    return assignment;
+  }
+
+  // ==================== 構文解析 ====================
+
+  /**
+   * 文字列の論理式を積和形に変換する
+   * 演算子: NOT / ! / ~（否定）、AND / & / * （論理積）、XOR / ^、OR / | / +（論理和）
+   * 優先順位は NOT > AND > XOR > OR。定数は 0 / 1、変数名は英字・アンダースコアで始まる
+   * @param {string} text - 例: "A AND NOT B OR C", "(a | b) & !c"
+   * @returns {{sop: Array<Object>, variables: string[]}} variables は式に出てきた順
+   * @throws {Error} 書式の誤り（code: 'PARSE_ERROR'）
+   */
+  static parse(text) {
+    const tokens = this.tokenize(text);
+    const variables = [];
+    let index = 0;
+
+    const fail = (message) => {
+      const error = new Error(message);
+      error.code = 'PARSE_ERROR';
+      throw error;
+    };
+    const peek = () => tokens[index] || { kind: 'end', value: '', position: text.length };
+    const accept = (kind) => {
+      if (peek().kind !== kind) return false;
+      index++;
+      return true;
+    };
+    const describe = (token) => (token.kind === 'end' ? 'end of expression' : `'${token.value}' at ${token.position + 1}`);
+
+    const parseOr = () => {
+      let sop = parseXor();
+      while (accept('or')) sop = this.or(sop, parseXor());
+      return sop;
+    };
+    const parseXor = () => {
+      let sop = parseAnd();
+      while (accept('xor')) {
+        const rhs = parseAnd();
+        sop = this.or(this.and(sop, this.not(rhs)), this.and(this.not(sop), rhs));
+      }
+      return sop;
+    };
+    const parseAnd = () => {
+      let sop = parseNot();
+      while (accept('and')) sop = this.and(sop, parseNot());
+      return sop;
+    };
+    const parseNot = () => {
+      if (accept('not')) return this.not(parseNot());
+      return parsePrimary();
+    };
+    const parsePrimary = () => {
+      const token = peek();
+      if (accept('(')) {
+        const sop = parseOr();
+        if (!accept(')')) fail(`Expected ')' but found ${describe(peek())}`);
+        return sop;
+      }
+      if (accept('const')) return this.constant(token.value === '1');
+      if (accept('name')) {
+        if (!variables.includes(token.value)) variables.push(token.value);
+        return this.variable(token.value);
+      }
+      return fail(`Unexpected ${describe(token)}`);
+    };
+
+    if (tokens.length === 0) fail('Empty expression');
+    const sop = parseOr();
+    if (peek().kind !== 'end') fail(`Unexpected ${describe(peek())}`);
+    return { sop, variables };
+  }
+
+  /**
+   * 変数名として使える文字列か（演算子の単語や 0 / 1 は使えない）
+   * @param {string} name
+   * @returns {boolean}
+   */
+  static isVariableName(name) {
+    try {
+      const tokens = this.tokenize(name);
+      return tokens.length === 1 && tokens[0].kind === 'name' && tokens[0].value === name;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 論理式の字句解析
+   * @returns {Array<{kind: string, value: string, position: number}>}
+   */
+  static tokenize(text) {
+    const SYMBOLS = { '!': 'not', '~': 'not', '&': 'and', '*': 'and', '^': 'xor', '|': 'or', '+': 'or', '(': '(', ')': ')' };
+    const KEYWORDS = { NOT: 'not', AND: 'and', XOR: 'xor', OR: 'or' };
+    const pattern = /\s*(?:(&&|\|\||[!~&*^|+()])|([01])(?![\w])|([A-Za-z_]\w*)|(\S))/y;
+
+    const tokens = [];
+    let match;
+    pattern.lastIndex = 0;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+      const position = match.index + match[0].length - (match[1] || match[2] || match[3] || match[4] || '').length;
+      if (match[1]) {
+        tokens.push({ kind: SYMBOLS[match[1][0]], value: match[1], position });
+      } else if (match[2]) {
+        tokens.push({ kind: 'const', value: match[2], position });
+      } else if (match[3]) {
+        const keyword = KEYWORDS[match[3].toUpperCase()];
+        tokens.push({ kind: keyword || 'name', value: match[3], position });
+      } else if (match[4]) {
+        const error = new Error(`Unexpected '${match[4]}' at ${position + 1}`);
+        error.code = 'PARSE_ERROR';
+        throw error;
+      }
+    }
+    return tokens;
+  }
+
+  // ==================== 表記 ====================
+
+  /**
+   * 文字列に変換する（例: "(A AND NOT B) OR C"）
+   * @param {Array<Object>} sop
+   * @param {Object} [options]
+   * @param {string[]} [options.order] - 変数を並べる順
+   * @param {Function} [options.nameOf] - 変数名 -> 表示名
+   */
+  static toString(sop, options = {}) {
+    if (this.isFalse(sop)) return '0';
+    if (this.isTrue(sop)) return '1';
+
+    const order = options.order || this.variables(sop).sort();
+    const nameOf = options.nameOf || (name => name);
+    const rank = (name) => {
+      const index = order.indexOf(name);
+      return index === -1 ? order.length : index;
+    };
+
+    const terms = sop.map(term => {
+      const names = Object.keys(term).sort((a, b) => rank(a) - rank(b));
+      return {
+        key: names.map(rank),
+        text: names.map(name => (term[name] ? '' : 'NOT ') + nameOf(name)).join(' AND '),
+        size: names.length
+      };
+    });
+
+    // 先頭の変数の順に並べる
+    terms.sort((a, b) => {
+      for (let i = 0; i < Math.min(a.key.length, b.key.length); i++) {
+        if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+      }
+      return a.key.length - b.key.length;
+    });
+
+    if (terms.length === 1) return terms[0].text;
+    return terms.map(term => (term.size > 1 ? `(${term.text})` : term.text)).join(' OR ');
+  }
+}
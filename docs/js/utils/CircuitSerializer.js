@@ -2,6 +2,7 @@
 
 import { Wire } from '../models/Wire.js';
 import { PartFactory } from '../models/PartFactory.js';
+import { ComponentDefinition } from '../models/ComponentDefinition.js';
 import { CONST } from '../config/constants.js';
 
 // 部品タイプを数値に変換するマップ（データ圧縮用）
@@ -16,7 +17,12 @@ const TYPE_MAP = {
   [CONST.PART_TYPE.POWER_DOOR]: 7,
   [CONST.PART_TYPE.FLOOR_SWITCH]: 8,
   [CONST.PART_TYPE.PROXIMITY_SWITCH]: 9,
-  [CONST.PART_TYPE.TEXT_LABEL]: 10
+  [CONST.PART_TYPE.TEXT_LABEL]: 10,
+  [CONST.PART_TYPE.SOLAR_PANEL]: 11,
+  [CONST.PART_TYPE.BATTERY]: 12,
+  [CONST.PART_TYPE.BIOFUEL_REACTOR]: 13,
+  [CONST.PART_TYPE.EM_GENERATOR]: 14,
+  [CONST.PART_TYPE.CUSTOM_COMPONENT]: 15
 };
 
 // 数値から部品タイプに戻すための配列
@@ -31,15 +37,33 @@ const TYPE_LIST = [
   CONST.PART_TYPE.POWER_DOOR,      // 7
   CONST.PART_TYPE.FLOOR_SWITCH,    // 8
   CONST.PART_TYPE.PROXIMITY_SWITCH,// 9
-  CONST.PART_TYPE.TEXT_LABEL       // 10
+  CONST.PART_TYPE.TEXT_LABEL,      // 10
+  CONST.PART_TYPE.SOLAR_PANEL,     // 11
+  CONST.PART_TYPE.BATTERY,         // 12
+  CONST.PART_TYPE.BIOFUEL_REACTOR, // 13
+  CONST.PART_TYPE.EM_GENERATOR,    // 14
+  CONST.PART_TYPE.CUSTOM_COMPONENT // 15
 ];
 
+// 発電パーツの設定値（出力・容量・残量など）のビット数（v6）
+const SOURCE_SETTING_BITS = 24;
+
 // ソケット名を数値に変換するマップ
 const SOCKET_MAP = { 'left': 0, 'right': 1, 'bottom': 2, 'control': 3, 'joint': 4, 'surface': 5 };
 
 // 数値からソケット名に戻す配列
 const SOCKET_LIST = ['left', 'right', 'bottom', 'control', 'joint', 'surface'];
 
+// カスタム部品のピン（SOCKET_MAP に無いソケット）は、この番号の後にピンの番号を書く（v7）
+const SOCKET_ESCAPE = 7;
+const PIN_INDEX_BITS = 6;
+
+// カスタム部品の定義の番号・数のビット数（v7）
+const DEFINITION_INDEX_BITS = 8;
+
+// 文字列（TextLabel のテキスト・カスタム部品の名前）の長さの上限
+const MAX_TEXT_LENGTH = 50;
+
 /**
  * ★ v6用: ビット単位の書き込み/読み込みを行うヘルパークラス
  */
@@ -47,6 +71,7 @@ class BitStream {
   constructor(base64String = '') {
     this.bits = [];
     this.readIndex = 0;
+    this.overrun = false; // 末尾を越えて読もうとしたら true（データが途中で切れている）
     
     if (base64String) {
       this.fromBase64(base64String);
@@ -62,7 +87,10 @@ class BitStream {
   read(numBits) {
     let value = 0;
     for (let i = 0; i < numBits; i++) {
-      if (this.readIndex >= this.bits.length) return 0;
+      if (this.readIndex >= this.bits.length) {
+        this.overrun = true;
+        return 0;
+      }
       const bit = this.bits[this.readIndex++];
       value |= (bit << i);
     }
@@ -84,6 +112,24 @@ class BitStream {
     return val;
   }
 
+  // 文字列: 長さ（6bit）+ 文字コード（各16bit）
+  writeText(text) {
+    const trimmed = text.substring(0, MAX_TEXT_LENGTH);
+    this.write(trimmed.length, 6);
+    for (let i = 0; i < trimmed.length; i++) {
+      this.write(trimmed.charCodeAt(i), 16);
+    }
+  }
+
+  readText() {
+    const length = this.read(6);
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(this.read(16));
+    }
+    return text;
+  }
+
   toBase64() {
     const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
     let output = "";
@@ -137,56 +183,149 @@ export class CircuitSerializer {
       return this.serializeToBitStream(parts, wires, viewState);
     } else {
       // v1.1 JSONオブジェクト形式 (ファイル保存用)
-      const partsData = parts.map(part => {
-        const data = {
-          id: part.id,
-          type: part.type,
-          x: part.x,
-          y: part.y,
-          rotation: part.rotation
-        };
-        
-        if (part.hasOwnProperty('isOn')) {
-          data.isOn = part.isOn;
-        }
-        
-        // TextLabelの場合、テキストも保存
-        if (part.type === CONST.PART_TYPE.TEXT_LABEL && part.text) {
-          data.text = part.text;
-        }
-        
-        return data;
-      });
-      
-      const wiresData = wires.map(wire => ({
-        startPartId: wire.startSocket.parent.id,
-        startSocket: wire.startSocket.name,
-        endPartId: wire.endSocket.parent.id,
-        endSocket: wire.endSocket.name
-      }));
-      
-      return {
+      const data = {
         version: '1.1',
-        parts: partsData,
-        wires: wiresData,
+        ...this.serializeCircuit(parts, wires),
         view: {
           x: viewState.x,
           y: viewState.y,
           scale: viewState.scale
         }
       };
+
+      // カスタム部品の定義は1回だけ保存し、部品からは id で参照する（入れ子の中身が先）
+      const definitions = ComponentDefinition.collect(parts);
+      if (definitions.length > 0) {
+        data.components = definitions.map(definition => ({
+          id: definition.id,
+          name: definition.name,
+          pins: definition.pins,
+          parts: definition.parts,
+          wires: definition.wires
+        }));
+      }
+      return data;
     }
   }
 
+  /**
+   * パーツとワイヤーを v1.1 形式のデータにする（カスタム部品の定義は含まない）
+   * @param {Array} parts
+   * @param {Array} wires
+   * @returns {{parts: Array, wires: Array}}
+   */
+  static serializeCircuit(parts, wires) {
+    const partsData = parts.map(part => {
+      const data = {
+        id: part.id,
+        type: part.type,
+        x: part.x,
+        y: part.y,
+        rotation: part.rotation
+      };
+      
+      if (part.hasOwnProperty('isOn')) {
+        data.isOn = part.isOn;
+      }
+
+      // 意図したクロックとしてマークされたループのパーツ
+      if (part.intentionalOscillation) {
+        data.intentionalOscillation = true;
+      }
+
+      // 真理値表の入力・出力として指定されたパーツ
+      if (part.truthTableRole) {
+        data.truthTableRole = part.truthTableRole;
+      }
+      
+      // TextLabelの場合、テキストも保存
+      if (part.type === CONST.PART_TYPE.TEXT_LABEL && part.text) {
+        data.text = part.text;
+      }
+
+      // 発電パーツの場合、出力・容量・残量なども保存
+      if (typeof part.getSettings === 'function') {
+        data.source = part.getSettings();
+      }
+
+      // カスタム部品の場合、定義のID
+      if (part.definition) {
+        data.component = part.definition.id;
+      }
+      
+      return data;
+    });
+    
+    const wiresData = wires.map(wire => ({
+      startPartId: wire.startSocket.parent.id,
+      startSocket: wire.startSocket.name,
+      endPartId: wire.endSocket.parent.id,
+      endSocket: wire.endSocket.name
+    }));
+
+    return { parts: partsData, wires: wiresData };
+  }
+
   /**
    * ★ v6: 適応型ビットパッキング・シリアライザ (LZStringなし)
    */
   static serializeToBitStream(parts, wires, viewState) {
     const stream = new BitStream();
+    const definitions = ComponentDefinition.collect(parts);
+    const definitionIndex = new Map(definitions.map((definition, index) => [definition, index]));
     
-    // ヘッダー: バージョン6 (4bit)
-    stream.write(6, 4);
+    // ヘッダー: バージョン (4bit)
+    // カスタム部品を使っている時だけ、定義を先頭に書いた v7 にする（使っていなければ今まで通りの v6）
+    if (definitions.length > 0) {
+      stream.write(7, 4);
+      this.writeDefinitions(stream, definitions, definitionIndex);
+    } else {
+      stream.write(6, 4);
+    }
+
+    this.writeCircuit(stream, parts, wires, viewState, definitionIndex);
+    return stream.toBase64();
+  }
 
+  /**
+   * v7: カスタム部品の定義を書き込む（入れ子の中身が先に来る順で渡すこと）
+   * @param {BitStream} stream
+   * @param {ComponentDefinition[]} definitions
+   * @param {Map<ComponentDefinition, number>} definitionIndex - 定義 -> 番号
+   */
+  static writeDefinitions(stream, definitions, definitionIndex) {
+    stream.write(definitions.length, DEFINITION_INDEX_BITS);
+
+    definitions.forEach(definition => {
+      stream.writeText(definition.id);
+      stream.writeText(definition.name);
+
+      const { parts, wires } = definition.instantiate();
+      this.writeCircuit(stream, parts, wires, { x: 0, y: 0, scale: 1 }, definitionIndex);
+
+      // ピン: 名前、左右（1bit）、中のパーツの番号、ソケット
+      const indexOf = new Map(parts.map((part, index) => [part.id, index]));
+      const indexBits = this.getIndexBits(parts.length);
+      stream.write(definition.pins.length, PIN_INDEX_BITS);
+      definition.pins.forEach(pin => {
+        const index = indexOf.get(pin.partId);
+        stream.writeText(pin.name);
+        stream.write(pin.side === 'left' ? 0 : 1, 1);
+        stream.write(index, indexBits);
+        this.writeSocket(stream, parts[index].getSocket(pin.socket));
+      });
+    });
+  }
+
+  /**
+   * v6: 視点・パーツ・ワイヤーを書き込む
+   * @param {BitStream} stream
+   * @param {Array} parts
+   * @param {Array} wires
+   * @param {Object} viewState - {x, y, scale}
+   * @param {Map<ComponentDefinition, number>} definitionIndex - カスタム部品の定義 -> 番号
+   */
+  static writeCircuit(stream, parts, wires, viewState, definitionIndex) {
     // バウンディングボックス計算
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     
@@ -248,20 +387,32 @@ export class CircuitSerializer {
       const rotInt = Math.floor((normRot / (Math.PI * 2)) * 1023);
       stream.write(rotInt, 10);
       
-      // TextLabelの場合、テキスト情報を保存
+      // TextLabelの場合、テキスト情報を保存（50文字制限）
       if (part.type === CONST.PART_TYPE.TEXT_LABEL && part.text) {
-        const text = part.text.substring(0, 50); // 50文字制限
-        stream.write(text.length, 6); // 最大63文字（6bit）
-        for (let i = 0; i < text.length; i++) {
-          stream.write(text.charCodeAt(i), 16); // Unicode文字コード（16bit）
-        }
+        stream.writeText(part.text);
+      }
+
+      // 発電パーツの場合、設定値を getSettingKeys() の順に整数で保存
+      // （蓄え stored・燃料の残り fuel の小数部分は四捨五入で失われる。誤差は 0.5 kPs / 0.5 秒未満で、
+      //   今までの共有URLを読めるように形式は変えない。正確な値が要る時は JSON の保存ファイルを使う）
+      if (typeof part.getSettings === 'function') {
+        const settings = part.getSettings();
+        part.getSettingKeys().forEach(key => {
+          const value = Math.round(Math.max(0, Math.min(CONST.POWER_SOURCES.MAX_SETTING, settings[key])));
+          stream.write(value, SOURCE_SETTING_BITS);
+        });
+      }
+
+      // カスタム部品の場合、定義の番号
+      if (part.definition) {
+        stream.write(definitionIndex.get(part.definition), DEFINITION_INDEX_BITS);
       }
     });
 
     // ワイヤー数（15bit）
     stream.write(wires.length, 15);
 
-    const indexBits = parts.length > 0 ? Math.max(1, Math.ceil(Math.log2(parts.length + 1))) : 1;
+    const indexBits = this.getIndexBits(parts.length);
 
     wires.forEach(wire => {
       const startIdx = idToIndexMap.get(wire.startSocket.parent.id);
@@ -270,11 +421,48 @@ export class CircuitSerializer {
       stream.write(startIdx, indexBits);
       stream.write(endIdx, indexBits);
 
-      stream.write(SOCKET_MAP[wire.startSocket.name], 3);
-      stream.write(SOCKET_MAP[wire.endSocket.name], 3);
+      this.writeSocket(stream, wire.startSocket);
+      this.writeSocket(stream, wire.endSocket);
     });
+  }
 
-    return stream.toBase64();
+  /**
+   * パーツの番号に必要なビット数
+   * @param {number} count - パーツ数
+   * @returns {number}
+   */
+  static getIndexBits(count) {
+    return count > 0 ? Math.max(1, Math.ceil(Math.log2(count + 1))) : 1;
+  }
+
+  /**
+   * ソケット名を書き込む（3bit。カスタム部品のピンは SOCKET_ESCAPE の後にピンの番号）
+   * @param {BitStream} stream
+   * @param {Socket} socket
+   */
+  static writeSocket(stream, socket) {
+    const code = SOCKET_MAP[socket.name];
+    if (code !== undefined) {
+      stream.write(code, 3);
+      return;
+    }
+    stream.write(SOCKET_ESCAPE, 3);
+    stream.write(socket.parent.definition.pins.findIndex(pin => pin.key === socket.name), PIN_INDEX_BITS);
+  }
+
+  /**
+   * writeSocket() で書いたソケットを読み込む
+   * @param {BitStream} stream
+   * @param {CircuitPart|null} part - ソケットを持つパーツ
+   * @returns {Socket|null}
+   */
+  static readSocket(stream, part) {
+    const code = stream.read(3);
+    if (code === SOCKET_ESCAPE) {
+      const pinIndex = stream.read(PIN_INDEX_BITS);
+      return (part && typeof part.getPinSocket === 'function') ? part.getPinSocket(pinIndex) : null;
+    }
+    return part ? part.getSocket(SOCKET_LIST[code]) : null;
   }
 
   /**
@@ -282,19 +470,19 @@ export class CircuitSerializer {
    * @param {Object|Array|String} saveData - シリアライズされた回路データ
    * @param {Array} partsArray - 復元先のパーツ配列
    * @param {Array} wiresArray - 復元先のワイヤー配列
+   * @param {Map<string, ComponentDefinition>} [knownDefinitions] - 既にある定義（同じIDの定義は読み込まずにこれを使う。複製用）
    * @returns {Object|null} 復元した視点情報 {x, y, scale} または null
    */
-  static deserialize(saveData, partsArray, wiresArray) {
+  static deserialize(saveData, partsArray, wiresArray, knownDefinitions = null) {
     // 文字列型ならv6 (Bit Packing) として処理
     if (typeof saveData === 'string') {
-      return this.deserializeFromBitStream(saveData, partsArray, wiresArray);
+      return this.deserializeFromBitStream(saveData, partsArray, wiresArray, knownDefinitions);
     }
 
     // 配列をクリア（参照は維持）
     partsArray.length = 0;
     wiresArray.length = 0;
     
-    const partIdMap = new Map();
     let restoredView = null;
     
     // v3 (配列形式 - 後方互換性のため維持)
@@ -346,49 +534,8 @@ export class CircuitSerializer {
     }
     // v1.1 (オブジェクト形式 - ファイル保存用)
     else if (saveData.version && saveData.parts && saveData.wires) {
-      for (const partData of saveData.parts) {
-        // TextLabelの場合、テキストを渡して生成
-        let newPart;
-        if (partData.type === CONST.PART_TYPE.TEXT_LABEL) {
-          const text = partData.text || 'Text';
-          newPart = new (PartFactory.create(CONST.PART_TYPE.TEXT_LABEL, 0, 0, 0).constructor)(
-            partData.id,
-            partData.x,
-            partData.y,
-            text
-          );
-        } else {
-          newPart = PartFactory.create(
-            partData.type,
-            partData.id,
-            partData.x,
-            partData.y
-          );
-        }
-        
-        if (newPart) {
-          newPart.setRotationImmediately(partData.rotation || 0);
-          if (partData.hasOwnProperty('isOn')) {
-            newPart.isOn = partData.isOn;
-          }
-          partsArray.push(newPart);
-          partIdMap.set(partData.id, newPart);
-        }
-      }
-      
-      for (const wireData of saveData.wires) {
-        const startPart = partIdMap.get(wireData.startPartId);
-        const endPart = partIdMap.get(wireData.endPartId);
-        
-        if (startPart && endPart) {
-          const startSocket = startPart.getSocket(wireData.startSocket);
-          const endSocket = endPart.getSocket(wireData.endSocket);
-          
-          if (startSocket && endSocket) {
-            wiresArray.push(new Wire(startSocket, endSocket));
-          }
-        }
-      }
+      const definitions = this.deserializeDefinitions(saveData.components, knownDefinitions);
+      this.restoreCircuit(saveData.parts, saveData.wires, partsArray, wiresArray, definitions);
       
       if (saveData.view) {
         restoredView = {
@@ -407,107 +554,321 @@ export class CircuitSerializer {
   }
 
   /**
-   * ★ v6: ビットストリームからの復元
+   * v1.1 形式のパーツ・ワイヤーのデータを復元して配列に追加する
+   * @param {Array} partsData
+   * @param {Array} wiresData
+   * @param {Array} partsArray - 復元先のパーツ配列
+   * @param {Array} wiresArray - 復元先のワイヤー配列
+   * @param {Map<string, ComponentDefinition>} definitions - カスタム部品の定義（id -> 定義）
    */
-  static deserializeFromBitStream(base64Str, partsArray, wiresArray) {
-    partsArray.length = 0;
-    wiresArray.length = 0;
-    
-    const stream = new BitStream(base64Str);
+  static restoreCircuit(partsData, wiresData, partsArray, wiresArray, definitions) {
+    const partIdMap = new Map();
+
+    for (const partData of partsData) {
+      const newPart = this.createPart(partData, definitions);
+      if (newPart) {
+        partsArray.push(newPart);
+        partIdMap.set(partData.id, newPart);
+      }
+    }
     
-    try {
-      const version = stream.read(4);
-      if (version !== 6) {
-        console.warn("Unsupported version:", version);
+    for (const wireData of wiresData) {
+      const startPart = partIdMap.get(wireData.startPartId);
+      const endPart = partIdMap.get(wireData.endPartId);
+      
+      if (startPart && endPart) {
+        const startSocket = startPart.getSocket(wireData.startSocket);
+        const endSocket = endPart.getSocket(wireData.endSocket);
+        
+        if (startSocket && endSocket) {
+          wiresArray.push(new Wire(startSocket, endSocket));
+        }
+      }
+    }
+  }
+
+  /**
+   * v1.1 形式のデータから1つのパーツを作る
+   * @param {Object} partData
+   * @param {Map<string, ComponentDefinition>} definitions - カスタム部品の定義（id -> 定義）
+   * @returns {CircuitPart|null}
+   */
+  static createPart(partData, definitions) {
+    // TextLabelの場合、テキストを渡して生成
+    let newPart;
+    if (partData.type === CONST.PART_TYPE.TEXT_LABEL) {
+      const text = partData.text || 'Text';
+      newPart = new (PartFactory.create(CONST.PART_TYPE.TEXT_LABEL, 0, 0, 0).constructor)(
+        partData.id,
+        partData.x,
+        partData.y,
+        text
+      );
+    } else {
+      newPart = PartFactory.create(
+        partData.type,
+        partData.id,
+        partData.x,
+        partData.y
+      );
+    }
+    if (!newPart) return null;
+
+    // カスタム部品は定義が見つからなければ復元しない（ワイヤーをつなぐピンが作れない）
+    if (partData.type === CONST.PART_TYPE.CUSTOM_COMPONENT) {
+      const definition = definitions.get(partData.component);
+      if (!definition) {
+        console.warn(`カスタム部品の定義が見つかりません: ${partData.component}`);
         return null;
       }
+      newPart.setDefinition(definition);
+    }
+    
+    newPart.setRotationImmediately(partData.rotation || 0);
+    if (partData.hasOwnProperty('isOn')) {
+      newPart.isOn = partData.isOn;
+    }
+    if (partData.intentionalOscillation) {
+      newPart.intentionalOscillation = true;
+    }
+    if (partData.truthTableRole) {
+      newPart.truthTableRole = partData.truthTableRole;
+    }
+    if (partData.source && typeof newPart.applySettings === 'function') {
+      newPart.applySettings(partData.source);
+    }
+    return newPart;
+  }
 
-      const minX = stream.read30Signed();
-      const minY = stream.read30Signed();
-      const bitsX = stream.read(5);
-      const bitsY = stream.read(5);
+  /**
+   * v1.1 の components（カスタム部品の定義）を復元する
+   * @param {Array|undefined} componentsData - 入れ子の中身が先に来る順
+   * @param {Map<string, ComponentDefinition>|null} knownDefinitions - 同じIDならこちらを使う
+   * @returns {Map<string, ComponentDefinition>} id -> 定義
+   */
+  static deserializeDefinitions(componentsData, knownDefinitions) {
+    const definitions = new Map();
+    if (!Array.isArray(componentsData)) return definitions;
+
+    componentsData.forEach(data => {
+      const known = knownDefinitions ? knownDefinitions.get(data.id) : null;
+      if (known) {
+        definitions.set(data.id, known);
+        return;
+      }
 
-      const vx = minX + stream.read(bitsX);
-      const vy = minY + stream.read(bitsY);
-      const vScale = stream.read(9) / 100;
-      const restoredView = { x: vx, y: vy, scale: vScale };
+      const definition = new ComponentDefinition(data.id, data.name || CONST.COMPONENTS.DEFAULT_NAME);
+      const parts = [];
+      const wires = [];
+      this.restoreCircuit(data.parts || [], data.wires || [], parts, wires, definitions);
+      definition.setCircuit(parts, wires, Array.isArray(data.pins) ? data.pins : []);
+      definitions.set(data.id, definition);
+    });
+    return definitions;
+  }
 
-      const partsCount = stream.read(15);
-      const tempParts = [];
-      const baseId = Date.now();
+  /**
+   * ★ v6: ビットストリームからの復元
+   */
+  static deserializeFromBitStream(base64Str, partsArray, wiresArray, knownDefinitions = null) {
+    try {
+      return this.readBitStream(base64Str, partsArray, wiresArray, knownDefinitions);
+    } catch (e) {
+      console.error("v6 デシリアライズエラー:", e);
+      // Node.jsなど alert が無い環境ではログ出力のみ
+      if (typeof alert === 'function') {
+        alert("回路データの読み込みに失敗しました。URLが破損している可能性があります。");
+      }
+      return null;
+    }
+  }
 
-      for (let i = 0; i < partsCount; i++) {
-        const typeNum = stream.read(4);
-        const stateBit = stream.read(1);
-        
-        const dx = stream.read(bitsX);
-        const dy = stream.read(bitsY);
-        const x = minX + dx;
-        const y = minY + dy;
+  /**
+   * v6 / v7 の文字列を読み込む（壊れていたら例外を投げる）
+   * @param {string} base64Str
+   * @param {Array} partsArray - 復元先のパーツ配列
+   * @param {Array} wiresArray - 復元先のワイヤー配列
+   * @param {Map<string, ComponentDefinition>|null} knownDefinitions - 同じIDならこちらを使う
+   * @returns {Object|null} 復元した視点情報 {x, y, scale}（対応していないバージョンなら null）
+   */
+  static readBitStream(base64Str, partsArray, wiresArray, knownDefinitions = null) {
+    partsArray.length = 0;
+    wiresArray.length = 0;
+    
+    const stream = new BitStream(base64Str);
+    const version = stream.read(4);
+    if (version !== 6 && version !== 7) {
+      console.warn("Unsupported version:", version);
+      return null;
+    }
 
-        const rotInt = stream.read(10);
+    // v7: カスタム部品の定義（v6 と同じ回路の前に書かれている）
+    const definitions = version === 7 ? this.readDefinitions(stream, knownDefinitions) : [];
+    const { view } = this.readCircuit(stream, partsArray, wiresArray, definitions);
 
-        const typeStr = TYPE_LIST[typeNum];
-        let newPart;
-        
-        // TextLabelの場合、テキスト情報を読み込んで復元
-        if (typeStr === CONST.PART_TYPE.TEXT_LABEL) {
-          const textLength = stream.read(6);
-          let text = '';
-          for (let j = 0; j < textLength; j++) {
-            text += String.fromCharCode(stream.read(16));
-          }
-          // TextLabelコンストラクタを直接呼び出してテキストを渡す
-          const TextLabelClass = PartFactory.create(CONST.PART_TYPE.TEXT_LABEL, 0, 0, 0).constructor;
-          newPart = new TextLabelClass(baseId + i, x, y, text || 'txt');
-        } else {
-          newPart = PartFactory.create(typeStr, baseId + i, x, y);
-        }
+    // 途中で切れたデータは、足りない所が 0 で埋まった別の回路になってしまうので読み込まない
+    if (stream.overrun) {
+      partsArray.length = 0;
+      wiresArray.length = 0;
+      throw new Error(CONST.MESSAGES.ERROR_INVALID_FILE_FORMAT);
+    }
 
-        if (newPart) {
-          const rotRad = (rotInt / 1023) * Math.PI * 2;
-          newPart.setRotationImmediately(rotRad);
+    console.log(`復元完了(v${version} BitPacked): パーツ${partsArray.length}個, ワイヤー${wiresArray.length}本`);
+    return view;
+  }
 
-          if (newPart.hasOwnProperty('isOn')) {
-            newPart.isOn = (stateBit === 1);
-          }
-          
-          partsArray.push(newPart);
-          tempParts.push(newPart);
-        } else {
-          tempParts.push(null);
+  /**
+   * v6 / v7 の文字列として最後まで読めるかを調べる（alert は出さない。貼り付け前の確認用）
+   * @param {string} base64Str
+   * @returns {boolean}
+   */
+  static isReadableBitStream(base64Str) {
+    try {
+      return this.readBitStream(base64Str, [], []) !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * v7: writeDefinitions() で書いたカスタム部品の定義を読み込む
+   * @param {BitStream} stream
+   * @param {Map<string, ComponentDefinition>|null} knownDefinitions - 同じIDならこちらを使う
+   * @returns {ComponentDefinition[]} 番号順の定義
+   */
+  static readDefinitions(stream, knownDefinitions) {
+    const count = stream.read(DEFINITION_INDEX_BITS);
+    const definitions = [];
+
+    for (let d = 0; d < count; d++) {
+      const id = stream.readText();
+      const name = stream.readText();
+
+      const parts = [];
+      const wires = [];
+      const { tempParts } = this.readCircuit(stream, parts, wires, definitions);
+
+      const pinCount = stream.read(PIN_INDEX_BITS);
+      const indexBits = this.getIndexBits(tempParts.length);
+      const pins = [];
+      for (let i = 0; i < pinCount; i++) {
+        const pinName = stream.readText();
+        const side = stream.read(1) === 0 ? 'left' : 'right';
+        const part = tempParts[stream.read(indexBits)];
+        const socket = this.readSocket(stream, part);
+        if (part && socket) {
+          pins.push({ name: pinName, partId: part.id, socket: socket.name, side });
         }
       }
 
-      const wiresCount = stream.read(15);
-      const indexBits = partsCount > 0 ? Math.max(1, Math.ceil(Math.log2(partsCount + 1))) : 1;
+      // 読み込みは最後まで進めてから、既にある定義を優先する（ビットの位置がずれないように）
+      const known = knownDefinitions ? knownDefinitions.get(id) : null;
+      if (known) {
+        definitions.push(known);
+      } else {
+        const definition = new ComponentDefinition(id, name || CONST.COMPONENTS.DEFAULT_NAME);
+        definition.setCircuit(parts, wires, pins);
+        definitions.push(definition);
+      }
+    }
+    return definitions;
+  }
+
+  /**
+   * v6: writeCircuit() で書いた視点・パーツ・ワイヤーを読み込む
+   * @param {BitStream} stream
+   * @param {Array} partsArray - 復元先のパーツ配列
+   * @param {Array} wiresArray - 復元先のワイヤー配列
+   * @param {ComponentDefinition[]} definitions - カスタム部品の定義（番号順）
+   * @returns {{view: Object, tempParts: Array}} 視点と、番号順のパーツ（復元できなかった所は null）
+   */
+  static readCircuit(stream, partsArray, wiresArray, definitions) {
+    const minX = stream.read30Signed();
+    const minY = stream.read30Signed();
+    const bitsX = stream.read(5);
+    const bitsY = stream.read(5);
+
+    const vx = minX + stream.read(bitsX);
+    const vy = minY + stream.read(bitsY);
+    const vScale = stream.read(9) / 100;
+    const restoredView = { x: vx, y: vy, scale: vScale };
+
+    const partsCount = stream.read(15);
+    const tempParts = [];
+    const baseId = Date.now();
+
+    for (let i = 0; i < partsCount; i++) {
+      const typeNum = stream.read(4);
+      const stateBit = stream.read(1);
+      
+      const dx = stream.read(bitsX);
+      const dy = stream.read(bitsY);
+      const x = minX + dx;
+      const y = minY + dy;
 
-      for (let i = 0; i < wiresCount; i++) {
-        const startIdx = stream.read(indexBits);
-        const endIdx = stream.read(indexBits);
-        const startSockNum = stream.read(3);
-        const endSockNum = stream.read(3);
+      const rotInt = stream.read(10);
 
-        const startPart = tempParts[startIdx];
-        const endPart = tempParts[endIdx];
+      const typeStr = TYPE_LIST[typeNum];
+      let newPart;
+      
+      // TextLabelの場合、テキスト情報を読み込んで復元
+      if (typeStr === CONST.PART_TYPE.TEXT_LABEL) {
+        const text = stream.readText();
+        // TextLabelコンストラクタを直接呼び出してテキストを渡す
+        const TextLabelClass = PartFactory.create(CONST.PART_TYPE.TEXT_LABEL, 0, 0, 0).constructor;
+        newPart = new TextLabelClass(baseId + i, x, y, text || 'txt');
+      } else {
+        newPart = PartFactory.create(typeStr, baseId + i, x, y);
+
+        // 発電パーツの場合、設定値を読み込んで復元
+        if (newPart && typeof newPart.applySettings === 'function') {
+          const settings = {};
+          newPart.getSettingKeys().forEach(key => {
+            settings[key] = stream.read(SOURCE_SETTING_BITS);
+          });
+          newPart.applySettings(settings);
+        }
 
-        if (startPart && endPart) {
-          const sSock = startPart.getSocket(SOCKET_LIST[startSockNum]);
-          const eSock = endPart.getSocket(SOCKET_LIST[endSockNum]);
-          if (sSock && eSock) {
-            wiresArray.push(new Wire(sSock, eSock));
+        // カスタム部品の場合、定義の番号を読み込んで中身を作る
+        if (typeStr === CONST.PART_TYPE.CUSTOM_COMPONENT) {
+          const definition = definitions[stream.read(DEFINITION_INDEX_BITS)];
+          if (definition) {
+            newPart.setDefinition(definition);
+          } else {
+            newPart = null;
           }
         }
       }
 
-      console.log(`復元完了(v6 BitPacked): パーツ${partsCount}個, ワイヤー${wiresCount}本`);
-      return restoredView;
+      if (newPart) {
+        const rotRad = (rotInt / 1023) * Math.PI * 2;
+        newPart.setRotationImmediately(rotRad);
 
-    } catch (e) {
-      console.error("v6 デシリアライズエラー:", e);
-      alert("回路データの読み込みに失敗しました。URLが破損している可能性があります。");
-      return null;
+        if (newPart.hasOwnProperty('isOn')) {
+          newPart.isOn = (stateBit === 1);
+        }
+        
+        partsArray.push(newPart);
+        tempParts.push(newPart);
+      } else {
+        tempParts.push(null);
+      }
+    }
+
+    const wiresCount = stream.read(15);
+    const indexBits = this.getIndexBits(partsCount);
+
+    for (let i = 0; i < wiresCount; i++) {
+      const startPart = tempParts[stream.read(indexBits)];
+      const endPart = tempParts[stream.read(indexBits)];
+      const sSock = this.readSocket(stream, startPart);
+      const eSock = this.readSocket(stream, endPart);
+      if (sSock && eSock) {
+        wiresArray.push(new Wire(sSock, eSock));
+      }
     }
+
+    return { view: restoredView, tempParts };
   }
 
   /**
@@ -116,7 +116,7 @@ export class GraphUtils {
         const current = queue.shift();
         cluster.push(current);
 
-        const socket = current.getSocket('center');
+        const socket = current.getSocket('joint');
         if (!socket) continue;
 
         for (const wire of socket.connectedWires) {
@@ -159,4 +159,35 @@ export class GraphUtils {
 
     return implicitJoints;
   }
-}
\ No newline at end of file
+
+  /**
+   * カスタム部品の中身（入れ子も含む）まで展開したパーツと、ピンと中のソケットのつながり
+   * PowerSystem.buildTopology() と同じく、ピンと中のソケットはワイヤーでつながっているものとして扱う
+   * @param {Array} parts - パーツ配列
+   * @returns {{parts: Array, links: Map<Socket, Array<Socket>>, inner: Set}}
+   *          links はソケットごとのつながった相手、inner はカスタム部品の中にあるパーツ
+   */
+  static expandComponents(parts) {
+    const result = { parts: [], links: new Map(), inner: new Set() };
+    const link = (a, b) => {
+      if (!result.links.has(a)) result.links.set(a, []);
+      result.links.get(a).push(b);
+    };
+    const collect = (list, isInner) => {
+      list.forEach(part => {
+        result.parts.push(part);
+        if (isInner) result.inner.add(part);
+        if (typeof part.getInnerCircuit !== 'function') return;
+
+        const circuit = part.getInnerCircuit();
+        circuit.links.forEach(([pin, inner]) => {
+          link(pin, inner);
+          link(inner, pin);
+        });
+        collect(circuit.parts, true);
+      });
+    };
+    collect(parts, false);
+    return result;
+  }
+}
@@ -71,6 +71,18 @@ export class MathUtils {
     return diff;
   }
 
+  /**
+   * 2点間の距離を計算する（p5.jsの dist() に依存しない版）
+   * @param {number} x1 - 始点X
+   * @param {number} y1 - 始点Y
+   * @param {number} x2 - 終点X
+   * @param {number} y2 - 終点Y
+   * @returns {number} 距離
+   */
+  static distance(x1, y1, x2, y2) {
+    return Math.hypot(x2 - x1, y2 - y1);
+  }
+
   /**
    * 線形補間（lerp）
    * @param {number} start - 開始値
@@ -1,6 +1,7 @@
 'use strict';
 
 import { CONST } from '../config/constants.js';
+import { MathUtils } from './MathUtils.js';
 
 /**
  * パーツカウンター
@@ -9,11 +10,14 @@ import { CONST } from '../config/constants.js';
 export class PartsCounter {
   /**
    * パーツとワイヤーをカウントする
+   * カスタム部品は箱ではなく中身（入れ子も含む）のパーツとワイヤーを数える
    * @param {Array} parts - パーツの配列
    * @param {Array} wires - ワイヤーの配列
    * @returns {Object} { partCounts: Map, total: number }
    */
   static countParts(parts, wires) {
+    ({ parts, wires } = this.expandComponents(parts, wires));
+
     // 結果を格納するMap（表示順序を維持）
     const partCounts = new Map();
     
@@ -44,8 +48,8 @@ export class PartsCounter {
       const startPos = wire.startSocket.getConnectorWorldPosition();
       const endPos = wire.endSocket.getConnectorWorldPosition();
       
-      // 長さを計算（p5.jsのdist関数を使用）
-      const length = dist(startPos.x, startPos.y, endPos.x, endPos.y);
+      // 長さを計算
+      const length = MathUtils.distance(startPos.x, startPos.y, endPos.x, endPos.y);
       
       // SOCKET_HIT_RADIUS未満は「長さ0」として除外
       if (length >= CONST.PARTS.SOCKET_HIT_RADIUS) {
@@ -66,6 +70,125 @@ export class PartsCounter {
     };
   }
   
+  /**
+   * カスタム部品の中身を展開したパーツとワイヤーを取得
+   * @param {Array} parts
+   * @param {Array} wires
+   * @returns {{parts: Array, wires: Array}}
+   */
+  static expandComponents(parts, wires) {
+    if (!parts.some(part => typeof part.getInnerCircuit === 'function')) {
+      return { parts, wires };
+    }
+    const allParts = [];
+    const allWires = [...wires];
+    const collect = (list) => {
+      for (const part of list) {
+        allParts.push(part);
+        if (typeof part.getInnerCircuit === 'function') {
+          const inner = part.getInnerCircuit();
+          allWires.push(...inner.wires);
+          collect(inner.parts);
+        }
+      }
+    };
+    collect(parts);
+    return { parts: allParts, wires: allWires };
+  }
+
+  // ==================== 建設コスト ====================
+
+  /**
+   * 初期値のコスト表（コピーを返す）
+   * @returns {{limit: number|null, parts: Object}}
+   */
+  static getDefaultCostTable() {
+    return JSON.parse(JSON.stringify(CONST.BUILD_COST.DEFAULT_TABLE));
+  }
+
+  /**
+   * 保存されていたコスト表を検証し、欠けている項目を初期値で補う
+   * （新しいパーツが増えた後に古いコスト表を読み込んでも使えるようにする）
+   * @param {Object|null} data - JSON.parse した値
+   * @returns {{limit: number|null, parts: Object}}
+   */
+  static normalizeCostTable(data) {
+    const table = this.getDefaultCostTable();
+    if (!data || typeof data !== 'object') return table;
+
+    if (data.limit === null || (Number.isFinite(data.limit) && data.limit > 0)) {
+      table.limit = data.limit;
+    }
+
+    const savedParts = (data.parts && typeof data.parts === 'object') ? data.parts : {};
+    for (const [partType, saved] of Object.entries(savedParts)) {
+      if (!table.parts[partType] || !saved || typeof saved !== 'object') continue;
+
+      if (Number.isFinite(saved.complexity) && saved.complexity >= 0) {
+        table.parts[partType].complexity = saved.complexity;
+      }
+      if (saved.materials && typeof saved.materials === 'object') {
+        const materials = {};
+        for (const [name, amount] of Object.entries(saved.materials)) {
+          if (Number.isFinite(amount) && amount > 0) materials[name] = amount;
+        }
+        table.parts[partType].materials = materials;
+      }
+    }
+    return table;
+  }
+
+  /**
+   * パーツ数とコスト表から、必要な資材と複雑さ（拠点の上限に対する使用量）を計算する
+   * @param {Object} countData - countParts() の結果
+   * @param {{limit: number|null, parts: Object}} costTable
+   * @returns {Object} { lines: Array, materials: Map, complexity: number, limit: number|null, ratio: number|null }
+   *          lines はパーツタイプごとの { partType, count, complexity, materials }（数が0のものは除く）
+   */
+  static calculateBuildCost(countData, costTable) {
+    const lines = [];
+    const materials = new Map();
+    let complexity = 0;
+
+    for (const [partType, count] of countData.partCounts) {
+      if (count === 0) continue;
+
+      const cost = costTable.parts[partType] || { complexity: 0, materials: {} };
+      const lineMaterials = new Map();
+      for (const [name, amount] of Object.entries(cost.materials)) {
+        lineMaterials.set(name, amount * count);
+        materials.set(name, (materials.get(name) || 0) + amount * count);
+      }
+
+      lines.push({
+        partType,
+        count,
+        complexity: cost.complexity * count,
+        materials: lineMaterials
+      });
+      complexity += cost.complexity * count;
+    }
+
+    const limit = costTable.limit;
+    return {
+      lines,
+      materials,
+      complexity,
+      limit,
+      ratio: limit ? complexity / limit : null
+    };
+  }
+
+  /**
+   * 上限に対する使用量の段階
+   * @param {number|null} ratio
+   * @returns {'ok'|'warning'|'over'}
+   */
+  static getLimitLevel(ratio) {
+    if (ratio === null || ratio < CONST.BUILD_COST.WARNING_RATIO) return 'ok';
+    return ratio > 1 ? 'over' : 'warning';
+  }
+
   /**
    * パーツタイプから表示名を取得
    * @param {string} partType - パーツタイプ
@@ -0,0 +1,56 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 電力予算モードの計算に使う値（消費電力・供給量）と、保存された設定の検証
+ * ネットワークごとの集計は PowerSystem.applyPowerBudget() で行う
+ */
+export class PowerBudget {
+  /**
+   * 初期設定のコピーを取得
+   * @returns {{enabled: boolean, draws: Object}}
+   */
+  static getDefaultSettings() {
+    return JSON.parse(JSON.stringify(CONST.POWER_BUDGET.DEFAULT_SETTINGS));
+  }
+
+  /**
+   * 保存されていた設定を検証し、欠けている項目を初期値で補う
+   * @param {Object|null} data - JSON.parse した値
+   * @returns {{enabled: boolean, draws: Object}}
+   */
+  static normalizeSettings(data) {
+    const settings = this.getDefaultSettings();
+    if (!data || typeof data !== 'object') return settings;
+
+    settings.enabled = data.enabled === true;
+
+    const savedDraws = (data.draws && typeof data.draws === 'object') ? data.draws : {};
+    for (const [partType, draw] of Object.entries(savedDraws)) {
+      if (partType in settings.draws && Number.isFinite(draw) && draw >= 0) {
+        settings.draws[partType] = draw;
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * パーツの消費電力（kP）
+   * @param {CircuitPart} part
+   * @param {Object} draws - パーツの種類ごとの消費電力
+   * @returns {number}
+   */
+  static getDraw(part, draws) {
+    return draws[part.type] || 0;
+  }
+
+  /**
+   * 電源パーツの供給量（kP）。出力を持たない電源（Power）は無制限
+   * @param {CircuitPart} part
+   * @returns {number}
+   */
+  static getSupply(part) {
+    return Number.isFinite(part.output) ? part.output : Infinity;
+  }
+}
@@ -0,0 +1,100 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * シミュレーション用の時計
+ * p5.js の millis() / deltaTime の代わりに、シミュレーション内の時間を管理する
+ * 時間は advance() を呼んだ分だけ進むので、ブラウザ外（Node.jsなど）でも同じ結果になる
+ *
+ * 昼夜の時計も兼ねる（太陽光パネルが参照する）
+ * 1日は日の出から始まり、DAYLIGHT_RATIO の割合だけ昼が続いた後に夜になる
+ */
+export class SimulationClock {
+  /**
+   * @param {number} startTime - 開始時刻（ミリ秒）
+   */
+  constructor(startTime = 0) {
+    this.time = startTime;   // 現在のシミュレーション時刻（ミリ秒）
+    this.deltaTime = 0;      // 直前の advance() で進んだ時間（ミリ秒）
+
+    this.dayLength = CONST.DAY_NIGHT.DAY_LENGTH; // 1日の長さ（ミリ秒）
+    this.dayOffset = 0;      // 時刻の調整分（ミリ秒）。日の出・日の入りへの早送りで使う
+  }
+
+  /**
+   * 現在のシミュレーション時刻を取得
+   * @returns {number} ミリ秒
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * 時間を進める
+   * @param {number} ms - 進める時間（ミリ秒）
+   */
+  advance(ms) {
+    this.deltaTime = ms;
+    this.time += ms;
+  }
+
+  /**
+   * 時刻を初期化する（回路の読込時など）
+   * 昼夜の時計も日の出に戻す
+   * @param {number} startTime - 開始時刻（ミリ秒）
+   */
+  reset(startTime = 0) {
+    this.time = startTime;
+    this.deltaTime = 0;
+    this.dayOffset = 0;
+  }
+
+  // ==================== 昼夜 ====================
+
+  /**
+   * 1日のうちの位置
+   * @returns {number} 0（日の出）以上 1 未満
+   */
+  getTimeOfDay() {
+    const t = (this.time + this.dayOffset) % this.dayLength;
+    return (t < 0 ? t + this.dayLength : t) / this.dayLength;
+  }
+
+  /**
+   * 昼かどうか
+   * @returns {boolean}
+   */
+  isDaytime() {
+    return this.getTimeOfDay() < CONST.DAY_NIGHT.DAYLIGHT_RATIO;
+  }
+
+  /**
+   * 1日の位置を指定する（シミュレーション時刻そのものは動かさない）
+   * @param {number} timeOfDay - 0（日の出）以上 1 未満
+   */
+  setTimeOfDay(timeOfDay) {
+    const current = (this.time % this.dayLength) / this.dayLength;
+    this.dayOffset = (timeOfDay - current) * this.dayLength;
+  }
+
+  /**
+   * 1日の長さを変える（1日の中の位置は保つ）
+   * @param {number} ms - 1日の長さ（ミリ秒）
+   */
+  setDayLength(ms) {
+    const timeOfDay = this.getTimeOfDay();
+    this.dayLength = ms;
+    this.setTimeOfDay(timeOfDay);
+  }
+
+  /**
+   * 表示用の時刻（日の出を SUNRISE_HOUR 時とした24時間表記）
+   * @returns {string} "06:00" の形
+   */
+  formatTimeOfDay() {
+    const minutes = Math.floor((this.getTimeOfDay() * 24 + CONST.DAY_NIGHT.SUNRISE_HOUR) * 60) % (24 * 60);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+}
@@ -0,0 +1,221 @@
+'use strict';
+
+import { CONST } from '../config/constants.js';
+
+/**
+ * 直角配線（縦と横の線だけでつなぐ）の経路を求めるユーティリティクラス
+ *
+ * 経路は見た目だけのもので、ワイヤーのつなぎ先（startSocket / endSocket）は変えない
+ * ソケットの向きに少し引き出してから、L字・Z字・コの字の候補の中で
+ * パーツの本体に重ならず、短くて曲がりの少ないものを選ぶ
+ *
+ * 求めた経路は wire.route に入れ、両端や近くのパーツが動かない限り使い回す（wire.routeKey）
+ */
+export class WireRouter {
+  /**
+   * 全てのワイヤーの経路を必要なものだけ求め直す（毎フレーム呼ぶ）
+   * @param {Array<Wire>} wires
+   * @param {Array<CircuitPart>} parts
+   */
+  static updateRoutes(wires, parts) {
+    const obstacles = this.getObstacles(parts);
+    const margin = CONST.WIRE.ROUTE_SEARCH_MARGIN;
+
+    wires.forEach(wire => {
+      const start = wire.startSocket.getConnectorWorldPosition();
+      const end = wire.endSocket.getConnectorWorldPosition();
+
+      // 両端を囲む範囲に掛かるパーツだけを避ける相手にする
+      const area = {
+        minX: Math.min(start.x, end.x) - margin,
+        maxX: Math.max(start.x, end.x) + margin,
+        minY: Math.min(start.y, end.y) - margin,
+        maxY: Math.max(start.y, end.y) + margin
+      };
+      const nearby = obstacles.filter(rect =>
+        rect.maxX > area.minX && rect.minX < area.maxX && rect.maxY > area.minY && rect.minY < area.maxY);
+
+      const key = [start.x, start.y, end.x, end.y, ...nearby.flatMap(r => [r.minX, r.minY, r.maxX, r.maxY])]
+        .map(value => value.toFixed(1))
+        .join(',');
+      if (wire.routeKey === key) return;
+
+      wire.routeKey = key;
+      wire.route = this.route(start, this.getDirection(wire.startSocket), end, this.getDirection(wire.endSocket), nearby);
+    });
+  }
+
+  /**
+   * 求めた経路を捨てて、まっすぐな線に戻す
+   * @param {Array<Wire>} wires
+   */
+  static clearRoutes(wires) {
+    wires.forEach(wire => {
+      wire.route = null;
+      wire.routeKey = null;
+    });
+  }
+
+  /**
+   * 2点を結ぶ直角の経路を求める
+   * @param {{x: number, y: number}} start
+   * @param {{x: number, y: number}} startDir - start から引き出す向き（Joint は {0, 0}）
+   * @param {{x: number, y: number}} end
+   * @param {{x: number, y: number}} endDir
+   * @param {Array<Object>} obstacles - 避けるパーツの枠（少し広げた外接矩形）
+   * @returns {Array<{x: number, y: number}>} 始点から終点までの折れ点
+   */
+  static route(start, startDir, end, endDir, obstacles) {
+    const lead = CONST.WIRE.ROUTE_LEAD;
+    const s1 = { x: start.x + startDir.x * lead, y: start.y + startDir.y * lead };
+    const e1 = { x: end.x + endDir.x * lead, y: end.y + endDir.y * lead };
+
+    // 縦線・横線を通す候補の位置（中間、引き出した点、パーツのすぐ外側、全体の外側）
+    const step = CONST.GRID.SNAP_COARSE;
+    const xs = new Set([(s1.x + e1.x) / 2, s1.x, e1.x]);
+    const ys = new Set([(s1.y + e1.y) / 2, s1.y, e1.y]);
+    obstacles.forEach(rect => {
+      xs.add(rect.minX - step / 2);
+      xs.add(rect.maxX + step / 2);
+      ys.add(rect.minY - step / 2);
+      ys.add(rect.maxY + step / 2);
+    });
+    for (let k = 1; k <= 3; k++) {
+      xs.add(Math.min(s1.x, e1.x) - step * k);
+      xs.add(Math.max(s1.x, e1.x) + step * k);
+      ys.add(Math.min(s1.y, e1.y) - step * k);
+      ys.add(Math.max(s1.y, e1.y) + step * k);
+    }
+
+    const candidates = [
+      [{ x: e1.x, y: s1.y }],
+      [{ x: s1.x, y: e1.y }]
+    ];
+    xs.forEach(x => candidates.push([{ x, y: s1.y }, { x, y: e1.y }]));
+    ys.forEach(y => candidates.push([{ x: s1.x, y }, { x: e1.x, y }]));
+
+    let best = null;
+    candidates.forEach(middle => {
+      const raw = [start, s1, ...middle, e1, end];
+      const path = this.simplify(raw);
+      const cost = this.getCost(raw, path, obstacles);
+      if (!best || cost < best.cost) {
+        best = { path, cost };
+      }
+    });
+    return best.path;
+  }
+
+  // ==================== 内部処理 ====================
+
+  /**
+   * 避けるパーツの枠（回転後の外接矩形を ROUTE_CLEARANCE だけ広げたもの）
+   * Joint と TextLabel はワイヤーが通ってよいので含めない
+   * @param {Array<CircuitPart>} parts
+   * @returns {Array<{minX: number, maxX: number, minY: number, maxY: number}>}
+   */
+  static getObstacles(parts) {
+    const clearance = CONST.WIRE.ROUTE_CLEARANCE;
+    return parts
+      .filter(part => part.type !== CONST.PART_TYPE.JOINT && part.type !== CONST.PART_TYPE.TEXT_LABEL)
+      .map(part => {
+        const halfW = part.width / 2;
+        const halfH = part.height / 2;
+        const corners = [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]]
+          .map(([lx, ly]) => part.localToWorld(lx, ly));
+        return {
+          minX: Math.min(...corners.map(c => c.x)) - clearance,
+          maxX: Math.max(...corners.map(c => c.x)) + clearance,
+          minY: Math.min(...corners.map(c => c.y)) - clearance,
+          maxY: Math.max(...corners.map(c => c.y)) + clearance
+        };
+      });
+  }
+
+  /**
+   * ソケットから引き出す向き（パーツの回転を反映し、縦横のどちらかに丸める）
+   * @param {Socket} socket
+   * @returns {{x: number, y: number}}
+   */
+  static getDirection(socket) {
+    const base = socket.parent.localToWorld(socket.localX, socket.localY);
+    const tip = socket.getConnectorWorldPosition();
+    const dx = tip.x - base.x;
+    const dy = tip.y - base.y;
+    if (Math.abs(dx) < 0.001 && Math.abs(dy) < 0.001) return { x: 0, y: 0 };
+    return Math.abs(dx) >= Math.abs(dy)
+      ? { x: Math.sign(dx), y: 0 }
+      : { x: 0, y: Math.sign(dy) };
+  }
+
+  /**
+   * 同じ点の重なりと、一直線に並んだ途中の点（折り返しを含む）を取り除く
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {Array<{x: number, y: number}>}
+   */
+  static simplify(points) {
+    const same = (a, b) => Math.abs(a - b) < 0.01;
+    const result = [];
+    points.forEach(point => {
+      const last = result[result.length - 1];
+      if (last && same(last.x, point.x) && same(last.y, point.y)) return;
+
+      const prev = result[result.length - 2];
+      if (prev && ((same(prev.x, last.x) && same(last.x, point.x)) || (same(prev.y, last.y) && same(last.y, point.y)))) {
+        result[result.length - 1] = point;
+        return;
+      }
+      result.push(point);
+    });
+    return result;
+  }
+
+  /**
+   * 経路の良さ（小さいほど良い）: 長さ + 曲がり + 折り返し + パーツとの重なり
+   * 長さ・折り返し・重なりは取り除く前の経路で数える（引き返す分も長さに入る）
+   * 両端の引き出し部分はつなぎ先のパーツに接しているので、重なりを数えない
+   * @param {Array<{x: number, y: number}>} raw - simplify() する前の経路
+   * @param {Array<{x: number, y: number}>} path - simplify() した経路
+   * @param {Array<Object>} obstacles
+   * @returns {number}
+   */
+  static getCost(raw, path, obstacles) {
+    let length = 0;
+    let reversals = 0;
+    let collisions = 0;
+    let lastDir = null;
+
+    for (let i = 0; i < raw.length - 1; i++) {
+      const a = raw[i];
+      const b = raw[i + 1];
+      const dir = { x: Math.sign(b.x - a.x), y: Math.sign(b.y - a.y) };
+      if (dir.x === 0 && dir.y === 0) continue;
+
+      length += Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+      if (lastDir && dir.x === -lastDir.x && dir.y === -lastDir.y) reversals++;
+      lastDir = dir;
+
+      if (i === 0 || i === raw.length - 2) continue;
+      obstacles.forEach(rect => {
+        if (this.segmentHitsRect(a, b, rect)) collisions++;
+      });
+    }
+
+    const bends = Math.max(0, path.length - 2);
+    return length +
+      bends * CONST.WIRE.ROUTE_BEND_COST +
+      reversals * CONST.WIRE.ROUTE_REVERSE_COST +
+      collisions * CONST.WIRE.ROUTE_COLLISION_COST;
+  }
+
+  /**
+   * 縦または横の線分が矩形の内側を通るか
+   */
+  static segmentHitsRect(a, b, rect) {
+    const minX = Math.min(a.x, b.x);
+    const maxX = Math.max(a.x, b.x);
+    const minY = Math.min(a.y, b.y);
+    const maxY = Math.max(a.y, b.y);
+    return maxX > rect.minX && minX < rect.maxX && maxY > rect.minY && minY < rect.maxY;
+  }
+}
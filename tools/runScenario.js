@@ -0,0 +1,31 @@
+// シナリオテストをNode.jsから実行する
+// 使い方: node tools/runScenario.js circuit.json [scenario.txt]
+//   scenario.txt を省略すると、保存ファイルに含まれるシナリオを実行する
+//   失敗した判定が1つでもあれば終了コード1で終わる（CIでの回帰チェック用）
+import { readFileSync } from 'node:fs';
+import { ScenarioRunner } from '../docs/js/services/ScenarioRunner.js';
+
+const [circuitPath, scenarioPath] = process.argv.slice(2);
+if (!circuitPath) {
+  console.error('Usage: node tools/runScenario.js circuit.json [scenario.txt]');
+  process.exit(2);
+}
+
+// v1.1 の保存ファイル（JSON）と、シェアURLの文字列（v6）のどちらも受け付ける
+const raw = readFileSync(circuitPath, 'utf8').trim();
+const saveData = raw.startsWith('{') ? JSON.parse(raw) : raw;
+const scenario = scenarioPath ? readFileSync(scenarioPath, 'utf8') : saveData.scenario;
+
+if (!scenario) {
+  console.error(`No scenario in ${circuitPath}`);
+  process.exit(2);
+}
+
+try {
+  const report = ScenarioRunner.run(saveData, scenario);
+  console.log(ScenarioRunner.formatResults(report));
+  process.exit(report.failed === 0 ? 0 : 1);
+} catch (error) {
+  console.error(error.message);
+  process.exit(2);
+}